@@ -0,0 +1,90 @@
+/**
+ * Demo: Website Crawler
+ * Crawls a company website and prints the signals the Profiler receives.
+ *
+ * With no argument it serves the static fixture site in
+ * examples/fixtures/hvac-site on a local port and crawls that, so the crawler
+ * (robots.txt, page limits, link priorities, signal extraction) can be
+ * checked without touching a real site:
+ *   node examples/demo-crawler.js
+ *   node examples/demo-crawler.js https://www.example-hvac.com
+ */
+
+require('dotenv').config();
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { WebsiteCrawler } = require('../src/crawler/website-crawler');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'hvac-site');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Serve a directory of static files on a free local port
+ * @param {string} dir - Directory to serve
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function serveStatic(dir) {
+  const server = http.createServer((req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(dir, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    if (!file.startsWith(dir) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function runCrawlerDemo() {
+  console.log('🚀 Rollizr Website Crawler Demo\n');
+
+  let server = null;
+  let website = process.argv[2];
+  if (!website) {
+    server = await serveStatic(FIXTURE_DIR);
+    website = `http://127.0.0.1:${server.address().port}/`;
+    console.log(`📁 Serving ${path.relative(process.cwd(), FIXTURE_DIR)} at ${website}\n`);
+  }
+
+  try {
+    // A fresh crawler, so the demo never answers from a cached crawl
+    const crawler = new WebsiteCrawler({ requestIntervalMs: server ? 50 : undefined });
+    const crawl = await crawler.crawl(website, { refresh: true });
+
+    console.log(`\n📄 ${crawl.pages.length} page(s) fetched (robots.txt ${crawl.robots.found ? 'found' : 'not found'}):`);
+    crawl.pages.forEach((page) => console.log(`   ${page.status ?? 'ERR'}  ${page.url}  ${page.title || ''}`));
+    console.log(`   Skipped: ${crawl.skipped.robots} by robots.txt, ${crawl.skipped.limit} over the page limit`);
+
+    const { signals } = crawl;
+    console.log('\n🔎 Signals:');
+    console.log(`   Tech stack:        ${signals.techStack.map((t) => `${t.name} (${t.category})`).join(', ') || '-'}`);
+    console.log(`   Booking widgets:   ${signals.bookingWidgets.join(', ') || '-'}`);
+    console.log(
+      `   Financing:         ${signals.financing.offered ? `yes — ${signals.financing.partners.map((p) => p.name).join(', ') || 'partner not named'}` : 'no'}`
+    );
+    console.log(`   Maintenance plans: ${signals.maintenancePlans.map((p) => p.title).join(', ') || '-'}`);
+    console.log(
+      `   Founded:           ${signals.foundedYear || '-'}${signals.familyOwned ? ' (family owned)' : ''}${signals.foundedStatement ? `  "${signals.foundedStatement.text}"` : ''}`
+    );
+    console.log(`   License numbers:   ${signals.licenseNumbers.map((l) => `${l.number}${l.state ? ` (${l.state})` : ''}`).join(', ') || '-'}`);
+    console.log(`   Service areas:     ${signals.serviceAreas.join(', ') || '-'}`);
+    console.log(`   Emergency service: ${signals.emergencyService ? 'yes' : 'no'}`);
+  } finally {
+    if (server) server.close();
+  }
+}
+
+runCrawlerDemo().catch((error) => {
+  console.error('\n❌ Demo failed:', error.message);
+  process.exitCode = 1;
+});
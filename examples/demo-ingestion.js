@@ -66,8 +66,7 @@ async function runIngestionDemo() {
 
     // Run ingestion pipeline
     const results = await pipeline.ingestLocation(locations[0], {
-      includeGoogleMaps: true,
-      includeYelp: true,
+      sources: ['google_maps', 'yelp'],
       runResolver: true,
       runScoring: connected, // Only score if DB is available
       thesis: hvacThesis,
@@ -103,9 +103,17 @@ async function runOutreachDemo() {
       console.log('   3. Schedule via email platform (SendGrid/HubSpot)');
       console.log('   4. Track open/reply in CRM');
       console.log('   5. Follow up with sequence step 2 if no response in 5 days');
+    } else if (result.waiting) {
+      console.log('⏸️  Outreach waiting for approval\n');
+      result.pendingApprovals.forEach((task) => {
+        console.log(`   ${task.approvalId}  ${task.title} (${task.assignee || 'unassigned'})`);
+      });
+      console.log('\nDecide with (approving resumes the run; needs DATABASE_URL across processes):');
+      console.log('   npm run approvals -- list');
+      console.log(`   npm run approvals -- approve ${result.pendingApprovals[0].approvalId} <reviewer> [comment]`);
     } else {
       console.log('❌ Outreach NOT approved\n');
-      console.log(`Reason: ${result.reason}\n`);
+      console.log(`Reason: ${result.reason || result.error}\n`);
 
       if (result.violations) {
         console.log('Violations:');
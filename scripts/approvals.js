@@ -0,0 +1,110 @@
+/**
+ * Approvals
+ * Review approval tasks created by workflow approval steps
+ *
+ * Usage: node scripts/approvals.js <command> [args]
+ *   list [status] [assignee]                  - tasks (default: pending)
+ *   show <approvalId>                         - a task with its context and payload
+ *   approve <approvalId> <reviewer> [comment] [--edits '<json>']
+ *   reject <approvalId> <reviewer> [comment]
+ *   expire                                    - expire overdue tasks
+ * Approving or rejecting resumes the waiting run.
+ */
+
+require('dotenv').config();
+const { AgentOrchestrator } = require('../src/index');
+const approvalStore = require('../src/workflows/approval-store');
+const db = require('../src/db/connection');
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+async function listApprovals(status = 'pending', assignee) {
+  const tasks = await approvalStore.listTasks({ status: status === 'all' ? null : status, assignee });
+
+  console.log(`📝 ${tasks.length} approval task(s)\n`);
+  tasks.forEach((task) => {
+    console.log(
+      `   ${task.id}  ${task.status.padEnd(9)} ${(task.assignee || '(unassigned)').padEnd(16)} due ${formatTime(task.deadlineAt)}  ${task.title}`
+    );
+  });
+}
+
+async function showApproval(id) {
+  const task = await approvalStore.getTask(id);
+  if (!task) {
+    throw new Error(`Approval task '${id}' not found`);
+  }
+
+  console.log(`📝 ${task.title}`);
+  console.log(`   Workflow: ${task.workflow} run ${task.runId} (step ${task.step})`);
+  console.log(`   Status:   ${task.status}${task.decidedBy ? ` by ${task.decidedBy}` : ''}`);
+  console.log(`   Assignee: ${task.assignee || '(unassigned)'}`);
+  console.log(`   Deadline: ${formatTime(task.deadlineAt)}`);
+  if (task.comment) console.log(`   Comment:  ${task.comment}`);
+  console.log('\n   Context:');
+  console.log(JSON.stringify(task.context, null, 2));
+  console.log('\n   Payload:');
+  console.log(JSON.stringify(task.payload, null, 2));
+}
+
+async function decide(decision, args) {
+  const editsIndex = args.indexOf('--edits');
+  const edits = editsIndex >= 0 ? JSON.parse(args[editsIndex + 1]) : null;
+  const [id, reviewer, comment] = editsIndex >= 0 ? args.slice(0, editsIndex) : args;
+
+  if (!id || !reviewer) {
+    throw new Error(`Usage: ${decision === 'approved' ? 'approve' : 'reject'} <approvalId> <reviewer> [comment]`);
+  }
+
+  const { approval, result } = await new AgentOrchestrator().decideApproval(id, {
+    decision,
+    reviewer,
+    comment,
+    edits,
+  });
+
+  console.log(`\n✅ ${approval.title}: ${approval.status} by ${reviewer}`);
+  if (result) {
+    console.log(`   Run ${approval.runId} resumed: ${result.runStatus}`);
+  }
+}
+
+async function expireApprovals() {
+  const expired = await new AgentOrchestrator().expireApprovals();
+  console.log(`⌛ Expired ${expired.length} overdue approval task(s)`);
+}
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'list':
+        await listApprovals(args[0], args[1]);
+        break;
+      case 'show':
+        await showApproval(args[0]);
+        break;
+      case 'approve':
+        await decide('approved', args);
+        break;
+      case 'reject':
+        await decide('rejected', args);
+        break;
+      case 'expire':
+        await expireApprovals();
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected list, show, approve, reject or expire)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
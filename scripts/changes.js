@@ -0,0 +1,117 @@
+/**
+ * Company Changes
+ * Browse the field-level changes re-ingestion found in stored companies
+ *
+ * Usage: node scripts/changes.js <command> [args]
+ *   recent [--since <YYYY-MM-DD>] [--field <name>] [--limit <n>]
+ *                                 - changes across companies, newest first (default: last 7 days)
+ *   company <companyId> [--field <name>]
+ *                                 - one company's change history
+ *   fields                        - fields compared on re-ingestion
+ */
+
+require('dotenv').config();
+const Company = require('../src/db/models/company');
+const CompanyChange = require('../src/db/models/company-change');
+const { TRACKED_FIELDS } = require('../src/ingestion/change-detector');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+const FIELD_ICONS = {
+  business_status: '🚪',
+  google_review_count: '💬',
+  yelp_review_count: '💬',
+  google_rating: '⭐',
+  yelp_rating: '⭐',
+  phone: '📞',
+};
+
+/**
+ * YYYY-MM-DD of a timestamp
+ * @param {string|Date} value - Timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 10) : '-';
+}
+
+/**
+ * Print recent changes across companies
+ * @param {array} args - Arguments
+ */
+async function showRecent(args) {
+  const since = option(args, '--since') || new Date(Date.now() - 6 * 86400000).toISOString().substring(0, 10);
+  const changes = await CompanyChange.findRecent({
+    since,
+    field: option(args, '--field') || null,
+    limit: parseInt(option(args, '--limit') || '100', 10),
+  });
+
+  console.log(`🔎 ${changes.length} change(s) since ${since}\n`);
+  changes.forEach((change) => {
+    console.log(
+      `   ${formatDate(change.detected_at)} ${FIELD_ICONS[change.field] || '✏️'} ${change.legal_name}: ${change.summary} (${change.source || '-'})`
+    );
+  });
+}
+
+/**
+ * Print one company's change history
+ * @param {array} args - Arguments
+ */
+async function showCompany(args) {
+  const [companyId] = args;
+  if (!companyId) {
+    throw new Error('Usage: company <companyId> [--field <name>]');
+  }
+
+  const company = await Company.findById(companyId);
+  if (!company) {
+    throw new Error(`Company '${companyId}' not found`);
+  }
+
+  const changes = await CompanyChange.findByCompany(companyId, { field: option(args, '--field') || null });
+  console.log(`🏢 ${company.legal_name}: ${changes.length} change(s)\n`);
+  changes.forEach((change) => {
+    console.log(
+      `   ${formatDate(change.detected_at)} ${FIELD_ICONS[change.field] || '✏️'} ${change.field.padEnd(20)} ${JSON.stringify(change.previous_value)} → ${JSON.stringify(change.current_value)}  ${change.summary}`
+    );
+  });
+}
+
+/**
+ * Print the fields compared on re-ingestion
+ */
+function listFields() {
+  console.log('Fields compared on re-ingestion:\n');
+  Object.entries(TRACKED_FIELDS).forEach(([field, kind]) => {
+    console.log(`   ${field.padEnd(20)} ${kind}`);
+  });
+}
+
+async function main() {
+  const [command = 'recent', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'recent':
+        await showRecent(args);
+        break;
+      case 'company':
+        await showCompany(args);
+        break;
+      case 'fields':
+        listFields();
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected recent, company or fields)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
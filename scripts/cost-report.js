@@ -0,0 +1,40 @@
+/**
+ * LLM Cost Report
+ * Prints spend rolled up by agent, workflow, company, thesis or model
+ *
+ * Usage: node scripts/cost-report.js [dimension] [sinceDate]
+ *   dimension: agent | model | workflow | workflowRun | company | thesis (default: agent)
+ *   sinceDate: ISO date lower bound, e.g. 2025-10-01
+ */
+
+require('dotenv').config();
+const costLedger = require('../src/metering/cost-ledger');
+const db = require('../src/db/connection');
+
+async function printReport() {
+  const dimension = process.argv[2] || 'agent';
+  const since = process.argv[3] || null;
+
+  try {
+    const rows = await costLedger.getRollup(dimension, { since });
+    const total = rows.reduce((sum, row) => sum + row.costUsd, 0);
+
+    console.log(`💰 LLM spend by ${dimension}${since ? ` since ${since}` : ''}\n`);
+
+    rows.forEach((row) => {
+      console.log(
+        `   ${String(row.key ?? '(none)').padEnd(40)} $${row.costUsd.toFixed(4).padStart(10)}  ${row.calls} calls, ${row.inputTokens} in / ${row.outputTokens} out, ${row.cacheReadTokens} cached`
+      );
+    });
+
+    console.log(`\n   ${'TOTAL'.padEnd(40)} $${total.toFixed(4).padStart(10)}`);
+    console.log(`   Today: $${(await costLedger.getDailySpend()).toFixed(4)}\n`);
+  } catch (error) {
+    console.error('❌ Failed to build cost report:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+printReport();
@@ -0,0 +1,109 @@
+/**
+ * Website Crawler
+ * Crawl company websites for the signals the Profiler uses
+ *
+ * Usage: node scripts/crawl.js <command> [args]
+ *   site <url> [--max-pages <n>] [--refresh]  - crawl any site and print its signals (nothing stored)
+ *   company <companyId> [--refresh]           - crawl a company's website and store the result
+ *   sweep [--vertical <name>] [--state <XX>] [--limit <n>] [--refresh]
+ *                                             - crawl the websites of many companies
+ * Crawls are cached per domain for CRAWLER_CACHE_TTL_HOURS; --refresh re-crawls.
+ */
+
+require('dotenv').config();
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const websiteCrawler = require('../src/crawler/website-crawler');
+const Company = require('../src/db/models/company');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+/**
+ * Print a crawl's pages and signals
+ * @param {object} crawl - Crawl result
+ */
+function printCrawl(crawl) {
+  console.log(`\n🕸️  ${crawl.url}${crawl.cached ? `  (cached ${crawl.crawledAt})` : ''}`);
+  crawl.pages.forEach((page) => console.log(`   ${String(page.status ?? 'ERR').padEnd(4)} ${page.url}`));
+  console.log(`   ${crawl.skipped.robots} disallowed by robots.txt, ${crawl.skipped.limit} over the page limit`);
+
+  const { signals } = crawl;
+  const rows = [
+    ['Tech stack', signals.techStack.map((t) => `${t.name} (${t.category})`).join(', ')],
+    ['Financing', signals.financing.offered ? signals.financing.partners.map((p) => p.name).join(', ') || 'offered' : ''],
+    ['Maintenance plans', signals.maintenancePlans.map((p) => p.url).join(', ')],
+    ['Founded', signals.foundedYear ? `${signals.foundedYear}${signals.familyOwned ? ', family owned' : ''}` : ''],
+    ['License numbers', signals.licenseNumbers.map((l) => l.number).join(', ')],
+    ['Service areas', signals.serviceAreas.join(', ')],
+    ['Emergency service', signals.emergencyService ? 'yes' : ''],
+  ];
+  console.log('');
+  rows.forEach(([label, value]) => console.log(`   ${label.padEnd(18)} ${value || '-'}`));
+}
+
+async function crawlSite(args) {
+  const [url] = args;
+  if (!url) {
+    throw new Error('Usage: site <url> [--max-pages <n>] [--refresh]');
+  }
+
+  const maxPages = option(args, '--max-pages');
+  const crawl = await websiteCrawler.crawl(url, {
+    maxPages: maxPages ? parseInt(maxPages, 10) : undefined,
+    refresh: args.includes('--refresh'),
+  });
+  printCrawl(crawl);
+}
+
+async function crawlCompany(args) {
+  const [companyId] = args;
+  const company = companyId ? await Company.findById(companyId) : null;
+  if (!company) {
+    throw new Error(`No company '${companyId}'`);
+  }
+
+  const crawl = await new IngestionPipeline().crawlWebsite(company, { refresh: args.includes('--refresh') });
+  if (!crawl) {
+    throw new Error(`${company.legal_name} has no website or domain`);
+  }
+  printCrawl(crawl);
+}
+
+async function sweep(args) {
+  let companies = await Company.findByVertical(option(args, '--vertical') || 'HVAC');
+  if (option(args, '--state')) {
+    companies = companies.filter((company) => company.state === option(args, '--state'));
+  }
+  if (option(args, '--limit')) {
+    companies = companies.slice(0, parseInt(option(args, '--limit'), 10));
+  }
+
+  console.log(`🕸️  Crawling websites of ${companies.length} compan${companies.length === 1 ? 'y' : 'ies'}`);
+  await new IngestionPipeline().crawlWebsites(companies, { refresh: args.includes('--refresh') });
+}
+
+async function main() {
+  const [command = 'site', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'site':
+        await crawlSite(args);
+        break;
+      case 'company':
+        await crawlCompany(args);
+        break;
+      case 'sweep':
+        await sweep(args);
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected site, company or sweep)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
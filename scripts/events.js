@@ -0,0 +1,66 @@
+/**
+ * Events
+ * Inspect the domain event catalog and watch events as they are published
+ *
+ * Usage: node scripts/events.js <command> [args]
+ *   types            - event types and their required payload fields
+ *   tail [pattern]   - print events from every process (needs EVENT_BUS_TRANSPORT=postgres);
+ *                      pattern is a type, 'company.*' or '*' (default)
+ */
+
+require('dotenv').config();
+const eventBus = require('../src/events/event-bus');
+const { DOMAIN_EVENTS } = require('../src/events/domain-events');
+const db = require('../src/db/connection');
+
+function listTypes() {
+  console.log(`📣 ${Object.keys(DOMAIN_EVENTS).length} event type(s)\n`);
+  Object.entries(DOMAIN_EVENTS).forEach(([type, { description, schema }]) => {
+    console.log(`   ${type.padEnd(24)} ${description}`);
+    console.log(`   ${''.padEnd(24)} requires: ${schema.required.join(', ')}`);
+  });
+}
+
+async function tail(pattern = '*') {
+  if (!eventBus.remote) {
+    throw new Error('Tailing needs EVENT_BUS_TRANSPORT=postgres and DATABASE_URL');
+  }
+
+  eventBus.subscribe(pattern, (event) => {
+    console.log(
+      `${event.occurredAt}  ${event.type.padEnd(24)} ${event.source || '-'}  ${JSON.stringify(event.payload)}`
+    );
+  });
+
+  if (!(await eventBus.start())) {
+    throw new Error('Could not start the event listener');
+  }
+  console.log(`👂 Waiting for ${pattern} events (Ctrl+C to stop)\n`);
+
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+  await eventBus.stop();
+}
+
+async function main() {
+  const [command = 'types', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'types':
+        listTypes();
+        break;
+      case 'tail':
+        await tail(args[0]);
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected types or tail)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,125 @@
+/**
+ * Scraper HTTP Cache
+ * Inspect the scraper response cache, the per-key request ledger and the
+ * rate limiter's buckets
+ *
+ * Usage: node scripts/http-cache.js <command> [args]
+ *   usage [--since <YYYY-MM-DD>] [--api <name>]   - requests per day, API key and endpoint (default: last 7 days)
+ *   stats                                         - cached responses by API and endpoint
+ *   purge [--api <name>] [--endpoint <name>] [--expired]
+ *                                                 - delete cached responses (--expired: only stale ones)
+ *   limits                                        - rate limits, quota used today and backoff per provider and key
+ * The cache store and mode come from HTTP_CACHE_STORE / HTTP_CACHE_MODE.
+ */
+
+require('dotenv').config();
+const ResponseCache = require('../src/http/response-cache');
+const requestLedger = require('../src/metering/request-ledger');
+const rateLimiter = require('../src/http/rate-limiter');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+async function showUsage(args) {
+  const since = option(args, '--since') || new Date(Date.now() - 6 * 86400000).toISOString().substring(0, 10);
+  const rows = await requestLedger.getUsage({ since, api: option(args, '--api') || null });
+
+  console.log(`📒 Scraper requests since ${since}\n`);
+  if (rows.length === 0) {
+    console.log('   No requests recorded');
+    return;
+  }
+
+  console.log(`   ${'Day'.padEnd(11)} ${'API'.padEnd(12)} ${'Key'.padEnd(13)} ${'Endpoint'.padEnd(14)} ${'Calls'.padStart(6)} ${'Hits'.padStart(6)} ${'304'.padStart(5)} ${'429'.padStart(5)} ${'Errors'.padStart(6)}`);
+  rows.forEach((row) => {
+    console.log(
+      `   ${row.day.padEnd(11)} ${row.api.padEnd(12)} ${row.keyId.padEnd(13)} ${row.endpoint.padEnd(14)} ${String(row.calls).padStart(6)} ${String(row.cacheHits).padStart(6)} ${String(row.notModified).padStart(5)} ${String(row.rateLimited).padStart(5)} ${String(row.errors).padStart(6)}`
+    );
+  });
+
+  const calls = rows.reduce((sum, row) => sum + row.calls, 0);
+  const hits = rows.reduce((sum, row) => sum + row.cacheHits + row.notModified, 0);
+  const served = calls + rows.reduce((sum, row) => sum + row.cacheHits, 0);
+  console.log(`\n   ${calls} API call(s), ${hits} answered from the cache (${served ? Math.round((hits / served) * 100) : 0}%)`);
+}
+
+async function showStats() {
+  const cache = ResponseCache.fromEnv();
+  const rows = await cache.stats();
+
+  console.log(`🗄️  Scraper HTTP cache (${cache.store}${cache.store === 'disk' ? `: ${cache.dir}` : ''})\n`);
+  if (rows.length === 0) {
+    console.log('   Empty');
+    return;
+  }
+  rows.forEach((row) => {
+    console.log(
+      `   ${`${row.api}:${row.endpoint}`.padEnd(28)} ${String(row.responses).padStart(6)} response(s), ${String(row.expired).padStart(5)} expired, ${row.bodies} distinct bod${row.bodies === 1 ? 'y' : 'ies'}`
+    );
+  });
+}
+
+async function purge(args) {
+  const deleted = await ResponseCache.fromEnv().purge({
+    api: option(args, '--api') || null,
+    endpoint: option(args, '--endpoint') || null,
+    expired: args.includes('--expired'),
+  });
+  console.log(`🧹 Deleted ${deleted} cached response(s)`);
+}
+
+async function showLimits() {
+  const buckets = await rateLimiter.status();
+  const now = new Date().toISOString();
+
+  console.log('🚦 Scraper rate limits\n');
+  Object.entries(rateLimiter.limits).forEach(([provider, limits]) => {
+    console.log(
+      `   ${provider.padEnd(12)} ${limits.perSecond}/s, burst ${limits.burst}, ${limits.dailyQuota ? `${limits.dailyQuota}/day` : 'no daily quota'}`
+    );
+  });
+
+  if (buckets.length === 0) {
+    console.log('\n   No requests yet');
+    return;
+  }
+  console.log();
+  buckets.forEach((bucket) => {
+    const notes = [];
+    if (bucket.exhaustedUntil && bucket.exhaustedUntil > now) notes.push(`quota exhausted until ${bucket.exhaustedUntil}`);
+    if (bucket.pausedUntil && bucket.pausedUntil > now) notes.push(`paused until ${bucket.pausedUntil}`);
+    if (bucket.penalty < 1) notes.push(`backed off to ${Math.round(bucket.penalty * 100)}% rate`);
+    console.log(
+      `   ${bucket.provider.padEnd(12)} ${bucket.keyId.padEnd(13)} ${bucket.day} ${String(bucket.used).padStart(6)}${bucket.dailyQuota ? `/${bucket.dailyQuota}` : ''} used${notes.length > 0 ? ` - ${notes.join(', ')}` : ''}`
+    );
+  });
+}
+
+async function main() {
+  const [command = 'usage', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'usage':
+        await showUsage(args);
+        break;
+      case 'stats':
+        await showStats();
+        break;
+      case 'purge':
+        await purge(args);
+        break;
+      case 'limits':
+        await showLimits();
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected usage, stats, purge or limits)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,222 @@
+/**
+ * Company List Import
+ * Load CSV/XLSX company lists (broker lists, association rosters, attendee
+ * spreadsheets) and manage saved column mappings
+ *
+ * Usage: node scripts/import.js <command> [args]
+ *   run <file> [--profile <name>] [--mapping '<json>'] [--sheet <name>] [--dry-run]
+ *              [--report <out.json|out.csv>] [--save-profile <name>]
+ *                                         - import a file (--dry-run: validate only)
+ *   columns <file> [--profile <name>] [--mapping '<json>'] [--sheet <name>]
+ *                                         - show how the file's columns would be mapped
+ *   profiles                              - saved mapping profiles
+ *   save-profile <name> --mapping '<json>' [--sheet <name>] [--description '<text>']
+ *   remove-profile <name>
+ *   fields                                - company fields a mapping can fill
+ * A mapping is {"columns": {"legal_name": "Member Name", ...}, "defaults": {"state": "FL"}},
+ * or just the columns object.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const { connectorRegistry } = require('../src/connectors');
+const { IMPORT_FIELDS } = require('../src/connectors/file-import');
+const mappingProfiles = require('../src/connectors/mapping-profiles');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+const STATUS_ICONS = {
+  imported: '✅',
+  merged: '🔗',
+  updated: '✏️',
+  unchanged: '♻️',
+  exists: '♻️',
+  valid: '✔️',
+  invalid: '⚠️',
+  failed: '❌',
+};
+
+/**
+ * Parse --mapping: a full mapping or just its columns
+ * @param {array} args - Arguments
+ * @returns {object|undefined} - { columns, defaults }
+ */
+function mappingOption(args) {
+  const json = option(args, '--mapping');
+  if (!json) return undefined;
+
+  const mapping = JSON.parse(json);
+  return mapping.columns || mapping.defaults ? mapping : { columns: mapping };
+}
+
+/**
+ * Write the per-row report as JSON, or as CSV with one line per problem
+ * @param {string} file - Output path (.json or .csv)
+ * @param {object} report - importFile report
+ */
+function writeReport(file, report) {
+  if (!file.endsWith('.csv')) {
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = [['row', 'status', 'company_id', 'field', 'column', 'value', 'message'].join(',')];
+  report.rows.forEach((row) => {
+    const problems = row.errors.length > 0 ? row.errors : [{}];
+    problems.forEach((problem) => {
+      lines.push(
+        [row.row, row.status, row.companyId, problem.field, problem.column, problem.value, problem.message]
+          .map(quote)
+          .join(',')
+      );
+    });
+  });
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+}
+
+async function runImport(args) {
+  const [file] = args;
+  if (!file) {
+    throw new Error("Usage: run <file> [--profile <name>] [--mapping '<json>'] [--dry-run] [--report <file>]");
+  }
+
+  const report = await new IngestionPipeline().importFile(file, {
+    profile: option(args, '--profile'),
+    mapping: mappingOption(args),
+    sheet: option(args, '--sheet'),
+    dryRun: args.includes('--dry-run'),
+  });
+
+  const problems = report.rows.filter((row) => row.errors.length > 0);
+  if (problems.length > 0) {
+    console.log(`\n${problems.length} row(s) with problems:`);
+    problems.slice(0, 50).forEach((row) => {
+      const detail = row.errors
+        .map((e) => (e.field ? `${e.field}${e.value ? ` '${e.value}'` : ''}: ${e.message}` : e.message))
+        .join('; ');
+      console.log(`   ${STATUS_ICONS[row.status]} row ${row.row}  ${detail}`);
+    });
+    if (problems.length > 50) {
+      console.log(`   ... and ${problems.length - 50} more (see --report)`);
+    }
+  }
+
+  const reportFile = option(args, '--report');
+  if (reportFile) {
+    writeReport(reportFile, report);
+    console.log(`\n📝 Report written to ${reportFile}`);
+  }
+
+  const profileName = option(args, '--save-profile');
+  if (profileName) {
+    await mappingProfiles.save({
+      name: profileName,
+      columns: report.columns,
+      defaults: mappingOption(args)?.defaults || {},
+      sheet: option(args, '--sheet') || null,
+    });
+    console.log(`💾 Saved the column mapping as profile ${profileName}`);
+  }
+}
+
+async function showColumns(args) {
+  const [file] = args;
+  if (!file) {
+    throw new Error('Usage: columns <file> [--profile <name>] [--mapping <json>]');
+  }
+
+  const profile = option(args, '--profile') ? await mappingProfiles.get(option(args, '--profile')) : null;
+  const mapping = mappingOption(args);
+  const connector = connectorRegistry.get('file_import');
+  const { headers } = await connector.readFile(file, { sheet: option(args, '--sheet') || profile?.sheet });
+  const { columns, unmapped } = connector.resolveColumns(headers, {
+    columns: { ...profile?.columns, ...mapping?.columns },
+  });
+
+  console.log(`📋 ${headers.length} column(s) in ${file}\n`);
+  Object.entries(columns).forEach(([field, header]) => {
+    console.log(`   ${header.padEnd(28)} → ${field}`);
+  });
+  unmapped.forEach((header) => console.log(`   ${header.padEnd(28)}   (not imported)`));
+}
+
+async function listProfiles() {
+  const profiles = await mappingProfiles.list();
+
+  console.log(`🗂️  ${profiles.length} mapping profile(s)\n`);
+  profiles.forEach((profile) => {
+    const columns = Object.entries(profile.columns)
+      .map(([field, header]) => `${field}←"${header}"`)
+      .join(', ');
+    console.log(`   ${profile.name.padEnd(24)} ${profile.description || ''}`);
+    console.log(`      ${columns || 'auto-detected columns'}${profile.sheet ? `  (sheet ${profile.sheet})` : ''}`);
+  });
+}
+
+async function saveProfile(args) {
+  const [name] = args;
+  const mapping = mappingOption(args);
+  if (!name || !mapping) {
+    throw new Error("Usage: save-profile <name> --mapping '<json>' [--sheet <name>] [--description '<text>']");
+  }
+
+  const profile = await mappingProfiles.save({
+    name,
+    description: option(args, '--description') || null,
+    columns: mapping.columns || {},
+    defaults: mapping.defaults || {},
+    sheet: option(args, '--sheet') || null,
+  });
+  console.log(`💾 Saved profile ${profile.name}`);
+}
+
+async function removeProfile(name) {
+  const removed = await mappingProfiles.remove(name);
+  console.log(removed ? `🗑️  Removed profile ${name}` : `⚠️  No profile '${name}'`);
+}
+
+function listFields() {
+  Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+    console.log(`   ${field.padEnd(20)} ${aliases.slice(0, 4).map((a) => `"${a}"`).join(', ')}`);
+  });
+}
+
+async function main() {
+  const [command = 'profiles', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'run':
+        await runImport(args);
+        break;
+      case 'columns':
+        await showColumns(args);
+        break;
+      case 'profiles':
+        await listProfiles();
+        break;
+      case 'save-profile':
+        await saveProfile(args);
+        break;
+      case 'remove-profile':
+        await removeProfile(args[0]);
+        break;
+      case 'fields':
+        listFields();
+        break;
+      default:
+        throw new Error(
+          `Unknown command '${command}' (expected run, columns, profiles, save-profile, remove-profile or fields)`
+        );
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,17 @@
+/**
+ * Script Arguments
+ * Command-line helpers shared by the scripts in scripts/
+ */
+
+/**
+ * Read a --flag value from the argument list
+ * @param {array} args - Arguments
+ * @param {string} flag - Flag name
+ * @returns {string|undefined}
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+module.exports = { option };
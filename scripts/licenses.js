@@ -0,0 +1,179 @@
+/**
+ * State License Records
+ * Import contractor license exports from state boards, match them to
+ * companies and review the matches
+ *
+ * Usage: node scripts/licenses.js <command> [args]
+ *   import <file> --state <FL|TX|CA> [--vertical <name>|all] [--sheet <name>] [--dry-run]
+ *                 [--report <out.json>]       - load a board export (--dry-run: parse and match only)
+ *   match [state]                           - re-match unlinked licenses against current companies
+ *   review [state]                          - unlinked licenses with a candidate company
+ *   link <licenseId> <companyId>            - confirm a match by hand
+ *   show <companyId>                        - the records a licensure check would see
+ *   formats                                 - supported board exports
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const { licenseFacts } = require('../src/ingestion/license-matcher');
+const { LICENSE_FORMATS } = require('../src/connectors/state-licenses');
+const Company = require('../src/db/models/company');
+const License = require('../src/db/models/license');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+const STATUS_ICONS = {
+  active: '✅',
+  expired: '⌛',
+  suspended: '⛔',
+  revoked: '❌',
+  inactive: '💤',
+  unknown: '❔',
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().substring(0, 10) : '-';
+}
+
+async function importLicenses(args) {
+  const [file] = args;
+  const state = option(args, '--state');
+  if (!file || !state) {
+    throw new Error('Usage: import <file> --state <FL|TX|CA> [--vertical <name>|all] [--dry-run]');
+  }
+
+  const vertical = option(args, '--vertical');
+  const report = await new IngestionPipeline().importLicenses(file, {
+    state,
+    vertical: vertical === 'all' ? null : vertical,
+    sheet: option(args, '--sheet'),
+    dryRun: args.includes('--dry-run'),
+  });
+
+  const statuses = Object.entries(report.summary.byStatus)
+    .map(([status, count]) => `${STATUS_ICONS[status]} ${status} ${count}`)
+    .join('   ');
+  console.log(`\n${report.board}: ${report.summary.rows} row(s), ${report.summary.skipped} for other trades`);
+  if (statuses) console.log(`   ${statuses}`);
+
+  if (report.review.length > 0) {
+    console.log(`\n${report.review.length} match(es) to review:`);
+    report.review.slice(0, 25).forEach((match) => {
+      console.log(`   ${match.licenseNumber.padEnd(14)} ${match.name} → ${match.company} (${match.confidence})`);
+    });
+  }
+  report.invalid.slice(0, 25).forEach(({ row, errors }) => {
+    console.log(`   ⚠️  row ${row}  ${errors.map((e) => `${e.field}: ${e.message}`).join('; ')}`);
+  });
+
+  const reportFile = option(args, '--report');
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Report written to ${reportFile}`);
+  }
+}
+
+async function listReview(state) {
+  const licenses = await License.findUnlinked({ state: state || null, review: true });
+
+  console.log(`🔎 ${licenses.length} license(s) awaiting review\n`);
+  for (const license of licenses) {
+    const candidate = await Company.findById(license.match_signals.candidateCompanyId);
+    const { name, phone, street, locality } = license.match_signals;
+    console.log(`   ${license.id}  ${license.state} ${license.license_number}  ${license.business_name || license.holder_name}`);
+    console.log(
+      `      → ${candidate?.id || '?'}  ${candidate?.legal_name || '(company deleted)'}  confidence ${license.match_confidence} (name ${name}, phone ${phone}, street ${street}, locality ${locality})`
+    );
+  }
+  if (licenses.length > 0) {
+    console.log('\nConfirm with: npm run licenses link <licenseId> <companyId>');
+  }
+}
+
+async function linkLicense(licenseId, companyId) {
+  if (!licenseId || !companyId) {
+    throw new Error('Usage: link <licenseId> <companyId>');
+  }
+  const company = await Company.findById(companyId);
+  if (!company) {
+    throw new Error(`No company '${companyId}'`);
+  }
+
+  const license = await License.setMatch(licenseId, {
+    companyId,
+    confidence: 1,
+    signals: { method: 'manual' },
+  });
+  if (!license) {
+    throw new Error(`No license '${licenseId}'`);
+  }
+  console.log(`🔗 Linked ${license.state} ${license.license_number} to ${company.legal_name}`);
+}
+
+async function showCompany(companyId) {
+  const company = companyId ? await Company.findById(companyId) : null;
+  if (!company) {
+    throw new Error(`No company '${companyId}'`);
+  }
+
+  const facts = await licenseFacts(company);
+  console.log(`🪪 ${company.legal_name} (${company.city || '?'}, ${company.state || '?'})`);
+  console.log(
+    `   Registry states: ${facts.registryStates.join(', ') || 'none imported'}${facts.covered ? '' : '  (company state not covered)'}\n`
+  );
+  if (facts.licenses.length === 0) {
+    console.log('   No license records');
+    return;
+  }
+  facts.licenses.forEach((license) => {
+    const secondary = license.secondary_status ? `  [${license.secondary_status}]` : '';
+    const match = license.linked ? '' : `  (unlinked match ${license.match_confidence})`;
+    console.log(
+      `   ${STATUS_ICONS[license.status] || '•'} ${license.state} ${license.license_number.padEnd(14)} ${license.license_type}  expires ${formatDate(license.expiration_date)}${secondary}${match}`
+    );
+  });
+}
+
+function listFormats() {
+  Object.entries(LICENSE_FORMATS).forEach(([state, format]) => {
+    console.log(`   ${state}  ${format.board}`);
+    console.log(`       verticals: ${Object.keys(format.verticals).join(', ')}`);
+  });
+}
+
+async function main() {
+  const [command = 'formats', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'import':
+        await importLicenses(args);
+        break;
+      case 'match':
+        await new IngestionPipeline().matchLicenses({ state: args[0] });
+        break;
+      case 'review':
+        await listReview(args[0]);
+        break;
+      case 'link':
+        await linkLicense(args[0], args[1]);
+        break;
+      case 'show':
+        await showCompany(args[0]);
+        break;
+      case 'formats':
+        listFormats();
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected import, match, review, link, show or formats)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,172 @@
+/**
+ * Job Queue
+ * Queue ingestion sweeps and run queue workers
+ *
+ * Usage: node scripts/queue.js <command> [args]
+ *   work [--concurrency <n>] [--types a,b] [--drain]
+ *                                         - run a worker until Ctrl+C (--drain: until the queue is empty)
+ *   sweep "<location>"... [--thesis <id>] [--profile-min-score <n>] [--budget <usd>] [--sources a,b] [--tiled]
+ *                                         - queue an ingestion sweep (--tiled: tile each metro into
+ *                                           cells to get past the sources' result caps)
+ *   stats [batchId]                       - job counts by type and status
+ *   list [status] [--type <type>] [--batch <batchId>]
+ *   retry <jobId>                         - requeue a dead-lettered job
+ *   types                                 - job types
+ * Start several `work` processes (on one or more machines, sharing DATABASE_URL)
+ * to spread a large sweep across them.
+ */
+
+require('dotenv').config();
+const QueueWorker = require('../src/queue/worker');
+const jobQueue = require('../src/queue/job-queue');
+const { QUEUE_JOB_TYPES } = require('../src/queue/handlers');
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+const STATUS_ICONS = {
+  queued: '⏳',
+  running: '▶️',
+  succeeded: '✅',
+  dead: '☠️',
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+/**
+ * Arguments before the first --flag
+ * @param {array} args - Arguments
+ * @returns {array}
+ */
+function positional(args) {
+  const index = args.findIndex((arg) => arg.startsWith('--'));
+  return index >= 0 ? args.slice(0, index) : args;
+}
+
+async function work(args) {
+  const concurrency = option(args, '--concurrency');
+  const types = option(args, '--types');
+  const worker = new QueueWorker({
+    concurrency: concurrency ? parseInt(concurrency, 10) : undefined,
+    types: types ? types.split(',') : null,
+  });
+
+  if (args.includes('--drain')) {
+    await worker.drain();
+    return;
+  }
+
+  worker.start();
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+  console.log('\n⏹️  Stopping worker...');
+  await worker.stop();
+}
+
+async function sweep(args) {
+  const locations = positional(args);
+  if (locations.length === 0) {
+    throw new Error('Usage: sweep "<location>"... [--thesis <id>] [--profile-min-score <n>] [--budget <usd>] [--tiled]');
+  }
+
+  const minScore = option(args, '--profile-min-score');
+  const budget = option(args, '--budget');
+  const sources = option(args, '--sources');
+  const { batchId, jobs } = await new IngestionPipeline().enqueueLocations(locations, {
+    thesisId: option(args, '--thesis'),
+    sources: sources ? sources.split(',') : undefined,
+    tiled: args.includes('--tiled') || undefined,
+    profileMinScore: minScore !== undefined ? Number(minScore) : undefined,
+    budget: budget ? { perRunUsd: Number(budget) } : undefined,
+  });
+
+  jobs.forEach((job) => console.log(`   ${STATUS_ICONS[job.status]} ${job.id}  ${job.payload.location}`));
+  console.log(`\nRun workers with: npm run worker    Track with: npm run queue stats ${batchId}`);
+}
+
+async function showStats(batchId) {
+  const stats = await jobQueue.stats({ batchId: batchId || null });
+
+  console.log(`📊 Queue${batchId ? ` (batch ${batchId})` : ''}\n`);
+  const types = Object.entries(stats);
+  if (types.length === 0) {
+    console.log('   No jobs');
+    return;
+  }
+  types.forEach(([type, counts]) => {
+    const line = Object.entries(counts)
+      .map(([status, count]) => `${STATUS_ICONS[status]} ${status} ${count}`)
+      .join('   ');
+    console.log(`   ${type.padEnd(18)} ${line}`);
+  });
+}
+
+async function listJobs(args) {
+  const [status] = positional(args);
+  const jobs = await jobQueue.listJobs({
+    status: status || null,
+    type: option(args, '--type') || null,
+    batchId: option(args, '--batch') || null,
+  });
+
+  console.log(`📬 ${jobs.length} job(s)\n`);
+  jobs.forEach((job) => {
+    const detail = job.lastError ? `  ${job.errorType}: ${job.lastError}` : '';
+    console.log(
+      `   ${STATUS_ICONS[job.status] || '•'} ${job.id}  ${job.type.padEnd(16)} p${String(job.priority).padEnd(3)} ${job.attempts}/${job.maxAttempts}  ${formatTime(job.createdAt)}${detail}`
+    );
+  });
+}
+
+async function retryJob(id) {
+  const job = await jobQueue.retry(id);
+  if (!job) {
+    throw new Error(`No dead-lettered job '${id}'`);
+  }
+  console.log(`🔁 Requeued ${job.type} ${job.id}`);
+}
+
+function listTypes() {
+  Object.entries(QUEUE_JOB_TYPES).forEach(([type, { description }]) => {
+    console.log(`   ${type.padEnd(18)} ${description}`);
+  });
+}
+
+async function main() {
+  const [command = 'stats', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'work':
+        await work(args);
+        break;
+      case 'sweep':
+        await sweep(args);
+        break;
+      case 'stats':
+        await showStats(args[0]);
+        break;
+      case 'list':
+        await listJobs(args);
+        break;
+      case 'retry':
+        await retryJob(args[0]);
+        break;
+      case 'types':
+        listTypes();
+        break;
+      default:
+        throw new Error(
+          `Unknown command '${command}' (expected work, sweep, stats, list, retry or types)`
+        );
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,50 @@
+/**
+ * Batch Re-scoring
+ * Re-scores every company in a vertical against a thesis through a Message Batch
+ *
+ * Usage: node scripts/rescore.js <thesisFile> [vertical]
+ *   thesisFile: JSON investment thesis (see examples/demo-ingestion.js)
+ *   vertical: companies to re-score (default: the thesis vertical, then HVAC)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const Company = require('../src/db/models/company');
+const db = require('../src/db/connection');
+
+async function rescore() {
+  const thesisFile = process.argv[2];
+  if (!thesisFile) {
+    console.error('Usage: node scripts/rescore.js <thesisFile> [vertical]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const thesis = JSON.parse(fs.readFileSync(thesisFile, 'utf8'));
+    const vertical = process.argv[3] || thesis.vertical || 'HVAC';
+    const companies = await Company.findByVertical(vertical);
+
+    console.log(`📊 Re-scoring ${companies.length} ${vertical} companies as a batch\n`);
+
+    const pipeline = new IngestionPipeline();
+    const scores = await pipeline.scoreCompanies(companies, thesis, {
+      batch: true,
+      workflowRunId: crypto.randomUUID(),
+    });
+
+    console.log(`\n✅ Scored ${scores.length} of ${companies.length} companies`);
+    if (scores.budgetExceeded) {
+      console.log(`⚠️  Budget exceeded (${scores.budgetExceeded.scope}); batch not submitted`);
+    }
+  } catch (error) {
+    console.error('❌ Re-scoring failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+rescore();
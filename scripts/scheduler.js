@@ -0,0 +1,155 @@
+/**
+ * Scheduler
+ * Manage recurring jobs and run the scheduler worker
+ *
+ * Usage: node scripts/scheduler.js <command> [args]
+ *   list                                  - jobs with their next and last runs
+ *   types                                 - job types and their params
+ *   add <name> <type> '<cron>' [--params '<json>'] [--skip-missed] [--timeout <ms>]
+ *                                         - create or update a job
+ *   remove <name>
+ *   enable <name> | disable <name>
+ *   run <name>                            - run a job now (schedule unchanged)
+ *   history [name]                        - recent runs
+ *   tick                                  - run the jobs that are due, once
+ *   start                                 - poll for due jobs until Ctrl+C
+ * Cron expressions are evaluated in UTC.
+ */
+
+require('dotenv').config();
+const Scheduler = require('../src/scheduler/scheduler');
+const jobStore = require('../src/scheduler/job-store');
+const { JOB_TYPES } = require('../src/scheduler/jobs');
+const db = require('../src/db/connection');
+const { option } = require('./lib/args');
+
+const STATUS_ICONS = {
+  succeeded: '✅',
+  failed: '❌',
+  missed: '⏭️',
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+async function listJobs() {
+  const jobs = await jobStore.listJobs();
+
+  console.log(`🗓️  ${jobs.length} scheduled job(s)\n`);
+  jobs.forEach((job) => {
+    const last = job.lastStatus
+      ? `${STATUS_ICONS[job.lastStatus] || '•'} ${formatTime(job.lastRunAt)}`
+      : 'never run';
+    console.log(
+      `   ${job.enabled ? '●' : '○'} ${job.name.padEnd(24)} ${job.type.padEnd(18)} ${job.cron.padEnd(16)} next ${formatTime(job.nextRunAt)}  last ${last}${job.lockedBy ? `  (running on ${job.lockedBy})` : ''}`
+    );
+  });
+}
+
+function listTypes() {
+  Object.entries(JOB_TYPES).forEach(([type, { description }]) => {
+    console.log(`   ${type.padEnd(18)} ${description}`);
+  });
+}
+
+async function addJob(args) {
+  const [name, type, cron] = args;
+  if (!name || !type || !cron) {
+    throw new Error("Usage: add <name> <type> '<cron>' [--params '<json>'] [--skip-missed] [--timeout <ms>]");
+  }
+
+  const params = option(args, '--params');
+  const timeout = option(args, '--timeout');
+  await new Scheduler().schedule({
+    name,
+    type,
+    cron,
+    params: params ? JSON.parse(params) : {},
+    missedRunPolicy: args.includes('--skip-missed') ? 'skip' : 'run_once',
+    timeoutMs: timeout ? parseInt(timeout, 10) : null,
+  });
+}
+
+async function removeJob(name) {
+  const removed = await jobStore.removeJob(name);
+  console.log(removed ? `🗑️  Removed ${name}` : `⚠️  No job '${name}'`);
+}
+
+async function setEnabled(name, enabled) {
+  const job = await jobStore.setEnabled(name, enabled);
+  if (!job) {
+    throw new Error(`Job '${name}' not found`);
+  }
+  console.log(
+    `${job.enabled ? '●' : '○'} ${job.name} ${enabled ? 'enabled' : 'disabled'}, next run ${formatTime(job.nextRunAt)}`
+  );
+}
+
+async function showHistory(name) {
+  const runs = await jobStore.listRuns(name);
+
+  console.log(`📜 ${runs.length} run(s)\n`);
+  runs.forEach((run) => {
+    const missed = run.missedRuns > 0 ? ` (${run.missedRuns} missed)` : '';
+    console.log(
+      `   ${STATUS_ICONS[run.status] || '•'} ${formatTime(run.finishedAt)}  ${run.job.padEnd(24)} ${run.status.padEnd(9)}${run.durationMs !== null ? ` ${run.durationMs}ms` : ''}${missed}${run.error ? `  ${run.error}` : ''}`
+    );
+  });
+}
+
+async function startWorker() {
+  const scheduler = new Scheduler();
+  scheduler.start();
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+  console.log('\n⏹️  Stopping scheduler...');
+  await scheduler.stop();
+}
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'list':
+        await listJobs();
+        break;
+      case 'types':
+        listTypes();
+        break;
+      case 'add':
+        await addJob(args);
+        break;
+      case 'remove':
+        await removeJob(args[0]);
+        break;
+      case 'enable':
+      case 'disable':
+        await setEnabled(args[0], command === 'enable');
+        break;
+      case 'run':
+        await new Scheduler().runNow(args[0]);
+        break;
+      case 'history':
+        await showHistory(args[0]);
+        break;
+      case 'tick':
+        await new Scheduler().tick();
+        break;
+      case 'start':
+        await startWorker();
+        break;
+      default:
+        throw new Error(
+          `Unknown command '${command}' (expected list, types, add, remove, enable, disable, run, history, tick or start)`
+        );
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
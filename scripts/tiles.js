@@ -0,0 +1,132 @@
+/**
+ * Tiled Search
+ * Plan and run grid-tiled searches that get past a source's per-query result cap
+ *
+ * Usage: node scripts/tiles.js <command> [args]
+ *   plan "<location>" [--source <name>] [--bounds s,w,n,e]
+ *                                         - the top-level cells a tiled search starts from (no search)
+ *   search "<location>" [--source <name>] [--bounds s,w,n,e] [--query <term>] [--max-depth <n>]
+ *          [--max-cells <n>] [--report <out.json>]
+ *                                         - run a tiled search and print coverage per cell (nothing stored)
+ * --source is google_maps (default) or yelp. Without --bounds the location is
+ * geocoded with GOOGLE_MAPS_API_KEY. To ingest with tiling, pass tiled: true to
+ * ingestLocation or `npm run queue -- sweep "<location>" --tiled`.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { connectorRegistry } = require('../src/connectors');
+const { geocodeBounds, parseBounds, gridCells, cellRadiusMeters } = require('../src/connectors/geo-tiling');
+const { option } = require('./lib/args');
+
+const STATUS_ICONS = {
+  complete: '✅',
+  subdivided: '🔀',
+  capped: '⚠️',
+  skipped: '⏭️',
+};
+
+/**
+ * A connector that supports tiled search
+ * @param {array} args - Arguments
+ * @returns {Connector}
+ */
+function tiledConnector(args) {
+  const connector = connectorRegistry.get(option(args, '--source') || 'google_maps');
+  if (!connector.tiling) {
+    throw new Error(`${connector.label} does not support tiled search`);
+  }
+  return connector;
+}
+
+/**
+ * Format a box for display
+ * @param {object} bounds - { south, west, north, east }
+ * @returns {string}
+ */
+function formatBounds(bounds) {
+  return [bounds.south, bounds.west, bounds.north, bounds.east].map((n) => n.toFixed(4)).join(',');
+}
+
+async function plan(args) {
+  const [location] = args;
+  if (!location) {
+    throw new Error('Usage: plan "<location>" [--source <name>] [--bounds s,w,n,e]');
+  }
+
+  const connector = tiledConnector(args);
+  const bounds = option(args, '--bounds') ? parseBounds(option(args, '--bounds')) : await geocodeBounds(location);
+  const cells = gridCells(bounds, connector.tiling.maxRadiusMeters);
+
+  console.log(`🗺️  ${location} (${formatBounds(bounds)})`);
+  console.log(`   ${cells.length} top-level cell(s) for ${connector.label}, max radius ${connector.tiling.maxRadiusMeters} m\n`);
+  cells.forEach((cell) => {
+    console.log(`   ${cell.id.padEnd(8)} ${formatBounds(cell)}  radius ${cellRadiusMeters(cell)} m`);
+  });
+}
+
+async function search(args) {
+  const [location] = args;
+  if (!location) {
+    throw new Error('Usage: search "<location>" [--source <name>] [--bounds s,w,n,e] [--query <term>] [--max-depth <n>] [--max-cells <n>]');
+  }
+
+  const connector = tiledConnector(args);
+  connector.assertConfigured();
+  const maxDepth = option(args, '--max-depth');
+  const maxCells = option(args, '--max-cells');
+  const query = option(args, '--query');
+  const coverage = {};
+
+  const listings = await connector.searchTiled(location, {
+    tiling: {
+      bounds: option(args, '--bounds'),
+      maxDepth: maxDepth !== undefined ? parseInt(maxDepth, 10) : undefined,
+      maxCells: maxCells !== undefined ? parseInt(maxCells, 10) : undefined,
+    },
+    ...(query ? { query, term: query } : {}),
+    coverage,
+  });
+
+  console.log(`\n📋 Coverage for ${location} (${formatBounds(coverage.bounds)})\n`);
+  coverage.tiles.forEach((tile) => {
+    console.log(
+      `   ${STATUS_ICONS[tile.status]} ${tile.id.padEnd(14)} depth ${tile.depth}  ${String(tile.pages).padStart(2)} page(s)  ` +
+        `${String(tile.results).padStart(3)} results  ${String(tile.new).padStart(3)} new  ${String(tile.duplicates).padStart(3)} dup  ${tile.outside} outside`
+    );
+  });
+
+  const { summary } = coverage;
+  console.log(
+    `\n   ${listings.length} unique listing(s) from ${summary.searched} cell search(es), ${summary.pages} page(s)` +
+      `\n   ${summary.subdivided} subdivided, ${summary.capped} capped, ${summary.skipped} skipped — coverage ${summary.complete ? 'complete' : 'incomplete'}`
+  );
+
+  const reportPath = option(args, '--report');
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify(coverage, null, 2));
+    console.log(`\n📝 Coverage report written to ${reportPath}`);
+  }
+}
+
+async function main() {
+  const [command = 'plan', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'plan':
+        await plan(args);
+        break;
+      case 'search':
+        await search(args);
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected plan or search)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,115 @@
+/**
+ * Workflow Runs
+ * Inspect, resume and cancel durable workflow runs and ingestion sweeps
+ *
+ * Usage: node scripts/workflow-runs.js <command> [args]
+ *   list [status] [workflow]  - recent runs, optionally filtered
+ *   show <runId>              - a run with its step checkpoints
+ *   resume <runId>            - resume from the last completed steps
+ *   cancel <runId>            - stop a running run after its steps in flight
+ */
+
+require('dotenv').config();
+const { AgentOrchestrator } = require('../src/index');
+const IngestionPipeline = require('../src/ingestion/pipeline');
+const runStore = require('../src/workflows/run-store');
+const db = require('../src/db/connection');
+
+const STATUS_ICONS = {
+  running: '⏳',
+  waiting: '⏸️',
+  completed: '✅',
+  stopped: '⛔',
+  failed: '❌',
+  cancelled: '🛑',
+  succeeded: '✅',
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+async function listRuns(status, workflow) {
+  const runs = await runStore.listRuns({ status, workflow });
+
+  console.log(`🗂️  ${runs.length} workflow run(s)\n`);
+  runs.forEach((run) => {
+    console.log(
+      `   ${STATUS_ICONS[run.status] || '•'} ${run.id}  ${run.workflow.padEnd(18)} ${run.status.padEnd(10)} started ${formatTime(run.startedAt)}  attempts ${run.attempts}`
+    );
+  });
+}
+
+async function showRun(runId) {
+  const run = await runStore.getRun(runId);
+  if (!run) {
+    throw new Error(`Workflow run '${runId}' not found`);
+  }
+
+  console.log(`🗂️  ${run.workflow} run ${run.id}`);
+  console.log(`   Status:   ${run.status}${run.error ? ` (${run.error})` : ''}`);
+  console.log(`   Started:  ${formatTime(run.startedAt)}`);
+  console.log(`   Finished: ${formatTime(run.finishedAt)}`);
+  console.log(`   Attempts: ${run.attempts}\n`);
+
+  run.steps.forEach((step) => {
+    const cost = step.costUsd !== null ? ` $${step.costUsd.toFixed(4)}` : '';
+    const duration = step.durationMs !== null ? ` ${step.durationMs}ms` : '';
+    console.log(
+      `   ${STATUS_ICONS[step.status] || '•'} ${step.stepKey.padEnd(36)} ${step.status.padEnd(10)}${duration}${cost}${step.error ? `  ${step.error}` : ''}`
+    );
+  });
+}
+
+async function resumeRun(runId) {
+  const run = await runStore.getRun(runId);
+  if (!run) {
+    throw new Error(`Workflow run '${runId}' not found`);
+  }
+
+  if (run.workflow === IngestionPipeline.SWEEP_WORKFLOW) {
+    const results = await new IngestionPipeline().resumeSweep(runId);
+    console.log(`\n✅ Sweep finished: ${results.length} location(s)`);
+    return;
+  }
+
+  const result = await new AgentOrchestrator().resumeWorkflow(runId);
+  console.log(`\n${STATUS_ICONS[result.runStatus] || '•'} Run ${runId} ${result.runStatus}`);
+}
+
+async function cancelRun(runId) {
+  const cancelled = await runStore.cancelRun(runId);
+  console.log(
+    cancelled ? `🛑 Cancellation requested for ${runId}` : `⚠️  No running run '${runId}'`
+  );
+}
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'list':
+        await listRuns(args[0], args[1]);
+        break;
+      case 'show':
+        await showRun(args[0]);
+        break;
+      case 'resume':
+        await resumeRun(args[0]);
+        break;
+      case 'cancel':
+        await cancelRun(args[0]);
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (expected list, show, resume or cancel)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -4,6 +4,16 @@
  */
 
 const ClaudeClient = require('../utils/claude-client');
+const { validate } = require('../utils/schema-validator');
+const { OutputValidationError } = require('../utils/errors');
+const { toolRegistry } = require('../tools');
+const { parsePartialJSON } = require('../utils/partial-json');
+const EventChannel = require('../utils/event-channel');
+const { throwIfAborted, raceAbort } = require('../utils/abort');
+
+const DEFAULT_MAX_REPAIR_TURNS = parseInt(process.env.AGENT_MAX_REPAIR_TURNS, 10);
+const DEFAULT_MAX_TOOL_ITERATIONS = parseInt(process.env.AGENT_MAX_TOOL_ITERATIONS, 10);
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.AGENT_TIMEOUT_MS, 10);
 
 class BaseAgent {
   constructor(config) {
@@ -13,7 +23,21 @@ class BaseAgent {
     this.systemPrompt = config.systemPrompt;
     this.maxTokens = config.maxTokens;
     this.temperature = config.temperature;
+    this.model = config.model || null;
+    this.fallbackModels = config.fallbackModels || null;
+    this.outputSchema = config.outputSchema || null;
+    this.maxRepairTurns =
+      config.maxRepairTurns ?? (isNaN(DEFAULT_MAX_REPAIR_TURNS) ? 2 : DEFAULT_MAX_REPAIR_TURNS);
+    this.tools = config.tools || [];
+    this.toolRegistry = config.toolRegistry || toolRegistry;
+    this.maxToolIterations =
+      config.maxToolIterations ??
+      (isNaN(DEFAULT_MAX_TOOL_ITERATIONS) ? 5 : DEFAULT_MAX_TOOL_ITERATIONS);
+    this.sharedContextKeys = config.sharedContextKeys || [];
+    // Applied by the orchestrator to each execution (null = no limit)
+    this.timeoutMs = config.timeoutMs ?? (isNaN(DEFAULT_TIMEOUT_MS) ? null : DEFAULT_TIMEOUT_MS);
     this.client = new ClaudeClient();
+    this.promptCaching = config.promptCaching ?? this.client.promptCaching;
     this.conversationHistory = [];
   }
 
@@ -21,35 +45,33 @@ class BaseAgent {
    * Execute the agent's primary task
    * @param {string|object} input - The input data for the agent
    * @param {object} context - Additional context (previous agent outputs, metadata, etc.)
+   * @param {object} options - Execution options (attribution: cost attribution and budget,
+   *   signal: AbortSignal that cancels the model calls and tool loop)
    * @returns {Promise<object>} - The agent's output
    */
-  async execute(input, context = {}) {
+  async execute(input, context = {}, options = {}) {
     const startTime = Date.now();
+    const requestOptions = this._requestOptions(options);
 
     try {
-      // Build the user message
-      const userMessage = this._buildUserMessage(input, context);
+      // Build the user message (shared context first so it can be cached)
+      const userMessage = this._buildUserContent(input, context);
 
-      // Call Claude API
-      const response = await this.client.sendMessage(
-        this.systemPrompt,
-        userMessage,
-        {
-          maxTokens: this.maxTokens,
-          temperature: this.temperature,
-        }
+      // Call Claude API (running any tool calls the agent makes)
+      const response = await this._callModel(
+        [{ role: 'user', content: userMessage }],
+        requestOptions
       );
 
-      if (!response.success) {
-        throw new Error(response.error);
-      }
-
-      // Parse the response
-      const output = this._parseResponse(response.content);
+      // Parse and validate the response (repairing it if needed)
+      const { output, response: finalResponse } = await this._resolveOutput(
+        response,
+        requestOptions
+      );
 
       // Log execution
       const executionTime = Date.now() - startTime;
-      this._logExecution(input, output, response.usage, executionTime);
+      this._logExecution(input, output, finalResponse.usage, executionTime);
 
       return {
         success: true,
@@ -58,34 +80,195 @@ class BaseAgent {
         output: output,
         metadata: {
           executionTime,
-          tokensUsed: response.usage,
+          tokensUsed: finalResponse.usage,
+          costUsd: finalResponse.costUsd,
+          model: finalResponse.model,
+          modelAttempts: finalResponse.modelAttempts,
+          attempts: finalResponse.retries.length + 1,
+          retries: finalResponse.retries,
+          repairTurns: finalResponse.repairTurns,
+          toolCalls: finalResponse.toolCalls,
           timestamp: new Date().toISOString(),
         },
       };
     } catch (error) {
       console.error(`Error in ${this.name}:`, error);
-      return {
-        success: false,
-        agent: this.name,
-        role: this.role,
-        error: error.message,
-        metadata: {
-          executionTime: Date.now() - startTime,
-          timestamp: new Date().toISOString(),
-        },
-      };
+      return this.failureResult(error, startTime);
     }
   }
 
+  /**
+   * Build the failed result for an execution
+   * @param {Error} error - The failure
+   * @param {number} startTime - When the execution started
+   * @returns {object} - Same shape as a failed execute() result
+   */
+  failureResult(error, startTime) {
+    return {
+      success: false,
+      agent: this.name,
+      role: this.role,
+      error: error.message,
+      ...(error.validationErrors && {
+        validationErrors: error.validationErrors,
+        rawResponse: error.rawResponse,
+      }),
+      metadata: {
+        executionTime: Date.now() - startTime,
+        ...this._failureMetadata(error),
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Execute the agent's task, streaming progress as it runs
+   * Yields events:
+   *   { type: 'text', delta }       - incremental response text
+   *   { type: 'progress', partial } - best-effort parse of the JSON output so far
+   *   { type: 'result', result }    - final result (same shape as execute())
+   * @param {string|object} input - The input data for the agent
+   * @param {object} context - Additional context
+   * @param {object} options - Execution options (see execute)
+   * @returns {AsyncGenerator<object>} - Stream of events
+   */
+  async *executeStream(input, context = {}, options = {}) {
+    const channel = new EventChannel();
+    let lastProgress = null;
+
+    const onText = (delta, snapshot) => {
+      channel.push({ type: 'text', delta });
+
+      // Only re-parse when the delta could have completed a value
+      if (!/[,}\]"]/.test(delta)) return;
+
+      const partial = parsePartialJSON(snapshot);
+      const serialized = partial && JSON.stringify(partial);
+      if (serialized && serialized !== lastProgress) {
+        lastProgress = serialized;
+        channel.push({ type: 'progress', partial });
+      }
+    };
+
+    this.execute(input, context, { ...options, onText })
+      .then((result) => channel.push({ type: 'result', result }))
+      .finally(() => channel.close());
+
+    yield* channel;
+  }
+
+  /**
+   * Execute many independent inputs as one Message Batch (batch pricing).
+   * Follow-up turns (tool calls, output repairs) run as normal calls once the
+   * batch has ended.
+   * @param {array} items - [{ customId, input, context, attribution }]
+   * @param {object} options - Execution options (attribution shared by all items,
+   *   pollIntervalMs, maxWaitMs)
+   * @returns {Promise<array>} - One result per item, in order, shaped like execute() results
+   *   plus customId
+   */
+  async executeBatch(items, options = {}) {
+    const startTime = Date.now();
+    const requestOptions = this._requestOptions(options);
+
+    const requests = items.map((item, index) => ({
+      customId: item.customId || `item-${index}`,
+      messages: [{ role: 'user', content: this._buildUserContent(item.input, item.context || {}) }],
+      metering: { ...requestOptions.metering, ...item.attribution },
+    }));
+
+    let responses;
+    try {
+      responses = await this.client.sendBatch(this.systemPrompt, requests, {
+        ...requestOptions,
+        tools: this.toolRegistry.getDefinitions(this.tools),
+        pollIntervalMs: options.pollIntervalMs,
+        maxWaitMs: options.maxWaitMs,
+      });
+    } catch (error) {
+      console.error(`Error in ${this.name} batch:`, error.message);
+      return requests.map((request) => this._batchFailure(request.customId, error, startTime));
+    }
+
+    return Promise.all(
+      responses.map(async (response, index) => {
+        const request = requests[index];
+        const itemOptions = { ...requestOptions, metering: request.metering };
+
+        try {
+          if (!response.success) {
+            throw this._apiError(response);
+          }
+
+          const first = await this._callModel(request.messages, itemOptions, response);
+          const { output, response: finalResponse } = await this._resolveOutput(first, itemOptions);
+
+          return {
+            success: true,
+            customId: request.customId,
+            agent: this.name,
+            role: this.role,
+            output: output,
+            metadata: {
+              executionTime: Date.now() - startTime,
+              tokensUsed: finalResponse.usage,
+              costUsd: finalResponse.costUsd,
+              model: finalResponse.model,
+              modelAttempts: finalResponse.modelAttempts,
+              attempts: finalResponse.retries.length + 1,
+              retries: finalResponse.retries,
+              repairTurns: finalResponse.repairTurns,
+              toolCalls: finalResponse.toolCalls,
+              batchId: response.batchId,
+              timestamp: new Date().toISOString(),
+            },
+          };
+        } catch (error) {
+          return this._batchFailure(request.customId, error, startTime, response.batchId);
+        }
+      })
+    );
+  }
+
+  /**
+   * Build the failed result for one batch item
+   * @param {string} customId - Item custom ID
+   * @param {Error} error - The failure
+   * @param {number} startTime - Batch start time
+   * @param {string} batchId - Batch ID, when the batch was submitted
+   * @returns {object}
+   */
+  _batchFailure(customId, error, startTime, batchId = null) {
+    return {
+      success: false,
+      customId,
+      agent: this.name,
+      role: this.role,
+      error: error.message,
+      ...(error.validationErrors && {
+        validationErrors: error.validationErrors,
+        rawResponse: error.rawResponse,
+      }),
+      metadata: {
+        executionTime: Date.now() - startTime,
+        ...this._failureMetadata(error),
+        batchId,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
   /**
    * Execute with conversation history (for multi-turn interactions)
    * @param {string|object} input - The input data
    * @param {array} history - Previous conversation messages
    * @param {object} context - Additional context
+   * @param {object} options - Execution options (attribution: cost attribution and budget)
    * @returns {Promise<object>} - The agent's output
    */
-  async executeWithHistory(input, history = [], context = {}) {
+  async executeWithHistory(input, history = [], context = {}, options = {}) {
     const startTime = Date.now();
+    const requestOptions = this._requestOptions(options);
 
     try {
       const userMessage = this._buildUserMessage(input, context);
@@ -99,26 +282,18 @@ class BaseAgent {
         },
       ];
 
-      const response = await this.client.sendConversation(
-        this.systemPrompt,
-        messages,
-        {
-          maxTokens: this.maxTokens,
-          temperature: this.temperature,
-        }
-      );
-
-      if (!response.success) {
-        throw new Error(response.error);
-      }
+      const response = await this._callModel(messages, requestOptions);
 
-      const output = this._parseResponse(response.content);
+      const { output, response: finalResponse } = await this._resolveOutput(
+        response,
+        requestOptions
+      );
       const executionTime = Date.now() - startTime;
 
       // Update conversation history
       this.conversationHistory.push(
         { role: 'user', content: userMessage },
-        { role: 'assistant', content: response.content }
+        { role: 'assistant', content: finalResponse.content }
       );
 
       return {
@@ -129,7 +304,14 @@ class BaseAgent {
         conversationHistory: this.conversationHistory,
         metadata: {
           executionTime,
-          tokensUsed: response.usage,
+          tokensUsed: finalResponse.usage,
+          costUsd: finalResponse.costUsd,
+          model: finalResponse.model,
+          modelAttempts: finalResponse.modelAttempts,
+          attempts: finalResponse.retries.length + 1,
+          retries: finalResponse.retries,
+          repairTurns: finalResponse.repairTurns,
+          toolCalls: finalResponse.toolCalls,
           timestamp: new Date().toISOString(),
         },
       };
@@ -140,14 +322,277 @@ class BaseAgent {
         agent: this.name,
         role: this.role,
         error: error.message,
+        ...(error.validationErrors && {
+          validationErrors: error.validationErrors,
+          rawResponse: error.rawResponse,
+        }),
         metadata: {
           executionTime: Date.now() - startTime,
+          ...this._failureMetadata(error),
           timestamp: new Date().toISOString(),
         },
       };
     }
   }
 
+  /**
+   * Options passed to ClaudeClient for every call this agent makes
+   * @param {object} options - Execution options
+   * @returns {object}
+   */
+  _requestOptions(options = {}) {
+    return {
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      model: this.model,
+      fallbackModels: this.fallbackModels,
+      metering: { agent: this.name, ...options.attribution },
+      onText: options.onText,
+      promptCaching: this.promptCaching,
+      signal: options.signal,
+    };
+  }
+
+  /**
+   * Call the model, running the tool loop when the agent has tools.
+   * Each tool_use turn is answered with tool results until the model stops
+   * asking for tools; after `maxToolIterations` tool turns, tools are disabled
+   * so the model must answer with what it has.
+   * @param {array} messages - Conversation to send
+   * @param {object} requestOptions - Options from _requestOptions()
+   * @param {object} initialResponse - Already-received response to `messages` (e.g. from a
+   *   batch); the loop continues from it instead of making the first call
+   * @returns {Promise<object>} - Final response with usage, cost and retries summed
+   *   across calls, plus `conversation` (including tool turns) and `toolCalls`
+   */
+  async _callModel(messages, requestOptions, initialResponse = null) {
+    const tools = this.toolRegistry.getDefinitions(this.tools);
+    let conversation = messages;
+    let combined = null;
+    const toolCalls = [];
+
+    for (let iteration = 0; ; iteration++) {
+      throwIfAborted(requestOptions.signal);
+
+      const options = { ...requestOptions };
+      if (tools.length > 0) {
+        options.tools = tools;
+        if (iteration >= this.maxToolIterations) {
+          options.toolChoice = { type: 'none' };
+        }
+      }
+
+      const response =
+        iteration === 0 && initialResponse
+          ? initialResponse
+          : await this.client.sendConversation(this.systemPrompt, conversation, options);
+
+      if (!response.success) {
+        throw this._apiError(response);
+      }
+
+      combined = this._combineResponses(combined, response);
+
+      if (response.stopReason !== 'tool_use' || response.toolUses.length === 0) {
+        return { ...combined, conversation, toolCalls };
+      }
+
+      const toolResults = [];
+      for (const toolUse of response.toolUses) {
+        const result = await raceAbort(
+          this.toolRegistry.execute(toolUse.name, toolUse.input),
+          requestOptions.signal
+        );
+        toolCalls.push({ name: toolUse.name, input: toolUse.input, isError: result.isError });
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          content: result.content,
+          is_error: result.isError,
+        });
+      }
+
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: response.contentBlocks },
+        { role: 'user', content: toolResults },
+      ];
+    }
+  }
+
+  /**
+   * Fold a new response into the running totals of earlier calls
+   * @param {object|null} previous - Combined earlier responses
+   * @param {object} response - Latest successful response
+   * @returns {object} - Latest response with usage, cost, retries and model attempts summed
+   */
+  _combineResponses(previous, response) {
+    if (!previous) {
+      return { ...response, usage: { ...response.usage } };
+    }
+
+    return {
+      ...response,
+      usage: {
+        inputTokens: previous.usage.inputTokens + response.usage.inputTokens,
+        outputTokens: previous.usage.outputTokens + response.usage.outputTokens,
+        cacheCreationTokens:
+          (previous.usage.cacheCreationTokens || 0) + (response.usage.cacheCreationTokens || 0),
+        cacheReadTokens:
+          (previous.usage.cacheReadTokens || 0) + (response.usage.cacheReadTokens || 0),
+      },
+      costUsd: previous.costUsd + response.costUsd,
+      retries: [...previous.retries, ...response.retries],
+      modelAttempts: [...previous.modelAttempts, ...response.modelAttempts],
+      toolCalls: [...(previous.toolCalls || []), ...(response.toolCalls || [])],
+    };
+  }
+
+  /**
+   * Parse a response and validate it against the agent's output schema.
+   * Invalid output triggers up to `maxRepairTurns` follow-up turns that show
+   * the model its validation errors and ask for corrected JSON.
+   * @param {object} response - Combined response from _callModel
+   * @param {object} requestOptions - Options for repair calls
+   * @returns {Promise<object>} - { output, response } with usage and cost summed across turns
+   * @throws {OutputValidationError} - When output is still invalid after repairs
+   */
+  async _resolveOutput(response, requestOptions = this._requestOptions()) {
+    let current = response;
+
+    for (let repairTurns = 0; ; repairTurns++) {
+      const output = this._parseResponse(current.content);
+      const errors = this._validateOutput(output);
+
+      if (errors.length === 0) {
+        return {
+          output,
+          response: { ...current, repairTurns },
+        };
+      }
+
+      if (repairTurns >= this.maxRepairTurns) {
+        throw new OutputValidationError(this.name, errors, current.content, repairTurns);
+      }
+
+      console.warn(`${this.name} output invalid (${errors.length} error(s)), requesting repair...`);
+
+      const repaired = await this._callModel(
+        [
+          ...current.conversation,
+          { role: 'assistant', content: current.content || '(empty response)' },
+          { role: 'user', content: this._buildRepairMessage(errors) },
+        ],
+        requestOptions
+      );
+
+      current = this._combineResponses(current, repaired);
+    }
+  }
+
+  /**
+   * Check parsed output against the agent's schema
+   * @param {object} output - Parsed output
+   * @returns {array} - Validation error strings (empty when valid)
+   */
+  _validateOutput(output) {
+    if (!this.outputSchema) {
+      return [];
+    }
+
+    if (output.parsed === false) {
+      return ['(root): response did not contain a JSON object'];
+    }
+
+    return validate(this.outputSchema, output).errors;
+  }
+
+  /**
+   * Build the follow-up message for a repair turn
+   * @param {array} errors - Validation error strings
+   * @returns {string}
+   */
+  _buildRepairMessage(errors) {
+    return [
+      'Your previous response did not match the required JSON output format.',
+      'Validation errors:',
+      ...errors.map((e) => `- ${e}`),
+      '',
+      'Respond again with ONLY the corrected JSON object, following the output format in your instructions.',
+    ].join('\n');
+  }
+
+  /**
+   * Wrap a failed client response in an Error that keeps its retry details
+   * @param {object} response - Failed response from ClaudeClient
+   * @returns {Error}
+   */
+  _apiError(response) {
+    const error = new Error(response.error);
+    error.errorType = response.errorType;
+    error.retryable = response.retryable;
+    error.retries = response.retries;
+    error.modelAttempts = response.modelAttempts;
+    return error;
+  }
+
+  /**
+   * Describe why an execution failed for result metadata
+   * @param {Error} error - The caught error
+   * @returns {object} - Attempt count, retry log and final cause
+   */
+  _failureMetadata(error) {
+    const retries = error.retries || [];
+    return {
+      attempts: Math.max(retries.length, 1),
+      retries,
+      modelAttempts: error.modelAttempts || [],
+      failureCause: {
+        type: error.errorType || 'agent_error',
+        retryable: error.retryable || false,
+        message: error.message,
+      },
+    };
+  }
+
+  /**
+   * Build the first user turn for execute().
+   * Values under `sharedContextKeys` (e.g. the thesis) are lifted out of input
+   * and context into a leading block marked as a cache breakpoint, so bulk runs
+   * that vary only the per-company data reuse the cached prefix.
+   * @param {string|object} input - The input data
+   * @param {object} context - Additional context
+   * @returns {string|array} - Message string, or content blocks when shared context is present
+   */
+  _buildUserContent(input, context) {
+    const shared = {};
+    const taskInput = typeof input === 'object' && input !== null ? { ...input } : input;
+    const taskContext = { ...context };
+
+    for (const key of this.sharedContextKeys) {
+      for (const source of [taskInput, taskContext]) {
+        if (typeof source === 'object' && source !== null && source[key] !== undefined) {
+          shared[key] = source[key];
+          delete source[key];
+        }
+      }
+    }
+
+    if (Object.keys(shared).length === 0) {
+      return this._buildUserMessage(input, context);
+    }
+
+    const sharedBlock = {
+      type: 'text',
+      text: `=== SHARED CONTEXT ===\n${JSON.stringify(shared, null, 2)}`,
+    };
+    if (this.promptCaching) {
+      sharedBlock.cache_control = { type: 'ephemeral' };
+    }
+
+    return [sharedBlock, { type: 'text', text: this._buildUserMessage(taskInput, taskContext) }];
+  }
+
   /**
    * Build the user message from input and context
    * Override this method in subclasses for custom formatting
@@ -239,6 +684,8 @@ class BaseAgent {
       description: this.description,
       temperature: this.temperature,
       maxTokens: this.maxTokens,
+      model: this.model || this.client.model,
+      fallbackModels: this.client.getModelChain(this._requestOptions()).slice(1),
     };
   }
 }
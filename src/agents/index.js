@@ -23,6 +23,7 @@ const {
   outreach,
   diligence,
   integrator,
+  critic,
 } = agents;
 
 module.exports = {
@@ -35,6 +36,7 @@ module.exports = {
   OutreachAgent: outreach,
   DiligenceAgent: diligence,
   IntegratorAgent: integrator,
+  CriticAgent: critic,
 
   // All agents as object
   agents,
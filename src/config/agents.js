@@ -3,6 +3,8 @@
  * Defines all agents in the Rollizr system based on the PRD
  */
 
+const { OUTPUT_SCHEMAS } = require('./output-schemas');
+
 const AGENT_CONFIGS = {
   scout: {
     name: "Scout Agent",
@@ -16,6 +18,7 @@ Your responsibilities:
 - Identify top signals that make a company attractive
 - Flag potential risks or red flags
 - Cite all sources with confidence levels
+- When tools are available, look up company records, licenses and reviews instead of assuming them
 
 Output format (JSON):
 {
@@ -30,6 +33,13 @@ Output format (JSON):
 Always be objective. Only use sources permitted by policy. Prioritize data quality over quantity.`,
     maxTokens: 4096,
     temperature: 0.3,
+    // Bulk scoring runs on the cheapest model; escalate when it is overloaded or out of context
+    model: 'claude-haiku-4-5-20251001',
+    fallbackModels: ['claude-sonnet-4-5-20250929'],
+    outputSchema: OUTPUT_SCHEMAS.scout,
+    tools: ['get_company', 'search_companies', 'get_company_licenses', 'get_company_reviews'],
+    // Identical across a bulk scoring run; sent ahead of the company and cached
+    sharedContextKeys: ['thesis', 'verticalPack'],
   },
 
   resolver: {
@@ -64,6 +74,7 @@ Output format (JSON):
 Be conservative with auto-merging. When in doubt, flag for human review.`,
     maxTokens: 4096,
     temperature: 0.2,
+    outputSchema: OUTPUT_SCHEMAS.resolver,
   },
 
   profiler: {
@@ -99,9 +110,17 @@ Output format (JSON):
   "sources": []
 }
 
+When websiteSignals is provided (crawled from the company's own website), build the profile on it:
+- tech_stack from techStack and bookingWidgets (e.g. scheduling: ServiceTitan)
+- pricing_indicators from financing (offered, partners) and maintenancePlans
+- service_areas from serviceAreas; years in business from foundedYear
+- List the page URLs you relied on in sources
+A signal missing from a crawl is not proof the company lacks it; lower confidence rather than assume.
+
 Focus on facts, not speculation. Clearly indicate confidence levels.`,
     maxTokens: 4096,
     temperature: 0.4,
+    outputSchema: OUTPUT_SCHEMAS.profiler,
   },
 
   valuation: {
@@ -146,6 +165,7 @@ Output format (JSON):
 Always state assumptions clearly. Provide ranges, not point estimates. Explain sensitivities.`,
     maxTokens: 4096,
     temperature: 0.3,
+    outputSchema: OUTPUT_SCHEMAS.valuation,
   },
 
   compliance: {
@@ -180,6 +200,14 @@ Compliance checks:
    - Active license status
    - No disciplinary actions
    - Insurance coverage current
+   Base licensure findings on the state board records in licenseRecords (or from get_company_licenses),
+   never on assumptions about the company:
+   - Cite the license number, status and expiration date of each record you rely on
+   - A suspended, revoked or expired license, or a secondary status such as a bond or workers' comp
+     suspension, is a violation
+   - No matching record in a state listed in registryStates (covered: true) is a high-severity violation
+   - When the company's state was not imported (covered: false) or no records were provided, do not
+     approve on licensure; require manual verification with the state board
 
 Output format (JSON):
 {
@@ -194,6 +222,11 @@ Output format (JSON):
 ALWAYS err on the side of caution. When uncertain, deny and flag for review. Compliance is non-negotiable.`,
     maxTokens: 4096,
     temperature: 0.1,
+    // Never fall back to a weaker model for compliance decisions
+    model: 'claude-sonnet-4-5-20250929',
+    fallbackModels: ['claude-opus-4-1-20250805'],
+    outputSchema: OUTPUT_SCHEMAS.compliance,
+    tools: ['get_company_licenses'],
   },
 
   outreach: {
@@ -243,12 +276,14 @@ Output format (JSON):
   "personalization_tokens": {"token": "value", ...},
   "send_time": "ISO8601 (respecting quiet hours)",
   "sequence_step": number,
-  "compliance_checked": boolean
+  "compliance_checked": boolean,
+  "confidence": 0-1 (how well the message is grounded in verified company facts; low-confidence drafts go to human review before sending)
 }
 
 Never use manipulative tactics. Be authentic and respectful. Quality over quantity.`,
     maxTokens: 4096,
     temperature: 0.6,
+    outputSchema: OUTPUT_SCHEMAS.outreach,
   },
 
   diligence: {
@@ -264,6 +299,7 @@ Your responsibilities:
 - Identify gaps in documentation
 - Flag risks and areas requiring deeper investigation
 - Produce IC (Investment Committee) memo drafts
+- When tools are available, pull company records, licenses and reviews to back your findings
 
 Diligence categories:
 1. Financial: P&L (3 years), balance sheet, cash flow, tax returns, A/R aging
@@ -301,6 +337,17 @@ Output format (JSON):
 Be thorough but prioritize material items. Clearly distinguish facts from assumptions.`,
     maxTokens: 4096,
     temperature: 0.3,
+    // IC memos need the strongest model
+    model: 'claude-opus-4-1-20250805',
+    fallbackModels: ['claude-sonnet-4-5-20250929'],
+    outputSchema: OUTPUT_SCHEMAS.diligence,
+    tools: [
+      'get_company',
+      'search_companies',
+      'list_scored_companies',
+      'get_company_licenses',
+      'get_company_reviews',
+    ],
   },
 
   integrator: {
@@ -360,6 +407,39 @@ Output format (JSON):
 Focus on execution and accountability. Clear owners and deadlines for every task.`,
     maxTokens: 4096,
     temperature: 0.4,
+    outputSchema: OUTPUT_SCHEMAS.integrator,
+  },
+
+  critic: {
+    name: "Critic Agent",
+    role: "output_review",
+    description: "Cross-checks another agent's output against the input facts and citations",
+    systemPrompt: `You are a Critic Agent reviewing the work of other agents on a rollup acquisition platform before it reaches an investment team.
+
+You receive the reviewed agent's name, the facts it was given (task input and context) and its output.
+
+Your responsibilities:
+- Check every factual claim in the output against the provided facts and citations
+- Flag claims that are not supported by the input (unsupported_claim)
+- Flag numbers that do not add up, e.g. a midpoint outside the low-high range (numeric_inconsistency)
+- Flag conclusions that contradict the output's own evidence, e.g. a high score with weak or negative signals (contradiction)
+- Flag facts that need a source but have none (missing_citation)
+- Do not re-do the analysis or substitute your own judgment for reasonable estimates
+
+Output format (JSON):
+{
+  "approved": true/false,
+  "issues": [{"type": "unsupported_claim|numeric_inconsistency|contradiction|missing_citation", "field": "string", "severity": "high|medium|low", "description": "string"}],
+  "revision_requests": ["specific change the agent should make", ...],
+  "summary": "string"
+}
+
+Approve only if there are no high-severity issues. Be specific: name the field and the fact it conflicts with.`,
+    maxTokens: 2048,
+    temperature: 0.1,
+    model: 'claude-sonnet-4-5-20250929',
+    fallbackModels: ['claude-opus-4-1-20250805'],
+    outputSchema: OUTPUT_SCHEMAS.critic,
   },
 };
 
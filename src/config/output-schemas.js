@@ -0,0 +1,221 @@
+/**
+ * Agent Output Schemas
+ * JSON Schemas for the output format each agent documents in its system prompt
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const priority = { type: 'string', enum: ['high', 'medium', 'low'] };
+const optionalId = { type: ['string', 'number', 'null'] };
+
+const OUTPUT_SCHEMAS = {
+  scout: {
+    type: 'object',
+    required: ['score', 'top_signals', 'risks', 'rationale'],
+    properties: {
+      company_id: optionalId,
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      top_signals: stringArray,
+      risks: stringArray,
+      citations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source', 'fact'],
+          properties: {
+            source: { type: 'string' },
+            confidence,
+            fact: { type: 'string' },
+          },
+        },
+      },
+      rationale: { type: 'string' },
+    },
+  },
+
+  resolver: {
+    type: 'object',
+    required: ['primary_entity_id', 'merged_entities', 'confidence', 'needs_review'],
+    properties: {
+      primary_entity_id: optionalId,
+      merged_entities: { type: 'array' },
+      confidence,
+      matching_fields: stringArray,
+      conflicts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['field'],
+          properties: {
+            field: { type: 'string' },
+            values: { type: 'array' },
+          },
+        },
+      },
+      needs_review: { type: 'boolean' },
+    },
+  },
+
+  profiler: {
+    type: 'object',
+    required: ['services', 'operational_maturity', 'confidence'],
+    properties: {
+      company_id: optionalId,
+      tech_stack: { type: 'object' },
+      services: stringArray,
+      pricing_indicators: { type: 'object' },
+      operational_maturity: { type: 'number', minimum: 0, maximum: 10 },
+      service_areas: stringArray,
+      customer_sentiment: { type: 'object' },
+      confidence,
+      sources: { type: 'array' },
+    },
+  },
+
+  valuation: {
+    type: 'object',
+    required: ['estimated_value_range', 'key_assumptions', 'confidence'],
+    properties: {
+      company_id: optionalId,
+      estimated_value_range: {
+        type: 'object',
+        required: ['low', 'high', 'midpoint'],
+        properties: {
+          low: { type: 'number' },
+          high: { type: 'number' },
+          midpoint: { type: 'number' },
+        },
+      },
+      methodologies: { type: 'object' },
+      key_assumptions: stringArray,
+      sensitivities: { type: 'array' },
+      confidence,
+      rationale: { type: 'string' },
+    },
+  },
+
+  compliance: {
+    type: 'object',
+    required: ['approved', 'violations', 'required_actions'],
+    properties: {
+      entity_id: optionalId,
+      check_type: { type: 'string', enum: ['outreach', 'data_access', 'licensure'] },
+      approved: { type: 'boolean' },
+      violations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['rule', 'severity', 'details'],
+          properties: {
+            rule: { type: 'string' },
+            severity: priority,
+            details: { type: 'string' },
+          },
+        },
+      },
+      required_actions: stringArray,
+      timestamp: { type: 'string' },
+    },
+  },
+
+  outreach: {
+    type: 'object',
+    required: ['channel', 'message_body'],
+    properties: {
+      company_id: optionalId,
+      channel: { type: 'string', enum: ['email', 'sms', 'voicemail', 'linkedin'] },
+      subject: { type: ['string', 'null'] },
+      message_body: { type: 'string', minLength: 1 },
+      personalization_tokens: { type: 'object' },
+      send_time: { type: 'string' },
+      sequence_step: { type: 'number' },
+      compliance_checked: { type: 'boolean' },
+      confidence,
+    },
+  },
+
+  diligence: {
+    type: 'object',
+    required: ['checklist', 'risk_assessment', 'gaps'],
+    properties: {
+      company_id: optionalId,
+      checklist: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['category', 'item', 'status'],
+          properties: {
+            category: { type: 'string' },
+            item: { type: 'string' },
+            status: { type: 'string', enum: ['received', 'pending', 'missing'] },
+            priority,
+          },
+        },
+      },
+      document_summaries: { type: 'array' },
+      risk_assessment: {
+        type: 'object',
+        required: ['level'],
+        properties: {
+          level: priority,
+          factors: { type: 'array' },
+        },
+      },
+      gaps: stringArray,
+      ic_memo_sections: { type: 'object' },
+    },
+  },
+
+  integrator: {
+    type: 'object',
+    required: ['integration_plan', 'kpis'],
+    properties: {
+      company_id: optionalId,
+      integration_plan: {
+        type: 'object',
+        required: ['day_1', 'week_1', 'month_1', 'month_2', 'month_3'],
+      },
+      kpis: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['metric'],
+          properties: {
+            metric: { type: 'string' },
+          },
+        },
+      },
+      system_integrations: { type: 'array' },
+      quick_wins: { type: 'array' },
+      risks: { type: 'array' },
+    },
+  },
+
+  critic: {
+    type: 'object',
+    required: ['approved', 'issues', 'revision_requests'],
+    properties: {
+      approved: { type: 'boolean' },
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'severity', 'description'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['unsupported_claim', 'numeric_inconsistency', 'contradiction', 'missing_citation'],
+            },
+            field: { type: 'string' },
+            severity: priority,
+            description: { type: 'string' },
+          },
+        },
+      },
+      revision_requests: stringArray,
+      summary: { type: 'string' },
+    },
+  },
+};
+
+module.exports = { OUTPUT_SCHEMAS };
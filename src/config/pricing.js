@@ -0,0 +1,67 @@
+/**
+ * Model Pricing
+ * USD per million tokens, used by the cost ledger
+ */
+
+const MODEL_PRICING = {
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+};
+
+// Used for models missing from the table, so spend is never under-counted as $0
+const DEFAULT_PRICING = { input: 15, output: 75 };
+
+// Prompt caching, relative to the model's input price (5-minute cache)
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+// Message Batches are billed at half the standard rate
+const BATCH_MULTIPLIER = 0.5;
+
+/**
+ * Look up pricing for a model ID (dated IDs match their family prefix)
+ * @param {string} model - Model ID, e.g. "claude-sonnet-4-5-20250929"
+ * @returns {object} - { input, output } in USD per million tokens
+ */
+function getModelPricing(model = '') {
+  const family = Object.keys(MODEL_PRICING)
+    .filter((prefix) => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return family ? MODEL_PRICING[family] : DEFAULT_PRICING;
+}
+
+/**
+ * Compute the USD cost of a call
+ * @param {string} model - Model ID
+ * @param {object} usage - { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens }
+ *   (inputTokens excludes tokens written to or read from the prompt cache)
+ * @param {object} options - { batch } true for Message Batches pricing
+ * @returns {number} - Cost in USD
+ */
+function calculateCost(model, usage, options = {}) {
+  const pricing = getModelPricing(model);
+  const cost =
+    ((usage.inputTokens || 0) * pricing.input +
+      (usage.cacheCreationTokens || 0) * pricing.input * CACHE_WRITE_MULTIPLIER +
+      (usage.cacheReadTokens || 0) * pricing.input * CACHE_READ_MULTIPLIER +
+      (usage.outputTokens || 0) * pricing.output) /
+    1_000_000;
+
+  return options.batch ? cost * BATCH_MULTIPLIER : cost;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  DEFAULT_PRICING,
+  CACHE_WRITE_MULTIPLIER,
+  CACHE_READ_MULTIPLIER,
+  BATCH_MULTIPLIER,
+  getModelPricing,
+  calculateCost,
+};
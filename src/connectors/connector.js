@@ -0,0 +1,259 @@
+/**
+ * Connector
+ * Base class for ingestion sources (Google Maps, Yelp, and whatever comes next)
+ *
+ * A connector finds companies for a location in three steps, which subclasses
+ * implement:
+ *   search(location, options)  → raw listings
+ *   details(listing, options)  → the full raw record for one listing
+ *   normalize(raw)             → a company in our schema (see normalizeCompanyData
+ *                                in the built-in connectors for the fields)
+ *
+ * Sources that can search around a point also implement searchCell(), which
+ * lets collect() tile a metro into cells to get past the source's per-query
+ * result cap (options.tiling, see geo-tiling.js).
+ *
+ * collect() runs them with the connector's rate-limit policy and stamps each
+ * company with provenance (which source, which record, how far to trust it),
+ * which saveDataSource stores alongside the raw data. Register a connector with
+ * the registry (see index.js) and the pipeline can run it by name.
+ */
+
+const { throwIfAborted } = require('../utils/abort');
+const { sleep } = require('../utils/retry');
+const { tiledSearch, geocodeBounds, parseBounds } = require('./geo-tiling');
+
+class Connector {
+  /**
+   * @param {object} definition - {
+   *   name: registry key and data_sources.source_type,
+   *   label: display name,
+   *   description,
+   *   requiredEnv: environment variables the connector needs (e.g. API keys),
+   *   defaultEnabled: run when an ingestion does not list its sources (default true),
+   *   priority: whose fields win when records from several sources are merged (higher wins),
+   *   confidence: how far to trust the source's data, 0-1,
+   *   reviewsField: the normalized field holding the source's review summary { count, average_rating },
+   *   rateLimit: fixed pauses, { requestIntervalMs: between detail requests, pageIntervalMs: between
+   *     result pages }; APIs behind scraperHttp are also paced by the shared rate limiter,
+   *   fallbackToListing: normalize the search listing when details fail, instead of skipping it,
+   *   tiling: for sources that can search around a point, { maxRadiusMeters } (see searchTiled)
+   * }
+   */
+  constructor(definition) {
+    this.name = definition.name;
+    this.label = definition.label || definition.name;
+    this.description = definition.description || '';
+    this.requiredEnv = definition.requiredEnv || [];
+    this.defaultEnabled = definition.defaultEnabled ?? true;
+    this.priority = definition.priority ?? 0;
+    this.confidence = definition.confidence ?? 0.8;
+    this.reviewsField = definition.reviewsField || null;
+    this.rateLimit = { requestIntervalMs: 0, pageIntervalMs: 0, ...definition.rateLimit };
+    this.fallbackToListing = definition.fallbackToListing ?? false;
+    this.tiling = definition.tiling || null;
+  }
+
+  /**
+   * Whether the connector has the configuration it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.requiredEnv.every((key) => Boolean(process.env[key]));
+  }
+
+  /**
+   * Throw if the connector is missing configuration
+   * @throws {Error}
+   */
+  assertConfigured() {
+    const missing = this.requiredEnv.filter((key) => !process.env[key]);
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(', ')} not set in .env file`);
+    }
+  }
+
+  /**
+   * Find listings for a location
+   * @param {string} location - City, state (e.g., "Miami, FL")
+   * @param {object} options - Connector-specific search options, plus signal
+   * @returns {Promise<Array>} - Raw listings
+   */
+  async search(location, options = {}) {
+    throw new Error(`${this.label} connector does not implement search()`);
+  }
+
+  /**
+   * Search one cell of a tiled search
+   * Connectors that declare `tiling` implement this.
+   * @param {object} cell - { id, depth, south, west, north, east, center: { lat, lng }, radiusMeters }
+   * @param {object} options - Connector-specific search options, plus signal
+   * @returns {Promise<object>} - { results: raw listings, pages, saturated: the source's result cap
+   *   was reached, so the cell may hold more }
+   */
+  async searchCell(cell, options = {}) {
+    throw new Error(`${this.label} connector does not support tiled search`);
+  }
+
+  /**
+   * Search a metro cell by cell, past the per-query result cap
+   * The area is options.tiling.bounds ("south,west,north,east" or an object), or
+   * the location geocoded. Coverage stats per cell are copied into
+   * options.coverage when given. See geo-tiling.js.
+   * @param {string} location - City, state
+   * @param {object} options - { tiling: true or { bounds, maxDepth, minCellMeters, maxCells },
+   *   coverage: object to receive { bounds, tiles, summary }, signal, plus search options }
+   * @returns {Promise<Array>} - Raw listings, unique by source ID
+   */
+  async searchTiled(location, options = {}) {
+    if (!this.tiling) {
+      throw new Error(`${this.label} connector does not support tiled search`);
+    }
+    const { signal } = options;
+    const tiling = options.tiling === true ? {} : options.tiling;
+    const bounds = tiling.bounds ? parseBounds(tiling.bounds) : await geocodeBounds(location, { signal });
+
+    const { results, coverage } = await tiledSearch(bounds, (cell) => this.searchCell(cell, options), {
+      ...tiling,
+      maxRadiusMeters: this.tiling.maxRadiusMeters,
+      idOf: (listing) => this.provenanceOf(listing).sourceId,
+      locate: (listing) => this.locate(listing),
+      label: `${this.label} tiles for ${location}`,
+      signal,
+    });
+
+    if (options.coverage) {
+      Object.assign(options.coverage, coverage);
+    }
+    return results;
+  }
+
+  /**
+   * Coordinates of a raw listing, for tiled search
+   * @param {object} listing - Raw listing
+   * @returns {object|null} - { lat, lng }, or null when unknown
+   */
+  locate(listing) {
+    return null;
+  }
+
+  /**
+   * Fetch the full record for a listing
+   * Connectors whose listings are already complete can keep this default.
+   * @param {object} listing - Raw listing from search()
+   * @param {object} options - { signal }
+   * @returns {Promise<object>} - Raw record
+   */
+  async details(listing, options = {}) {
+    return listing;
+  }
+
+  /**
+   * Map a raw record into our company schema
+   * @param {object} raw - Raw record from details() (or search() on fallback)
+   * @returns {object} - Normalized company data
+   */
+  normalize(raw) {
+    throw new Error(`${this.label} connector does not implement normalize()`);
+  }
+
+  /**
+   * Provenance of a raw record
+   * @param {object} raw - Raw record
+   * @returns {object} - { sourceId, sourceUrl }
+   */
+  provenanceOf(raw) {
+    return { sourceId: raw.id ?? null, sourceUrl: raw.url ?? null };
+  }
+
+  /**
+   * Search a location and return its companies, normalized and stamped with provenance
+   * @param {string} location - City, state
+   * @param {object} options - Search options for this connector, plus signal; with tiling, a
+   *   tiled search (see searchTiled)
+   * @returns {Promise<Array>} - Normalized companies
+   */
+  async collect(location, options = {}) {
+    const { signal } = options;
+    this.assertConfigured();
+
+    const listings = options.tiling
+      ? await this.searchTiled(location, options)
+      : await this.search(location, options);
+    const companies = [];
+
+    for (const listing of listings) {
+      throwIfAborted(signal);
+      try {
+        const raw = await this.details(listing, { signal });
+        companies.push(this.toCompany(raw));
+      } catch (error) {
+        throwIfAborted(signal);
+        // A spent quota fails every remaining listing; stop and let the caller resume later
+        if (error.errorType === 'quota_exhausted') throw error;
+        console.error(`Error fetching ${this.label} details for ${listing.name || listing.id}:`, error.message);
+        if (this.fallbackToListing) {
+          companies.push(this.toCompany(listing));
+        }
+      }
+
+      await this.throttle('request', signal);
+    }
+
+    return companies;
+  }
+
+  /**
+   * Normalize a raw record and stamp it with provenance
+   * @param {object} raw - Raw record
+   * @returns {object} - Normalized company data
+   */
+  toCompany(raw) {
+    const company = this.normalize(raw);
+    const retrievedAt = new Date().toISOString();
+
+    return {
+      ...company,
+      data_source: this.name,
+      scraped_at: company.scraped_at || retrievedAt,
+      provenance: {
+        source: this.name,
+        ...this.provenanceOf(raw),
+        confidence: this.confidence,
+        retrievedAt,
+      },
+    };
+  }
+
+  /**
+   * Wait out the rate-limit policy before the next request
+   * @param {string} kind - 'request' or 'page'
+   * @param {AbortSignal} signal - Wakes early when aborted
+   */
+  async throttle(kind, signal) {
+    const delayMs = kind === 'page' ? this.rateLimit.pageIntervalMs : this.rateLimit.requestIntervalMs;
+    if (delayMs > 0) {
+      await sleep(delayMs, signal);
+    }
+  }
+
+  /**
+   * Registry listing of the connector
+   * @returns {object}
+   */
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      description: this.description,
+      configured: this.isConfigured(),
+      defaultEnabled: this.defaultEnabled,
+      priority: this.priority,
+      confidence: this.confidence,
+      rateLimit: this.rateLimit,
+      tiling: Boolean(this.tiling),
+    };
+  }
+}
+
+module.exports = Connector;
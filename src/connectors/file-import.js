@@ -0,0 +1,321 @@
+/**
+ * File Import Connector
+ * Loads company lists from CSV or XLSX files (broker lists, association
+ * rosters, conference attendee spreadsheets)
+ *
+ * Columns are mapped onto company fields by a mapping: { columns: { field:
+ * 'Column Header' }, defaults: { field: value } }. Columns the mapping leaves
+ * out are matched by common header names ("Company Name", "Phone #", "Zip
+ * Code", ...). Every row is validated and normalized; parseFile() returns the
+ * valid companies plus a per-row list of problems, and the pipeline's
+ * importFile() runs the companies through resolution and saveCompanies.
+ */
+
+const path = require('path');
+const Connector = require('./connector');
+const { readTable, headerKey } = require('./tabular');
+const { domainFromUrl } = require('./normalize');
+
+// Company fields an import can fill, with header names that map to them
+const IMPORT_FIELDS = {
+  legal_name: ['company', 'company name', 'business name', 'legal name', 'name', 'organization', 'member', 'member name', 'account name'],
+  dba: ['dba', 'doing business as', 'trade name'],
+  website: ['website', 'web site', 'url', 'web', 'homepage'],
+  domain: ['domain'],
+  phone: ['phone', 'phone number', 'phone #', 'telephone', 'main phone', 'office phone', 'business phone'],
+  email: ['email', 'e-mail', 'email address'],
+  address: ['address', 'street', 'street address', 'address 1', 'address line 1', 'mailing address'],
+  city: ['city', 'town'],
+  state: ['state', 'st', 'state/province', 'province'],
+  zip: ['zip', 'zip code', 'zipcode', 'postal code', 'postcode'],
+  vertical: ['vertical', 'industry', 'trade'],
+  naics: ['naics', 'naics code'],
+  estimated_revenue: ['revenue', 'annual revenue', 'est revenue', 'estimated revenue', 'sales'],
+  estimated_employees: ['employees', 'employee count', 'headcount', '# employees', 'number of employees', 'staff'],
+  years_in_business: ['years in business', 'years'],
+  year_founded: ['founded', 'year founded', 'established', 'year established'],
+};
+
+const REQUIRED_FIELDS = ['legal_name'];
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+};
+
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9 };
+
+/**
+ * Parse an amount like "$1.2M", "850K" or "1,200,000"
+ * @param {string|number} value - Cell value
+ * @returns {number|null} - NaN when it is not an amount
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).replace(/[$,\s]/g, '').toLowerCase().match(/^(\d+(?:\.\d+)?)(k|mm|m|b)?$/);
+  if (!match) return NaN;
+  return Number(match[1]) * (AMOUNT_SUFFIXES[match[2]] || 1);
+}
+
+class FileImportConnector extends Connector {
+  constructor() {
+    super({
+      name: 'file_import',
+      label: 'File import',
+      description: 'CSV/XLSX company lists with column mapping',
+      // Runs only when a file is imported, never as part of a location sweep
+      defaultEnabled: false,
+      priority: 10,
+      // Hand-maintained lists go stale; trust them less than live listings
+      confidence: 0.6,
+    });
+  }
+
+  /**
+   * Read a file's header and rows
+   * @param {string} filePath - .csv, .tsv or .xlsx file
+   * @param {object} options - { sheet: worksheet name or 1-based index (XLSX), delimiter (CSV) }
+   * @returns {Promise<object>} - { headers, rows: [{ rowNumber, values: { header: value } }] }
+   *   where rowNumber is the row as numbered in the file (the header is row 1)
+   */
+  async readFile(filePath, options = {}) {
+    return readTable(filePath, options);
+  }
+
+  /**
+   * Resolve which column feeds each field
+   * Explicit mapping columns win; other fields are matched by header name.
+   * @param {Array<string>} headers - File headers
+   * @param {object} mapping - { columns: { field: header } }
+   * @returns {object} - { columns: { field: header }, unmapped: headers no field uses }
+   * @throws {Error} - When the mapping names a field or column that does not exist
+   */
+  resolveColumns(headers, mapping = {}) {
+    const columns = {};
+    const byKey = new Map(headers.map((header) => [headerKey(header), header]));
+
+    for (const [field, column] of Object.entries(mapping.columns || {})) {
+      if (!IMPORT_FIELDS[field]) {
+        throw new Error(`Unknown import field '${field}' (expected one of ${Object.keys(IMPORT_FIELDS).join(', ')})`);
+      }
+      const header = byKey.get(headerKey(column));
+      if (!header) {
+        throw new Error(`Mapped column '${column}' for ${field} is not in the file`);
+      }
+      columns[field] = header;
+    }
+
+    const used = new Set(Object.values(columns));
+    for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+      if (columns[field]) continue;
+      const header = aliases.map((alias) => byKey.get(alias)).find((h) => h && !used.has(h));
+      if (header) {
+        columns[field] = header;
+        used.add(header);
+      }
+    }
+
+    return { columns, unmapped: headers.filter((header) => !used.has(header)) };
+  }
+
+  /**
+   * Read, map and validate a file
+   * @param {string} filePath - File to import
+   * @param {object} options - { mapping: { columns, defaults }, sheet, delimiter }
+   * @returns {Promise<object>} - { file, columns, unmapped, totalRows, companies: valid
+   *   normalized companies, invalid: [{ row, errors: [{ field, column, value, message }] }] }
+   * @throws {Error} - When the file cannot be read or has no column for a required field
+   */
+  async parseFile(filePath, options = {}) {
+    const mapping = options.mapping || {};
+    const { headers, rows } = await this.readFile(filePath, {
+      sheet: options.sheet ?? mapping.sheet,
+      delimiter: options.delimiter,
+    });
+    const { columns, unmapped } = this.resolveColumns(headers, mapping);
+
+    const missing = REQUIRED_FIELDS.filter((field) => !columns[field] && !mapping.defaults?.[field]);
+    if (missing.length > 0) {
+      throw new Error(
+        `No column for ${missing.join(', ')}; map one with --mapping (headers: ${headers.join(', ')})`
+      );
+    }
+
+    const file = path.basename(filePath);
+    const companies = [];
+    const invalid = [];
+
+    for (const row of rows) {
+      const { record, errors } = this.validateRow(row, columns, mapping.defaults);
+      if (errors.length > 0) {
+        invalid.push({ row: row.rowNumber, errors });
+        continue;
+      }
+      companies.push(this.toCompany({ ...record, file, rowNumber: row.rowNumber, values: row.values }));
+    }
+
+    return { file, columns, unmapped, totalRows: rows.length, companies, invalid };
+  }
+
+  /**
+   * Map one row onto company fields, normalizing and validating each value
+   * @param {object} row - { rowNumber, values }
+   * @param {object} columns - { field: header }
+   * @param {object} defaults - Values for fields the row leaves empty
+   * @returns {object} - { record, errors }
+   */
+  validateRow(row, columns, defaults = {}) {
+    const record = {};
+    const errors = [];
+
+    for (const field of Object.keys(IMPORT_FIELDS)) {
+      const column = columns[field];
+      const raw = column ? row.values[column] : undefined;
+      const value = raw === undefined || raw === null || String(raw).trim() === '' ? defaults[field] : raw;
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+
+      const result = this.normalizeField(field, value);
+      if (result.error) {
+        errors.push({ field, column: column || null, value: String(value), message: result.error });
+      } else {
+        record[field] = result.value;
+      }
+    }
+
+    REQUIRED_FIELDS.forEach((field) => {
+      if (record[field] === undefined && !errors.some((e) => e.field === field)) {
+        errors.push({ field, column: columns[field] || null, value: '', message: 'Required' });
+      }
+    });
+
+    return { record, errors };
+  }
+
+  /**
+   * Normalize one field value
+   * @param {string} field - Company field
+   * @param {any} value - Cell value
+   * @returns {object} - { value } or { error }
+   */
+  normalizeField(field, value) {
+    const text = String(value).trim();
+
+    switch (field) {
+      case 'phone': {
+        let digits = text.replace(/\D/g, '');
+        if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+        if (digits.length !== 10) return { error: 'Phone must have 10 digits' };
+        // Same format as Google Maps, so duplicate detection matches imported and scraped records
+        return { value: `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` };
+      }
+      case 'state': {
+        const code = text.length === 2 ? text.toUpperCase() : STATE_CODES[text.toLowerCase()];
+        if (!code || !Object.values(STATE_CODES).includes(code)) return { error: 'Not a US state' };
+        return { value: code };
+      }
+      case 'zip': {
+        // Spreadsheets drop the leading zeros of New England zip codes
+        const zip = typeof value === 'number' ? String(value).padStart(5, '0') : text;
+        if (!/^\d{5}(-\d{4})?$/.test(zip)) return { error: 'Zip must be 5 digits (or ZIP+4)' };
+        return { value: zip };
+      }
+      case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { value: text.toLowerCase() } : { error: 'Invalid email' };
+      case 'website': {
+        const url = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+        return domainFromUrl(url)?.includes('.') ? { value: url } : { error: 'Invalid website' };
+      }
+      case 'domain':
+        return { value: text.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0] };
+      case 'estimated_revenue': {
+        const amount = parseAmount(value);
+        return Number.isFinite(amount) ? { value: Math.round(amount) } : { error: 'Not an amount' };
+      }
+      case 'estimated_employees':
+      case 'years_in_business': {
+        const number = Number(text.replace(/[,+]/g, ''));
+        return Number.isInteger(number) && number >= 0 ? { value: number } : { error: 'Not a whole number' };
+      }
+      case 'year_founded': {
+        const year = Number(text);
+        const now = new Date().getFullYear();
+        return Number.isInteger(year) && year > 1800 && year <= now
+          ? { value: year }
+          : { error: `Not a year between 1800 and ${now}` };
+      }
+      case 'legal_name':
+      case 'dba':
+      case 'address':
+      case 'city':
+        return { value: text.replace(/\s+/g, ' ') };
+      default:
+        return { value: text };
+    }
+  }
+
+  /**
+   * Map a validated row into our company schema
+   * @param {object} row - Validated fields plus { file, rowNumber, values }
+   * @returns {object} - Normalized company data
+   */
+  normalize(row) {
+    const { file, rowNumber, values, year_founded: yearFounded, ...fields } = row;
+
+    return {
+      ...fields,
+      dba: fields.dba || fields.legal_name,
+      domain: fields.domain || domainFromUrl(fields.website),
+      vertical: fields.vertical || 'HVAC',
+      years_in_business:
+        fields.years_in_business ?? (yearFounded ? new Date().getFullYear() - yearFounded : null),
+      business_status: 'OPERATIONAL',
+      import_file: file,
+      import_row: rowNumber,
+      raw_data: { file, row: rowNumber, values },
+    };
+  }
+
+  /**
+   * Provenance of an imported row
+   * @param {object} row - { file, rowNumber }
+   * @returns {object} - { sourceId: "file#row", sourceUrl }
+   */
+  provenanceOf(row) {
+    return { sourceId: `${row.file}#${row.rowNumber}`, sourceUrl: null };
+  }
+
+  /**
+   * Connector search: the valid rows of a file (invalid rows are logged and skipped)
+   * @param {string} filePath - File to import (in place of a location)
+   * @param {object} options - { mapping, sheet, delimiter }
+   * @returns {Promise<Array>} - Validated rows, ready for normalize()
+   */
+  async search(filePath, options = {}) {
+    const { companies, invalid } = await this.parseFile(filePath, options);
+    if (invalid.length > 0) {
+      console.warn(`   Skipped ${invalid.length} invalid row(s) in ${path.basename(filePath)}`);
+    }
+    return companies;
+  }
+
+  /**
+   * Connector collect: rows from search() are already normalized
+   * @param {string} filePath - File to import
+   * @param {object} options - { mapping, sheet, delimiter }
+   * @returns {Promise<Array>} - Normalized companies
+   */
+  async collect(filePath, options = {}) {
+    return this.search(filePath, options);
+  }
+}
+
+module.exports = FileImportConnector;
+module.exports.IMPORT_FIELDS = IMPORT_FIELDS;
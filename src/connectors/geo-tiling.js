@@ -0,0 +1,324 @@
+/**
+ * Geographic Tiling
+ * Covers a metro's bounding box with search cells so a source's per-query
+ * result cap (Google: 60 places, Yelp: 200 businesses) stops limiting how
+ * many companies a metro yields
+ *
+ * The box is first split into a grid of cells small enough for the source's
+ * maximum search radius. Each cell is searched as a circle around its centre
+ * that covers the whole cell; a cell whose search comes back full (saturated)
+ * is split into four quadrants that are searched in turn, down to
+ * GEO_TILING_MAX_DEPTH levels or GEO_TILING_MIN_CELL_METERS across. Results
+ * are deduplicated by source ID across cells, and results outside the box are
+ * dropped. Every cell reports coverage stats, so a capped cell (still full at
+ * the smallest size) shows where a metro may be incompletely covered.
+ */
+
+const scraperHttp = require('../http/scraper-http');
+const { googleApiLimited } = require('../http/scraper-http');
+const { throwIfAborted } = require('../utils/abort');
+require('dotenv').config();
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+const DEFAULT_TILING = {
+  maxDepth: parseInt(process.env.GEO_TILING_MAX_DEPTH || '4', 10),
+  minCellMeters: parseInt(process.env.GEO_TILING_MIN_CELL_METERS || '1000', 10),
+  maxCells: parseInt(process.env.GEO_TILING_MAX_CELLS || '200', 10),
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude
+ * @param {number} lng1 - Longitude
+ * @param {number} lat2 - Latitude
+ * @param {number} lng2 - Longitude
+ * @returns {number} - Meters
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Parse a bounding box
+ * @param {string|object} value - "south,west,north,east" or { south, west, north, east }
+ * @returns {object} - { south, west, north, east }
+ * @throws {Error} - When the box is malformed
+ */
+function parseBounds(value) {
+  const [south, west, north, east] =
+    typeof value === 'string' ? value.split(',').map(Number) : [value?.south, value?.west, value?.north, value?.east];
+  const bounds = { south, west, north, east };
+
+  const valid =
+    Object.values(bounds).every((n) => typeof n === 'number' && Number.isFinite(n)) &&
+    south < north &&
+    west < east &&
+    south >= -90 &&
+    north <= 90 &&
+    west >= -180 &&
+    east <= 180;
+  if (!valid) {
+    throw new Error(`Invalid bounding box ${JSON.stringify(value)} (expected south,west,north,east)`);
+  }
+  return bounds;
+}
+
+/**
+ * Centre of a cell
+ * @param {object} cell - { south, west, north, east }
+ * @returns {object} - { lat, lng }
+ */
+function cellCenter(cell) {
+  return { lat: (cell.south + cell.north) / 2, lng: (cell.west + cell.east) / 2 };
+}
+
+/**
+ * Radius of the circle around a cell's centre that covers the whole cell
+ * @param {object} cell - { south, west, north, east }
+ * @returns {number} - Meters, rounded up
+ */
+function cellRadiusMeters(cell) {
+  const { lat, lng } = cellCenter(cell);
+  // The corner furthest from the centre is on the side nearer the equator
+  const cornerLat = Math.abs(cell.south) < Math.abs(cell.north) ? cell.south : cell.north;
+  return Math.ceil(distanceMeters(lat, lng, cornerLat, cell.east));
+}
+
+/**
+ * Width of a cell's narrower side
+ * @param {object} cell - { south, west, north, east }
+ * @returns {number} - Meters
+ */
+function cellSizeMeters(cell) {
+  const { lat } = cellCenter(cell);
+  const height = distanceMeters(cell.south, cell.west, cell.north, cell.west);
+  const width = distanceMeters(lat, cell.west, lat, cell.east);
+  return Math.min(height, width);
+}
+
+/**
+ * Whether a point lies in a box
+ * @param {object} bounds - { south, west, north, east }
+ * @param {object} point - { lat, lng }
+ * @returns {boolean}
+ */
+function containsPoint(bounds, point) {
+  return (
+    point.lat >= bounds.south && point.lat <= bounds.north && point.lng >= bounds.west && point.lng <= bounds.east
+  );
+}
+
+/**
+ * Split a cell into its four quadrants
+ * @param {object} cell - { id, depth, south, west, north, east }
+ * @returns {Array} - Child cells, ids suffixed .0 (SW) to .3 (NE)
+ */
+function splitCell(cell) {
+  const { lat, lng } = cellCenter(cell);
+  return [
+    { south: cell.south, west: cell.west, north: lat, east: lng },
+    { south: cell.south, west: lng, north: lat, east: cell.east },
+    { south: lat, west: cell.west, north: cell.north, east: lng },
+    { south: lat, west: lng, north: cell.north, east: cell.east },
+  ].map((quadrant, i) => ({ id: `${cell.id}.${i}`, depth: cell.depth + 1, ...quadrant }));
+}
+
+/**
+ * The top-level grid over a box: the fewest equal cells whose covering circle
+ * fits within a source's maximum search radius
+ * @param {object} bounds - { south, west, north, east }
+ * @param {number} maxRadiusMeters - Source's maximum search radius
+ * @returns {Array} - Cells at depth 0, ids "r<row>c<col>"
+ */
+function gridCells(bounds, maxRadiusMeters) {
+  let rows = 1;
+  let cols = 1;
+  const cellAt = (row, col) => ({
+    south: bounds.south + ((bounds.north - bounds.south) * row) / rows,
+    north: bounds.south + ((bounds.north - bounds.south) * (row + 1)) / rows,
+    west: bounds.west + ((bounds.east - bounds.west) * col) / cols,
+    east: bounds.west + ((bounds.east - bounds.west) * (col + 1)) / cols,
+  });
+
+  // The widest cells are in the row nearest the equator
+  const largest = () =>
+    [cellAt(0, 0), cellAt(rows - 1, 0)].reduce((a, b) => (cellRadiusMeters(a) >= cellRadiusMeters(b) ? a : b));
+
+  // Split the longer side until every cell fits
+  for (let cell = largest(); cellRadiusMeters(cell) > maxRadiusMeters; cell = largest()) {
+    const height = distanceMeters(cell.south, cell.west, cell.north, cell.west);
+    const width = distanceMeters(cell.south, cell.west, cell.south, cell.east);
+    if (height > width) rows++;
+    else cols++;
+  }
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({ id: `r${row}c${col}`, depth: 0, ...cellAt(row, col) });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Look up a place's bounding box with the Google Geocoding API
+ * @param {string} location - City, state (e.g., "Houston, TX")
+ * @param {object} options - { signal }
+ * @returns {Promise<object>} - { south, west, north, east }
+ * @throws {Error} - Without GOOGLE_MAPS_API_KEY, or when the place is not found
+ */
+async function geocodeBounds(location, options = {}) {
+  if (!process.env.GOOGLE_MAPS_API_KEY) {
+    throw new Error(`Tiled search of '${location}' needs tiling.bounds or GOOGLE_MAPS_API_KEY to geocode it`);
+  }
+
+  const response = await scraperHttp.get(GEOCODE_URL, {
+    api: 'google_maps',
+    endpoint: 'geocode',
+    params: { address: location, key: process.env.GOOGLE_MAPS_API_KEY },
+    credential: process.env.GOOGLE_MAPS_API_KEY,
+    cacheable: (res) => res.data?.status === 'OK',
+    limited: googleApiLimited,
+    signal: options.signal,
+  });
+  if (response.data.status !== 'OK') {
+    throw new Error(`Geocoding '${location}' failed: ${response.data.status}`);
+  }
+
+  const { bounds, viewport } = response.data.results[0].geometry;
+  const box = bounds || viewport;
+  return parseBounds({
+    south: box.southwest.lat,
+    west: box.southwest.lng,
+    north: box.northeast.lat,
+    east: box.northeast.lng,
+  });
+}
+
+/**
+ * Search every cell of a box, subdividing saturated cells
+ * Cells are searched one at a time, breadth first, so a run cut short by
+ * maxCells has still covered the whole box at a coarser level.
+ * @param {object} bounds - { south, west, north, east }
+ * @param {Function} searchCell - async (cell: { id, depth, south, west, north, east, center,
+ *   radiusMeters }) => { results, pages, saturated }
+ * @param {object} options - { maxRadiusMeters (required), idOf(result), locate(result) → { lat, lng }
+ *   or null, maxDepth, minCellMeters, maxCells, label, signal }
+ * @returns {Promise<object>} - { results: unique results in the box, coverage: { bounds, tiles: [{ id,
+ *   depth, bounds, radiusMeters, pages, results, new, duplicates, outside, saturated, status:
+ *   complete|subdivided|capped|skipped }], summary } }
+ */
+async function tiledSearch(bounds, searchCell, options = {}) {
+  const { maxRadiusMeters, idOf, locate = () => null, label = 'Tiled search', signal } = options;
+  const maxDepth = options.maxDepth ?? DEFAULT_TILING.maxDepth;
+  const minCellMeters = options.minCellMeters ?? DEFAULT_TILING.minCellMeters;
+  const maxCells = options.maxCells ?? DEFAULT_TILING.maxCells;
+
+  const queue = gridCells(bounds, maxRadiusMeters);
+  const seen = new Set();
+  const results = [];
+  const tiles = [];
+  let searched = 0;
+
+  console.log(`🗺️  ${label}: ${queue.length} top-level cell(s)`);
+
+  while (queue.length > 0) {
+    throwIfAborted(signal);
+    const cell = queue.shift();
+    const tile = {
+      id: cell.id,
+      depth: cell.depth,
+      bounds: { south: cell.south, west: cell.west, north: cell.north, east: cell.east },
+      radiusMeters: cellRadiusMeters(cell),
+      pages: 0,
+      results: 0,
+      new: 0,
+      duplicates: 0,
+      outside: 0,
+      saturated: false,
+      status: 'skipped',
+    };
+    tiles.push(tile);
+
+    if (searched >= maxCells) continue;
+    searched++;
+
+    const found = await searchCell({ ...cell, center: cellCenter(cell), radiusMeters: tile.radiusMeters });
+    tile.pages = found.pages;
+    tile.results = found.results.length;
+    tile.saturated = Boolean(found.saturated);
+
+    for (const result of found.results) {
+      const point = locate(result);
+      if (point && !containsPoint(bounds, point)) {
+        tile.outside++;
+        continue;
+      }
+      const id = idOf(result);
+      if (id && seen.has(id)) {
+        tile.duplicates++;
+        continue;
+      }
+      if (id) seen.add(id);
+      results.push(result);
+      tile.new++;
+    }
+
+    if (!tile.saturated) {
+      tile.status = 'complete';
+    } else if (cell.depth < maxDepth && cellSizeMeters(cell) / 2 >= minCellMeters) {
+      tile.status = 'subdivided';
+      queue.push(...splitCell(cell));
+    } else {
+      tile.status = 'capped';
+    }
+
+    console.log(
+      `   ${tile.id.padEnd(14)} ${String(tile.results).padStart(3)} results, ${String(tile.new).padStart(3)} new  ${tile.status}`
+    );
+  }
+
+  const count = (status) => tiles.filter((tile) => tile.status === status).length;
+  const summary = {
+    tiles: tiles.length,
+    searched,
+    subdivided: count('subdivided'),
+    capped: count('capped'),
+    skipped: count('skipped'),
+    maxDepth: Math.max(...tiles.map((tile) => tile.depth)),
+    pages: tiles.reduce((sum, tile) => sum + tile.pages, 0),
+    results: tiles.reduce((sum, tile) => sum + tile.results, 0),
+    unique: results.length,
+    outside: tiles.reduce((sum, tile) => sum + tile.outside, 0),
+    // Capped and skipped cells may hold companies we did not see
+    complete: count('capped') === 0 && count('skipped') === 0,
+  };
+
+  console.log(
+    `   ${summary.unique} unique result(s) from ${summary.searched} cell search(es)` +
+      `${summary.complete ? '' : ` — ${summary.capped} capped, ${summary.skipped} skipped: coverage incomplete`}`
+  );
+  return { results, coverage: { bounds, tiles, summary } };
+}
+
+module.exports = {
+  tiledSearch,
+  geocodeBounds,
+  parseBounds,
+  gridCells,
+  splitCell,
+  cellCenter,
+  cellRadiusMeters,
+  cellSizeMeters,
+  containsPoint,
+  distanceMeters,
+  DEFAULT_TILING,
+};
@@ -0,0 +1,310 @@
+/**
+ * Google Maps Places API Connector
+ * Finds HVAC companies on Google Maps
+ */
+
+const Connector = require('./connector');
+const scraperHttp = require('../http/scraper-http');
+const { googleApiLimited } = require('../http/scraper-http');
+const { domainFromUrl, estimateEmployees, servicesFromReviews } = require('./normalize');
+require('dotenv').config();
+
+// Map Google types to services
+const TYPE_SERVICES = {
+  'hvac_contractor': ['HVAC Contractor'],
+  'plumber': ['Plumbing'],
+  'electrician': ['Electrical'],
+  'general_contractor': ['General Contracting'],
+};
+
+const REVIEW_KEYWORDS = {
+  'AC Installation': ['install', 'installation', 'new ac', 'new unit'],
+  'AC Repair': ['repair', 'fix', 'broken', 'not working'],
+  'Heating Services': ['heating', 'furnace', 'heater'],
+  'Maintenance Plans': ['maintenance', 'service plan', 'tune-up', 'checkup'],
+  'Emergency Service': ['emergency', '24/7', 'same day'],
+  'Duct Cleaning': ['duct', 'cleaning', 'air quality'],
+};
+
+const DETAIL_FIELDS =
+  'place_id,name,formatted_address,formatted_phone_number,website,url,rating,user_ratings_total,opening_hours,geometry,types,reviews,business_status,photos';
+
+/**
+ * Whether a Places response may be cached: errors (quota, a page token used
+ * too soon) come back as 200s, so check the body's status
+ * @param {object} response - HTTP response
+ * @returns {boolean}
+ */
+function placesResponseCacheable(response) {
+  return ['OK', 'ZERO_RESULTS'].includes(response.data?.status);
+}
+
+const MAX_RESULTS = 60; // Places API limit: 3 pages of 20
+const MAX_RADIUS_METERS = 50000; // Nearby search limit
+const PAGE_TOKEN_ATTEMPTS = 3;
+
+class GoogleMapsConnector extends Connector {
+  constructor() {
+    super({
+      name: 'google_maps',
+      label: 'Google Maps',
+      description: 'Google Places text (or tiled nearby) search plus place details',
+      requiredEnv: ['GOOGLE_MAPS_API_KEY'],
+      priority: 100,
+      confidence: 0.8,
+      reviewsField: 'google_reviews',
+      // Request pacing is the shared rate limiter's; next_page_token takes a couple of seconds to become valid
+      rateLimit: { pageIntervalMs: 2000 },
+      tiling: { maxRadiusMeters: MAX_RADIUS_METERS },
+    });
+    this.baseUrl = 'https://maps.googleapis.com/maps/api/place';
+  }
+
+  get apiKey() {
+    return process.env.GOOGLE_MAPS_API_KEY;
+  }
+
+  /**
+   * Search for companies in a location
+   * Follows next_page_token, so a search returns up to 60 places; use tiling
+   * (see Connector.searchTiled) for more.
+   * @param {string} location - City, state (e.g., "Miami, FL")
+   * @param {object} options - { query (default: "HVAC"), signal }
+   * @returns {Promise<Array>} - Place search results
+   */
+  async search(location, options = {}) {
+    const { query = 'HVAC', signal } = options;
+
+    try {
+      const { results: places } = await this.searchPages(
+        'textsearch',
+        { query: `${query} companies in ${location}` },
+        signal
+      );
+
+      console.log(`Found ${places.length} companies for "${query}" in ${location}`);
+      return places;
+    } catch (error) {
+      console.error('Error searching Google Maps:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search one cell of a tiled search with a nearby search around its centre
+   * @param {object} cell - { center: { lat, lng }, radiusMeters }
+   * @param {object} options - { query (default: "HVAC"), signal }
+   * @returns {Promise<object>} - { results, pages, saturated }
+   */
+  async searchCell(cell, options = {}) {
+    const { query = 'HVAC', signal } = options;
+
+    const { results, pages } = await this.searchPages(
+      'nearbysearch',
+      {
+        keyword: query,
+        location: `${cell.center.lat},${cell.center.lng}`,
+        radius: Math.min(cell.radiusMeters, MAX_RADIUS_METERS),
+      },
+      signal
+    );
+
+    return { results, pages, saturated: results.length >= MAX_RESULTS };
+  }
+
+  /**
+   * Run a Places search and follow its next_page_token through every page
+   * A token only becomes valid a moment after it is issued, so each page
+   * waits pageIntervalMs and retries while Google still answers INVALID_REQUEST.
+   * @param {string} endpoint - 'textsearch' or 'nearbysearch'
+   * @param {object} params - Search parameters (without key)
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<object>} - { results, pages }
+   * @throws {Error} - When a search fails
+   */
+  async searchPages(endpoint, params, signal) {
+    const results = [];
+    let pages = 0;
+    let pageToken = null;
+
+    do {
+      let data;
+      for (let attempt = 1; ; attempt++) {
+        if (pageToken) await this.throttle('page', signal);
+
+        const response = await scraperHttp.get(`${this.baseUrl}/${endpoint}/json`, {
+          api: this.name,
+          endpoint,
+          params: pageToken ? { pagetoken: pageToken, key: this.apiKey } : { ...params, key: this.apiKey },
+          credential: this.apiKey,
+          cacheable: placesResponseCacheable,
+          limited: googleApiLimited,
+          signal,
+        });
+        data = response.data;
+
+        if (!(pageToken && data.status === 'INVALID_REQUEST' && attempt < PAGE_TOKEN_ATTEMPTS)) break;
+      }
+
+      if (data.status === 'ZERO_RESULTS') break;
+      if (data.status !== 'OK') {
+        throw new Error(`Place search failed: ${data.status}`);
+      }
+
+      results.push(...data.results);
+      pages++;
+      pageToken = data.next_page_token || null;
+    } while (pageToken);
+
+    return { results, pages };
+  }
+
+  /**
+   * Coordinates of a place, for tiled search
+   * @param {object} place - Place search result
+   * @returns {object|null} - { lat, lng }
+   */
+  locate(place) {
+    return place.geometry?.location || null;
+  }
+
+  /**
+   * Get detailed information about a place
+   * @param {object} listing - Place search result
+   * @param {object} options - { signal }
+   * @returns {Promise<object>} - Place details
+   */
+  async details(listing, options = {}) {
+    const response = await scraperHttp.get(`${this.baseUrl}/details/json`, {
+      api: this.name,
+      endpoint: 'details',
+      params: {
+        place_id: listing.place_id,
+        fields: DETAIL_FIELDS,
+        key: this.apiKey,
+      },
+      credential: this.apiKey,
+      cacheable: placesResponseCacheable,
+      limited: googleApiLimited,
+      signal: options.signal,
+    });
+
+    if (response.data.status !== 'OK') {
+      throw new Error(`Place details failed: ${response.data.status}`);
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Provenance of a place
+   * @param {object} place - Google Place data
+   * @returns {object} - { sourceId, sourceUrl }
+   */
+  provenanceOf(place) {
+    return { sourceId: place.place_id ?? null, sourceUrl: place.url ?? null };
+  }
+
+  /**
+   * Normalize Google Maps data into our company schema
+   * @param {object} place - Google Place data
+   * @returns {object} - Normalized company data
+   */
+  normalize(place) {
+    // Parse address
+    const addressParts = place.formatted_address?.split(',') || [];
+    const city = addressParts[addressParts.length - 3]?.trim() || '';
+    const stateZip = addressParts[addressParts.length - 2]?.trim() || '';
+    const state = stateZip.split(' ')[0] || '';
+    const zip = stateZip.split(' ')[1] || '';
+
+    // Determine if 24/7 from opening hours
+    const is24_7 = place.opening_hours?.periods?.length === 1 &&
+                   place.opening_hours.periods[0].open?.time === '0000' &&
+                   place.opening_hours.periods[0].close === undefined;
+
+    // Calculate review velocity (reviews in last 6 months)
+    const recentReviews = this.calculateReviewVelocity(place.reviews);
+
+    return {
+      // Identifiers
+      google_place_id: place.place_id,
+      legal_name: place.name,
+      dba: place.name,
+
+      // Contact info
+      domain: domainFromUrl(place.website) || place.website || null,
+      phone: place.formatted_phone_number,
+      website: place.website,
+
+      // Location
+      address: place.formatted_address,
+      city: city,
+      state: state,
+      zip: zip,
+      latitude: place.geometry?.location?.lat,
+      longitude: place.geometry?.location?.lng,
+
+      // Business info
+      vertical: 'HVAC',
+      business_status: place.business_status || 'OPERATIONAL',
+
+      // Reviews and reputation
+      google_reviews: {
+        count: place.user_ratings_total || 0,
+        average_rating: place.rating || 0,
+        recent_velocity: recentReviews.velocity,
+        recent_count: recentReviews.count,
+        reviews: place.reviews?.slice(0, 5) || [], // Top 5 reviews
+      },
+
+      // Operations
+      service_hours: is24_7 ? '24/7' : 'Business hours',
+      opening_hours: place.opening_hours,
+      services: this.extractServices(place.types, place.reviews),
+
+      // Estimated data (will be refined by Profiler agent)
+      estimated_employees: estimateEmployees(place.user_ratings_total),
+      years_in_business: null, // Will extract from reviews/website
+
+      raw_data: place, // Store raw data for reference
+    };
+  }
+
+  /**
+   * Extract likely services from business types and reviews
+   * @param {Array} types - Google Place types
+   * @param {Array} reviews - Recent reviews
+   * @returns {Array} - List of services offered
+   */
+  extractServices(types = [], reviews = []) {
+    const services = new Set();
+
+    types.forEach((type) => {
+      (TYPE_SERVICES[type] || []).forEach((s) => services.add(s));
+    });
+
+    return Array.from(servicesFromReviews(reviews, REVIEW_KEYWORDS, services));
+  }
+
+  /**
+   * Calculate review velocity (reviews in last 6 months)
+   * @param {Array} reviews - Google reviews
+   * @returns {object} - Velocity data
+   */
+  calculateReviewVelocity(reviews = []) {
+    const sixMonthsAgo = Date.now() - (180 * 24 * 60 * 60 * 1000);
+
+    const recentReviews = reviews.filter((review) => {
+      const reviewTime = review.time * 1000; // Convert to milliseconds
+      return reviewTime > sixMonthsAgo;
+    });
+
+    const count = recentReviews.length;
+    const velocity = count >= 15 ? 'high' : count >= 5 ? 'medium' : 'low';
+
+    return { count, velocity };
+  }
+}
+
+module.exports = GoogleMapsConnector;
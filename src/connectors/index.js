@@ -0,0 +1,28 @@
+/**
+ * Connectors
+ * Registers the built-in ingestion sources
+ *
+ * To add a source, extend Connector in a new module here and register an
+ * instance below; the pipeline picks it up by name (options.sources).
+ */
+
+const connectorRegistry = require('./registry');
+const Connector = require('./connector');
+const GoogleMapsConnector = require('./google-maps');
+const YelpConnector = require('./yelp');
+const FileImportConnector = require('./file-import');
+const StateLicenseConnector = require('./state-licenses');
+
+connectorRegistry.register(new GoogleMapsConnector());
+connectorRegistry.register(new YelpConnector());
+connectorRegistry.register(new FileImportConnector());
+connectorRegistry.register(new StateLicenseConnector());
+
+module.exports = {
+  connectorRegistry,
+  Connector,
+  GoogleMapsConnector,
+  YelpConnector,
+  FileImportConnector,
+  StateLicenseConnector,
+};
@@ -0,0 +1,132 @@
+/**
+ * Import Mapping Profiles
+ * Saved column mappings for file imports, so a broker's or association's
+ * recurring list can be loaded with --profile instead of re-mapping it
+ *
+ * A profile is { name, description, columns: { field: 'Column Header' },
+ * defaults: { field: value }, sheet }. With DATABASE_URL profiles live in
+ * import_mapping_profiles; without it they are kept in memory.
+ */
+
+const db = require('../db/connection');
+const { IMPORT_FIELDS } = require('./file-import');
+require('dotenv').config();
+
+class MappingProfileStore {
+  constructor() {
+    this.profiles = new Map(); // name → profile
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.IMPORT_PROFILES_PERSIST !== 'false';
+  }
+
+  /**
+   * Create or replace a profile
+   * @param {object} profile - { name, description, columns, defaults, sheet }
+   * @returns {Promise<object>} - The saved profile
+   * @throws {Error} - When the profile maps an unknown field
+   */
+  async save({ name, description = null, columns = {}, defaults = {}, sheet = null }) {
+    if (!name) {
+      throw new Error('Mapping profiles need a name');
+    }
+    const unknown = [...Object.keys(columns), ...Object.keys(defaults)].filter((field) => !IMPORT_FIELDS[field]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown import field(s): ${unknown.join(', ')}`);
+    }
+
+    const profile = { name, description, columns, defaults, sheet: sheet === null ? null : String(sheet) };
+
+    if (this.persist) {
+      const result = await db.query(
+        `INSERT INTO import_mapping_profiles (name, description, columns, defaults, sheet)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO UPDATE
+         SET description = $2, columns = $3, defaults = $4, sheet = $5
+         RETURNING *`,
+        [name, description, JSON.stringify(columns), JSON.stringify(defaults), profile.sheet]
+      );
+      return this._profileFromRow(result.rows[0]);
+    }
+
+    const saved = {
+      ...profile,
+      createdAt: this.profiles.get(name)?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    this.profiles.set(name, saved);
+    return { ...saved };
+  }
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Promise<object|null>}
+   */
+  async get(name) {
+    if (this.persist) {
+      const result = await db.query('SELECT * FROM import_mapping_profiles WHERE name = $1', [name]);
+      return result.rows[0] ? this._profileFromRow(result.rows[0]) : null;
+    }
+
+    const profile = this.profiles.get(name);
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * List profiles by name
+   * @returns {Promise<array>}
+   */
+  async list() {
+    if (this.persist) {
+      const result = await db.query('SELECT * FROM import_mapping_profiles ORDER BY name');
+      return result.rows.map((row) => this._profileFromRow(row));
+    }
+
+    return Array.from(this.profiles.values())
+      .map((profile) => ({ ...profile }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async remove(name) {
+    if (this.persist) {
+      const result = await db.query('DELETE FROM import_mapping_profiles WHERE name = $1', [name]);
+      return result.rowCount > 0;
+    }
+
+    return this.profiles.delete(name);
+  }
+
+  /**
+   * Clear in-memory profiles (for tests)
+   */
+  reset() {
+    this.profiles.clear();
+  }
+
+  /**
+   * Map an import_mapping_profiles row to a profile
+   * @param {object} row - Database row
+   * @returns {object}
+   */
+  _profileFromRow(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      columns: row.columns || {},
+      defaults: row.defaults || {},
+      sheet: row.sheet,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Export singleton instance
+const mappingProfiles = new MappingProfileStore();
+
+module.exports = mappingProfiles;
+module.exports.MappingProfileStore = MappingProfileStore;
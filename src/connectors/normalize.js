@@ -0,0 +1,62 @@
+/**
+ * Normalization Helpers
+ * Heuristics shared by connectors when mapping source records into our company schema
+ */
+
+// Employee estimates for each review-count tier
+const EMPLOYEE_TIERS = [3, 5, 10, 15, 20];
+
+/**
+ * Bare domain of a website URL
+ * @param {string} website - URL
+ * @returns {string|null} - Hostname without www., or null when the URL cannot be parsed
+ */
+function domainFromUrl(website) {
+  if (!website) return null;
+
+  try {
+    return new URL(website).hostname.replace('www.', '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Estimate employee count from review volume
+ * Rough heuristic: 1 review per 10 customers, 1 tech handles 200 customers/year.
+ * Sources collect reviews at different rates, so each passes the review counts
+ * at which a company moves up a tier (5, 10, 15 and 20 employees).
+ * @param {number} reviewCount - Total review count
+ * @param {Array} thresholds - Four ascending review counts
+ * @returns {number} - Estimated employee count
+ */
+function estimateEmployees(reviewCount = 0, thresholds = [50, 150, 300, 500]) {
+  const tier = thresholds.findIndex((threshold) => reviewCount < threshold);
+  return EMPLOYEE_TIERS[tier === -1 ? thresholds.length : tier];
+}
+
+/**
+ * Services named by review text
+ * @param {Array} reviews - Reviews with a `text` field
+ * @param {object} keywords - { service: [keywords] }
+ * @param {Set} services - Set to add to
+ * @returns {Set} - The same set
+ */
+function servicesFromReviews(reviews = [], keywords, services = new Set()) {
+  reviews?.forEach((review) => {
+    const text = review.text?.toLowerCase() || '';
+    Object.entries(keywords).forEach(([service, words]) => {
+      if (words.some((word) => text.includes(word))) {
+        services.add(service);
+      }
+    });
+  });
+
+  return services;
+}
+
+module.exports = {
+  domainFromUrl,
+  estimateEmployees,
+  servicesFromReviews,
+};
@@ -0,0 +1,95 @@
+/**
+ * Connector Registry
+ * The ingestion sources the pipeline can run, by name
+ */
+
+class ConnectorRegistry {
+  constructor() {
+    this.connectors = new Map();
+  }
+
+  /**
+   * Register a connector
+   * @param {Connector} connector - Connector instance
+   * @param {object} options - { replace: allow replacing a connector of the same name }
+   * @returns {Connector}
+   * @throws {Error} - When the name is taken and replace is not set
+   */
+  register(connector, { replace = false } = {}) {
+    if (!connector?.name || typeof connector.collect !== 'function') {
+      throw new Error('Connectors need a name and a collect() method (extend Connector)');
+    }
+    if (this.connectors.has(connector.name) && !replace) {
+      throw new Error(`Connector '${connector.name}' is already registered`);
+    }
+
+    this.connectors.set(connector.name, connector);
+    return connector;
+  }
+
+  /**
+   * Remove a connector
+   * @param {string} name - Connector name
+   * @returns {boolean} - Whether it was registered
+   */
+  unregister(name) {
+    return this.connectors.delete(name);
+  }
+
+  /**
+   * Get a connector by name
+   * @param {string} name - Connector name
+   * @returns {Connector}
+   * @throws {Error} - When no connector has the name
+   */
+  get(name) {
+    const connector = this.connectors.get(name);
+    if (!connector) {
+      throw new Error(
+        `Unknown connector '${name}' (registered: ${this.names().join(', ') || 'none'})`
+      );
+    }
+    return connector;
+  }
+
+  /**
+   * Whether a connector is registered
+   * @param {string} name - Connector name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.connectors.has(name);
+  }
+
+  /**
+   * Registered connector names
+   * @returns {Array<string>}
+   */
+  names() {
+    return Array.from(this.connectors.keys());
+  }
+
+  /**
+   * Names of the connectors an ingestion runs when it does not list its sources
+   * @returns {Array<string>}
+   */
+  defaultNames() {
+    return Array.from(this.connectors.values())
+      .filter((connector) => connector.defaultEnabled)
+      .map((connector) => connector.name);
+  }
+
+  /**
+   * Describe every registered connector
+   * @returns {Array<object>}
+   */
+  list() {
+    return Array.from(this.connectors.values()).map((connector) => connector.describe());
+  }
+}
+
+// Export singleton instance
+const connectorRegistry = new ConnectorRegistry();
+
+module.exports = connectorRegistry;
+module.exports.ConnectorRegistry = ConnectorRegistry;
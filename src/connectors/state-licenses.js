@@ -0,0 +1,323 @@
+/**
+ * State License Connector
+ * Parses contractor license exports downloaded from state licensing boards
+ * into license records for the licenses table
+ *
+ * Each board publishes its own layout; LICENSE_FORMATS describes the ones we
+ * load (Florida DBPR, Texas TDLR, California CSLB), with header aliases per
+ * field so small header changes between downloads still parse. Rows are
+ * filtered to the licenses a vertical needs (e.g. HVAC: FL air-conditioning
+ * and mechanical contractors, TX A/C contractors, CA C-20 classifications).
+ *
+ * Records are not companies: the pipeline's importLicenses() matches them to
+ * companies (src/ingestion/license-matcher.js) and stores them, so this
+ * connector never runs as part of a location sweep.
+ */
+
+const path = require('path');
+const Connector = require('./connector');
+const { readTable, headerKey } = require('./tabular');
+
+// Board export layouts, by state
+const LICENSE_FORMATS = {
+  FL: {
+    board: 'Florida DBPR, Construction Industry Licensing Board',
+    columns: {
+      license_number: ['license number', 'lic number', 'license #'],
+      license_type: ['rank', 'license type', 'occupation', 'occupation description'],
+      holder_name: ['licensee name', 'name', 'qualifier name'],
+      business_name: ['dba name', 'business name', 'company name'],
+      status: ['primary status', 'status', 'license status'],
+      secondary_status: ['secondary status'],
+      issue_date: ['original licensure date', 'original license date', 'licensure date'],
+      expiration_date: ['expiration date', 'expires'],
+      address: ['address line 1', 'address 1', 'address'],
+      city: ['city'],
+      zip: ['zip', 'zip code'],
+      phone: ['phone', 'phone number'],
+    },
+    verticals: {
+      HVAC: [/air conditioning/i, /mechanical/i, /\b(CAC|RA|CMC)\d/i],
+    },
+  },
+  TX: {
+    board: 'Texas Department of Licensing and Regulation',
+    columns: {
+      license_number: ['license number', 'license #'],
+      license_type: ['license type'],
+      classifications: ['license subtype'],
+      holder_name: ['name', 'owner name'],
+      business_name: ['business name'],
+      status: ['license status', 'status'],
+      expiration_date: ['license expiration date (mmddccyy)', 'license expiration date', 'expiration date'],
+      address: ['business address-line1', 'business address line1', 'mailing address line1'],
+      city_state_zip: ['business city, state zip', 'mailing address city, state zip'],
+      phone: ['business phone', 'phone number'],
+    },
+    // The TDLR files list current licensees only
+    defaultStatus: 'active',
+    verticals: {
+      HVAC: [/\bA\/C\b/i, /air conditioning/i, /refrigeration/i],
+    },
+  },
+  CA: {
+    board: 'California Contractors State License Board',
+    columns: {
+      license_number: ['licenseno', 'license no', 'license number'],
+      classifications: ['classifications(s)', 'classifications', 'classification'],
+      business_name: ['businessname', 'business name', 'fullbusinessname'],
+      status: ['primarystatus', 'primary status'],
+      secondary_status: ['secondarystatus', 'secondary status', 'pendingsuspension'],
+      issue_date: ['issuedate', 'issue date'],
+      expiration_date: ['expirationdate', 'expiration date'],
+      address: ['mailingaddress', 'mailing address', 'address'],
+      city: ['city'],
+      zip: ['zipcode', 'zip code', 'zip'],
+      phone: ['businessphone', 'business phone', 'phone'],
+    },
+    verticals: {
+      HVAC: [/\bC-?20\b/i, /\bC-?38\b/i],
+    },
+  },
+};
+
+// Board status wording → our status, most severe first
+const STATUS_RULES = [
+  ['revoked', /revoked|null and void|void|denied/i],
+  ['suspended', /susp/i],
+  ['expired', /expired|delinquent|lapsed/i],
+  ['inactive', /inactive|cancel|retired|surrender|closed/i],
+  ['active', /current|clear|active|valid|issued/i],
+];
+
+/**
+ * Parse a board date: MM/DD/YYYY, YYYY-MM-DD, MMDDYYYY (TDLR) or a spreadsheet date
+ * @param {string|Date} value - Cell value
+ * @returns {string|null} - YYYY-MM-DD, or null when empty or unparseable
+ */
+function parseLicenseDate(value) {
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/) || text.match(/^(\d{2})(\d{2})(\d{4})$/);
+  if (!match) return null;
+  const [, month, day, year] = match;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Map a board's status wording onto active, expired, suspended, revoked or inactive
+ * @param {string} status - Primary status
+ * @param {string} secondary - Secondary status (a CSLB "Work Comp Susp" suspends a CLEAR license)
+ * @returns {string} - Our status, or 'unknown'
+ */
+function normalizeLicenseStatus(status, secondary) {
+  const text = [status, secondary].filter(Boolean).join(' ');
+  const rule = STATUS_RULES.find(([, pattern]) => pattern.test(text));
+  return rule ? rule[0] : 'unknown';
+}
+
+class StateLicenseConnector extends Connector {
+  constructor() {
+    super({
+      name: 'state_license',
+      label: 'State license boards',
+      description: 'Contractor license exports from state boards (FL DBPR, TX TDLR, CA CSLB)',
+      // Loads license records, not companies; run through importLicenses()
+      defaultEnabled: false,
+      priority: 0,
+      // Board records are authoritative for licensure; the company match carries its own confidence
+      confidence: 0.95,
+    });
+  }
+
+  /**
+   * States with a known export layout
+   * @returns {Array<string>}
+   */
+  states() {
+    return Object.keys(LICENSE_FORMATS);
+  }
+
+  /**
+   * Read a board export and normalize its license records
+   * @param {string} filePath - .csv, .tsv, .txt or .xlsx export
+   * @param {object} options - { state: FL, TX or CA (required), vertical: only licenses this
+   *   vertical needs (default HVAC; null for every row), sheet, delimiter }
+   * @returns {Promise<object>} - { file, state, board, totalRows, licenses, skipped: rows
+   *   for other trades, invalid: [{ row, errors: [{ field, value, message }] }] }
+   * @throws {Error} - When the state has no known layout or a required column is missing
+   */
+  async parseFile(filePath, options = {}) {
+    const state = String(options.state || '').toUpperCase();
+    const format = LICENSE_FORMATS[state];
+    if (!format) {
+      throw new Error(`No license export layout for '${options.state}' (known: ${this.states().join(', ')})`);
+    }
+    const vertical = options.vertical === undefined ? 'HVAC' : options.vertical;
+    const patterns = vertical ? format.verticals[vertical] : null;
+    if (vertical && !patterns) {
+      throw new Error(`No ${state} license types defined for vertical '${vertical}'`);
+    }
+
+    const { headers, rows } = await readTable(filePath, { sheet: options.sheet, delimiter: options.delimiter });
+    const columns = this.resolveColumns(headers, format);
+    if (!columns.license_number) {
+      throw new Error(`No license number column in ${path.basename(filePath)} (headers: ${headers.join(', ')})`);
+    }
+
+    const file = path.basename(filePath);
+    const licenses = [];
+    const invalid = [];
+    let skipped = 0;
+
+    for (const row of rows) {
+      const values = Object.fromEntries(
+        Object.entries(columns).map(([field, header]) => [field, String(row.values[header] ?? '').trim()])
+      );
+      const trade = [values.license_type, values.classifications, values.license_number].join(' ');
+      if (patterns && !patterns.some((pattern) => pattern.test(trade))) {
+        skipped++;
+        continue;
+      }
+
+      const { record, errors } = this.validateRow(values, format, state);
+      if (errors.length > 0) {
+        invalid.push({ row: row.rowNumber, errors });
+        continue;
+      }
+      licenses.push(this.toCompany({ ...record, file, rowNumber: row.rowNumber, values: row.values }));
+    }
+
+    return { file, state, board: format.board, totalRows: rows.length, licenses, skipped, invalid };
+  }
+
+  /**
+   * Resolve which column feeds each license field
+   * @param {Array<string>} headers - File headers
+   * @param {object} format - LICENSE_FORMATS entry
+   * @returns {object} - { field: header }
+   */
+  resolveColumns(headers, format) {
+    const byKey = new Map(headers.map((header) => [headerKey(header), header]));
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(format.columns)) {
+      const header = aliases.map((alias) => byKey.get(alias)).find(Boolean);
+      if (header) columns[field] = header;
+    }
+    return columns;
+  }
+
+  /**
+   * Normalize and validate one row's values
+   * @param {object} values - { field: cell text }
+   * @param {object} format - LICENSE_FORMATS entry
+   * @param {string} state - State code
+   * @returns {object} - { record, errors }
+   */
+  validateRow(values, format, state) {
+    const errors = [];
+    const record = {
+      state,
+      license_number: values.license_number.replace(/\s+/g, '').toUpperCase(),
+      holder_name: values.holder_name || null,
+      business_name: values.business_name || null,
+      secondary_status: values.secondary_status || null,
+      address: values.address || null,
+      city: values.city || null,
+      zip: values.zip || null,
+      phone: null,
+    };
+
+    if (!record.license_number) {
+      errors.push({ field: 'license_number', value: '', message: 'Required' });
+    }
+    if (!record.holder_name && !record.business_name) {
+      errors.push({ field: 'business_name', value: '', message: 'No licensee or business name' });
+    }
+
+    record.classifications = values.classifications
+      ? values.classifications.split(/[|,;]/).map((c) => c.trim()).filter(Boolean)
+      : [];
+    const trade = record.classifications.find((c) =>
+      Object.values(format.verticals).flat().some((pattern) => pattern.test(c))
+    );
+    record.license_type = values.license_type || trade || record.classifications[0] || 'Contractor';
+
+    if (values.city_state_zip) {
+      // TDLR combines them: "HOUSTON, TX 77002"
+      const match = values.city_state_zip.match(/^(.*?),\s*([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/i);
+      if (match) {
+        record.city = match[1].trim();
+        record.zip = match[3];
+      } else {
+        record.city = values.city_state_zip;
+      }
+    }
+    if (record.zip) {
+      const zip = record.zip.replace(/^(\d{5})(\d{4})$/, '$1-$2');
+      record.zip = /^\d{1,4}$/.test(zip) ? zip.padStart(5, '0') : zip;
+    }
+
+    if (values.phone) {
+      let digits = values.phone.replace(/\D/g, '');
+      if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+      // Same format as the company connectors, so phones compare as strings
+      record.phone = digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : null;
+    }
+
+    for (const field of ['issue_date', 'expiration_date']) {
+      record[field] = values[field] ? parseLicenseDate(values[field]) : null;
+      if (values[field] && !record[field]) {
+        errors.push({ field, value: values[field], message: 'Not a date' });
+      }
+    }
+
+    record.status = values.status
+      ? normalizeLicenseStatus(values.status, values.secondary_status)
+      : format.defaultStatus || 'unknown';
+    if (record.status === 'active' && record.expiration_date && record.expiration_date < new Date().toISOString().substring(0, 10)) {
+      record.status = 'expired';
+    }
+    record.board_status = values.status || null;
+
+    return { record, errors };
+  }
+
+  /**
+   * Map a validated row into a license record
+   * @param {object} row - Validated fields plus { file, rowNumber, values }
+   * @returns {object} - License record (licenses table columns plus raw)
+   */
+  normalize(row) {
+    const { file, rowNumber, values, ...record } = row;
+    return { ...record, source_file: file, raw: values };
+  }
+
+  /**
+   * Provenance of a license row: the license itself, not the file row
+   * @param {object} row - { state, license_number }
+   * @returns {object}
+   */
+  provenanceOf(row) {
+    return { sourceId: `${row.state}:${row.license_number}`, sourceUrl: null };
+  }
+
+  /**
+   * License exports hold license records, not companies
+   * @throws {Error}
+   */
+  async search() {
+    throw new Error("state_license loads license records; import them with pipeline.importLicenses() (npm run licenses)");
+  }
+}
+
+module.exports = StateLicenseConnector;
+module.exports.LICENSE_FORMATS = LICENSE_FORMATS;
+module.exports.parseLicenseDate = parseLicenseDate;
+module.exports.normalizeLicenseStatus = normalizeLicenseStatus;
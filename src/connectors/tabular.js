@@ -0,0 +1,135 @@
+/**
+ * Tabular File Reader
+ * Reads CSV/TSV and XLSX files into a header plus rows, for the connectors
+ * that load downloaded or hand-maintained files (file_import, state_license)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+/**
+ * Canonical form of a column header, for matching
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+}
+
+/**
+ * Read a file's header and rows
+ * @param {string} filePath - .csv, .tsv, .txt or .xlsx file
+ * @param {object} options - { sheet: worksheet name or 1-based index (XLSX), delimiter (CSV) }
+ * @returns {Promise<object>} - { headers, rows: [{ rowNumber, values: { header: value } }] }
+ *   where rowNumber is the row as numbered in the file (the header is row 1)
+ * @throws {Error} - For other file types
+ */
+async function readTable(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.xlsx') {
+    return readWorkbook(filePath, options);
+  }
+  if (extension === '.csv' || extension === '.tsv' || extension === '.txt') {
+    return readDelimited(filePath, {
+      delimiter: options.delimiter || (extension === '.tsv' ? '\t' : ','),
+    });
+  }
+  throw new Error(`Unsupported file type '${extension}' (expected .csv, .tsv or .xlsx)`);
+}
+
+/**
+ * Read a CSV/TSV file
+ * @param {string} filePath - File path
+ * @param {object} options - { delimiter }
+ * @returns {object} - { headers, rows }
+ */
+function readDelimited(filePath, { delimiter }) {
+  const records = parse(fs.readFileSync(filePath), {
+    delimiter,
+    bom: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true,
+    info: true,
+  });
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [header, ...data] = records;
+  const headers = header.record.filter((h) => h !== '');
+  const rows = data
+    .filter(({ record }) => record.some((cell) => cell !== ''))
+    .map(({ record, info }) => ({
+      rowNumber: info.lines,
+      // Paired by position before blank headers are dropped, so later columns keep their cells
+      values: Object.fromEntries(
+        header.record.map((h, i) => [h, record[i] ?? '']).filter(([h]) => h !== '')
+      ),
+    }));
+
+  return { headers, rows };
+}
+
+/**
+ * Read a worksheet of an XLSX file (the header is its first non-empty row)
+ * @param {string} filePath - File path
+ * @param {object} options - { sheet }
+ * @returns {Promise<object>} - { headers, rows }
+ */
+async function readWorkbook(filePath, { sheet }) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error(`Worksheet '${sheet}' not found (sheets: ${workbook.worksheets.map((w) => w.name).join(', ')})`);
+  }
+
+  const cellValue = (cell) => {
+    const value = cell.value;
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') {
+      // Rich text, hyperlinks and formulas carry their displayed value inside
+      if (value.richText) return value.richText.map((part) => part.text).join('');
+      if (value.text !== undefined) return String(value.text);
+      if (value.result !== undefined) return value.result;
+      if (value instanceof Date) return value.toISOString().substring(0, 10);
+    }
+    return value;
+  };
+
+  let headerCells = null;
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cellValue(cell);
+    });
+    if (!headerCells) {
+      headerCells = cells.map((c) => String(c ?? '').trim());
+      return;
+    }
+    if (cells.every((c) => c === '' || c === undefined)) return;
+    rows.push({ rowNumber, cells });
+  });
+
+  const headers = (headerCells || []).filter((h) => h !== '');
+  return {
+    headers,
+    rows: rows.map(({ rowNumber, cells }) => ({
+      rowNumber,
+      values: Object.fromEntries(
+        (headerCells || [])
+          .map((h, i) => [h, cells[i] ?? ''])
+          .filter(([h]) => h !== '')
+          .map(([h, v]) => [h, typeof v === 'string' ? v.trim() : v])
+      ),
+    })),
+  };
+}
+
+module.exports = { readTable, headerKey };
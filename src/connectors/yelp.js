@@ -0,0 +1,305 @@
+/**
+ * Yelp Fusion API Connector
+ * Finds HVAC companies on Yelp
+ */
+
+const Connector = require('./connector');
+const scraperHttp = require('../http/scraper-http');
+const { estimateEmployees, servicesFromReviews } = require('./normalize');
+const { throwIfAborted } = require('../utils/abort');
+require('dotenv').config();
+
+// Map Yelp categories to services
+const CATEGORY_SERVICES = {
+  'HVAC': ['HVAC Services'],
+  'Heating & Air Conditioning/HVAC': ['HVAC Services'],
+  'Air Duct Cleaning': ['Duct Cleaning'],
+  'Home Services': ['Residential Services'],
+  'Plumbing': ['Plumbing'],
+  'Electricians': ['Electrical'],
+};
+
+const REVIEW_KEYWORDS = {
+  'AC Installation': ['install', 'installation', 'new ac'],
+  'AC Repair': ['repair', 'fix', 'broken'],
+  'Heating Services': ['heating', 'furnace', 'heater'],
+  'Maintenance Plans': ['maintenance', 'tune-up'],
+  'Emergency Service': ['emergency', 'same day', 'quick response'],
+  'Duct Cleaning': ['duct', 'cleaning'],
+};
+
+// Yelp collects fewer reviews per customer than Google
+const EMPLOYEE_REVIEW_THRESHOLDS = [30, 100, 200, 400];
+
+const MAX_RESULTS = 200; // Yelp API limit
+const MAX_RADIUS_METERS = 40000; // Yelp API limit
+
+/**
+ * Whether Yelp rate limited us: a 429 with ACCESS_LIMIT_REACHED means the
+ * daily quota is spent, any other 429 (TOO_MANY_REQUESTS_PER_SECOND) to slow down
+ * @param {object} response - HTTP response
+ * @returns {string|null} - 'rate' | 'quota' | null
+ */
+function yelpLimited(response) {
+  if (response.status !== 429) return null;
+  return response.data?.error?.code === 'ACCESS_LIMIT_REACHED' ? 'quota' : 'rate';
+}
+
+class YelpConnector extends Connector {
+  constructor() {
+    super({
+      name: 'yelp',
+      label: 'Yelp',
+      description: 'Yelp Fusion business search plus details and reviews',
+      requiredEnv: ['YELP_API_KEY'],
+      priority: 50,
+      confidence: 0.8,
+      reviewsField: 'yelp_reviews',
+      tiling: { maxRadiusMeters: MAX_RADIUS_METERS },
+      // Search results carry enough to keep a business whose details fail
+      fallbackToListing: true,
+    });
+    this.baseUrl = 'https://api.yelp.com/v3';
+  }
+
+  get apiKey() {
+    return process.env.YELP_API_KEY;
+  }
+
+  /**
+   * Search for businesses in a location
+   * Pages up to the API's 200-result cap; use tiling (see Connector.searchTiled)
+   * for more.
+   * @param {string} location - City, state (e.g., "Miami, FL")
+   * @param {object} options - { term (default: "HVAC"), limit: results per page (max 50), signal }
+   * @returns {Promise<Array>} - Business search results
+   */
+  async search(location, options = {}) {
+    const { term = 'HVAC', limit = 50, signal } = options;
+
+    try {
+      const { results: businesses } = await this.searchPages(
+        { term: term, location: location, sort_by: 'rating' },
+        { limit, signal }
+      );
+
+      console.log(`Total businesses found on Yelp: ${businesses.length}`);
+      return businesses;
+    } catch (error) {
+      console.error('Error searching Yelp:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search one cell of a tiled search within a radius of its centre
+   * @param {object} cell - { center: { lat, lng }, radiusMeters }
+   * @param {object} options - { term (default: "HVAC"), limit: results per page (max 50), signal }
+   * @returns {Promise<object>} - { results, pages, saturated }
+   */
+  async searchCell(cell, options = {}) {
+    const { term = 'HVAC', limit = 50, signal } = options;
+
+    const { results, pages, total } = await this.searchPages(
+      {
+        term: term,
+        latitude: cell.center.lat,
+        longitude: cell.center.lng,
+        radius: Math.min(cell.radiusMeters, MAX_RADIUS_METERS),
+        sort_by: 'distance',
+      },
+      { limit, signal }
+    );
+
+    return { results, pages, saturated: total > results.length };
+  }
+
+  /**
+   * Page through a business search up to MAX_RESULTS
+   * @param {object} params - Search parameters (without limit and offset)
+   * @param {object} options - { limit: results per page, signal }
+   * @returns {Promise<object>} - { results, pages, total: matches Yelp reports }
+   */
+  async searchPages(params, options = {}) {
+    const { limit = 50, signal } = options;
+    const results = [];
+    let pages = 0;
+    let total = 0;
+    let offset = 0;
+
+    while (offset < MAX_RESULTS) {
+      const response = await scraperHttp.get(`${this.baseUrl}/businesses/search`, {
+        api: this.name,
+        endpoint: 'search',
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        params: {
+          ...params,
+          limit: limit,
+          offset: offset,
+        },
+        credential: this.apiKey,
+        limited: yelpLimited,
+        signal,
+      });
+
+      const page = response.data.businesses;
+      results.push(...page);
+      total = response.data.total ?? results.length;
+      pages++;
+
+      console.log(`Retrieved ${page.length} businesses (offset: ${offset})`);
+
+      // Check if we've reached the end
+      if (page.length < limit) {
+        break;
+      }
+
+      offset += limit;
+      await this.throttle('page', signal);
+      throwIfAborted(signal);
+    }
+
+    return { results, pages, total };
+  }
+
+  /**
+   * Coordinates of a business, for tiled search
+   * @param {object} business - Business search result
+   * @returns {object|null} - { lat, lng }
+   */
+  locate(business) {
+    const { latitude, longitude } = business.coordinates || {};
+    return latitude != null && longitude != null ? { lat: latitude, lng: longitude } : null;
+  }
+
+  /**
+   * Get detailed business information, with reviews
+   * @param {object} listing - Business search result
+   * @param {object} options - { signal }
+   * @returns {Promise<object>} - Business details
+   */
+  async details(listing, options = {}) {
+    const response = await scraperHttp.get(`${this.baseUrl}/businesses/${listing.id}`, {
+      api: this.name,
+      endpoint: 'business',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+      credential: this.apiKey,
+      limited: yelpLimited,
+      signal: options.signal,
+    });
+
+    const business = response.data;
+    business.reviews = await this.getBusinessReviews(listing.id, options);
+    return business;
+  }
+
+  /**
+   * Get business reviews
+   * @param {string} businessId - Yelp business ID
+   * @param {object} options - { signal }
+   * @returns {Promise<Array>} - Array of reviews
+   */
+  async getBusinessReviews(businessId, options = {}) {
+    try {
+      const response = await scraperHttp.get(`${this.baseUrl}/businesses/${businessId}/reviews`, {
+        api: this.name,
+        endpoint: 'reviews',
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        credential: this.apiKey,
+        limited: yelpLimited,
+        signal: options.signal,
+      });
+
+      return response.data.reviews || [];
+    } catch (error) {
+      throwIfAborted(options.signal);
+      // Without quota the next business fails too; let the sweep stop
+      if (error.errorType === 'quota_exhausted') throw error;
+      console.error('Error fetching reviews:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Normalize Yelp data into our company schema
+   * @param {object} business - Yelp business data
+   * @returns {object} - Normalized company data
+   */
+  normalize(business) {
+    // Determine if 24/7
+    const is24_7 = business.hours?.[0]?.is_open_now &&
+                   business.hours[0]?.open?.some(
+                     (h) => h.start === '0000' && h.end === '0000'
+                   );
+
+    return {
+      // Identifiers
+      yelp_id: business.id,
+      legal_name: business.name,
+      dba: business.name,
+
+      // Contact info
+      domain: null, // Yelp does not give the business's own website
+      phone: business.phone || business.display_phone,
+      website: null, // business.url is the Yelp listing (kept as yelp_reviews.yelp_url)
+
+      // Location
+      address: business.location?.address1,
+      city: business.location?.city,
+      state: business.location?.state,
+      zip: business.location?.zip_code,
+      latitude: business.coordinates?.latitude,
+      longitude: business.coordinates?.longitude,
+
+      // Business info
+      vertical: 'HVAC',
+      business_status: business.is_closed ? 'CLOSED' : 'OPERATIONAL',
+
+      // Reviews and reputation
+      yelp_reviews: {
+        count: business.review_count || 0,
+        average_rating: business.rating || 0,
+        reviews: business.reviews || [],
+        yelp_url: business.url,
+      },
+
+      // Operations
+      service_hours: is24_7 ? '24/7' : 'Business hours',
+      categories: business.categories?.map((c) => c.title) || [],
+      services: this.extractServices(business.categories, business.reviews),
+      price_range: business.price,
+
+      // Transactions
+      transactions: business.transactions || [], // delivery, pickup, etc.
+
+      // Estimated data
+      estimated_employees: estimateEmployees(business.review_count, EMPLOYEE_REVIEW_THRESHOLDS),
+
+      raw_data: business,
+    };
+  }
+
+  /**
+   * Extract services from categories and reviews
+   * @param {Array} categories - Yelp categories
+   * @param {Array} reviews - Yelp reviews
+   * @returns {Array} - Extracted services
+   */
+  extractServices(categories = [], reviews = []) {
+    const services = new Set();
+
+    categories.forEach((cat) => {
+      (CATEGORY_SERVICES[cat.title || cat.alias] || []).forEach((s) => services.add(s));
+    });
+
+    return Array.from(servicesFromReviews(reviews, REVIEW_KEYWORDS, services));
+  }
+}
+
+module.exports = YelpConnector;
@@ -0,0 +1,110 @@
+/**
+ * robots.txt Rules
+ * Parses robots.txt and answers whether our crawler may fetch a path,
+ * following RFC 9309: the group naming our product token wins over `*`, the
+ * longest matching rule decides (Allow on a tie), `*` and `$` are wildcards.
+ * Crawl-delay, though not in the RFC, is honoured when a group sets it.
+ */
+
+/**
+ * Parse robots.txt into groups
+ * @param {string} text - robots.txt body
+ * @returns {Array} - [{ agents: ['*', ...], rules: [{ allow, path }], crawlDelay: seconds or null }]
+ */
+function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!group || !lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything; it adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Whether a robots path pattern matches a path
+ * @param {string} pattern - Rule path, with * and $ wildcards
+ * @param {string} path - URL path plus query
+ * @returns {boolean}
+ */
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+class RobotsPolicy {
+  /**
+   * @param {string|null} text - robots.txt body (null: no robots.txt, everything allowed)
+   * @param {string} userAgent - Our User-Agent; its product token ("RollizrBot") picks the group
+   * @param {object} options - { disallowAll: true when robots.txt could not be fetched (5xx) }
+   */
+  constructor(text, userAgent, options = {}) {
+    this.disallowAll = Boolean(options.disallowAll);
+    const token = String(userAgent).split('/')[0].trim().toLowerCase();
+    const groups = parseRobots(text);
+
+    const own = groups.filter((g) => g.agents.some((agent) => agent !== '*' && token.includes(agent)));
+    const selected = own.length > 0 ? own : groups.filter((g) => g.agents.includes('*'));
+
+    this.rules = selected.flatMap((g) => g.rules);
+    const delays = selected.map((g) => g.crawlDelay).filter((delay) => delay !== null);
+    this.crawlDelayMs = delays.length > 0 ? Math.max(...delays) * 1000 : null;
+  }
+
+  /**
+   * Whether a URL may be fetched
+   * @param {string} url - Absolute URL (or path)
+   * @returns {boolean}
+   */
+  isAllowed(url) {
+    if (this.disallowAll) return false;
+
+    const parsed = new URL(url, 'http://robots.invalid');
+    const path = `${parsed.pathname}${parsed.search}`;
+    if (path === '/robots.txt') return true;
+
+    let decision = null;
+    for (const rule of this.rules) {
+      if (!patternMatches(rule.path, path)) continue;
+      const length = rule.path.length;
+      if (!decision || length > decision.length || (length === decision.length && rule.allow)) {
+        decision = { length, allow: rule.allow };
+      }
+    }
+    return decision ? decision.allow : true;
+  }
+}
+
+module.exports = { RobotsPolicy, parseRobots };
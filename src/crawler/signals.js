@@ -0,0 +1,204 @@
+/**
+ * Website Signals
+ * Extracts the facts the Profiler looks for from a company's crawled pages:
+ * booking widgets and other software, financing partners, maintenance-plan
+ * pages, "family owned since YYYY" statements, license numbers, service-area
+ * cities and emergency service. Every finding keeps the URL it came from.
+ */
+
+const cheerio = require('cheerio');
+
+// Software recognised from script, iframe and link URLs or markup
+const TECH_PATTERNS = [
+  { name: 'ServiceTitan', category: 'scheduling', pattern: /servicetitan\.com|st-scheduler|servicetitan/i },
+  { name: 'Housecall Pro', category: 'scheduling', pattern: /housecallpro\.com|hcp-widget|housecall pro/i },
+  { name: 'Jobber', category: 'scheduling', pattern: /getjobber\.com|jobber-widget/i },
+  { name: 'FieldEdge', category: 'scheduling', pattern: /fieldedge\.com/i },
+  { name: 'Schedule Engine', category: 'scheduling', pattern: /scheduleengine\.(com|net)/i },
+  { name: 'Podium', category: 'marketing', pattern: /podium\.com|podium-widget/i },
+  { name: 'Birdeye', category: 'marketing', pattern: /birdeye\.com/i },
+  { name: 'Google Tag Manager', category: 'marketing', pattern: /googletagmanager\.com/i },
+  { name: 'WordPress', category: 'website', pattern: /wp-content\/|content="WordPress/i },
+  { name: 'Wix', category: 'website', pattern: /wixstatic\.com|content="Wix\.com/i },
+  { name: 'Squarespace', category: 'website', pattern: /squarespace\.com|static1\.squarespace/i },
+  { name: 'Scorpion', category: 'website', pattern: /scorpion\.co/i },
+];
+
+// Consumer financing partners; only counted on pages that talk about financing
+const FINANCING_PARTNERS = [
+  { name: 'Synchrony', pattern: /synchrony/i },
+  { name: 'GreenSky', pattern: /greensky/i },
+  { name: 'Wells Fargo', pattern: /wells\s*fargo/i },
+  { name: 'Service Finance', pattern: /service\s*finance|svcfin\.com/i },
+  { name: 'Hearth', pattern: /gethearth\.com|\bhearth financing/i },
+  { name: 'Mosaic', pattern: /joinmosaic\.com|\bmosaic\b/i },
+  { name: 'EnerBank', pattern: /enerbank|regions home improvement/i },
+  { name: 'GoodLeap', pattern: /goodleap/i },
+  { name: 'FTL Finance', pattern: /ftl\s*finance|ftlfinance/i },
+  { name: 'Microf', pattern: /microf/i },
+];
+
+const FINANCING_CONTEXT = /financ|monthly payments?|apr\b|credit application|apply for credit/i;
+
+const MAINTENANCE_PLAN = /maintenance (plan|agreement|program|club|membership)|service (plan|agreement)s?\b|comfort club|membership (plan|program)|tune-?up club/i;
+
+const EMERGENCY_SERVICE = /24\s*\/\s*7|24 hours|emergency (service|repair|hvac|ac)/i;
+
+const FOUNDED_STATEMENTS = [
+  /family[- ]owned(?: and[- ]operated)?(?: business)? since (\d{4})/i,
+  /(?:since|established|est\.|founded(?: in)?|serving [^.]{0,60} since|in business since) (\d{4})/i,
+];
+const FAMILY_OWNED = /family[- ]owned|family business|family-run/i;
+
+// Contractor license numbers: FL DBPR and TX TDLR prefixes, or a number after "License #"
+const LICENSE_PATTERNS = [
+  { state: 'FL', pattern: /\b(CAC|CMC|RA|CFC|CGC|CBC|CRC|EC)\s?-?\s?(\d{5,7})\b/g },
+  { state: 'TX', pattern: /\b(TACL[AB])\s?-?\s?(\d{5,8}[A-Z]?)\b/g },
+  { state: null, pattern: /\blic(?:ense)?\.?\s*(?:no\.?|number|#)\s*:?\s*([A-Z]{0,4})-?(\d{5,10})\b/gi },
+];
+
+const SERVICE_AREA_HEADING = /service areas?|areas (we )?serve|cities we serve|communities (we )?serve|where we work|serving/i;
+
+/**
+ * Visible text of a page, whitespace collapsed
+ * @param {object} $ - Cheerio document
+ * @returns {string}
+ */
+function pageText($) {
+  const body = $('body').clone();
+  body.find('script, style, noscript').remove();
+  return body.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A short excerpt around a match
+ * @param {string} text - Page text
+ * @param {number} index - Match position
+ * @returns {string}
+ */
+function excerpt(text, index) {
+  return text.substring(Math.max(0, index - 40), index + 80).trim();
+}
+
+/**
+ * City names listed under a service-area heading
+ * @param {object} $ - Cheerio document
+ * @returns {Array<string>}
+ */
+function serviceAreaCities($) {
+  const cities = [];
+  $('h1, h2, h3, h4').each((i, heading) => {
+    if (!SERVICE_AREA_HEADING.test($(heading).text())) return;
+
+    // The list (or paragraph) that follows the heading, within its section
+    const section = $(heading).nextUntil('h1, h2, h3, h4');
+    section.find('li').add(section.filter('li')).each((j, item) => {
+      cities.push($(item).text());
+    });
+    section.filter('p').each((j, paragraph) => {
+      const text = $(paragraph).text();
+      if (text.length < 300 && /,/.test(text)) cities.push(...text.split(/,|\band\b/));
+    });
+  });
+
+  return cities
+    .map((city) => city.replace(/\s+/g, ' ').replace(/^[\s,.]+|[\s,.]+$/g, '').replace(/,?\s+[A-Z]{2}$/, ''))
+    .filter((city) => /^[A-Z][A-Za-z.' -]{1,39}$/.test(city));
+}
+
+/**
+ * Extract signals from crawled pages
+ * @param {Array} pages - [{ url, html }]
+ * @returns {object} - { techStack: [{ name, category, url }], bookingWidgets: [names],
+ *   financing: { offered, partners: [{ name, url }], url }, maintenancePlans: [{ title, url }],
+ *   familyOwned, foundedYear, foundedStatement: { text, url }, licenseNumbers: [{ number, state, url }],
+ *   serviceAreas: [cities], emergencyService }
+ */
+function extractSignals(pages) {
+  const currentYear = new Date().getFullYear();
+  const signals = {
+    techStack: [],
+    bookingWidgets: [],
+    financing: { offered: false, partners: [], url: null },
+    maintenancePlans: [],
+    familyOwned: false,
+    foundedYear: null,
+    foundedStatement: null,
+    licenseNumbers: [],
+    serviceAreas: [],
+    emergencyService: false,
+  };
+  const seen = new Set();
+  const once = (key) => !seen.has(key) && seen.add(key);
+
+  for (const { url, html } of pages) {
+    const $ = cheerio.load(html);
+    const text = pageText($);
+    const title = $('title').first().text().trim() || $('h1').first().text().trim();
+    const markup = [
+      ...$('script[src], iframe[src]').map((i, el) => $(el).attr('src')).get(),
+      ...$('a[href]').map((i, el) => $(el).attr('href')).get(),
+      ...$('meta[name="generator"]').map((i, el) => `content="${$(el).attr('content')}"`).get(),
+      $('script:not([src])').text(),
+      $('[class]').map((i, el) => $(el).attr('class')).get().join(' '),
+    ].join('\n');
+
+    TECH_PATTERNS.forEach(({ name, category, pattern }) => {
+      if (pattern.test(markup) && once(`tech:${name}`)) {
+        signals.techStack.push({ name, category, url });
+      }
+    });
+
+    if (FINANCING_CONTEXT.test(text) || /financ/i.test(url)) {
+      signals.financing.offered = true;
+      // Prefer the (first) financing page itself over a page that merely links to it
+      const financingPage = /financ/i.test(`${url} ${title}`);
+      if (financingPage ? !/financ/i.test(signals.financing.url || '') : !signals.financing.url) {
+        signals.financing.url = url;
+      }
+      FINANCING_PARTNERS.forEach(({ name, pattern }) => {
+        if ((pattern.test(text) || pattern.test(markup)) && once(`financing:${name}`)) {
+          signals.financing.partners.push({ name, url });
+        }
+      });
+    }
+
+    const pathWords = new URL(url).pathname.replace(/[-_/]/g, ' ');
+    if ((MAINTENANCE_PLAN.test(title) || MAINTENANCE_PLAN.test(pathWords)) && once(`plan:${url}`)) {
+      signals.maintenancePlans.push({ title: title || null, url });
+    }
+
+    if (FAMILY_OWNED.test(text)) signals.familyOwned = true;
+    if (!signals.foundedYear) {
+      for (const pattern of FOUNDED_STATEMENTS) {
+        const match = text.match(pattern);
+        const year = match ? Number(match[1]) : null;
+        if (year && year >= 1900 && year <= currentYear) {
+          signals.foundedYear = year;
+          signals.foundedStatement = { text: excerpt(text, match.index), url };
+          break;
+        }
+      }
+    }
+
+    LICENSE_PATTERNS.forEach(({ state, pattern }) => {
+      for (const match of text.matchAll(pattern)) {
+        const number = `${match[1] || ''}${match[2]}`.toUpperCase();
+        if (once(`license:${number}`)) {
+          signals.licenseNumbers.push({ number, state, url });
+        }
+      }
+    });
+
+    serviceAreaCities($).forEach((city) => {
+      if (once(`area:${city.toLowerCase()}`)) signals.serviceAreas.push(city);
+    });
+
+    if (EMERGENCY_SERVICE.test(text)) signals.emergencyService = true;
+  }
+
+  signals.bookingWidgets = signals.techStack.filter((t) => t.category === 'scheduling').map((t) => t.name);
+  return signals;
+}
+
+module.exports = { extractSignals, TECH_PATTERNS, FINANCING_PARTNERS };
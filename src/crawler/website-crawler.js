@@ -0,0 +1,323 @@
+/**
+ * Website Crawler
+ * Politely crawls a company's website and extracts Profiler signals
+ *
+ * Politeness: robots.txt is fetched first and obeyed (our group, else `*`;
+ * an unreachable robots.txt stops the crawl), at most CRAWLER_MAX_PAGES pages
+ * are fetched per domain, one at a time, CRAWLER_REQUEST_INTERVAL_MS apart (or
+ * the site's Crawl-delay when longer), and only same-site HTML pages are
+ * followed, the ones most likely to carry signals (financing, maintenance
+ * plans, service areas, about) first.
+ *
+ * Results are cached per domain for CRAWLER_CACHE_TTL_HOURS: in memory, and
+ * with DATABASE_URL from the latest `website` data_sources record, so a
+ * company is not re-crawled on every profiling run.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const db = require('../db/connection');
+const { RobotsPolicy } = require('./robots');
+const { extractSignals } = require('./signals');
+const { sleep } = require('../utils/retry');
+const { throwIfAborted } = require('../utils/abort');
+require('dotenv').config();
+
+// Links worth following first, best first
+const LINK_PRIORITIES = [
+  /financ/i,
+  /maintenance|service-?plan|membership|club|agreement/i,
+  /service-?areas?|areas-?we-?serve|locations|cities/i,
+  /about|history|our-?story|family/i,
+  /licens|contact/i,
+  /services?|hvac|air-?condition|heating|cooling/i,
+];
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|mp4|mp3|docx?|xlsx?)$/i;
+
+/**
+ * Host of a URL without www., including any port
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function siteKey(url) {
+  try {
+    return new URL(url).host.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+class WebsiteCrawler {
+  /**
+   * @param {object} options - { maxPages, requestIntervalMs, timeoutMs, maxPageBytes, userAgent,
+   *   cacheTtlMs, http: axios-compatible client }
+   */
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || parseInt(process.env.CRAWLER_MAX_PAGES || '8', 10);
+    this.requestIntervalMs =
+      options.requestIntervalMs ?? parseInt(process.env.CRAWLER_REQUEST_INTERVAL_MS || '1000', 10);
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.CRAWLER_TIMEOUT_MS || '10000', 10);
+    this.maxPageBytes = options.maxPageBytes || 2 * 1024 * 1024;
+    this.userAgent =
+      options.userAgent || process.env.CRAWLER_USER_AGENT || 'RollizrBot/0.1 (+https://github.com/PROACTIVA-US/Rollizr)';
+    this.cacheTtlMs =
+      options.cacheTtlMs ?? parseFloat(process.env.CRAWLER_CACHE_TTL_HOURS || '168') * 3600000;
+    this.http = options.http || axios;
+    this.cache = new Map(); // site → crawl result
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.CRAWLER_CACHE_PERSIST !== 'false';
+  }
+
+  /**
+   * Crawl a website (or return its cached crawl)
+   * @param {string} website - Website URL or bare domain
+   * @param {object} options - { maxPages, refresh: ignore the cache, signal: AbortSignal }
+   * @returns {Promise<object>} - { site, url, crawledAt, cached, reachable: whether any page loaded,
+   *   robots: { found, crawlDelayMs }, pages: [{ url, status, title }], skipped: { robots, limit },
+   *   signals (see extractSignals) }
+   * @throws {Error} - When the URL is invalid or the crawl is aborted
+   */
+  async crawl(website, options = {}) {
+    const url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+    const site = siteKey(url);
+    if (!site) {
+      throw new Error(`Invalid website '${website}'`);
+    }
+
+    if (!options.refresh) {
+      const cached = await this.getCached(site);
+      if (cached) return { ...cached, cached: true };
+    }
+
+    const result = await this._crawlSite(url, site, options);
+    // An unreachable site is tried again next time rather than cached as empty
+    if (result.reachable) {
+      this.cache.set(site, result);
+    }
+    return { ...result, cached: false };
+  }
+
+  /**
+   * A fresh cached crawl of a site
+   * @param {string} site - Host without www.
+   * @returns {Promise<object|null>}
+   */
+  async getCached(site) {
+    const fresh = (result) => result && Date.now() - new Date(result.crawledAt).getTime() < this.cacheTtlMs;
+
+    const inMemory = this.cache.get(site);
+    if (fresh(inMemory)) return inMemory;
+
+    if (this.persist) {
+      const result = await db.query(
+        `SELECT data FROM data_sources
+         WHERE source_type = 'website' AND data->>'site' = $1
+         ORDER BY scraped_at DESC LIMIT 1`,
+        [site]
+      );
+      const stored = result.rows[0]?.data;
+      if (fresh(stored)) {
+        this.cache.set(site, stored);
+        return stored;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The latest stored crawl for a company (no network)
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<object|null>} - Crawl result, or null without a database or crawl
+   */
+  async findLatest(companyId) {
+    if (!this.persist || !companyId) return null;
+
+    const result = await db.query(
+      `SELECT data FROM data_sources
+       WHERE company_id = $1 AND source_type = 'website'
+       ORDER BY scraped_at DESC LIMIT 1`,
+      [companyId]
+    );
+    return result.rows[0]?.data || null;
+  }
+
+  /**
+   * The Profiler's view of a crawl (context.websiteSignals)
+   * @param {object} crawl - Crawl result
+   * @returns {object} - { url, crawledAt, ...signals }
+   */
+  profilerSignals(crawl) {
+    return { url: crawl.url, crawledAt: crawl.crawledAt, ...crawl.signals };
+  }
+
+  /**
+   * Clear the in-memory cache (for tests)
+   */
+  reset() {
+    this.cache.clear();
+  }
+
+  /**
+   * Crawl one site breadth-first, best links first
+   * @param {string} url - Start URL
+   * @param {string} site - Host without www.
+   * @param {object} options - { maxPages, signal }
+   * @returns {Promise<object>} - Crawl result
+   */
+  async _crawlSite(url, site, options) {
+    const { signal } = options;
+    const maxPages = options.maxPages || this.maxPages;
+    const origin = new URL(url).origin;
+
+    console.log(`   🕸️  Crawling ${site}`);
+    const robots = await this._fetchRobots(origin, signal);
+    const intervalMs = Math.max(this.requestIntervalMs, robots.crawlDelayMs || 0);
+
+    const queue = [{ url: new URL('/', url).href, priority: -1 }];
+    const queued = new Set([queue[0].url]);
+    const pages = [];
+    const fetched = [];
+    const skipped = { robots: 0, limit: 0 };
+
+    while (queue.length > 0) {
+      throwIfAborted(signal);
+      const next = queue.shift();
+      if (!robots.isAllowed(next.url)) {
+        skipped.robots++;
+        continue;
+      }
+      if (fetched.length >= maxPages) {
+        skipped.limit += queue.length + 1;
+        break;
+      }
+
+      if (fetched.length > 0) await sleep(intervalMs, signal);
+      const page = await this._fetchPage(next.url, signal);
+      fetched.push({ url: next.url, status: page.status, title: page.title || null });
+      if (!page.html) continue;
+      pages.push({ url: next.url, html: page.html });
+
+      this._links(page.html, next.url, site).forEach((link) => {
+        if (queued.has(link.url)) return;
+        queued.add(link.url);
+        queue.push(link);
+      });
+      // Stable sort: equally promising links keep page order
+      queue.sort((a, b) => a.priority - b.priority);
+    }
+
+    return {
+      site,
+      url: new URL('/', url).href,
+      crawledAt: new Date().toISOString(),
+      reachable: pages.length > 0,
+      robots: { found: robots.found, crawlDelayMs: robots.crawlDelayMs },
+      pages: fetched,
+      skipped,
+      signals: extractSignals(pages),
+    };
+  }
+
+  /**
+   * Fetch and parse robots.txt
+   * A missing robots.txt (4xx) allows everything; an unreachable one (5xx,
+   * network error) is treated as disallowing everything, per RFC 9309.
+   * @param {string} origin - Site origin
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<RobotsPolicy>} - Policy, with `found`
+   */
+  async _fetchRobots(origin, signal) {
+    let policy;
+    try {
+      const response = await this._get(`${origin}/robots.txt`, signal);
+      if (response.status >= 500) {
+        policy = new RobotsPolicy(null, this.userAgent, { disallowAll: true });
+      } else {
+        policy = new RobotsPolicy(response.status < 400 ? response.data : null, this.userAgent);
+      }
+      policy.found = response.status < 400;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`   robots.txt unreachable for ${origin}: ${error.message}`);
+      policy = new RobotsPolicy(null, this.userAgent, { disallowAll: true });
+      policy.found = false;
+    }
+    return policy;
+  }
+
+  /**
+   * Fetch one page
+   * @param {string} url - Page URL
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<object>} - { status, html, title }; html is null for errors and non-HTML
+   */
+  async _fetchPage(url, signal) {
+    try {
+      const response = await this._get(url, signal);
+      const type = String(response.headers?.['content-type'] || '');
+      if (response.status >= 400 || !/html/i.test(type)) {
+        return { status: response.status, html: null };
+      }
+      const html = String(response.data);
+      return { status: response.status, html, title: cheerio.load(html)('title').first().text().trim() };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return { status: null, html: null, error: error.message };
+    }
+  }
+
+  /**
+   * GET with our User-Agent, timeout and size cap; any status resolves
+   * @param {string} url - URL
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<object>} - Axios response
+   */
+  async _get(url, signal) {
+    return this.http.get(url, {
+      headers: { 'User-Agent': this.userAgent, Accept: 'text/html,text/plain;q=0.9,*/*;q=0.5' },
+      timeout: this.timeoutMs,
+      maxContentLength: this.maxPageBytes,
+      maxRedirects: 3,
+      responseType: 'text',
+      validateStatus: () => true,
+      signal,
+    });
+  }
+
+  /**
+   * Same-site page links of a page, with their follow priority
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL
+   * @param {string} site - Host without www.
+   * @returns {Array} - [{ url, priority }] (lower is sooner)
+   */
+  _links(html, pageUrl, site) {
+    const $ = cheerio.load(html);
+    const links = [];
+
+    $('a[href]').each((i, anchor) => {
+      let url;
+      try {
+        url = new URL($(anchor).attr('href'), pageUrl);
+      } catch (e) {
+        return;
+      }
+      if (!/^https?:$/.test(url.protocol) || siteKey(url.href) !== site) return;
+      if (SKIPPED_EXTENSIONS.test(url.pathname)) return;
+
+      url.hash = '';
+      const label = `${url.pathname} ${$(anchor).text()}`.toLowerCase().replace(/\s+/g, '-');
+      const priority = LINK_PRIORITIES.findIndex((pattern) => pattern.test(label));
+      links.push({ url: url.href, priority: priority === -1 ? LINK_PRIORITIES.length : priority });
+    });
+
+    return links;
+  }
+}
+
+// Export singleton instance
+const websiteCrawler = new WebsiteCrawler();
+
+module.exports = websiteCrawler;
+module.exports.WebsiteCrawler = WebsiteCrawler;
+module.exports.siteKey = siteKey;
@@ -0,0 +1,88 @@
+/**
+ * Communication Model
+ * Database operations for the outreach communications log
+ */
+
+const db = require('../connection');
+const eventBus = require('../../events/event-bus');
+
+class Communication {
+  /**
+   * Log a communication
+   * @param {object} data - { company_id, contact_id, channel, direction, subject, message_body,
+   *   status, sent_at, sequence_step, compliance_checked, metadata }
+   * @returns {Promise<object>} - Created communication
+   */
+  static async create(data) {
+    const query = `
+      INSERT INTO communications (
+        company_id, contact_id, channel, direction, subject, message_body,
+        status, sent_at, sequence_step, compliance_checked, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `;
+    const result = await db.query(query, [
+      data.company_id,
+      data.contact_id,
+      data.channel,
+      data.direction || 'outbound',
+      data.subject,
+      data.message_body,
+      data.status || 'sent',
+      data.sent_at,
+      data.sequence_step,
+      data.compliance_checked || false,
+      data.metadata ? JSON.stringify(data.metadata) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find the communications with a company
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<Array>} - Communications, newest first
+   */
+  static async findByCompany(companyId) {
+    const result = await db.query(
+      'SELECT * FROM communications WHERE company_id = $1 ORDER BY created_at DESC',
+      [companyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record that the contact replied to a communication
+   * @param {string} id - Communication UUID
+   * @param {Date} repliedAt - When the reply arrived (default: now)
+   * @returns {Promise<object|null>} - Updated communication, or null when not found
+   */
+  static async markReplied(id, repliedAt = new Date()) {
+    const result = await db.query(
+      `UPDATE communications
+       SET status = 'replied', replied_at = $2
+       WHERE id = $1
+       RETURNING *`,
+      [id, repliedAt]
+    );
+    const communication = result.rows[0];
+    if (!communication) {
+      return null;
+    }
+
+    await eventBus.publish(
+      'communication.replied',
+      {
+        communicationId: communication.id,
+        companyId: communication.company_id,
+        contactId: communication.contact_id || null,
+        channel: communication.channel,
+        repliedAt: new Date(communication.replied_at).toISOString(),
+      },
+      { source: 'Communication' }
+    );
+
+    return communication;
+  }
+}
+
+module.exports = Communication;
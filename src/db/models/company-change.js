@@ -0,0 +1,105 @@
+/**
+ * Company Change Model
+ * Database operations for company change history (field-level diffs found
+ * when re-ingestion updates a company)
+ */
+
+const db = require('../connection');
+
+class CompanyChange {
+  /**
+   * Record the changes found in one ingestion of a company
+   * @param {string} companyId - Company UUID
+   * @param {Array} changes - [{ field, previous, current, delta, since, summary }] (see change-detector.js)
+   * @param {object} options - { source: data source of the ingested record, workflowRunId }
+   * @returns {Promise<Array>} - Stored rows
+   */
+  static async record(companyId, changes, options = {}) {
+    const { source = null, workflowRunId = null } = options;
+    const rows = [];
+
+    for (const change of changes) {
+      const result = await db.query(
+        `INSERT INTO company_changes (
+           company_id, field, previous_value, current_value, delta, since, summary, source, workflow_run_id
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          companyId,
+          change.field,
+          JSON.stringify(change.previous ?? null),
+          JSON.stringify(change.current ?? null),
+          change.delta ?? null,
+          change.since || null,
+          change.summary || null,
+          source,
+          workflowRunId,
+        ]
+      );
+      rows.push(result.rows[0]);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Change history of a company
+   * @param {string} companyId - Company UUID
+   * @param {object} options - { field, limit }
+   * @returns {Promise<Array>} - Changes, newest first
+   */
+  static async findByCompany(companyId, options = {}) {
+    const { field = null, limit = 100 } = options;
+
+    const query = `
+      SELECT *
+      FROM company_changes
+      WHERE company_id = $1
+        AND ($2::varchar IS NULL OR field = $2)
+      ORDER BY detected_at DESC
+      LIMIT $3
+    `;
+    const result = await db.query(query, [companyId, field, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Recent changes across companies
+   * @param {object} options - { since: timestamp lower bound, field, limit }
+   * @returns {Promise<Array>} - Changes with the company's legal_name, newest first
+   */
+  static async findRecent(options = {}) {
+    const { since = null, field = null, limit = 100 } = options;
+
+    const query = `
+      SELECT ch.*, c.legal_name
+      FROM company_changes ch
+      JOIN companies c ON c.id = ch.company_id
+      WHERE ($1::timestamp IS NULL OR ch.detected_at >= $1)
+        AND ($2::varchar IS NULL OR ch.field = $2)
+      ORDER BY ch.detected_at DESC
+      LIMIT $3
+    `;
+    const result = await db.query(query, [since, field, limit]);
+    return result.rows;
+  }
+
+  /**
+   * When each field of a company last changed
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<object>} - { [field]: Date }
+   */
+  static async lastChanged(companyId) {
+    const result = await db.query(
+      `SELECT field, MAX(detected_at) AS changed_at
+       FROM company_changes
+       WHERE company_id = $1
+       GROUP BY field`,
+      [companyId]
+    );
+    return Object.fromEntries(result.rows.map((row) => [row.field, new Date(row.changed_at)]));
+  }
+}
+
+module.exports = CompanyChange;
@@ -4,6 +4,7 @@
  */
 
 const db = require('../connection');
+const eventBus = require('../../events/event-bus');
 
 class Company {
   /**
@@ -31,9 +32,14 @@ class Company {
       estimated_revenue,
       estimated_employees,
       years_in_business,
+      google_rating,
+      google_review_count,
+      yelp_rating,
+      yelp_review_count,
       google_place_id,
       yelp_id,
       data_quality_score,
+      field_sources,
     } = data;
 
     const query = `
@@ -42,8 +48,12 @@ class Company {
         address, city, state, zip, latitude, longitude,
         naics, vertical, business_status,
         estimated_revenue, estimated_employees, years_in_business,
-        google_place_id, yelp_id, data_quality_score
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        google_rating, google_review_count, yelp_rating, yelp_review_count,
+        google_place_id, yelp_id, data_quality_score, field_sources
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+        $19, $20, $21, $22, $23, $24, $25, $26
+      )
       RETURNING *
     `;
 
@@ -66,9 +76,14 @@ class Company {
       estimated_revenue,
       estimated_employees,
       years_in_business,
+      google_rating,
+      google_review_count,
+      yelp_rating,
+      yelp_review_count,
       google_place_id,
       yelp_id,
       data_quality_score,
+      JSON.stringify(field_sources || {}),
     ];
 
     try {
@@ -104,6 +119,27 @@ class Company {
     return result.rows[0];
   }
 
+  /**
+   * Find the stored companies a record identifies by its external IDs
+   * Google place ID first, then Yelp ID, then domain; a record can match
+   * several companies when its IDs were stored on separate rows.
+   * @param {object} ids - { google_place_id, yelp_id, domain }
+   * @returns {Promise<Array>} - Matching companies, best identifier first
+   */
+  static async findByExternalIds(ids) {
+    const { google_place_id = null, yelp_id = null, domain = null } = ids;
+    if (!google_place_id && !yelp_id && !domain) return [];
+
+    const query = `
+      SELECT *
+      FROM companies
+      WHERE google_place_id = $1 OR yelp_id = $2 OR domain = $3
+      ORDER BY (google_place_id = $1) IS TRUE DESC, (yelp_id = $2) IS TRUE DESC
+    `;
+    const result = await db.query(query, [google_place_id, yelp_id, domain]);
+    return result.rows;
+  }
+
   /**
    * Find companies by location
    * @param {string} city - City name
@@ -118,6 +154,16 @@ class Company {
     return result.rows;
   }
 
+  /**
+   * Find companies in a state
+   * @param {string} state - State code
+   * @returns {Promise<Array>} - Companies
+   */
+  static async findByState(state) {
+    const result = await db.query('SELECT * FROM companies WHERE state = $1', [state]);
+    return result.rows;
+  }
+
   /**
    * Find companies by vertical
    * @param {string} vertical - Industry vertical
@@ -147,7 +193,7 @@ class Company {
   }
 
   /**
-   * Update company
+   * Update company (publishes company.updated)
    * @param {string} id - Company UUID
    * @param {object} data - Updated data
    * @returns {Promise<object>} - Updated company
@@ -167,7 +213,13 @@ class Company {
     `;
 
     const result = await db.query(query, [id, ...values]);
-    return result.rows[0];
+    const company = result.rows[0];
+
+    if (company) {
+      await eventBus.publish('company.updated', { companyId: id, fields }, { source: 'Company' });
+    }
+
+    return company;
   }
 
   /**
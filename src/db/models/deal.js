@@ -0,0 +1,117 @@
+/**
+ * Deal Model
+ * Database operations for the deal pipeline
+ */
+
+const db = require('../connection');
+const eventBus = require('../../events/event-bus');
+
+// Pipeline stages, in order
+const STAGES = ['uncontacted', 'engaged', 'diligence', 'loi', 'close', 'integrating'];
+
+class Deal {
+  /**
+   * Open a deal for a company
+   * @param {object} data - { company_id, stage, owner, estimated_value_low, estimated_value_mid,
+   *   estimated_value_high, confidence, next_action }
+   * @returns {Promise<object>} - Created deal
+   */
+  static async create(data) {
+    const stage = data.stage || 'uncontacted';
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown deal stage '${stage}' (expected one of ${STAGES.join(', ')})`);
+    }
+
+    const query = `
+      INSERT INTO deals (
+        company_id, stage, owner,
+        estimated_value_low, estimated_value_mid, estimated_value_high,
+        confidence, next_action
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const result = await db.query(query, [
+      data.company_id,
+      stage,
+      data.owner,
+      data.estimated_value_low,
+      data.estimated_value_mid,
+      data.estimated_value_high,
+      data.confidence,
+      data.next_action,
+    ]);
+    const deal = result.rows[0];
+
+    await eventBus.publish(
+      'deal.created',
+      { dealId: deal.id, companyId: deal.company_id, stage: deal.stage, owner: deal.owner || null },
+      { source: 'Deal' }
+    );
+
+    return deal;
+  }
+
+  /**
+   * Find deal by ID
+   * @param {string} id - Deal UUID
+   * @returns {Promise<object>} - Deal data
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM deals WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find the deals for a company
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<Array>} - Deals, newest first
+   */
+  static async findByCompany(companyId) {
+    const result = await db.query(
+      'SELECT * FROM deals WHERE company_id = $1 ORDER BY created_at DESC',
+      [companyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Move a deal to another stage
+   * @param {string} id - Deal UUID
+   * @param {string} stage - New stage
+   * @returns {Promise<object|null>} - Updated deal, or null when not found
+   */
+  static async updateStage(id, stage) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown deal stage '${stage}' (expected one of ${STAGES.join(', ')})`);
+    }
+
+    // The subquery reads the stage before the update
+    const query = `
+      UPDATE deals d
+      SET stage = $2, updated_at = CURRENT_TIMESTAMP
+      FROM (SELECT id, stage AS previous_stage FROM deals WHERE id = $1 FOR UPDATE) previous
+      WHERE d.id = previous.id
+      RETURNING d.*, previous.previous_stage
+    `;
+    const result = await db.query(query, [id, stage]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const { previous_stage: previousStage, ...deal } = row;
+    if (previousStage !== stage) {
+      await eventBus.publish(
+        'deal.stage_changed',
+        { dealId: deal.id, companyId: deal.company_id, stage, previousStage },
+        { source: 'Deal' }
+      );
+    }
+
+    return deal;
+  }
+}
+
+Deal.STAGES = STAGES;
+
+module.exports = Deal;
@@ -0,0 +1,188 @@
+/**
+ * License Model
+ * Database operations for business licenses
+ */
+
+const db = require('../connection');
+
+class License {
+  /**
+   * Find licenses for a company
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<Array>} - Licenses, active first then by expiration
+   */
+  static async findByCompany(companyId) {
+    const query = `
+      SELECT *
+      FROM licenses
+      WHERE company_id = $1
+      ORDER BY (status = 'active') DESC, expiration_date DESC NULLS LAST
+    `;
+    const result = await db.query(query, [companyId]);
+    return result.rows;
+  }
+
+  /**
+   * Find a license by number
+   * @param {string} licenseNumber - License number
+   * @param {string} state - State code
+   * @returns {Promise<object>} - License data
+   */
+  static async findByNumber(licenseNumber, state) {
+    const result = await db.query(
+      'SELECT * FROM licenses WHERE license_number = $1 AND state = $2',
+      [licenseNumber, state]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Insert or refresh a license from a board export
+   * A license already linked to a company keeps that link; an unlinked one
+   * takes the new match (or candidate) when there is one.
+   * @param {object} license - License record (state_license connector) plus company_id,
+   *   match_confidence and match_signals
+   * @returns {Promise<object>} - The stored license, with `inserted` true for new ones
+   */
+  static async upsert(license) {
+    const query = `
+      INSERT INTO licenses (
+        company_id, license_type, license_number, state, status, board_status, secondary_status,
+        classifications, issue_date, expiration_date, holder_name, business_name, address, city,
+        zip, phone, match_confidence, match_signals, source, source_file, raw
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+      ON CONFLICT (state, license_number) DO UPDATE SET
+        license_type = EXCLUDED.license_type,
+        status = EXCLUDED.status,
+        board_status = EXCLUDED.board_status,
+        secondary_status = EXCLUDED.secondary_status,
+        classifications = EXCLUDED.classifications,
+        issue_date = EXCLUDED.issue_date,
+        expiration_date = EXCLUDED.expiration_date,
+        holder_name = EXCLUDED.holder_name,
+        business_name = EXCLUDED.business_name,
+        address = EXCLUDED.address,
+        city = EXCLUDED.city,
+        zip = EXCLUDED.zip,
+        phone = EXCLUDED.phone,
+        source = EXCLUDED.source,
+        source_file = EXCLUDED.source_file,
+        raw = EXCLUDED.raw,
+        company_id = COALESCE(licenses.company_id, EXCLUDED.company_id),
+        match_confidence = CASE WHEN licenses.company_id IS NULL
+          THEN EXCLUDED.match_confidence ELSE licenses.match_confidence END,
+        match_signals = CASE WHEN licenses.company_id IS NULL
+          THEN EXCLUDED.match_signals ELSE licenses.match_signals END
+      RETURNING *, (xmax = 0) AS inserted
+    `;
+    const result = await db.query(query, [
+      license.company_id || null,
+      license.license_type,
+      license.license_number,
+      license.state,
+      license.status,
+      license.board_status || null,
+      license.secondary_status || null,
+      license.classifications || [],
+      license.issue_date || null,
+      license.expiration_date || null,
+      license.holder_name || null,
+      license.business_name || null,
+      license.address || null,
+      license.city || null,
+      license.zip || null,
+      license.phone || null,
+      license.match_confidence ?? null,
+      license.match_signals ? JSON.stringify(license.match_signals) : null,
+      license.source || null,
+      license.source_file || null,
+      license.raw ? JSON.stringify(license.raw) : null,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Licenses not linked to any company
+   * @param {object} filters - { state, review: only those with a candidate awaiting review, limit }
+   * @returns {Promise<Array>} - Highest match confidence first
+   */
+  static async findUnlinked({ state = null, review = false, limit = null } = {}) {
+    const result = await db.query(
+      `SELECT * FROM licenses
+       WHERE company_id IS NULL
+         AND ($1::varchar IS NULL OR state = $1)
+         AND (NOT $2 OR match_signals ? 'candidateCompanyId')
+       ORDER BY match_confidence DESC NULLS LAST, business_name
+       LIMIT $3`,
+      [state, review, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Unlinked licenses in a company's state that could be its own
+   * (same phone, same zip or a similar name)
+   * @param {object} company - { state, phone, zip, legal_name, dba }
+   * @param {number} limit - Max candidates
+   * @returns {Promise<Array>}
+   */
+  static async findCandidates(company, limit = 25) {
+    const phone = String(company.phone || '').replace(/\D/g, '').slice(-10) || null;
+    const result = await db.query(
+      `SELECT * FROM licenses
+       WHERE company_id IS NULL AND state = $1
+         AND (
+           right(regexp_replace(phone, '\\D', '', 'g'), 10) = $2
+           OR left(zip, 5) = left($3, 5)
+           OR similarity(COALESCE(business_name, holder_name), $4) > 0.4
+           OR similarity(COALESCE(business_name, holder_name), $5) > 0.4
+         )
+       LIMIT $6`,
+      [company.state, phone, company.zip || null, company.legal_name || '', company.dba || '', limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a license's company match
+   * @param {string} licenseId - License UUID
+   * @param {object} match - { companyId: linked company (null to leave it unlinked), confidence,
+   *   signals }; a link confirmed by hand is { companyId, confidence: 1, signals: { method: 'manual' } }
+   * @returns {Promise<object|undefined>} - The updated license
+   */
+  static async setMatch(licenseId, { companyId = null, confidence = null, signals = null }) {
+    const result = await db.query(
+      `UPDATE licenses SET company_id = $2, match_confidence = $3, match_signals = $4
+       WHERE id = $1 RETURNING *`,
+      [licenseId, companyId, confidence, signals ? JSON.stringify(signals) : null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * States with imported board records
+   * @returns {Promise<Array<string>>}
+   */
+  static async registryStates() {
+    const result = await db.query(
+      "SELECT DISTINCT state FROM licenses WHERE source = 'state_license' ORDER BY state"
+    );
+    return result.rows.map((row) => row.state);
+  }
+
+  /**
+   * Record that a company's licenses were re-verified
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<number>} - Licenses updated
+   */
+  static async markVerified(companyId) {
+    const result = await db.query(
+      'UPDATE licenses SET verified_at = CURRENT_TIMESTAMP WHERE company_id = $1',
+      [companyId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = License;
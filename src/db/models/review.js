@@ -0,0 +1,47 @@
+/**
+ * Review Model
+ * Database operations for reviews
+ */
+
+const db = require('../connection');
+
+class Review {
+  /**
+   * Find reviews for a company
+   * @param {string} companyId - Company UUID
+   * @param {object} options - { source, limit }
+   * @returns {Promise<Array>} - Reviews, newest first
+   */
+  static async findByCompany(companyId, options = {}) {
+    const { source = null, limit = 20 } = options;
+
+    const query = `
+      SELECT *
+      FROM reviews
+      WHERE company_id = $1
+        AND ($2::varchar IS NULL OR source = $2)
+      ORDER BY review_date DESC NULLS LAST
+      LIMIT $3
+    `;
+    const result = await db.query(query, [companyId, source, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Get rating summary per source for a company
+   * @param {string} companyId - Company UUID
+   * @returns {Promise<Array>} - [{ source, review_count, avg_rating }]
+   */
+  static async getSummary(companyId) {
+    const query = `
+      SELECT source, COUNT(*) AS review_count, AVG(rating) AS avg_rating
+      FROM reviews
+      WHERE company_id = $1
+      GROUP BY source
+    `;
+    const result = await db.query(query, [companyId]);
+    return result.rows;
+  }
+}
+
+module.exports = Review;
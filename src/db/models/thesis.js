@@ -0,0 +1,51 @@
+/**
+ * Thesis Model
+ * Database operations for investment theses
+ */
+
+const db = require('../connection');
+
+class Thesis {
+  /**
+   * Find active theses
+   * @param {string} vertical - Only theses for this vertical (optional)
+   * @returns {Promise<Array>} - Theses in the shape agents score against
+   */
+  static async findActive(vertical = null) {
+    const result = await db.query(
+      `SELECT * FROM theses
+       WHERE active AND ($1::text IS NULL OR vertical = $1)
+       ORDER BY created_at`,
+      [vertical]
+    );
+    return result.rows.map((row) => this.fromRow(row));
+  }
+
+  /**
+   * Find thesis by ID
+   * @param {string} id - Thesis UUID
+   * @returns {Promise<object>} - Thesis
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM theses WHERE id = $1', [id]);
+    return result.rows[0] ? this.fromRow(result.rows[0]) : undefined;
+  }
+
+  /**
+   * Flatten a theses row into the thesis object agents receive
+   * (criteria fields at the top level, as in examples/demo-ingestion.js)
+   * @param {object} row - Database row
+   * @returns {object}
+   */
+  static fromRow(row) {
+    return {
+      ...(row.criteria || {}),
+      id: row.id,
+      name: row.name,
+      vertical: row.vertical,
+      weights: row.weights || undefined,
+    };
+  }
+}
+
+module.exports = Thesis;
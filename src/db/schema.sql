@@ -41,6 +41,12 @@ CREATE TABLE companies (
     estimated_employees INTEGER,
     years_in_business INTEGER,
 
+    -- Reputation, as of the last ingestion
+    google_rating DECIMAL(2, 1),
+    google_review_count INTEGER,
+    yelp_rating DECIMAL(2, 1),
+    yelp_review_count INTEGER,
+
     -- External IDs
     google_place_id VARCHAR(255),
     yelp_id VARCHAR(255),
@@ -49,6 +55,7 @@ CREATE TABLE companies (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     data_quality_score DECIMAL(3, 2), -- 0-1 score
+    field_sources JSONB DEFAULT '{}', -- Source that set each tracked field (see change-detector.js)
 
     -- Constraints
     UNIQUE(domain),
@@ -232,7 +239,7 @@ CREATE TABLE data_sources (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
 
-    source_type VARCHAR(50) NOT NULL, -- google_maps, yelp, state_license, web_scrape
+    source_type VARCHAR(50) NOT NULL, -- google_maps, yelp, file_import, state_license, website, profiler
     source_url VARCHAR(500),
 
     data JSONB NOT NULL, -- Raw data
@@ -245,6 +252,27 @@ CREATE TABLE data_sources (
 
 CREATE INDEX idx_data_sources_company ON data_sources(company_id);
 CREATE INDEX idx_data_sources_type ON data_sources(source_type);
+CREATE INDEX idx_data_sources_website ON data_sources((data->>'site')) WHERE source_type = 'website';
+
+-- Field-level changes found when re-ingestion updates a company (src/ingestion/change-detector.js)
+CREATE TABLE company_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+
+    field VARCHAR(100) NOT NULL, -- companies column (phone, business_status, google_review_count, ...)
+    previous_value JSONB,
+    current_value JSONB,
+    delta DECIMAL(12, 2), -- numeric fields: current - previous
+    since TIMESTAMP, -- when the previous value was first seen
+    summary TEXT, -- e.g. "Google review count +40 in 30 days", "business closed"
+
+    source VARCHAR(50), -- data source of the ingested record
+    workflow_run_id VARCHAR(100),
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_company_changes_company ON company_changes(company_id, detected_at DESC);
+CREATE INDEX idx_company_changes_field ON company_changes(field, detected_at DESC);
 
 -- =============================================
 -- REVIEWS & REPUTATION
@@ -288,20 +316,41 @@ CREATE TABLE licenses (
     license_number VARCHAR(100) NOT NULL,
     state VARCHAR(2),
 
-    status VARCHAR(50) NOT NULL, -- active, expired, suspended, revoked
+    status VARCHAR(50) NOT NULL, -- active, expired, suspended, revoked, inactive, unknown
+    board_status VARCHAR(100), -- Status as worded by the board (CLEAR, Current, ...)
+    secondary_status VARCHAR(255), -- Pending or disciplinary actions (e.g. "Work Comp Susp")
+    classifications TEXT[],
 
     issue_date DATE,
     expiration_date DATE,
 
+    -- Licensee as listed by the board
+    holder_name VARCHAR(255),
+    business_name VARCHAR(255),
+    address VARCHAR(255),
+    city VARCHAR(100),
+    zip VARCHAR(10),
+    phone VARCHAR(20),
+
+    -- Company match (state_license imports); unmatched records have no company_id
+    match_confidence DECIMAL(3, 2), -- 0-1; 1 for links confirmed by hand
+    match_signals JSONB, -- { name, phone, street, locality, candidateCompanyId, method }
+    source VARCHAR(50), -- state_license, manual
+    source_file VARCHAR(255),
+    raw JSONB,
+
     verified_at TIMESTAMP,
 
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(state, license_number)
 );
 
 CREATE INDEX idx_licenses_company ON licenses(company_id);
 CREATE INDEX idx_licenses_status ON licenses(status);
 CREATE INDEX idx_licenses_expiration ON licenses(expiration_date);
+CREATE INDEX idx_licenses_unmatched ON licenses(state, zip) WHERE company_id IS NULL;
 
 -- =============================================
 -- INTEGRATION & POST-CLOSE
@@ -373,6 +422,267 @@ CREATE TABLE audit_log (
 CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
 CREATE INDEX idx_audit_log_created_at ON audit_log(created_at DESC);
 
+-- =============================================
+-- LLM USAGE & COST
+-- =============================================
+
+-- One row per Claude API call, priced at call time
+CREATE TABLE llm_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    agent VARCHAR(100),
+    model VARCHAR(100) NOT NULL,
+
+    -- Attribution (free-form IDs: workflows may run on companies not yet in the DB)
+    workflow VARCHAR(100), -- sourcing, outreach, ingestion, etc.
+    workflow_run_id VARCHAR(100),
+    company_id VARCHAR(255),
+    thesis_id VARCHAR(255),
+
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_creation_tokens INTEGER NOT NULL DEFAULT 0, -- prompt cache writes
+    cache_read_tokens INTEGER NOT NULL DEFAULT 0, -- prompt cache hits
+    batch BOOLEAN NOT NULL DEFAULT false, -- billed at Message Batches pricing
+    cost_usd DECIMAL(12, 6) NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP DEFAULT (NOW() AT TIME ZONE 'UTC')
+);
+
+CREATE INDEX idx_llm_usage_run ON llm_usage(workflow_run_id);
+CREATE INDEX idx_llm_usage_company ON llm_usage(company_id);
+CREATE INDEX idx_llm_usage_thesis ON llm_usage(thesis_id);
+CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at DESC);
+
+-- =============================================
+-- WORKFLOW RUNS
+-- =============================================
+
+-- One row per workflow run (or ingestion sweep); the ID is the workflowRunId
+CREATE TABLE workflow_runs (
+    id VARCHAR(100) PRIMARY KEY,
+    workflow VARCHAR(100) NOT NULL, -- sourcing, outreach, ingestion_sweep, etc.
+
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, waiting, completed, stopped, failed, cancelled
+    inputs JSONB NOT NULL DEFAULT '{}',
+    options JSONB NOT NULL DEFAULT '{}', -- budget, critique
+    result JSONB,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1, -- incremented on each resume
+
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_workflow_runs_status ON workflow_runs(status);
+CREATE INDEX idx_workflow_runs_started_at ON workflow_runs(started_at DESC);
+
+-- Checkpoints: a succeeded step is reused when its run resumes with the same key
+CREATE TABLE workflow_steps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id VARCHAR(100) NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+
+    step_key VARCHAR(255) NOT NULL, -- step name + hash of its resolved input
+    step VARCHAR(100) NOT NULL,
+    agent VARCHAR(100),
+
+    status VARCHAR(20) NOT NULL, -- running, waiting (for approval), succeeded, failed
+    input JSONB,
+    context JSONB,
+    output JSONB, -- full agent result
+    error TEXT,
+    cost_usd DECIMAL(12, 6),
+
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER,
+
+    UNIQUE(run_id, step_key)
+);
+
+CREATE INDEX idx_workflow_steps_run ON workflow_steps(run_id);
+
+-- Human approval tasks created by workflow approval steps; decisions are also written to audit_log
+CREATE TABLE approval_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id VARCHAR(100) NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
+    step_key VARCHAR(255) NOT NULL,
+    workflow VARCHAR(100) NOT NULL,
+    step VARCHAR(100) NOT NULL,
+
+    title VARCHAR(255) NOT NULL,
+    assignee VARCHAR(255),
+    context JSONB, -- what the reviewer needs to decide
+    payload JSONB, -- what is being approved (e.g. the outreach draft); reviewers may edit it
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, expired
+    decided_by VARCHAR(255),
+    comment TEXT,
+    edits JSONB,
+
+    deadline_at TIMESTAMP,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(run_id, step_key)
+);
+
+CREATE INDEX idx_approval_tasks_status ON approval_tasks(status);
+CREATE INDEX idx_approval_tasks_assignee ON approval_tasks(assignee);
+
+-- =============================================
+-- SCHEDULED JOBS
+-- =============================================
+
+-- Recurring jobs run by scheduler workers; a worker holds locked_by/locked_until while it runs one
+CREATE TABLE scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    type VARCHAR(50) NOT NULL, -- ingest_locations, rescore, reverify_licenses
+    cron VARCHAR(100) NOT NULL, -- 5-field cron expression, UTC
+    params JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    missed_run_policy VARCHAR(20) NOT NULL DEFAULT 'run_once', -- run_once, skip
+    timeout_ms INTEGER,
+
+    next_run_at TIMESTAMPTZ NOT NULL,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(20), -- succeeded, failed, missed
+    last_error TEXT,
+    last_duration_ms INTEGER,
+    run_count INTEGER NOT NULL DEFAULT 0,
+
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs(next_run_at) WHERE enabled;
+
+-- Run history of scheduled jobs
+CREATE TABLE scheduled_job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+    worker_id VARCHAR(255),
+
+    status VARCHAR(20) NOT NULL, -- succeeded, failed, missed
+    scheduled_for TIMESTAMPTZ, -- NULL for runs started by hand
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    missed_runs INTEGER NOT NULL DEFAULT 0, -- slots missed before this run
+    result JSONB,
+    error TEXT
+);
+
+CREATE INDEX idx_scheduled_job_runs_job ON scheduled_job_runs(job_id, finished_at DESC);
+
+-- Durable job queue (src/queue), claimed with FOR UPDATE SKIP LOCKED
+CREATE TABLE queue_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(100) NOT NULL, -- ingest_location, resolve_group, score_company, profile_company
+    payload JSONB NOT NULL DEFAULT '{}',
+    priority INTEGER NOT NULL DEFAULT 0, -- higher runs first
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, succeeded, dead
+
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP, -- not claimed before this (retry backoff)
+    dedupe_key VARCHAR(500),
+    batch_id VARCHAR(255), -- groups the jobs of one sweep
+
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMPTZ,
+    last_error TEXT,
+    error_type VARCHAR(100),
+    result JSONB,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_queue_jobs_claim ON queue_jobs(priority DESC, run_at, created_at) WHERE status = 'queued';
+CREATE INDEX idx_queue_jobs_batch ON queue_jobs(batch_id, status);
+CREATE INDEX idx_queue_jobs_running ON queue_jobs(locked_at) WHERE status = 'running';
+-- At most one live job per dedupe key
+CREATE UNIQUE INDEX idx_queue_jobs_dedupe ON queue_jobs(dedupe_key) WHERE status IN ('queued', 'running');
+-- Jobs already done in a sweep are not enqueued again by a retried parent
+CREATE INDEX idx_queue_jobs_batch_dedupe ON queue_jobs(batch_id, dedupe_key) WHERE status = 'succeeded';
+
+-- Saved column mappings for CSV/XLSX imports
+CREATE TABLE import_mapping_profiles (
+    name VARCHAR(255) PRIMARY KEY,
+    description TEXT,
+    columns JSONB NOT NULL DEFAULT '{}', -- { field: "Column Header" }
+    defaults JSONB NOT NULL DEFAULT '{}', -- { field: value } for fields the file lacks
+    sheet VARCHAR(255), -- XLSX worksheet
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =============================================
+-- SCRAPER HTTP CACHE, REQUEST LEDGER & RATE LIMITS
+-- =============================================
+
+-- Response bodies, stored once per distinct content
+CREATE TABLE http_response_bodies (
+    content_hash CHAR(64) PRIMARY KEY, -- SHA-256 of body
+    body TEXT NOT NULL, -- JSON-serialized response data
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cached scraper API responses (src/http), one per request
+CREATE TABLE http_cache (
+    request_key CHAR(64) PRIMARY KEY, -- SHA-256 of method, URL, params and headers (API keys excluded)
+    api VARCHAR(100) NOT NULL, -- google_maps, yelp
+    endpoint VARCHAR(100) NOT NULL, -- details, nearbysearch, reviews, etc.
+    url TEXT NOT NULL, -- with query string, API keys excluded
+    status INTEGER NOT NULL,
+    headers JSONB NOT NULL DEFAULT '{}', -- content-type, etag, last-modified
+    content_hash CHAR(64) NOT NULL REFERENCES http_response_bodies(content_hash),
+    fetched_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    validated_at TIMESTAMPTZ -- last 304 from a conditional request
+);
+
+CREATE INDEX idx_http_cache_api ON http_cache(api, endpoint);
+CREATE INDEX idx_http_cache_expires ON http_cache(expires_at);
+
+-- Scraper API requests per key per day
+CREATE TABLE http_request_ledger (
+    day DATE NOT NULL, -- UTC
+    api VARCHAR(100) NOT NULL,
+    key_id VARCHAR(64) NOT NULL, -- fingerprint of the API key, never the key
+    endpoint VARCHAR(100) NOT NULL,
+    calls INTEGER NOT NULL DEFAULT 0, -- requests that reached the API
+    cache_hits INTEGER NOT NULL DEFAULT 0, -- served from http_cache
+    not_modified INTEGER NOT NULL DEFAULT 0, -- conditional requests answered 304
+    errors INTEGER NOT NULL DEFAULT 0,
+    rate_limited INTEGER NOT NULL DEFAULT 0, -- 429 / OVER_QUERY_LIMIT answers
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (day, api, key_id, endpoint)
+);
+
+-- Token buckets and daily quotas shared by scraper workers (src/http/rate-limiter.js)
+CREATE TABLE rate_limit_buckets (
+    bucket VARCHAR(200) PRIMARY KEY, -- provider:key_id
+    provider VARCHAR(100) NOT NULL, -- google_maps, yelp
+    key_id VARCHAR(64) NOT NULL, -- fingerprint of the API key, never the key
+    tokens NUMERIC(10, 4) NOT NULL,
+    refilled_at TIMESTAMPTZ NOT NULL,
+    day DATE NOT NULL, -- UTC day `used` counts
+    used INTEGER NOT NULL DEFAULT 0, -- requests today
+    penalty NUMERIC(6, 4) NOT NULL DEFAULT 1, -- share of the configured rate after backoff
+    strikes INTEGER NOT NULL DEFAULT 0, -- consecutive rate-limited answers
+    paused_until TIMESTAMPTZ, -- backing off until
+    exhausted_until TIMESTAMPTZ, -- quota spent until
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =============================================
 -- HELPER FUNCTIONS
 -- =============================================
@@ -405,6 +715,15 @@ CREATE TRIGGER update_licenses_updated_at BEFORE UPDATE ON licenses
 CREATE TRIGGER update_integration_tasks_updated_at BEFORE UPDATE ON integration_tasks
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_workflow_runs_updated_at BEFORE UPDATE ON workflow_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_import_mapping_profiles_updated_at BEFORE UPDATE ON import_mapping_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- =============================================
 -- VIEWS FOR COMMON QUERIES
 -- =============================================
@@ -0,0 +1,36 @@
+/**
+ * Automations
+ * Built-in reactions to domain events; each registers a subscription on the
+ * event bus and returns its unsubscribe function
+ */
+
+const eventBus = require('./event-bus');
+const Deal = require('../db/models/deal');
+
+/**
+ * Open a deal when a company's score crosses a threshold
+ * Fires only on the crossing (previous score below the threshold, or none) and
+ * only when the company has no deal yet.
+ * @param {object} options - { threshold (default 80), owner, stage (default 'uncontacted') }
+ * @returns {Function} - Unsubscribe function
+ */
+function openDealOnScore({ threshold = 80, owner = null, stage = 'uncontacted' } = {}) {
+  return eventBus.subscribe('score.updated', async ({ payload }) => {
+    const crossed =
+      payload.score >= threshold && (payload.previousScore === null || payload.previousScore < threshold);
+    if (!crossed) return;
+
+    const existing = await Deal.findByCompany(payload.companyId);
+    if (existing.length > 0) return;
+
+    const deal = await Deal.create({
+      company_id: payload.companyId,
+      stage,
+      owner,
+      next_action: `Score reached ${payload.score} (threshold ${threshold})`,
+    });
+    console.log(`🤝 Opened deal ${deal.id} for company ${payload.companyId} (score ${payload.score})`);
+  });
+}
+
+module.exports = { openDealOnScore };
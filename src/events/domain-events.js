@@ -0,0 +1,157 @@
+/**
+ * Domain Events
+ * The event types published on the event bus, with a JSON Schema per payload
+ *
+ * Publishing an unknown type or a payload that does not match its schema
+ * throws, so subscribers can rely on the fields below.
+ */
+
+const id = { type: ['string', 'number'] };
+const optionalId = { type: ['string', 'number', 'null'] };
+
+const DOMAIN_EVENTS = {
+  'company.ingested': {
+    description: 'A scraped or imported company was saved',
+    schema: {
+      type: 'object',
+      required: ['companyId', 'name', 'source'],
+      properties: {
+        companyId: id,
+        name: { type: 'string' },
+        source: { type: 'string' },
+        location: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'company.updated': {
+    description: 'Fields of a stored company changed',
+    schema: {
+      type: 'object',
+      required: ['companyId', 'fields'],
+      properties: {
+        companyId: id,
+        fields: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+
+  'company.changed': {
+    description: 'Re-ingestion found field-level changes to a stored company',
+    schema: {
+      type: 'object',
+      required: ['companyId', 'source', 'changes', 'signals'],
+      properties: {
+        companyId: id,
+        name: { type: ['string', 'null'] },
+        source: { type: 'string' },
+        changes: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['field'],
+            properties: {
+              field: { type: 'string' },
+              delta: { type: ['number', 'null'] },
+              since: { type: ['string', 'null'] },
+            },
+          },
+        },
+        signals: { type: 'array', items: { type: 'string' } },
+        workflowRunId: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'company.merged': {
+    description: 'Records were resolved into one company (ingestion dedupe or the resolution workflow)',
+    schema: {
+      type: 'object',
+      required: ['mergedEntities', 'source'],
+      properties: {
+        companyId: optionalId,
+        mergedEntities: { type: 'array' },
+        confidence: { type: ['number', 'null'] },
+        reviewed: { type: ['boolean', 'null'] },
+        source: { type: 'string', enum: ['ingestion', 'resolution'] },
+        workflowRunId: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'score.updated': {
+    description: 'A company was (re-)scored against a thesis',
+    schema: {
+      type: 'object',
+      required: ['companyId', 'score'],
+      properties: {
+        companyId: id,
+        thesisId: optionalId,
+        score: { type: 'number' },
+        previousScore: { type: ['number', 'null'] },
+        workflowRunId: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'deal.created': {
+    description: 'A deal was opened for a company',
+    schema: {
+      type: 'object',
+      required: ['dealId', 'companyId', 'stage'],
+      properties: {
+        dealId: id,
+        companyId: id,
+        stage: { type: 'string' },
+        owner: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'deal.stage_changed': {
+    description: 'A deal moved to another pipeline stage',
+    schema: {
+      type: 'object',
+      required: ['dealId', 'companyId', 'stage', 'previousStage'],
+      properties: {
+        dealId: id,
+        companyId: id,
+        stage: { type: 'string' },
+        previousStage: { type: 'string' },
+      },
+    },
+  },
+
+  'compliance.violation': {
+    description: 'A compliance check reported violations',
+    schema: {
+      type: 'object',
+      required: ['violations', 'approved'],
+      properties: {
+        companyId: optionalId,
+        checkType: { type: ['string', 'null'] },
+        approved: { type: 'boolean' },
+        violations: { type: 'array', minItems: 1 },
+        workflowRunId: { type: ['string', 'null'] },
+      },
+    },
+  },
+
+  'communication.replied': {
+    description: 'A contact replied to an outreach communication',
+    schema: {
+      type: 'object',
+      required: ['communicationId', 'companyId', 'channel'],
+      properties: {
+        communicationId: id,
+        companyId: id,
+        contactId: optionalId,
+        channel: { type: 'string' },
+        repliedAt: { type: 'string' },
+      },
+    },
+  },
+};
+
+module.exports = { DOMAIN_EVENTS };
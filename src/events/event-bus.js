@@ -0,0 +1,263 @@
+/**
+ * Event Bus
+ * Publishes typed domain events (see domain-events.js) to in-process subscribers
+ * and, with the Postgres transport, to every other process listening on the
+ * same database
+ *
+ * Transports (EVENT_BUS_TRANSPORT):
+ *   - memory (default): subscribers in this process only
+ *   - postgres: events are also sent with NOTIFY on EVENT_BUS_CHANNEL, and
+ *     start() LISTENs for events published by other processes
+ *
+ * Subscribers run after publish() returns; a failing subscriber is logged and
+ * never affects the publisher or other subscribers.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const { DOMAIN_EVENTS } = require('./domain-events');
+const { validate } = require('../utils/schema-validator');
+const { EventValidationError } = require('../utils/errors');
+require('dotenv').config();
+
+// NOTIFY payloads are limited to 8000 bytes
+const MAX_NOTIFY_BYTES = 7900;
+const HISTORY_LIMIT = 1000;
+
+class EventBus {
+  constructor() {
+    this.origin = crypto.randomUUID();
+    this.transport = process.env.EVENT_BUS_TRANSPORT === 'postgres' ? 'postgres' : 'memory';
+    this.channel = process.env.EVENT_BUS_CHANNEL || 'rollizr_events';
+    this.subscriptions = new Set();
+    this.history = [];
+    this.pending = new Set();
+    this.listener = null;
+  }
+
+  /**
+   * Whether events are sent over Postgres NOTIFY
+   * @returns {boolean}
+   */
+  get remote() {
+    return this.transport === 'postgres' && Boolean(process.env.DATABASE_URL);
+  }
+
+  /**
+   * Publish a domain event
+   * @param {string} type - Event type (e.g. 'score.updated')
+   * @param {object} payload - Event payload, validated against the type's schema
+   * @param {object} options - { source: emitting component, for tracing }
+   * @returns {Promise<object>} - The event envelope { id, type, payload, source, origin, occurredAt }
+   */
+  async publish(type, payload, options = {}) {
+    const definition = DOMAIN_EVENTS[type];
+    if (!definition) {
+      throw new EventValidationError(type, ['unknown event type']);
+    }
+
+    const { valid, errors } = validate(definition.schema, payload);
+    if (!valid) {
+      throw new EventValidationError(type, errors);
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      source: options.source || null,
+      origin: this.origin,
+      occurredAt: new Date().toISOString(),
+    };
+
+    this._deliver(event);
+
+    if (this.remote) {
+      await this._notify(event);
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to events
+   * @param {string} pattern - An event type, a prefix such as 'company.*', or '*' for all
+   * @param {Function} handler - Called with the event envelope (may be async)
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(pattern, handler) {
+    const subscription = { pattern, handler };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  /**
+   * Subscribe to the next matching event only
+   * @param {string} pattern - As for subscribe
+   * @param {Function} handler - Called with the event envelope
+   * @returns {Function} - Unsubscribe function
+   */
+  once(pattern, handler) {
+    const unsubscribe = this.subscribe(pattern, (event) => {
+      unsubscribe();
+      return handler(event);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Start receiving events published by other processes (postgres transport)
+   * @returns {Promise<boolean>} - Whether a listener is running
+   */
+  async start() {
+    if (!this.remote || this.listener) {
+      return Boolean(this.listener);
+    }
+
+    try {
+      const client = await db.getClient();
+      client.on('notification', (message) => this._receive(message));
+      client.on('error', (error) => {
+        console.error('Event bus listener error:', error.message);
+      });
+      await client.query(`LISTEN ${quoteIdentifier(this.channel)}`);
+      this.listener = client;
+      console.log(`📡 Event bus listening on ${this.channel}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to start event bus listener:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening and wait for subscribers still running
+   */
+  async stop() {
+    if (this.listener) {
+      const client = this.listener;
+      this.listener = null;
+      try {
+        await client.query(`UNLISTEN ${quoteIdentifier(this.channel)}`);
+      } catch (error) {
+        console.error('Failed to stop event bus listener:', error.message);
+      }
+      client.release();
+    }
+
+    await this.drain();
+  }
+
+  /**
+   * Wait until every subscriber invoked so far has finished
+   */
+  async drain() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled(Array.from(this.pending));
+    }
+  }
+
+  /**
+   * Recent events seen by this process (published here or received), oldest first
+   * @param {object} filters - { type: pattern as for subscribe, limit }
+   * @returns {array}
+   */
+  recent({ type, limit = 100 } = {}) {
+    const events = type ? this.history.filter((event) => matches(type, event.type)) : this.history;
+    return events.slice(-limit);
+  }
+
+  /**
+   * Clear subscriptions and history (for tests)
+   */
+  reset() {
+    this.subscriptions.clear();
+    this.history = [];
+  }
+
+  /**
+   * Hand an event to every matching subscriber
+   * @param {object} event - Event envelope
+   */
+  _deliver(event) {
+    this.history.push(event);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+
+    for (const { pattern, handler } of Array.from(this.subscriptions)) {
+      if (!matches(pattern, event.type)) continue;
+
+      const delivery = Promise.resolve()
+        .then(() => handler(event))
+        .catch((error) => {
+          console.error(`Event subscriber for ${pattern} failed on ${event.type}:`, error.message);
+        })
+        .finally(() => this.pending.delete(delivery));
+      this.pending.add(delivery);
+    }
+  }
+
+  /**
+   * Send an event to other processes
+   * @param {object} event - Event envelope
+   */
+  async _notify(event) {
+    const message = JSON.stringify(event);
+    if (Buffer.byteLength(message) > MAX_NOTIFY_BYTES) {
+      console.warn(`⚠️  ${event.type} event ${event.id} is too large for NOTIFY; delivered locally only`);
+      return;
+    }
+
+    try {
+      await db.query('SELECT pg_notify($1, $2)', [this.channel, message]);
+    } catch (error) {
+      console.error(`Failed to notify ${event.type} event:`, error.message);
+    }
+  }
+
+  /**
+   * Deliver an event received over LISTEN
+   * @param {object} message - pg notification { channel, payload }
+   */
+  _receive(message) {
+    let event;
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      console.error('Ignoring malformed event notification:', error.message);
+      return;
+    }
+
+    // Our own events were delivered when they were published
+    if (event.origin === this.origin) return;
+
+    this._deliver(event);
+  }
+}
+
+/**
+ * Whether a subscription pattern matches an event type
+ * @param {string} pattern - Type, 'prefix.*' or '*'
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+function matches(pattern, type) {
+  if (pattern === '*' || pattern === type) return true;
+  return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Quote a channel name for LISTEN/UNLISTEN, which take no bind parameters
+ * @param {string} name - Channel name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Export singleton instance
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EventBus = EventBus;
@@ -0,0 +1,364 @@
+/**
+ * Rate Limiter
+ * Token buckets and daily quotas for scraper APIs, shared by every scraper
+ * in a process and, with DATABASE_URL, across worker processes
+ *
+ * Each provider (google_maps, yelp) and API key has a bucket that refills at
+ * perSecond tokens per second up to burst; a request takes one token, waiting
+ * if none is left. dailyQuota caps the requests per key per UTC day.
+ *
+ * Backoff is adaptive: when the API answers 429 / OVER_QUERY_LIMIT the bucket
+ * is paused (Retry-After, or 1s doubling per consecutive strike up to 60s)
+ * and its rate halved; each success afterwards restores a tenth of the rate.
+ *
+ * When calls cannot resume soon (the quota is spent, or the wait would exceed
+ * RATE_LIMIT_MAX_WAIT_MS) acquire() throws QuotaExhaustedError with resumeAt,
+ * which the pipeline and queue use to stop and pick up later.
+ *
+ * Limits come from DEFAULT_LIMITS, overridden per provider by RATE_LIMITS
+ * (JSON, e.g. {"yelp":{"perSecond":2,"dailyQuota":4500}}).
+ */
+
+const db = require('../db/connection');
+const { keyId } = require('../metering/request-ledger');
+const { sleep } = require('../utils/retry');
+const { throwIfAborted } = require('../utils/abort');
+const { QuotaExhaustedError } = require('../utils/errors');
+require('dotenv').config();
+
+const DEFAULT_LIMITS = {
+  google_maps: { perSecond: 10, burst: 10, dailyQuota: null },
+  yelp: { perSecond: 5, burst: 5, dailyQuota: 5000 },
+};
+
+const FALLBACK_LIMITS = { perSecond: 5, burst: 5, dailyQuota: null };
+
+const BACKOFF = {
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  minPenalty: 1 / 8, // slowest rate, as a share of perSecond
+  recovery: 0.1, // share of the rate restored per success
+};
+
+/**
+ * Parse RATE_LIMITS
+ * @returns {object} - { [provider]: { perSecond, burst, dailyQuota } }
+ */
+function limitOverrides() {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    console.error('Ignoring invalid RATE_LIMITS:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Start of the next UTC day
+ * @param {number} now - Epoch ms
+ * @returns {number} - Epoch ms
+ */
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+class RateLimiter {
+  /**
+   * @param {object} options - { limits: { [provider]: { perSecond, burst, dailyQuota } }, maxWaitMs,
+   *   maxRetries, persist }
+   */
+  constructor(options = {}) {
+    const overrides = { ...limitOverrides(), ...options.limits };
+    this.limits = {};
+    for (const provider of new Set([...Object.keys(DEFAULT_LIMITS), ...Object.keys(overrides)])) {
+      this.limits[provider] = { ...FALLBACK_LIMITS, ...DEFAULT_LIMITS[provider], ...overrides[provider] };
+    }
+    this.maxWaitMs = options.maxWaitMs ?? parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS || '300000', 10);
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.RATE_LIMIT_MAX_RETRIES || '4', 10);
+    this.buckets = new Map(); // "provider:keyId" → state
+    this.persist =
+      options.persist ?? (Boolean(process.env.DATABASE_URL) && process.env.RATE_LIMIT_PERSIST !== 'false');
+  }
+
+  /**
+   * Limits for a provider
+   * @param {string} provider - API name
+   * @returns {object} - { perSecond, burst, dailyQuota }
+   */
+  limitsFor(provider) {
+    return this.limits[provider] || FALLBACK_LIMITS;
+  }
+
+  /**
+   * Take a token, waiting for one if need be
+   * @param {string} provider - API name
+   * @param {object} options - { credential: API key, signal }
+   * @returns {Promise<object>} - Bucket state after the take
+   * @throws {QuotaExhaustedError} - When the quota is spent or the wait would exceed maxWaitMs
+   */
+  async acquire(provider, options = {}) {
+    const { credential = null, signal } = options;
+    const limits = this.limitsFor(provider);
+
+    for (;;) {
+      throwIfAborted(signal);
+      const { state, waitMs, exhausted } = await this._update(provider, credential, (current, now) =>
+        this._take(current, limits, now)
+      );
+
+      if (exhausted) {
+        throw new QuotaExhaustedError(provider, new Date(exhausted.resumeAt), {
+          reason: exhausted.reason,
+          used: state.used,
+          quota: limits.dailyQuota,
+        });
+      }
+      if (!waitMs) {
+        return state;
+      }
+      if (waitMs > this.maxWaitMs) {
+        throw new QuotaExhaustedError(provider, new Date(Date.now() + waitMs), { reason: 'rate_limited' });
+      }
+      await sleep(waitMs, signal);
+    }
+  }
+
+  /**
+   * Back off after the API rate limited us: pause the bucket and halve its rate
+   * @param {string} provider - API name
+   * @param {object} options - { credential, retryAfterMs: the API's hint }
+   * @returns {Promise<object>} - Bucket state
+   */
+  async penalize(provider, options = {}) {
+    const { credential = null, retryAfterMs = null } = options;
+
+    const { state } = await this._update(provider, credential, (current, now) => {
+      const strikes = current.strikes + 1;
+      const delayMs = Math.max(
+        retryAfterMs || 0,
+        Math.min(BACKOFF.maxDelayMs, BACKOFF.baseDelayMs * Math.pow(2, strikes - 1))
+      );
+      return {
+        state: {
+          ...current,
+          tokens: 0,
+          strikes,
+          penalty: Math.max(BACKOFF.minPenalty, current.penalty / 2),
+          pausedUntil: now + delayMs,
+        },
+      };
+    });
+
+    console.warn(
+      `   🐢 ${provider} rate limited; pausing until ${new Date(state.pausedUntil).toISOString()} at ${Math.round(state.penalty * 100)}% rate`
+    );
+    return state;
+  }
+
+  /**
+   * Recover some of a penalized bucket's rate after a successful request
+   * @param {string} provider - API name
+   * @param {object} options - { credential }
+   */
+  async reward(provider, options = {}) {
+    await this._update(provider, options.credential ?? null, (current) => ({
+      state: { ...current, strikes: 0, penalty: Math.min(1, current.penalty + BACKOFF.recovery) },
+    }));
+  }
+
+  /**
+   * Block a provider until a time, after the API said its quota is spent
+   * @param {string} provider - API name
+   * @param {object} options - { credential, resumeAt: Date (default: next UTC midnight) }
+   * @returns {Promise<Date>} - When calls may resume
+   */
+  async exhaust(provider, options = {}) {
+    const { state } = await this._update(provider, options.credential ?? null, (current, now) => ({
+      state: { ...current, exhaustedUntil: options.resumeAt ? options.resumeAt.getTime() : nextUtcMidnight(now) },
+    }));
+    return new Date(state.exhaustedUntil);
+  }
+
+  /**
+   * Every bucket's state
+   * @returns {Promise<Array>} - [{ provider, keyId, tokens, day, used, dailyQuota, penalty, strikes,
+   *   pausedUntil, exhaustedUntil }]
+   */
+  async status() {
+    let states = Array.from(this.buckets.values());
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          'SELECT *, day::text AS day_text FROM rate_limit_buckets ORDER BY provider, key_id'
+        );
+        states = result.rows.map((row) => this._stateFromRow(row));
+      } catch (error) {
+        console.error('Failed to read rate limit buckets, using in-memory state:', error.message);
+      }
+    }
+
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return states.map((state) => ({
+      provider: state.provider,
+      keyId: state.keyId,
+      tokens: Math.floor(state.tokens * 100) / 100,
+      day: state.day,
+      used: state.used,
+      dailyQuota: this.limitsFor(state.provider).dailyQuota,
+      penalty: state.penalty,
+      strikes: state.strikes,
+      pausedUntil: iso(state.pausedUntil),
+      exhaustedUntil: iso(state.exhaustedUntil),
+    }));
+  }
+
+  /**
+   * Clear in-memory buckets (for tests; persisted buckets are kept)
+   */
+  reset() {
+    this.buckets.clear();
+  }
+
+  /**
+   * Refill a bucket and try to take a token
+   * @param {object} current - Bucket state
+   * @param {object} limits - { perSecond, burst, dailyQuota }
+   * @param {number} now - Epoch ms
+   * @returns {object} - { state, waitMs, exhausted: { resumeAt, reason } }
+   */
+  _take(current, limits, now) {
+    const day = new Date(now).toISOString().substring(0, 10);
+    const rate = limits.perSecond * current.penalty;
+    const state = {
+      ...current,
+      tokens: Math.min(limits.burst, current.tokens + (Math.max(0, now - current.refilledAt) / 1000) * rate),
+      refilledAt: now,
+      // A new UTC day resets the quota count
+      used: current.day === day ? current.used : 0,
+      day,
+    };
+
+    if (state.exhaustedUntil && now < state.exhaustedUntil) {
+      return { state, exhausted: { resumeAt: state.exhaustedUntil, reason: 'daily_quota' } };
+    }
+    if (limits.dailyQuota && state.used >= limits.dailyQuota) {
+      return { state, exhausted: { resumeAt: nextUtcMidnight(now), reason: 'daily_quota' } };
+    }
+    if (state.pausedUntil && now < state.pausedUntil) {
+      return { state, waitMs: state.pausedUntil - now };
+    }
+    if (state.tokens >= 1) {
+      return { state: { ...state, tokens: state.tokens - 1, used: state.used + 1 } };
+    }
+    return { state, waitMs: Math.ceil(((1 - state.tokens) / rate) * 1000) };
+  }
+
+  /**
+   * Read-modify-write a bucket atomically (in Postgres under a row lock when persisted)
+   * @param {string} provider - API name
+   * @param {string|null} credential - API key
+   * @param {Function} change - (state, now) => { state, ...result }
+   * @returns {Promise<object>} - change()'s result
+   */
+  async _update(provider, credential, change) {
+    const id = keyId(credential);
+    const bucket = `${provider}:${id}`;
+
+    if (this.persist) {
+      let client;
+      try {
+        client = await db.getClient();
+        await client.query('BEGIN');
+        await client.query(
+          `INSERT INTO rate_limit_buckets (bucket, provider, key_id, tokens, refilled_at, day)
+           VALUES ($1, $2, $3, $4, NOW(), (NOW() AT TIME ZONE 'UTC')::date)
+           ON CONFLICT (bucket) DO NOTHING`,
+          [bucket, provider, id, this.limitsFor(provider).burst]
+        );
+        // The database clock, so every worker refills alike
+        const locked = await client.query(
+          `SELECT *, day::text AS day_text, EXTRACT(EPOCH FROM clock_timestamp()) * 1000 AS now_ms
+           FROM rate_limit_buckets WHERE bucket = $1 FOR UPDATE`,
+          [bucket]
+        );
+        const row = locked.rows[0];
+        const result = change(this._stateFromRow(row), Math.round(Number(row.now_ms)));
+        const { state } = result;
+        await client.query(
+          `UPDATE rate_limit_buckets
+           SET tokens = $2, refilled_at = to_timestamp($3 / 1000.0), day = $4, used = $5, penalty = $6,
+               strikes = $7, paused_until = to_timestamp($8 / 1000.0), exhausted_until = to_timestamp($9 / 1000.0),
+               updated_at = NOW()
+           WHERE bucket = $1`,
+          [
+            bucket,
+            state.tokens,
+            state.refilledAt,
+            state.day,
+            state.used,
+            state.penalty,
+            state.strikes,
+            state.pausedUntil,
+            state.exhaustedUntil,
+          ]
+        );
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client?.query('ROLLBACK').catch(() => {});
+        // Limiting must never stop a scrape; fall back to this process's bucket
+        console.error('Failed to update rate limit bucket, using in-memory state:', error.message);
+      } finally {
+        client?.release();
+      }
+    }
+
+    const now = Date.now();
+    const current = this.buckets.get(bucket) || {
+      provider,
+      keyId: id,
+      tokens: this.limitsFor(provider).burst,
+      refilledAt: now,
+      day: new Date(now).toISOString().substring(0, 10),
+      used: 0,
+      penalty: 1,
+      strikes: 0,
+      pausedUntil: null,
+      exhaustedUntil: null,
+    };
+    const result = change(current, now);
+    this.buckets.set(bucket, result.state);
+    return result;
+  }
+
+  /**
+   * Bucket state from a rate_limit_buckets row
+   * @param {object} row - Database row
+   * @returns {object}
+   */
+  _stateFromRow(row) {
+    const ms = (value) => (value ? new Date(value).getTime() : null);
+    return {
+      provider: row.provider,
+      keyId: row.key_id,
+      tokens: Number(row.tokens),
+      refilledAt: ms(row.refilled_at),
+      day: row.day_text,
+      used: row.used,
+      penalty: Number(row.penalty),
+      strikes: row.strikes,
+      pausedUntil: ms(row.paused_until),
+      exhaustedUntil: ms(row.exhausted_until),
+    };
+  }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
+module.exports.RateLimiter = RateLimiter;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
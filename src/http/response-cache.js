@@ -0,0 +1,342 @@
+/**
+ * Response Cache
+ * Content-addressed store for scraper API responses
+ *
+ * Each cached request (keyed by a hash of its method, URL and parameters,
+ * secrets excluded) points at a response body stored under the SHA-256 of its
+ * content, so identical bodies (the same place fetched by two searches, an
+ * empty result page) are stored once.
+ *
+ * Stores (HTTP_CACHE_STORE):
+ *   disk     - JSON files under HTTP_CACHE_DIR: responses/<request key>.json and
+ *              bodies/<content hash>.json (default without DATABASE_URL)
+ *   postgres - http_cache and http_response_bodies (default with DATABASE_URL)
+ * A failing store never breaks a scrape: reads miss and writes are skipped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/connection');
+require('dotenv').config();
+
+const STORES = ['disk', 'postgres'];
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '.cache', 'http');
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class ResponseCache {
+  /**
+   * @param {object} options - { store: disk | postgres, dir }
+   */
+  constructor(options = {}) {
+    const store = options.store || (process.env.DATABASE_URL ? 'postgres' : 'disk');
+    if (!STORES.includes(store)) {
+      throw new Error(`Invalid HTTP cache store '${store}' (expected one of: ${STORES.join(', ')})`);
+    }
+
+    this.store = store;
+    this.dir = options.dir || DEFAULT_DIR;
+  }
+
+  /**
+   * Create a cache configured from environment variables
+   * @returns {ResponseCache}
+   */
+  static fromEnv() {
+    return new ResponseCache({
+      store: process.env.HTTP_CACHE_STORE,
+      dir: process.env.HTTP_CACHE_DIR,
+    });
+  }
+
+  /**
+   * A cached response
+   * @param {string} key - Request key
+   * @returns {Promise<object|null>} - { key, api, endpoint, url, status, headers, data, contentHash,
+   *   fetchedAt, expiresAt }
+   */
+  async get(key) {
+    try {
+      return this.store === 'postgres' ? await this._getRow(key) : this._readFile(key);
+    } catch (error) {
+      console.error('Failed to read HTTP cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {object} entry - { key, api, endpoint, url, status, headers, data, fetchedAt, expiresAt }
+   * @returns {Promise<object>} - The entry, with contentHash
+   */
+  async set(entry) {
+    const body = JSON.stringify(entry.data ?? null);
+    const stored = { ...entry, contentHash: sha256(body) };
+
+    try {
+      if (this.store === 'postgres') {
+        await this._setRow(stored, body);
+      } else {
+        this._writeFile(stored, body);
+      }
+    } catch (error) {
+      console.error('Failed to write HTTP cache:', error.message);
+    }
+    return stored;
+  }
+
+  /**
+   * Extend a cached response after the server confirmed it is unchanged (304)
+   * @param {string} key - Request key
+   * @param {string} expiresAt - New expiry, ISO timestamp
+   */
+  async touch(key, expiresAt) {
+    try {
+      if (this.store === 'postgres') {
+        await db.query('UPDATE http_cache SET expires_at = $2, validated_at = NOW() WHERE request_key = $1', [
+          key,
+          expiresAt,
+        ]);
+        return;
+      }
+      const meta = this._readMeta(key);
+      if (meta) {
+        fs.writeFileSync(this._responsePath(key), JSON.stringify({ ...meta, expiresAt }, null, 2));
+      }
+    } catch (error) {
+      console.error('Failed to update HTTP cache:', error.message);
+    }
+  }
+
+  /**
+   * Delete cached responses, then any bodies no response points at
+   * @param {object} filters - { api, endpoint, expired: only expired responses }
+   * @returns {Promise<number>} - Responses deleted
+   */
+  async purge(filters = {}) {
+    const { api = null, endpoint = null, expired = false } = filters;
+
+    if (this.store === 'postgres') {
+      const result = await db.query(
+        `DELETE FROM http_cache
+         WHERE ($1::text IS NULL OR api = $1)
+           AND ($2::text IS NULL OR endpoint = $2)
+           AND (NOT $3 OR expires_at <= NOW())`,
+        [api, endpoint, expired]
+      );
+      await db.query(
+        `DELETE FROM http_response_bodies b
+         WHERE NOT EXISTS (SELECT 1 FROM http_cache c WHERE c.content_hash = b.content_hash)`
+      );
+      return result.rowCount;
+    }
+
+    const now = new Date().toISOString();
+    let deleted = 0;
+    const referenced = new Set();
+    for (const meta of this._allMeta()) {
+      const matches =
+        (!api || meta.api === api) && (!endpoint || meta.endpoint === endpoint) && (!expired || meta.expiresAt <= now);
+      if (matches) {
+        fs.unlinkSync(this._responsePath(meta.key));
+        deleted++;
+      } else {
+        referenced.add(meta.contentHash);
+      }
+    }
+
+    const bodiesDir = path.join(this.dir, 'bodies');
+    if (fs.existsSync(bodiesDir)) {
+      fs.readdirSync(bodiesDir)
+        .filter((file) => !referenced.has(path.basename(file, '.json')))
+        .forEach((file) => fs.unlinkSync(path.join(bodiesDir, file)));
+    }
+    return deleted;
+  }
+
+  /**
+   * Cached responses by API and endpoint
+   * @returns {Promise<Array>} - [{ api, endpoint, responses, expired, bodies }]
+   */
+  async stats() {
+    if (this.store === 'postgres') {
+      const result = await db.query(
+        `SELECT api, endpoint, COUNT(*) AS responses,
+                COUNT(*) FILTER (WHERE expires_at <= NOW()) AS expired,
+                COUNT(DISTINCT content_hash) AS bodies
+         FROM http_cache
+         GROUP BY api, endpoint
+         ORDER BY api, endpoint`
+      );
+      return result.rows.map((row) => ({
+        api: row.api,
+        endpoint: row.endpoint,
+        responses: parseInt(row.responses),
+        expired: parseInt(row.expired),
+        bodies: parseInt(row.bodies),
+      }));
+    }
+
+    const now = new Date().toISOString();
+    const groups = {};
+    for (const meta of this._allMeta()) {
+      const id = `${meta.api}:${meta.endpoint}`;
+      if (!groups[id]) {
+        groups[id] = { api: meta.api, endpoint: meta.endpoint, responses: 0, expired: 0, hashes: new Set() };
+      }
+      groups[id].responses++;
+      if (meta.expiresAt <= now) groups[id].expired++;
+      groups[id].hashes.add(meta.contentHash);
+    }
+
+    return Object.values(groups)
+      .sort((a, b) => `${a.api}:${a.endpoint}`.localeCompare(`${b.api}:${b.endpoint}`))
+      .map(({ hashes, ...group }) => ({ ...group, bodies: hashes.size }));
+  }
+
+  /**
+   * Read a cached response from Postgres
+   * @param {string} key - Request key
+   * @returns {Promise<object|null>}
+   */
+  async _getRow(key) {
+    const result = await db.query(
+      `SELECT c.*, b.body
+       FROM http_cache c
+       JOIN http_response_bodies b ON b.content_hash = c.content_hash
+       WHERE c.request_key = $1`,
+      [key]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      key: row.request_key,
+      api: row.api,
+      endpoint: row.endpoint,
+      url: row.url,
+      status: row.status,
+      headers: row.headers || {},
+      data: JSON.parse(row.body),
+      contentHash: row.content_hash,
+      fetchedAt: new Date(row.fetched_at).toISOString(),
+      expiresAt: new Date(row.expires_at).toISOString(),
+    };
+  }
+
+  /**
+   * Upsert a response and its body in Postgres
+   * @param {object} entry - Entry with contentHash
+   * @param {string} body - Serialized body
+   */
+  async _setRow(entry, body) {
+    await db.query(
+      `INSERT INTO http_response_bodies (content_hash, body, size_bytes)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (content_hash) DO NOTHING`,
+      [entry.contentHash, body, Buffer.byteLength(body)]
+    );
+    await db.query(
+      `INSERT INTO http_cache (request_key, api, endpoint, url, status, headers, content_hash, fetched_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (request_key) DO UPDATE SET
+         status = EXCLUDED.status,
+         headers = EXCLUDED.headers,
+         content_hash = EXCLUDED.content_hash,
+         fetched_at = EXCLUDED.fetched_at,
+         expires_at = EXCLUDED.expires_at,
+         validated_at = NULL`,
+      [
+        entry.key,
+        entry.api,
+        entry.endpoint,
+        entry.url,
+        entry.status,
+        JSON.stringify(entry.headers || {}),
+        entry.contentHash,
+        entry.fetchedAt,
+        entry.expiresAt,
+      ]
+    );
+  }
+
+  /**
+   * File of a cached response's metadata
+   * @param {string} key - Request key
+   * @returns {string}
+   */
+  _responsePath(key) {
+    return path.join(this.dir, 'responses', `${key}.json`);
+  }
+
+  /**
+   * File of a response body
+   * @param {string} contentHash - SHA-256 of the body
+   * @returns {string}
+   */
+  _bodyPath(contentHash) {
+    return path.join(this.dir, 'bodies', `${contentHash}.json`);
+  }
+
+  /**
+   * Read a cached response's metadata from disk
+   * @param {string} key - Request key
+   * @returns {object|null}
+   */
+  _readMeta(key) {
+    const file = this._responsePath(key);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  /**
+   * Read a cached response, with its body, from disk
+   * @param {string} key - Request key
+   * @returns {object|null}
+   */
+  _readFile(key) {
+    const meta = this._readMeta(key);
+    if (!meta || !fs.existsSync(this._bodyPath(meta.contentHash))) return null;
+    return { ...meta, data: JSON.parse(fs.readFileSync(this._bodyPath(meta.contentHash), 'utf8')) };
+  }
+
+  /**
+   * Write a response to disk; the body only if no response shares it yet
+   * @param {object} entry - Entry with contentHash
+   * @param {string} body - Serialized body
+   */
+  _writeFile(entry, body) {
+    fs.mkdirSync(path.join(this.dir, 'responses'), { recursive: true });
+    fs.mkdirSync(path.join(this.dir, 'bodies'), { recursive: true });
+
+    const bodyPath = this._bodyPath(entry.contentHash);
+    if (!fs.existsSync(bodyPath)) {
+      fs.writeFileSync(bodyPath, body);
+    }
+    const { data, ...meta } = entry;
+    fs.writeFileSync(this._responsePath(entry.key), JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * Metadata of every cached response on disk
+   * @returns {Array}
+   */
+  _allMeta() {
+    const dir = path.join(this.dir, 'responses');
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+}
+
+module.exports = ResponseCache;
+module.exports.sha256 = sha256;
@@ -0,0 +1,308 @@
+/**
+ * Scraper HTTP
+ * The shared HTTP layer for scraper APIs (Google Places, Yelp Fusion,
+ * geocoding): a response cache with per-endpoint TTLs, conditional requests,
+ * and a ledger of requests per API key per day
+ *
+ * Modes (HTTP_CACHE_MODE):
+ *   off            - Always call the API; nothing is cached (requests are still counted)
+ *   cache          - Serve fresh cached responses, call the API for the rest (default)
+ *   refresh        - Always call the API and (over)write the cache
+ *   replay         - Serve any cached response however old; on a miss, call the API and cache it
+ *   replay-or-fail - Serve any cached response; on a miss, fail without touching the network
+ *
+ * A stale response that came with an ETag or Last-Modified is revalidated
+ * with If-None-Match / If-Modified-Since; a 304 extends it without a new body.
+ * API keys (the `key` parameter, Authorization headers) are left out of cache
+ * keys and stored URLs, so a cache can be shared and replayed under any key.
+ *
+ * Every request that reaches the network first takes a token from the shared
+ * rate limiter (cache hits do not). A rate-limited answer backs the provider
+ * off and is retried; a spent quota throws QuotaExhaustedError.
+ */
+
+const axios = require('axios');
+const ResponseCache = require('./response-cache');
+const rateLimiter = require('./rate-limiter');
+const requestLedger = require('../metering/request-ledger');
+const { stableStringify } = require('../utils/stable-stringify');
+const { parseRetryAfter } = require('../utils/retry');
+const { HttpCacheMissError, QuotaExhaustedError } = require('../utils/errors');
+require('dotenv').config();
+
+const MODES = ['off', 'cache', 'refresh', 'replay', 'replay-or-fail'];
+
+// How long a response stays fresh, by "api:endpoint"; override with HTTP_CACHE_TTL_HOURS
+const DEFAULT_TTL_HOURS = {
+  'google_maps:textsearch': 24,
+  'google_maps:nearbysearch': 24,
+  'google_maps:details': 24 * 7,
+  'google_maps:geocode': 24 * 90,
+  'yelp:search': 24,
+  'yelp:business': 24 * 7,
+  'yelp:reviews': 24 * 7,
+};
+
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'client_secret'];
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+/**
+ * Parse HTTP_CACHE_TTL_HOURS ({"api:endpoint": hours} JSON)
+ * @returns {object}
+ */
+function ttlOverrides() {
+  if (!process.env.HTTP_CACHE_TTL_HOURS) return {};
+  try {
+    return JSON.parse(process.env.HTTP_CACHE_TTL_HOURS);
+  } catch (error) {
+    console.error('Ignoring invalid HTTP_CACHE_TTL_HOURS:', error.message);
+    return {};
+  }
+}
+
+/**
+ * An object without the given keys (case-insensitive), keys lowercased
+ * @param {object} values - Parameters or headers
+ * @param {Array<string>} secrets - Lowercase names to drop
+ * @returns {object}
+ */
+function withoutSecrets(values = {}, secrets) {
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([name, value]) => value !== undefined && !secrets.includes(name.toLowerCase()))
+      .map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+/**
+ * Default rate-limit check: HTTP 429 means slow down
+ * @param {object} response - Axios response
+ * @returns {string|null} - 'rate' | null
+ */
+function tooManyRequests(response) {
+  return response.status === 429 ? 'rate' : null;
+}
+
+/**
+ * Rate-limit check for Google Maps web services, which answer 200 with a
+ * status in the body: OVER_QUERY_LIMIT (too fast, or out of quota for now)
+ * and OVER_DAILY_LIMIT (daily cap or billing)
+ * @param {object} response - Axios response
+ * @returns {string|null} - 'rate' | 'quota' | null
+ */
+function googleApiLimited(response) {
+  const status = response.data?.status;
+  if (status === 'OVER_DAILY_LIMIT') return 'quota';
+  if (status === 'OVER_QUERY_LIMIT') return 'rate';
+  return tooManyRequests(response);
+}
+
+class ScraperHttp {
+  /**
+   * @param {object} options - { mode, cache: ResponseCache, ledger: RequestLedger, limiter: RateLimiter,
+   *   http: axios-compatible client, ttlHours: { "api:endpoint": hours }, defaultTtlHours }
+   */
+  constructor(options = {}) {
+    const mode = options.mode || process.env.HTTP_CACHE_MODE || 'cache';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid HTTP cache mode '${mode}' (expected one of: ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.cache = options.cache || ResponseCache.fromEnv();
+    this.ledger = options.ledger || requestLedger;
+    this.limiter = options.limiter || rateLimiter;
+    this.http = options.http || axios;
+    this.ttlHours = { ...DEFAULT_TTL_HOURS, ...ttlOverrides(), ...options.ttlHours };
+    this.defaultTtlHours =
+      options.defaultTtlHours ?? parseFloat(process.env.HTTP_CACHE_DEFAULT_TTL_HOURS || '24');
+    this.stats = { hits: 0, misses: 0, revalidated: 0, calls: 0, rateLimited: 0 };
+  }
+
+  /**
+   * GET through the cache
+   * @param {string} url - URL
+   * @param {object} options - { api: ledger and cache namespace (e.g. google_maps), endpoint (e.g.
+   *   details), params, headers, credential: the API key used (for the ledger), ttlMs: override the
+   *   endpoint's TTL, cacheable(response): whether a 2xx response may be cached (default: always),
+   *   limited(response): 'rate' when the response says to slow down, 'quota' when the daily quota is
+   *   spent, else null (default: 429 → 'rate'), signal }
+   * @returns {Promise<object>} - { status, data, headers, cached: false | 'hit' | 'revalidated' }
+   * @throws {HttpCacheMissError} - In replay-or-fail mode, on a miss
+   * @throws {QuotaExhaustedError} - When the quota is spent or the API keeps rate limiting us
+   * @throws {Error} - When the request fails (as axios throws)
+   */
+  async get(url, options = {}) {
+    const { api, endpoint, params = {}, headers = {}, credential = null, cacheable = () => true, signal } = options;
+
+    if (this.mode === 'off') {
+      return { ...(await this._fetch(url, options)), cached: false };
+    }
+
+    const request = this.describe(url, params, headers);
+    const cached = this.mode === 'refresh' ? null : await this.cache.get(request.key);
+    const fresh = cached && (this.mode.startsWith('replay') || new Date(cached.expiresAt) > new Date());
+
+    if (fresh) {
+      this.stats.hits++;
+      await this.ledger.record({ api, endpoint, credential, outcome: 'hit' });
+      return { status: cached.status, data: cached.data, headers: cached.headers, cached: 'hit' };
+    }
+    if (this.mode === 'replay-or-fail') {
+      throw new HttpCacheMissError(request.key, request.url);
+    }
+    this.stats.misses++;
+
+    const conditional = {};
+    if (cached?.headers.etag) conditional['If-None-Match'] = cached.headers.etag;
+    if (cached?.headers['last-modified']) conditional['If-Modified-Since'] = cached.headers['last-modified'];
+    const revalidating = Object.keys(conditional).length > 0;
+
+    const response = await this._fetch(url, {
+      ...options,
+      headers: { ...headers, ...conditional },
+      validateStatus: revalidating ? (status) => (status >= 200 && status < 300) || status === 304 : undefined,
+      outcome: revalidating ? (res) => (res.status === 304 ? 'not_modified' : 'call') : undefined,
+    });
+
+    const expiresAt = new Date(Date.now() + this.ttlMs(api, endpoint, options.ttlMs)).toISOString();
+    if (response.status === 304) {
+      this.stats.revalidated++;
+      await this.cache.touch(request.key, expiresAt);
+      return { status: cached.status, data: cached.data, headers: cached.headers, cached: 'revalidated' };
+    }
+
+    if (cacheable(response)) {
+      await this.cache.set({
+        key: request.key,
+        api,
+        endpoint,
+        url: request.url,
+        status: response.status,
+        headers: this._storedHeaders(response.headers),
+        data: response.data,
+        fetchedAt: new Date().toISOString(),
+        expiresAt,
+      });
+    }
+    return { status: response.status, data: response.data, headers: response.headers || {}, cached: false };
+  }
+
+  /**
+   * The cache key and display URL of a request, secrets removed
+   * @param {string} url - URL
+   * @param {object} params - Query parameters
+   * @param {object} headers - Request headers
+   * @returns {object} - { key, url }
+   */
+  describe(url, params = {}, headers = {}) {
+    const publicParams = withoutSecrets(params, SECRET_PARAMS);
+    const publicHeaders = withoutSecrets(headers, SECRET_HEADERS);
+
+    const query = new URLSearchParams(
+      Object.keys(publicParams)
+        .sort()
+        .map((name) => [name, String(publicParams[name])])
+    ).toString();
+
+    return {
+      key: ResponseCache.sha256(stableStringify({ method: 'GET', url, params: publicParams, headers: publicHeaders })),
+      url: query ? `${url}?${query}` : url,
+    };
+  }
+
+  /**
+   * How long a response from an endpoint stays fresh
+   * @param {string} api - API name
+   * @param {string} endpoint - Endpoint name
+   * @param {number} overrideMs - Per-request TTL, wins when given
+   * @returns {number} - Milliseconds
+   */
+  ttlMs(api, endpoint, overrideMs) {
+    if (overrideMs !== undefined) return overrideMs;
+    const hours = this.ttlHours[`${api}:${endpoint}`] ?? this.ttlHours[api] ?? this.defaultTtlHours;
+    return hours * 3600000;
+  }
+
+  /**
+   * Call the API under the rate limiter and count the request
+   * @param {string} url - URL
+   * @param {object} options - get() options, plus validateStatus and outcome(response) → ledger outcome
+   * @returns {Promise<object>} - Axios response
+   */
+  async _fetch(url, options) {
+    const { api, endpoint, params, headers, credential, validateStatus, outcome, signal } = options;
+    const limited = options.limited || tooManyRequests;
+
+    for (let attempt = 0; ; attempt++) {
+      const bucket = await this.limiter.acquire(api, { credential, signal });
+      this.stats.calls++;
+
+      let response;
+      let failure = null;
+      try {
+        response = await this.http.get(url, {
+          params,
+          headers,
+          signal,
+          ...(validateStatus ? { validateStatus } : {}),
+        });
+      } catch (error) {
+        // An aborted request says nothing about the API
+        if (signal?.aborted) throw error;
+        failure = error;
+        response = error.response;
+      }
+
+      const verdict = response ? limited(response) : null;
+      if (verdict) {
+        this.stats.rateLimited++;
+        await this.ledger.record({ api, endpoint, credential, outcome: 'rate_limited' });
+
+        if (verdict === 'quota') {
+          const resumeAt = await this.limiter.exhaust(api, { credential });
+          throw new QuotaExhaustedError(api, resumeAt, { reason: 'daily_quota' });
+        }
+        const state = await this.limiter.penalize(api, {
+          credential,
+          retryAfterMs: parseRetryAfter(response.headers),
+        });
+        if (attempt >= this.limiter.maxRetries) {
+          throw new QuotaExhaustedError(api, new Date(state.pausedUntil), { reason: 'rate_limited' });
+        }
+        continue;
+      }
+
+      if (failure) {
+        await this.ledger.record({ api, endpoint, credential, outcome: 'error' });
+        throw failure;
+      }
+
+      if (bucket.penalty < 1 || bucket.strikes > 0) {
+        await this.limiter.reward(api, { credential });
+      }
+      await this.ledger.record({ api, endpoint, credential, outcome: outcome ? outcome(response) : 'call' });
+      return response;
+    }
+  }
+
+  /**
+   * Response headers worth keeping with a cached response
+   * @param {object} headers - Response headers
+   * @returns {object} - { content-type, etag, last-modified } where present
+   */
+  _storedHeaders(headers = {}) {
+    const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    return Object.fromEntries(
+      ['content-type', 'etag', 'last-modified'].map((name) => [name, get(name)]).filter(([, value]) => value)
+    );
+  }
+}
+
+// Export singleton instance
+const scraperHttp = new ScraperHttp();
+
+module.exports = scraperHttp;
+module.exports.ScraperHttp = ScraperHttp;
+module.exports.DEFAULT_TTL_HOURS = DEFAULT_TTL_HOURS;
+module.exports.googleApiLimited = googleApiLimited;
@@ -13,7 +13,11 @@ const {
   OutreachAgent,
   DiligenceAgent,
   IntegratorAgent,
+  CriticAgent,
 } = require('./agents');
+const eventBus = require('./events/event-bus');
+const { DOMAIN_EVENTS } = require('./events/domain-events');
+const { connectorRegistry, Connector } = require('./connectors');
 
 // Export everything for library usage
 module.exports = {
@@ -29,6 +33,15 @@ module.exports = {
   OutreachAgent,
   DiligenceAgent,
   IntegratorAgent,
+  CriticAgent,
+
+  // Domain events
+  eventBus,
+  DOMAIN_EVENTS,
+
+  // Ingestion connectors
+  connectorRegistry,
+  Connector,
 };
 
 // If run directly, show usage info
@@ -52,6 +65,7 @@ Available Agents:
   📧 Outreach Agent    - Generate personalized outreach
   📋 Diligence Agent   - Due diligence and IC memos
   🔄 Integrator Agent  - Post-acquisition integration
+  🧐 Critic Agent      - Cross-check other agents' outputs
 
 Workflows:
   • Sourcing Workflow     - Scout → Profile → Valuation → Compliance
@@ -0,0 +1,244 @@
+/**
+ * Change Detector
+ * Compares a freshly ingested company record with the stored company, field
+ * by field, so re-ingestion updates what changed and reports it
+ *
+ * Only fields the new record carries are compared: a source that leaves a
+ * field out says nothing about it. Values are compared loosely (phones by
+ * digits, names by their significant words so "Cool Air LLC" and "Cool Air"
+ * agree, text ignoring case and spacing, ratings at the column's precision)
+ * so formatting differences between sources are not reported as changes.
+ *
+ * A stored field belongs to the source that set it (companies.field_sources)
+ * and is only compared with what that source now says: Yelp's listing always
+ * reads OPERATIONAL, so it must not reopen a business Google has as closed.
+ * Another source may still fill in a field that is empty.
+ *
+ * Each change carries a one-line summary for people, e.g. "Google review
+ * count +40 in 30 days" (since the previous value was first seen) or
+ * "business closed".
+ */
+
+const { nameSimilarity } = require('./license-matcher');
+
+// Columns saveCompanies writes from an ingested record
+const COMPANY_FIELDS = [
+  'legal_name', 'dba', 'domain', 'phone', 'website', 'address', 'city', 'state', 'zip', 'latitude',
+  'longitude', 'vertical', 'business_status', 'estimated_revenue', 'estimated_employees',
+  'years_in_business', 'google_rating', 'google_review_count', 'yelp_rating', 'yelp_review_count',
+  'google_place_id', 'yelp_id',
+];
+
+// Fields diffed on re-ingestion, by how their values compare
+const TRACKED_FIELDS = {
+  legal_name: 'name',
+  phone: 'phone',
+  website: 'text',
+  domain: 'text',
+  address: 'text',
+  city: 'text',
+  state: 'text',
+  zip: 'text',
+  business_status: 'status',
+  estimated_employees: 'number',
+  google_rating: 'rating',
+  google_review_count: 'number',
+  yelp_rating: 'rating',
+  yelp_review_count: 'number',
+};
+
+// Source IDs filled in when the stored company lacks them; never reported as changes
+const LINK_FIELDS = ['google_place_id', 'yelp_id'];
+
+const FIELD_LABELS = {
+  legal_name: 'name',
+  estimated_employees: 'estimated employees',
+  google_rating: 'Google rating',
+  google_review_count: 'Google review count',
+  yelp_rating: 'Yelp rating',
+  yelp_review_count: 'Yelp review count',
+};
+
+const CLOSED_STATUSES = ['CLOSED', 'CLOSED_PERMANENTLY'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The companies columns of an ingested record
+ * Review summaries (google_reviews, yelp_reviews) become rating and count columns.
+ * @param {object} data - Normalized company record (connector output, possibly merged)
+ * @returns {object} - { [column]: value }, undefined for fields the record lacks, and
+ *   field_sources: the source of each tracked field the record carries
+ */
+function companyRecord(data) {
+  const record = Object.fromEntries(COMPANY_FIELDS.map((field) => [field, data[field]]));
+
+  record.vertical = data.vertical || 'HVAC';
+  record.google_rating = data.google_rating ?? (data.google_reviews?.average_rating || undefined);
+  record.google_review_count = data.google_review_count ?? data.google_reviews?.count;
+  record.yelp_rating = data.yelp_rating ?? (data.yelp_reviews?.average_rating || undefined);
+  record.yelp_review_count = data.yelp_review_count ?? data.yelp_reviews?.count;
+
+  // Merged records note which fields another source filled in
+  const source = data.data_source || 'unknown';
+  record.field_sources = Object.fromEntries(
+    Object.entries(TRACKED_FIELDS)
+      .filter(([field, kind]) => comparable(record[field], kind) !== null)
+      .map(([field]) => [field, data.field_sources?.[field] || source])
+  );
+
+  return record;
+}
+
+/**
+ * A value in the form it is compared in
+ * @param {*} value - Stored or ingested value
+ * @param {string} kind - text | name | phone | status | number | rating
+ * @returns {*} - null when empty
+ */
+function comparable(value, kind) {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (kind) {
+    case 'phone': {
+      const digits = String(value).replace(/\D/g, '');
+      return digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+    }
+    case 'status':
+      return String(value).trim().toUpperCase();
+    case 'number':
+    case 'rating': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return null;
+      return kind === 'rating' ? Math.round(number * 10) / 10 : number;
+    }
+    default:
+      return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
+
+/**
+ * "30 days", "1 day" or "under a day"
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+function formatSpan(ms) {
+  const days = Math.round(ms / DAY_MS);
+  if (days < 1) return 'under a day';
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * One-line description of a change
+ * @param {object} change - { field, previous, current, delta, since }
+ * @param {Date} now - When the change was found
+ * @returns {string}
+ */
+function describeChange(change, now = new Date()) {
+  const { field, previous, current, delta, since } = change;
+  const label = FIELD_LABELS[field] || field.replace(/_/g, ' ');
+
+  if (field === 'business_status') {
+    const status = comparable(current, 'status');
+    if (CLOSED_STATUSES.includes(status)) return 'business closed';
+    if (status === 'CLOSED_TEMPORARILY') return 'business temporarily closed';
+    if (status === 'OPERATIONAL' && previous) return 'business reopened';
+  }
+  if (previous === null || previous === undefined) {
+    return `${label} recorded: ${current}`;
+  }
+  if (TRACKED_FIELDS[field] === 'number' && delta !== null) {
+    const span = since ? ` in ${formatSpan(now - new Date(since))}` : '';
+    return `${label} ${delta >= 0 ? '+' : ''}${delta}${span}`;
+  }
+  return `${label} ${previous} → ${current}`;
+}
+
+/**
+ * Field-level differences between a stored company and an ingested record
+ * A field set by another source is skipped (see field_sources above).
+ * @param {object} current - Stored company row
+ * @param {object} incoming - Ingested columns (see companyRecord)
+ * @param {object} options - { lastChanged: { [field]: Date the field last changed }, now }
+ * @returns {Array} - [{ field, previous, current, delta, since, summary }]; since is when the
+ *   previous value was first seen (its last change, else when the company was created)
+ */
+function diffCompany(current, incoming, options = {}) {
+  const { lastChanged = {}, now = new Date() } = options;
+  const changes = [];
+
+  for (const [field, kind] of Object.entries(TRACKED_FIELDS)) {
+    const next = comparable(incoming[field], kind);
+    if (next === null) continue;
+
+    const previous = comparable(current[field], kind);
+    if (next === previous) continue;
+
+    const owner = current.field_sources?.[field];
+    const source = incoming.field_sources?.[field];
+    if (previous !== null && owner && source && owner !== source) continue;
+    if (kind === 'name' && previous !== null && nameSimilarity(previous, next) === 1) continue;
+
+    const numeric = kind === 'number' || kind === 'rating';
+    const since = lastChanged[field] || (current.created_at ? new Date(current.created_at) : null);
+    const change = {
+      field,
+      previous: previous === null ? null : numeric ? previous : current[field],
+      current: numeric ? next : incoming[field],
+      delta: numeric && previous !== null ? Math.round((next - previous) * 100) / 100 : null,
+      since: since ? since.toISOString() : null,
+    };
+    changes.push({ ...change, summary: describeChange(change, now) });
+  }
+
+  return changes;
+}
+
+/**
+ * Sources of the fields an update writes, merged into the stored ones
+ * @param {object} current - Stored company row
+ * @param {object} incoming - Ingested columns
+ * @param {Array} changes - Changes being written (see diffCompany)
+ * @returns {object} - { [field]: source }
+ */
+function claimFields(current, incoming, changes) {
+  const claimed = changes
+    .filter((change) => incoming.field_sources?.[change.field])
+    .map((change) => [change.field, incoming.field_sources[change.field]]);
+  return { ...(current.field_sources || {}), ...Object.fromEntries(claimed) };
+}
+
+/**
+ * Whether a stored company found by a shared identifier is the record's
+ * company: not when both carry different IDs from the same source (say two
+ * franchise locations sharing a domain)
+ * @param {object} stored - Stored company row
+ * @param {object} incoming - Ingested columns
+ * @returns {boolean}
+ */
+function sameCompany(stored, incoming) {
+  return LINK_FIELDS.every((field) => !stored[field] || !incoming[field] || stored[field] === incoming[field]);
+}
+
+/**
+ * Source IDs the stored company lacks and the record carries
+ * @param {object} current - Stored company row
+ * @param {object} incoming - Ingested columns
+ * @returns {object} - { google_place_id, yelp_id } to set
+ */
+function missingLinks(current, incoming) {
+  return Object.fromEntries(
+    LINK_FIELDS.filter((field) => !current[field] && incoming[field]).map((field) => [field, incoming[field]])
+  );
+}
+
+module.exports = {
+  claimFields,
+  companyRecord,
+  diffCompany,
+  describeChange,
+  missingLinks,
+  sameCompany,
+  TRACKED_FIELDS,
+  LINK_FIELDS,
+};
@@ -0,0 +1,252 @@
+/**
+ * License Matcher
+ * Links state license records to companies by name, phone and address
+ *
+ * Each signal yields a strength between 0 and 1 (name similarity, an exact
+ * phone match, same street address, same zip or city); the confidence is the
+ * chance that at least one signal is right, 1 - Π(1 - weight × strength), so
+ * independent signals reinforce each other without any one of them deciding.
+ * Matches at or above LICENSE_MATCH_MIN_CONFIDENCE are linked; those between
+ * LICENSE_REVIEW_MIN_CONFIDENCE and that are kept as candidates for review.
+ *
+ * licenseFacts() gathers the records a compliance licensure check rests on.
+ */
+
+const License = require('../db/models/license');
+require('dotenv').config();
+
+const MATCH_THRESHOLDS = {
+  link: parseFloat(process.env.LICENSE_MATCH_MIN_CONFIDENCE || '0.75'),
+  review: parseFloat(process.env.LICENSE_REVIEW_MIN_CONFIDENCE || '0.5'),
+};
+
+// How far each signal alone goes towards a match. Calibrated against the
+// default thresholds: the same name in the same zip or city links (0.76), as
+// board exports often carry no phone; a name alone (0.70), a partial name with
+// locality (0.65) or phone with locality (0.68) goes to review; phone and
+// street together link (0.80).
+const SIGNAL_WEIGHTS = {
+  name: 0.7,
+  phone: 0.6,
+  street: 0.5,
+  locality: 0.2,
+};
+
+// Words that do not tell two businesses apart
+const NAME_NOISE = new Set([
+  'the', 'and', 'of', 'llc', 'l', 'c', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company',
+  'ltd', 'lp', 'llp', 'pllc', 'pa', 'dba', 'services', 'service',
+]);
+
+const STREET_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd', lane: 'ln', court: 'ct',
+  place: 'pl', parkway: 'pkwy', highway: 'hwy', circle: 'cir', terrace: 'ter', north: 'n', south: 's',
+  east: 'e', west: 'w', northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+};
+
+/**
+ * Significant words of a business name
+ * @param {string} name - Business or licensee name
+ * @returns {Array<string>}
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token && !NAME_NOISE.has(token));
+}
+
+/**
+ * Similarity of two names: 1 when their significant words are the same,
+ * 0.9 when one name's words are all in the other, else the Dice coefficient
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - 0-1
+ */
+function nameSimilarity(a, b) {
+  const left = new Set(nameTokens(a));
+  const right = new Set(nameTokens(b));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter((token) => right.has(token)).length;
+  if (shared === left.size && shared === right.size) return 1;
+  if (shared === Math.min(left.size, right.size)) return 0.9;
+  return (2 * shared) / (left.size + right.size);
+}
+
+/**
+ * Last 10 digits of a phone number
+ * @param {string} phone - Phone
+ * @returns {string|null}
+ */
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * House number and street, without the unit: "123 N Main St"
+ * @param {string} address - Street address
+ * @returns {string|null}
+ */
+function streetKey(address) {
+  const words = String(address || '')
+    .toLowerCase()
+    .split(/\s*(?:,|#|\bsuite\b|\bste\b|\bunit\b|\bapt\b)\s*/)[0]
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => STREET_ABBREVIATIONS[word] || word);
+  return words.length >= 2 && /^\d/.test(words[0]) ? words.join(' ') : null;
+}
+
+/**
+ * Score how likely a license belongs to a company
+ * @param {object} license - License record (business_name, holder_name, phone, address, city, zip)
+ * @param {object} company - Company (legal_name, dba, phone, address, city, zip)
+ * @returns {object} - { confidence: 0-1, signals: { name, phone, street, locality } }
+ */
+function scoreMatch(license, company) {
+  const licenseNames = [license.business_name, license.holder_name].filter(Boolean);
+  const companyNames = [company.legal_name, company.dba].filter(Boolean);
+
+  const signals = {
+    name: Math.max(0, ...licenseNames.flatMap((a) => companyNames.map((b) => nameSimilarity(a, b)))),
+    phone: phoneKey(license.phone) && phoneKey(license.phone) === phoneKey(company.phone) ? 1 : 0,
+    street: streetKey(license.address) && streetKey(license.address) === streetKey(company.address) ? 1 : 0,
+    locality:
+      (license.zip && company.zip && license.zip.substring(0, 5) === String(company.zip).substring(0, 5)) ||
+      (license.city && company.city && license.city.toLowerCase() === company.city.toLowerCase())
+        ? 1
+        : 0,
+  };
+
+  // A loose name overlap ("Cool Air" vs "Air Pros") is noise, not evidence
+  const strengths = { ...signals, name: signals.name >= 0.5 ? signals.name ** 2 : 0 };
+  const miss = Object.entries(SIGNAL_WEIGHTS).reduce(
+    (product, [signal, weight]) => product * (1 - weight * strengths[signal]),
+    1
+  );
+
+  // Truncated, not rounded, so a score never crosses a threshold by rounding
+  return { confidence: Math.floor((1 - miss) * 100 + 1e-9) / 100, signals };
+}
+
+class LicenseMatcher {
+  /**
+   * @param {Array} companies - Companies to match against (usually those in the license's state)
+   * @param {object} options - { thresholds: { link, review } }
+   */
+  constructor(companies = [], options = {}) {
+    this.thresholds = { ...MATCH_THRESHOLDS, ...options.thresholds };
+    this.byPhone = new Map();
+    this.byZip = new Map();
+    this.byToken = new Map();
+    companies.forEach((company) => this.add(company));
+  }
+
+  /**
+   * Index a company for candidate lookup
+   * @param {object} company - Company
+   */
+  add(company) {
+    const index = (map, key) => {
+      if (!key) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(company);
+    };
+
+    index(this.byPhone, phoneKey(company.phone));
+    index(this.byZip, company.zip ? String(company.zip).substring(0, 5) : null);
+    new Set([...nameTokens(company.legal_name), ...nameTokens(company.dba)]).forEach((token) =>
+      index(this.byToken, token)
+    );
+  }
+
+  /**
+   * Best company for a license
+   * @param {object} license - License record
+   * @returns {object|null} - { company, confidence, signals, decision: 'link' | 'review' },
+   *   or null below the review threshold
+   */
+  match(license) {
+    const candidates = new Set([
+      ...(this.byPhone.get(phoneKey(license.phone)) || []),
+      ...(this.byZip.get(license.zip ? license.zip.substring(0, 5) : null) || []),
+      ...[license.business_name, license.holder_name].flatMap((name) =>
+        nameTokens(name).flatMap((token) => this.byToken.get(token) || [])
+      ),
+    ]);
+
+    let best = null;
+    for (const company of candidates) {
+      const { confidence, signals } = scoreMatch(license, company);
+      if (!best || confidence > best.confidence) {
+        best = { company, confidence, signals };
+      }
+    }
+
+    if (!best || best.confidence < this.thresholds.review) return null;
+    return { ...best, decision: best.confidence >= this.thresholds.link ? 'link' : 'review' };
+  }
+}
+
+/**
+ * License records for a compliance licensure check
+ * Uses the licenses linked to the company, falling back to unlinked registry
+ * records that match it (for companies not saved or not yet matched).
+ * @param {object} company - Company (id, legal_name, dba, phone, address, city, state, zip)
+ * @returns {Promise<object>} - { registryStates: states whose board exports were imported,
+ *   covered: whether the company's state is one of them, licenses: [{ state, license_number,
+ *   license_type, status, board_status, secondary_status, issue_date, expiration_date,
+ *   holder_name, business_name, match_confidence, linked }], summary: { active, expired,
+ *   suspended, revoked, inactive, unknown } }
+ */
+async function licenseFacts(company) {
+  const registryStates = await License.registryStates();
+  let licenses = company.id ? (await License.findByCompany(company.id)).map((l) => ({ ...l, linked: true })) : [];
+
+  if (licenses.length === 0 && company.state) {
+    const matcher = new LicenseMatcher([company]);
+    const candidates = await License.findCandidates(company);
+    licenses = candidates
+      .map((license) => ({ license, match: matcher.match(license) }))
+      .filter(({ match }) => match?.decision === 'link')
+      .map(({ license, match }) => ({ ...license, match_confidence: match.confidence, linked: false }));
+  }
+
+  const summary = { active: 0, expired: 0, suspended: 0, revoked: 0, inactive: 0, unknown: 0 };
+  licenses.forEach((license) => {
+    summary[license.status in summary ? license.status : 'unknown']++;
+  });
+
+  return {
+    registryStates,
+    covered: Boolean(company.state && registryStates.includes(company.state)),
+    licenses: licenses.map((license) => ({
+      state: license.state,
+      license_number: license.license_number,
+      license_type: license.license_type,
+      status: license.status,
+      board_status: license.board_status || null,
+      secondary_status: license.secondary_status || null,
+      issue_date: license.issue_date || null,
+      expiration_date: license.expiration_date || null,
+      holder_name: license.holder_name || null,
+      business_name: license.business_name || null,
+      match_confidence: license.match_confidence == null ? null : Number(license.match_confidence),
+      linked: license.linked,
+    })),
+    summary,
+  };
+}
+
+module.exports = {
+  LicenseMatcher,
+  scoreMatch,
+  nameSimilarity,
+  licenseFacts,
+  MATCH_THRESHOLDS,
+};
@@ -1,34 +1,62 @@
 /**
  * Data Ingestion Pipeline
  * Orchestrates data collection from multiple sources
+ *
+ * Sources are connectors (src/connectors) looked up by name in the connector
+ * registry; options.sources picks which ones run.
+ *
+ * Publishes company.ingested, company.merged and score.updated on the event bus.
  */
 
-const GoogleMapsScaper = require('../scrapers/google-maps');
-const YelpScraper = require('../scrapers/yelp');
+const path = require('path');
+const { connectorRegistry } = require('../connectors');
+const mappingProfiles = require('../connectors/mapping-profiles');
 const Company = require('../db/models/company');
+const CompanyChange = require('../db/models/company-change');
+const License = require('../db/models/license');
+const { LicenseMatcher } = require('./license-matcher');
+const { claimFields, companyRecord, diffCompany, missingLinks, sameCompany } = require('./change-detector');
+const websiteCrawler = require('../crawler/website-crawler');
+const crypto = require('crypto');
 const db = require('../db/connection');
+const costLedger = require('../metering/cost-ledger');
+const { throwIfAborted } = require('../utils/abort');
+const runStore = require('../workflows/run-store');
+const eventBus = require('../events/event-bus');
+const jobQueue = require('../queue/job-queue');
 const { AgentOrchestrator } = require('../index');
 
+// Run store workflow name for multi-location sweeps
+const SWEEP_WORKFLOW = 'ingestion_sweep';
+
 class IngestionPipeline {
-  constructor() {
-    this.googleMaps = new GoogleMapsScaper();
-    this.yelp = new YelpScraper();
+  /**
+   * @param {object} options - { connectors: registry to look sources up in (default: the shared registry) }
+   */
+  constructor(options = {}) {
+    this.connectors = options.connectors || connectorRegistry;
     this.orchestrator = new AgentOrchestrator();
   }
 
   /**
    * Ingest HVAC companies for a location
    * @param {string} location - City, state (e.g., "Miami, FL")
-   * @param {object} options - Options
-   * @returns {Promise<object>} - Ingestion results
+   * @param {object} options - Options (sources: connector names, default every connector
+   *   enabled by default; sourceOptions: { [connector]: search options, e.g. { google_maps:
+   *   { query: 'Plumbing' } } }; tiled: tile the metro into cells on every source that supports
+   *   it (see collectSources); signal: AbortSignal that stops scraping and scoring)
+   * @returns {Promise<object>} - Ingestion results, with coverage: { [connector]: tiled search
+   *   coverage } for tiled sources
    */
   async ingestLocation(location, options = {}) {
     const {
-      includeGoogleMaps = true,
-      includeYelp = true,
       runResolver = true,
       runScoring = true,
+      batchScoring = false,
       thesis = null,
+      workflowRunId = crypto.randomUUID(),
+      budget,
+      signal,
     } = options;
 
     console.log(`\n🚀 Starting ingestion pipeline for ${location}`);
@@ -36,35 +64,23 @@ class IngestionPipeline {
 
     const results = {
       location,
+      workflowRunId,
       sources: {},
+      coverage: {},
       companies: [],
+      companyIds: [],
       scores: [],
       stats: {},
     };
 
     try {
-      // Step 1: Scrape from Google Maps
-      if (includeGoogleMaps) {
-        console.log('\n📍 Step 1: Scraping Google Maps...');
-        const googleCompanies = await this.googleMaps.searchCompanies(location);
-        results.sources.google_maps = googleCompanies;
-        console.log(`   Found ${googleCompanies.length} companies from Google Maps`);
-      }
+      // Step 1: Collect from each source
+      console.log('\n📡 Step 1: Collecting from sources...');
+      results.sources = await this.collectSources(location, { ...options, coverage: results.coverage });
 
-      // Step 2: Scrape from Yelp
-      if (includeYelp) {
-        console.log('\n⭐ Step 2: Scraping Yelp...');
-        const yelpCompanies = await this.yelp.searchBusinesses(location);
-        results.sources.yelp = yelpCompanies;
-        console.log(`   Found ${yelpCompanies.length} companies from Yelp`);
-      }
-
-      // Step 3: Merge and resolve entities
-      console.log('\n🔗 Step 3: Entity Resolution...');
-      const allCompanies = [
-        ...(results.sources.google_maps || []),
-        ...(results.sources.yelp || []),
-      ];
+      // Step 2: Merge and resolve entities
+      console.log('\n🔗 Step 2: Entity Resolution...');
+      const allCompanies = Object.values(results.sources).flat();
 
       let resolvedCompanies = allCompanies;
       if (runResolver && allCompanies.length > 0) {
@@ -72,17 +88,34 @@ class IngestionPipeline {
         console.log(`   Resolved to ${resolvedCompanies.length} unique companies`);
       }
 
-      // Step 4: Store in database
-      console.log('\n💾 Step 4: Storing in database...');
-      const savedCompanies = await this.saveCompanies(resolvedCompanies);
+      // Step 3: Store in database
+      throwIfAborted(signal);
+      console.log('\n💾 Step 3: Storing in database...');
+      const outcomes = [];
+      const savedCompanies = await this.saveCompanies(resolvedCompanies, {
+        location,
+        workflowRunId,
+        outcomes,
+        scoring: runScoring && thesis ? { thesisId: thesis.id ?? null } : null,
+      });
       results.companies = savedCompanies;
-      console.log(`   Saved ${savedCompanies.length} companies to database`);
+      results.companyIds = outcomes.filter((outcome) => outcome.companyId).map((outcome) => outcome.companyId);
+      const count = (status) => outcomes.filter((outcome) => outcome.status === status).length;
+      console.log(
+        `   Saved ${count('saved')} new and updated ${count('updated')} companies (${count('unchanged')} unchanged)`
+      );
 
-      // Step 5: Run scoring (if thesis provided)
+      // Step 4: Run scoring (if thesis provided)
       if (runScoring && thesis && savedCompanies.length > 0) {
-        console.log('\n📊 Step 5: Scoring companies...');
-        const scores = await this.scoreCompanies(savedCompanies, thesis);
+        console.log('\n📊 Step 4: Scoring companies...');
+        const scores = await this.scoreCompanies(savedCompanies, thesis, {
+          workflowRunId,
+          budget,
+          batch: batchScoring,
+          signal,
+        });
         results.scores = scores;
+        results.budgetExceeded = scores.budgetExceeded || null;
         console.log(`   Scored ${scores.length} companies`);
       }
 
@@ -90,7 +123,11 @@ class IngestionPipeline {
       results.stats = {
         total_scraped: allCompanies.length,
         total_resolved: resolvedCompanies.length,
-        total_saved: savedCompanies.length,
+        total_saved: results.companyIds.length,
+        total_created: count('saved'),
+        total_updated: count('updated'),
+        total_unchanged: count('unchanged'),
+        total_changes: outcomes.reduce((sum, outcome) => sum + (outcome.changes?.length || 0), 0),
         total_scored: results.scores.length,
         qualified: results.scores.filter((s) => s.score >= 50).length,
       };
@@ -100,9 +137,17 @@ class IngestionPipeline {
       console.log('\n📈 Results:');
       console.log(`   Total Scraped: ${results.stats.total_scraped}`);
       console.log(`   Unique Companies: ${results.stats.total_resolved}`);
-      console.log(`   Saved to DB: ${results.stats.total_saved}`);
+      console.log(
+        `   Saved to DB: ${results.stats.total_saved} (${results.stats.total_created} new, ${results.stats.total_updated} updated with ${results.stats.total_changes} change(s), ${results.stats.total_unchanged} unchanged)`
+      );
       console.log(`   Scored: ${results.stats.total_scored}`);
       console.log(`   Qualified (≥50): ${results.stats.qualified}`);
+      Object.entries(results.coverage).forEach(([source, { summary }]) => {
+        console.log(
+          `   ${source} tiles: ${summary.searched} searched, ${summary.unique} unique` +
+            `${summary.complete ? '' : ` (${summary.capped} capped, ${summary.skipped} skipped: incomplete)`}`
+        );
+      });
 
       return results;
     } catch (error) {
@@ -111,6 +156,58 @@ class IngestionPipeline {
     }
   }
 
+  /**
+   * Which connectors an ingestion runs
+   * @param {object} options - { sources: connector names (default: every connector enabled by
+   *   default); includeGoogleMaps / includeYelp: false drops that source (older options) }
+   * @returns {Array<string>} - Connector names
+   */
+  sourceNames(options = {}) {
+    const names = options.sources || this.connectors.defaultNames();
+
+    return names.filter(
+      (name) =>
+        !(name === 'google_maps' && options.includeGoogleMaps === false) &&
+        !(name === 'yelp' && options.includeYelp === false)
+    );
+  }
+
+  /**
+   * Run each source's connector for a location
+   * With tiled, sources that support it search the metro cell by cell (past
+   * their per-query result cap) unless their sourceOptions set tiling
+   * themselves; each tiled source's per-cell coverage goes into options.coverage.
+   * @param {string} location - City, state
+   * @param {object} options - { sources, sourceOptions, tiled, coverage: object to receive
+   *   { [connector name]: { bounds, tiles, summary } }, signal } (see ingestLocation)
+   * @returns {Promise<object>} - { [connector name]: normalized companies }
+   * @throws {Error} - When a source is unknown, unconfigured or fails
+   */
+  async collectSources(location, options = {}) {
+    const { sourceOptions = {}, tiled = false, signal } = options;
+    // Resolve every name first, so a typo fails before any source is scraped
+    const connectors = this.sourceNames(options).map((name) => this.connectors.get(name));
+    const sources = {};
+
+    for (const connector of connectors) {
+      throwIfAborted(signal);
+      console.log(`   ${connector.label}...`);
+      const searchOptions = { ...sourceOptions[connector.name] };
+      if (tiled && connector.tiling && searchOptions.tiling === undefined) {
+        searchOptions.tiling = true;
+      }
+
+      const coverage = {};
+      sources[connector.name] = await connector.collect(location, { ...searchOptions, coverage, signal });
+      if (coverage.summary && options.coverage) {
+        options.coverage[connector.name] = coverage;
+      }
+      console.log(`   Found ${sources[connector.name].length} companies from ${connector.label}`);
+    }
+
+    return sources;
+  }
+
   /**
    * Resolve duplicate entities using Resolver Agent
    * @param {Array} companies - Raw company data
@@ -174,36 +271,57 @@ class IngestionPipeline {
 
   /**
    * Merge data from multiple sources for the same company
+   * The record from the highest-priority connector is the base (Google Maps
+   * over Yelp); the others fill in fields it lacks (such as their source IDs),
+   * noted in field_sources, and add their services and reviews.
    * @param {Array} companyGroup - Array of company records
    * @returns {object} - Merged company data
    */
   async mergeCompanyData(companyGroup) {
-    // Prefer Google Maps data as primary, enrich with Yelp
-    const googleData = companyGroup.find((c) => c.data_source === 'google_maps');
-    const yelpData = companyGroup.find((c) => c.data_source === 'yelp');
-
-    const merged = { ...(googleData || yelpData) };
-
-    // Merge review data
-    if (googleData && yelpData) {
-      merged.all_reviews = {
-        google: googleData.google_reviews,
-        yelp: yelpData.yelp_reviews,
-        total_count: (googleData.google_reviews?.count || 0) + (yelpData.yelp_reviews?.count || 0),
-        avg_rating:
-          ((googleData.google_reviews?.average_rating || 0) +
-            (yelpData.yelp_reviews?.average_rating || 0)) /
-          2,
-      };
+    const priority = (record) =>
+      this.connectors.has(record.data_source) ? this.connectors.get(record.data_source).priority : 0;
+    const ranked = [...companyGroup].sort((a, b) => priority(b) - priority(a));
+
+    const merged = { ...ranked[0] };
+
+    // Which source records went into the merge, for company.merged
+    merged.merged_from = companyGroup.map((c) => ({
+      source: c.data_source,
+      id: c.provenance?.sourceId ?? null,
+      name: c.legal_name,
+    }));
+
+    const sources = new Set(companyGroup.map((c) => c.data_source));
+    if (sources.size > 1) {
+      for (const record of ranked.slice(1)) {
+        for (const [field, value] of Object.entries(record)) {
+          if ((merged[field] === undefined || merged[field] === null) && value !== undefined && value !== null) {
+            merged[field] = value;
+            merged.field_sources = { ...merged.field_sources, [field]: record.data_source };
+          }
+        }
+      }
 
       // Merge services
-      merged.services = [
-        ...new Set([...(googleData.services || []), ...(yelpData.services || [])]),
-      ];
+      merged.services = [...new Set(ranked.flatMap((c) => c.services || []))];
 
-      // Store both IDs
-      merged.google_place_id = googleData.google_place_id;
-      merged.yelp_id = yelpData.yelp_id;
+      // Merge review data from each source's review summary
+      const reviews = ranked
+        .map((c) => {
+          const field = this.connectors.has(c.data_source)
+            ? this.connectors.get(c.data_source).reviewsField
+            : null;
+          return field && c[field] ? [c.data_source, c[field]] : null;
+        })
+        .filter(Boolean);
+
+      if (reviews.length > 1) {
+        merged.all_reviews = {
+          ...Object.fromEntries(reviews),
+          total_count: reviews.reduce((sum, [, r]) => sum + (r.count || 0), 0),
+          avg_rating: reviews.reduce((sum, [, r]) => sum + (r.average_rating || 0), 0) / reviews.length,
+        };
+      }
     }
 
     return merged;
@@ -211,151 +329,878 @@ class IngestionPipeline {
 
   /**
    * Save companies to database
+   * A record whose Google place ID, Yelp ID or domain matches a stored company
+   * updates it instead: tracked fields are diffed (see change-detector.js), and
+   * each change is stored in company_changes and published as company.changed.
+   * Publishes company.ingested for each new company, and company.merged for
+   * those resolved from several source records.
    * @param {Array} companies - Company data array
-   * @returns {Promise<Array>} - Saved companies
+   * @param {object} options - { location } being ingested; workflowRunId the changes are
+   *   attributed to; outcomes: array that receives { record, status: 'saved' | 'updated' |
+   *   'unchanged' | 'exists' | 'failed', companyId, changes, error } per company;
+   *   scoring: { thesisId } when the saved companies will be scored against that thesis
+   * @returns {Promise<Array>} - New and updated companies, which are worth scoring. Unchanged
+   *   ones are added only when scoring and they have no score for the thesis yet (say an
+   *   earlier attempt saved them but failed before scoring)
    */
-  async saveCompanies(companies) {
+  async saveCompanies(companies, options = {}) {
     const saved = [];
+    const unchanged = [];
+    const outcomes = options.outcomes || [];
 
     for (const companyData of companies) {
       try {
+        const record = companyRecord(companyData);
+        const matches = (await Company.findByExternalIds(record)).filter((stored) => sameCompany(stored, record));
+
+        if (matches.length > 0) {
+          const { company, changes } = await this.updateCompany(matches[0], record, {
+            source: companyData.data_source || 'unknown',
+            workflowRunId: options.workflowRunId,
+            // Source IDs go to one company only; if they match another row, leave them
+            link: matches.length === 1,
+          });
+          await this.saveDataSource(company.id, companyData);
+          (changes.length > 0 ? saved : unchanged).push(company);
+          outcomes.push({
+            record: companyData,
+            status: changes.length > 0 ? 'updated' : 'unchanged',
+            companyId: company.id,
+            changes,
+          });
+          continue;
+        }
+
         // Store raw data in data_sources table
-        const company = await Company.create({
-          legal_name: companyData.legal_name,
-          dba: companyData.dba,
-          domain: companyData.domain,
-          phone: companyData.phone,
-          website: companyData.website,
-          address: companyData.address,
-          city: companyData.city,
-          state: companyData.state,
-          zip: companyData.zip,
-          latitude: companyData.latitude,
-          longitude: companyData.longitude,
-          vertical: companyData.vertical || 'HVAC',
-          business_status: companyData.business_status,
-          estimated_revenue: companyData.estimated_revenue,
-          estimated_employees: companyData.estimated_employees,
-          years_in_business: companyData.years_in_business,
-          google_place_id: companyData.google_place_id,
-          yelp_id: companyData.yelp_id,
-        });
+        const company = await Company.create(record);
 
         if (company) {
           // Store raw data source
           await this.saveDataSource(company.id, companyData);
           saved.push(company);
+
+          await eventBus.publish(
+            'company.ingested',
+            {
+              companyId: company.id,
+              name: company.legal_name,
+              source: companyData.data_source || 'unknown',
+              location: options.location || null,
+            },
+            { source: 'IngestionPipeline' }
+          );
+
+          if (companyData.merged_from?.length > 1) {
+            await eventBus.publish(
+              'company.merged',
+              { companyId: company.id, mergedEntities: companyData.merged_from, source: 'ingestion' },
+              { source: 'IngestionPipeline' }
+            );
+          }
+          outcomes.push({ record: companyData, status: 'saved', companyId: company.id });
+        } else {
+          outcomes.push({ record: companyData, status: 'exists', error: 'Company already exists' });
         }
       } catch (error) {
         console.error(`   Error saving ${companyData.legal_name}:`, error.message);
+        outcomes.push({ record: companyData, status: 'failed', error: error.message });
       }
     }
 
+    if (options.scoring && unchanged.length > 0) {
+      saved.push(...(await this._unscoredCompanies(unchanged, options.scoring.thesisId ?? null)));
+    }
+
     return saved;
   }
 
+  /**
+   * Companies without a score for a thesis
+   * @param {Array} companies - Companies
+   * @param {string|null} thesisId - Thesis UUID (null for an ad-hoc thesis)
+   * @returns {Promise<Array>} - The unscored ones (all of them if scores cannot be read)
+   */
+  async _unscoredCompanies(companies, thesisId) {
+    try {
+      const result = await db.query(
+        `SELECT company_id FROM scores
+         WHERE company_id = ANY($1::uuid[]) AND thesis_id IS NOT DISTINCT FROM $2`,
+        [companies.map((company) => company.id), thesisId]
+      );
+      const scored = new Set(result.rows.map((row) => String(row.company_id)));
+      return companies.filter((company) => !scored.has(String(company.id)));
+    } catch (error) {
+      console.error('Failed to read existing scores, scoring unchanged companies:', error.message);
+      return companies;
+    }
+  }
+
+  /**
+   * Update a stored company from a re-ingested record
+   * Only changed fields are written (plus source IDs it lacked, and which source
+   * each changed field now comes from); the changes are
+   * recorded as history and published as company.changed.
+   * @param {object} current - Stored company row
+   * @param {object} record - Ingested columns (see companyRecord)
+   * @param {object} options - { source, workflowRunId, link: fill in missing source IDs }
+   * @returns {Promise<object>} - { company, changes }
+   */
+  async updateCompany(current, record, options = {}) {
+    const { source, workflowRunId = null, link = true } = options;
+
+    const lastChanged = await CompanyChange.lastChanged(current.id);
+    const changes = diffCompany(current, record, { lastChanged });
+    const links = link ? missingLinks(current, record) : {};
+
+    if (changes.length === 0 && Object.keys(links).length === 0) {
+      return { company: current, changes };
+    }
+
+    const company = await Company.update(current.id, {
+      ...Object.fromEntries(changes.map((change) => [change.field, record[change.field]])),
+      ...links,
+      field_sources: JSON.stringify(claimFields(current, record, changes)),
+      updated_at: new Date(),
+    });
+
+    if (changes.length > 0) {
+      await CompanyChange.record(company.id, changes, { source, workflowRunId });
+      await eventBus.publish(
+        'company.changed',
+        {
+          companyId: company.id,
+          name: company.legal_name,
+          source,
+          changes: changes.map(({ field, previous, current: value, delta, since }) => ({
+            field,
+            previous,
+            current: value,
+            delta,
+            since,
+          })),
+          signals: changes.map((change) => change.summary),
+          workflowRunId,
+        },
+        { source: 'IngestionPipeline' }
+      );
+      console.log(`   ↻ ${company.legal_name}: ${changes.map((change) => change.summary).join('; ')}`);
+    }
+
+    return { company, changes };
+  }
+
   /**
    * Save raw data source
    * @param {string} companyId - Company UUID
-   * @param {object} data - Raw data
+   * @param {object} data - Raw data (with provenance, when it came from a connector)
    */
   async saveDataSource(companyId, data) {
     const query = `
-      INSERT INTO data_sources (company_id, source_type, data, confidence)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO data_sources (company_id, source_type, source_url, data, confidence, scraped_at)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))
     `;
 
-    await db.query(query, [companyId, data.data_source, JSON.stringify(data.raw_data || data), 0.8]);
+    await db.query(query, [
+      companyId,
+      data.data_source,
+      data.provenance?.sourceUrl || null,
+      JSON.stringify(data.raw_data || data),
+      data.provenance?.confidence ?? 0.8,
+      data.provenance?.retrievedAt || null,
+    ]);
   }
 
   /**
    * Score companies using Scout Agent
    * @param {Array} companies - Company array
    * @param {object} thesis - Investment thesis
-   * @returns {Promise<Array>} - Scores
+   * @param {object} options - { workflowRunId, budget } for cost attribution and caps;
+   *   batch: true to score through a Message Batch (see scoreCompaniesBatch);
+   *   signal: AbortSignal that stops scoring (companies already scored are kept)
+   * @returns {Promise<Array>} - Scores (with `budgetExceeded` set if scoring stopped early)
    */
-  async scoreCompanies(companies, thesis) {
+  async scoreCompanies(companies, thesis, options = {}) {
+    if (options.batch) {
+      return this.scoreCompaniesBatch(companies, thesis, options);
+    }
+
     const scores = [];
+    scores.budgetExceeded = null;
 
     for (const company of companies) {
+      if (options.signal?.aborted) {
+        console.warn(`   ⚠️  Scoring aborted after ${scores.length} companies`);
+        break;
+      }
+
+      const attribution = this._scoreAttribution(company, thesis, options);
+
+      try {
+        await costLedger.assertWithinBudget(attribution);
+      } catch (error) {
+        console.warn(`   ⚠️  Stopping scoring: ${error.message}`);
+        scores.budgetExceeded = {
+          scope: error.scope,
+          spentUsd: error.spentUsd,
+          limitUsd: error.limitUsd,
+        };
+        break;
+      }
+
       try {
         console.log(`   Scoring ${company.legal_name}...`);
 
-        const result = await this.orchestrator.executeAgent('scout', {
+        const result = await this.orchestrator.executeAgent(
+          'scout',
+          {
+            thesis,
+            companyData: company,
+          },
+          {},
+          { attribution, signal: options.signal }
+        );
+
+        await this._handleScoreResult(company, result, scores, attribution);
+      } catch (error) {
+        console.error(`   Error scoring ${company.legal_name}:`, error.message);
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Score companies with one Scout Message Batch (half price, results within 24h)
+   * Suited to overnight re-scoring; the budget is checked once before submitting
+   * @param {Array} companies - Company array (each needs an id)
+   * @param {object} thesis - Investment thesis
+   * @param {object} options - { workflowRunId, budget, pollIntervalMs, maxWaitMs, signal }
+   * @returns {Promise<Array>} - Scores (with `budgetExceeded` set if nothing was submitted)
+   */
+  async scoreCompaniesBatch(companies, thesis, options = {}) {
+    const scores = [];
+    scores.budgetExceeded = null;
+
+    try {
+      await costLedger.assertWithinBudget({
+        workflowRunId: options.workflowRunId,
+        budget: options.budget,
+      });
+    } catch (error) {
+      console.warn(`   ⚠️  Not submitting batch: ${error.message}`);
+      scores.budgetExceeded = {
+        scope: error.scope,
+        spentUsd: error.spentUsd,
+        limitUsd: error.limitUsd,
+      };
+      return scores;
+    }
+
+    const results = await this.orchestrator.executeAgentBatch(
+      'scout',
+      companies.map((company) => ({
+        customId: String(company.id),
+        input: {
           thesis,
           companyData: company,
-        });
+        },
+        attribution: this._scoreAttribution(company, thesis, options),
+      })),
+      { pollIntervalMs: options.pollIntervalMs, maxWaitMs: options.maxWaitMs, signal: options.signal }
+    );
 
-        if (result.success && result.output.score !== undefined) {
-          // Save score to database
-          const query = `
-            INSERT INTO scores (company_id, thesis_id, total, weights, rationale, top_signals)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            ON CONFLICT (company_id, thesis_id) DO UPDATE
-            SET total = $3, weights = $4, rationale = $5, top_signals = $6
-            RETURNING *
-          `;
-
-          // For now, use null thesis_id - should create thesis first in production
-          const scoreResult = await db.query(query, [
-            company.id,
-            null,
-            result.output.score,
-            JSON.stringify(result.output.weights || {}),
-            result.output.rationale,
-            result.output.top_signals || [],
-          ]);
-
-          scores.push({
-            company_id: company.id,
-            company_name: company.legal_name,
-            score: result.output.score,
-            ...result.output,
-          });
-        }
+    for (const [index, result] of results.entries()) {
+      const company = companies[index];
+      try {
+        const attribution = this._scoreAttribution(company, thesis, options);
+        await this._handleScoreResult(company, result, scores, attribution);
       } catch (error) {
-        console.error(`   Error scoring ${company.legal_name}:`, error.message);
+        console.error(`   Error saving score for ${company.legal_name}:`, error.message);
       }
     }
 
     return scores;
   }
 
+  /**
+   * Cost attribution for scoring one company
+   * @param {object} company - Company record
+   * @param {object} thesis - Investment thesis
+   * @param {object} options - { workflowRunId, budget }
+   * @returns {object}
+   */
+  _scoreAttribution(company, thesis, options) {
+    return {
+      workflow: 'ingestion',
+      workflowRunId: options.workflowRunId,
+      companyId: company.id,
+      thesisId: thesis?.id,
+      budget: options.budget,
+    };
+  }
+
+  /**
+   * Persist a successful Scout result as the company's score for the thesis (publishing
+   * score.updated), or log the failure
+   * @param {object} company - Company record
+   * @param {object} result - Scout agent result
+   * @param {Array} scores - Collected scores (appended to)
+   * @param {object} attribution - Scoring attribution (workflowRunId, thesisId)
+   */
+  async _handleScoreResult(company, result, scores, attribution = {}) {
+    if (result.success && result.output.score !== undefined) {
+      // Scores are kept per thesis; ad-hoc theses (no stored ID) share the null slot
+      const thesisId = attribution.thesisId ?? null;
+      const previous = await db.query(
+        `SELECT total FROM scores
+         WHERE company_id = $1 AND thesis_id IS NOT DISTINCT FROM $2
+         ORDER BY created_at DESC LIMIT 1`,
+        [company.id, thesisId]
+      );
+
+      const values = [
+        company.id,
+        thesisId,
+        result.output.score,
+        JSON.stringify(result.output.weights || {}),
+        result.output.rationale,
+        result.output.top_signals || [],
+      ];
+
+      // Update in place first: ON CONFLICT never fires for a null thesis_id
+      const updated = await db.query(
+        `UPDATE scores
+         SET total = $3, weights = $4, rationale = $5, top_signals = $6
+         WHERE company_id = $1 AND thesis_id IS NOT DISTINCT FROM $2`,
+        values
+      );
+      if (updated.rowCount === 0) {
+        await db.query(
+          `INSERT INTO scores (company_id, thesis_id, total, weights, rationale, top_signals)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (company_id, thesis_id) DO UPDATE
+           SET total = $3, weights = $4, rationale = $5, top_signals = $6`,
+          values
+        );
+      }
+
+      scores.push({
+        company_id: company.id,
+        company_name: company.legal_name,
+        score: result.output.score,
+        ...result.output,
+      });
+
+      await eventBus.publish(
+        'score.updated',
+        {
+          companyId: company.id,
+          thesisId,
+          score: result.output.score,
+          previousScore: previous.rows[0]?.total ?? null,
+          workflowRunId: attribution.workflowRunId || null,
+        },
+        { source: 'IngestionPipeline' }
+      );
+    } else if (!result.success) {
+      const cause = result.metadata.failureCause;
+      console.error(
+        `   Failed to score ${company.legal_name} after ${result.metadata.attempts} attempt(s): ${cause.type} - ${cause.message}`
+      );
+    }
+  }
+
   /**
    * Ingest multiple locations in batch
+   * The whole sweep is one workflow run, so a per-run budget caps the sweep.
+   * Each location is checkpointed in the run store; resuming the sweep (see
+   * resumeSweep) skips locations that already completed.
+   * When a source API's quota runs out (QuotaExhaustedError) the sweep stops:
+   * the location is left failed and the rest skipped with resumeAt, the time
+   * a resume can pick them up.
    * @param {Array} locations - Array of location strings
-   * @param {object} options - Options
-   * @returns {Promise<Array>} - Results for each location
+   * @param {object} options - Options (same as ingestLocation, plus budget)
+   * @returns {Promise<Array>} - Results for each location (a checkpointed summary,
+   *   with reused: true, for locations completed by an earlier attempt)
    */
   async ingestMultipleLocations(locations, options = {}) {
     const results = [];
+    const workflowRunId = options.workflowRunId || crypto.randomUUID();
+
+    const { resumed } = await runStore.startRun({
+      id: workflowRunId,
+      workflow: SWEEP_WORKFLOW,
+      inputs: { locations },
+      options: { ...options, workflowRunId: undefined, signal: undefined },
+    });
+    const checkpoints = resumed ? await runStore.getSucceededSteps(workflowRunId) : new Map();
+    let cancelled = false;
+    let quotaExhausted = null;
 
     for (const location of locations) {
+      const stepKey = `location:${location}`;
+
+      const checkpoint = checkpoints.get(stepKey);
+      if (checkpoint) {
+        console.log(`\n↩️  ${location} already ingested in this sweep, skipping`);
+        results.push({ ...checkpoint.output, reused: true });
+        continue;
+      }
+
+      if (
+        cancelled ||
+        options.signal?.aborted ||
+        (await runStore.getStatus(workflowRunId)) === 'cancelled'
+      ) {
+        cancelled = true;
+        results.push({ location, skipped: true, error: 'Sweep cancelled' });
+        continue;
+      }
+
+      if (quotaExhausted) {
+        results.push({
+          location,
+          skipped: true,
+          error: quotaExhausted.message,
+          resumeAt: quotaExhausted.resumeAt.toISOString(),
+        });
+        continue;
+      }
+
       try {
-        const result = await this.ingestLocation(location, options);
+        await costLedger.assertWithinBudget({ workflowRunId, budget: options.budget });
+      } catch (error) {
+        console.warn(`\n⚠️  Stopping sweep before ${location}: ${error.message}`);
+        results.push({
+          location,
+          skipped: true,
+          error: error.message,
+        });
+        continue;
+      }
+
+      await runStore.startStep(workflowRunId, { stepKey, step: 'ingest_location', input: { location } });
+      const startTime = Date.now();
+
+      try {
+        const result = await this.ingestLocation(location, { ...options, workflowRunId });
         results.push(result);
 
-        // Delay between locations to respect rate limits
-        await this.sleep(2000);
+        if (result.budgetExceeded) {
+          console.warn(`\n⚠️  Budget exhausted during ${location}; remaining locations skipped`);
+        }
+
+        // A location cut short by the budget is not checkpointed, so a resume rescores it
+        await runStore.finishStep(workflowRunId, stepKey, {
+          status: result.budgetExceeded ? 'failed' : 'succeeded',
+          output: this._locationSummary(result),
+          error: result.budgetExceeded ? 'Budget exceeded' : null,
+          durationMs: Date.now() - startTime,
+        });
       } catch (error) {
-        console.error(`Error ingesting ${location}:`, error);
+        if (error.errorType === 'quota_exhausted') {
+          quotaExhausted = error;
+          console.warn(`\n⏳ Stopping sweep at ${location}: ${error.message}`);
+        } else {
+          console.error(`Error ingesting ${location}:`, error);
+        }
         results.push({
           location,
           error: error.message,
+          ...(quotaExhausted === error ? { resumeAt: error.resumeAt.toISOString() } : {}),
+        });
+        await runStore.finishStep(workflowRunId, stepKey, {
+          status: 'failed',
+          error: error.message,
+          durationMs: Date.now() - startTime,
         });
       }
     }
 
+    const summary = {
+      locations: locations.length,
+      failed: results.filter((r) => r.error && !r.skipped).length,
+      skipped: results.filter((r) => r.skipped).length,
+      ...(quotaExhausted ? { resumeAt: quotaExhausted.resumeAt.toISOString() } : {}),
+    };
+    await runStore.finishRun(workflowRunId, {
+      status: cancelled
+        ? 'cancelled'
+        : summary.skipped > 0 || quotaExhausted
+          ? 'stopped'
+          : summary.failed > 0
+            ? 'failed'
+            : 'completed',
+      result: summary,
+    });
+
     return results;
   }
 
   /**
-   * Sleep utility
-   * @param {number} ms - Milliseconds
+   * Resume an interrupted or cancelled sweep
+   * @param {string} workflowRunId - Run ID of the sweep
+   * @returns {Promise<Array>} - Results for each location
+   */
+  async resumeSweep(workflowRunId) {
+    const run = await runStore.getRun(workflowRunId);
+    if (!run || run.workflow !== SWEEP_WORKFLOW) {
+      throw new Error(`Ingestion sweep '${workflowRunId}' not found`);
+    }
+
+    return this.ingestMultipleLocations(run.inputs.locations, { ...run.options, workflowRunId });
+  }
+
+  /**
+   * Queue a sweep for queue workers instead of running it in this process
+   * Each location becomes an ingest_location job; workers fan those out into
+   * resolve_group, score_company and (with profileMinScore) profile_company jobs,
+   * all under the returned batchId. See src/queue/handlers.js.
+   * @param {Array} locations - Array of location strings
+   * @param {object} options - { thesis or thesisId, sources, sourceOptions, tiled, runResolver,
+   *   budget, profileMinScore, workflowRunId, priority }
+   * @returns {Promise<object>} - { batchId, workflowRunId, jobs }
+   */
+  async enqueueLocations(locations, options = {}) {
+    const { priority, ...payload } = options;
+    const workflowRunId = options.workflowRunId || crypto.randomUUID();
+    const batchId = workflowRunId;
+
+    const jobs = [];
+    for (const location of locations) {
+      jobs.push(
+        await jobQueue.enqueue(
+          'ingest_location',
+          { ...payload, location, workflowRunId },
+          { priority, batchId, dedupeKey: `ingest:${batchId}:${location}` }
+        )
+      );
+    }
+
+    console.log(`📬 Queued ${jobs.length} location(s) as batch ${batchId}`);
+    return { batchId, workflowRunId, jobs };
+  }
+
+  /**
+   * Import a CSV/XLSX company list
+   * Rows take the same path as scraped companies: normalization (the
+   * file_import connector), entity resolution and saveCompanies, stored with
+   * data_sources.source_type = 'file_import'.
+   * @param {string} filePath - .csv, .tsv or .xlsx file
+   * @param {object} options - { profile: saved mapping profile name, mapping: { columns, defaults }
+   *   (merged over the profile), sheet, delimiter, runResolver (default true),
+   *   dryRun: validate only }
+   * @returns {Promise<object>} - Report { file, columns, unmapped, summary: { rows, imported, merged,
+   *   updated, unchanged, existing, invalid, failed }, rows: [{ row, status, companyId, errors }] }
+   *   where status is imported, merged (into another row's company), updated or unchanged (a
+   *   company already in the database), exists (conflicts with one), invalid, failed, or valid
+   *   (dry run)
+   * @throws {Error} - When the profile is unknown or the file cannot be read
+   */
+  async importFile(filePath, options = {}) {
+    const { runResolver = true, dryRun = false } = options;
+
+    let profile = null;
+    if (options.profile) {
+      profile = await mappingProfiles.get(options.profile);
+      if (!profile) {
+        throw new Error(`Mapping profile '${options.profile}' not found`);
+      }
+    }
+    const mapping = {
+      sheet: profile?.sheet || undefined,
+      columns: { ...profile?.columns, ...options.mapping?.columns },
+      defaults: { ...profile?.defaults, ...options.mapping?.defaults },
+    };
+
+    console.log(`\n📥 Importing ${path.basename(filePath)}${profile ? ` with profile ${profile.name}` : ''}`);
+    const parsed = await this.connectors.get('file_import').parseFile(filePath, {
+      mapping,
+      sheet: options.sheet,
+      delimiter: options.delimiter,
+    });
+
+    const rowReports = new Map(); // source ID → row report
+    parsed.invalid.forEach(({ row, errors }) => {
+      rowReports.set(`invalid#${row}`, { row, status: 'invalid', companyId: null, errors });
+    });
+    parsed.companies.forEach((company) => {
+      rowReports.set(company.provenance.sourceId, {
+        row: company.import_row,
+        status: 'valid',
+        companyId: null,
+        errors: [],
+      });
+    });
+
+    if (!dryRun && parsed.companies.length > 0) {
+      const resolved = runResolver ? await this.resolveEntities(parsed.companies) : parsed.companies;
+      const outcomes = [];
+      await this.saveCompanies(resolved, { outcomes });
+
+      for (const { record, status, companyId, error } of outcomes) {
+        const sourceIds = record.merged_from
+          ? record.merged_from.map((entity) => entity.id)
+          : [record.provenance.sourceId];
+
+        sourceIds.forEach((sourceId, index) => {
+          const report = rowReports.get(sourceId);
+          if (!report) return;
+          report.companyId = companyId || null;
+          report.status =
+            status === 'saved' ? (index === 0 ? 'imported' : 'merged') : status;
+          if (error) {
+            report.errors = [{ field: null, column: null, value: '', message: error }];
+          }
+        });
+      }
+    }
+
+    const rows = Array.from(rowReports.values()).sort((a, b) => a.row - b.row);
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    const report = {
+      file: parsed.file,
+      profile: profile?.name || null,
+      dryRun,
+      columns: parsed.columns,
+      unmapped: parsed.unmapped,
+      summary: {
+        rows: parsed.totalRows,
+        valid: parsed.companies.length,
+        imported: count('imported'),
+        merged: count('merged'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        existing: count('exists'),
+        invalid: count('invalid'),
+        failed: count('failed'),
+      },
+      rows,
+    };
+
+    console.log(
+      `   ${report.summary.rows} row(s): ${dryRun ? `${report.summary.valid} valid` : `${report.summary.imported} imported, ${report.summary.merged} merged, ${report.summary.updated} updated, ${report.summary.unchanged + report.summary.existing} already known`}, ${report.summary.invalid} invalid, ${report.summary.failed} failed`
+    );
+    return report;
+  }
+
+  /**
+   * Import a state board's contractor license export into the licenses table
+   * Each license is matched to the state's companies by name, phone and
+   * address (see license-matcher.js): confident matches are linked (with a
+   * state_license data_sources record), near misses keep their candidate for
+   * review, and the rest are stored unlinked so later ingestion can match them
+   * (matchLicenses).
+   * @param {string} filePath - Board export (.csv, .tsv, .txt or .xlsx)
+   * @param {object} options - { state: FL, TX or CA, vertical (default HVAC; null for every
+   *   license), sheet, delimiter, dryRun: parse and match without saving }
+   * @returns {Promise<object>} - Report { file, state, board, dryRun, summary: { rows, skipped,
+   *   licenses, linked, review, unmatched, invalid, failed, byStatus }, review: [{ licenseNumber,
+   *   name, companyId, company, confidence }], invalid: [{ row, errors }] }
+   */
+  async importLicenses(filePath, options = {}) {
+    const { dryRun = false } = options;
+
+    console.log(`\n🪪 Importing ${options.state} licenses from ${path.basename(filePath)}`);
+    const parsed = await this.connectors.get('state_license').parseFile(filePath, options);
+    const matcher = new LicenseMatcher(await Company.findByState(parsed.state));
+
+    const summary = {
+      rows: parsed.totalRows,
+      skipped: parsed.skipped,
+      licenses: parsed.licenses.length,
+      linked: 0,
+      review: 0,
+      unmatched: 0,
+      invalid: parsed.invalid.length,
+      failed: 0,
+      byStatus: {},
+    };
+    const review = [];
+
+    for (const license of parsed.licenses) {
+      summary.byStatus[license.status] = (summary.byStatus[license.status] || 0) + 1;
+      const match = matcher.match(license);
+
+      try {
+        const linkedTo = dryRun ? null : await this._storeLicense(license, match);
+        if (match?.decision === 'link') {
+          summary.linked++;
+        } else if (match) {
+          summary.review++;
+          review.push({
+            licenseNumber: license.license_number,
+            name: license.business_name || license.holder_name,
+            companyId: match.company.id,
+            company: match.company.legal_name,
+            confidence: match.confidence,
+          });
+        } else {
+          summary.unmatched++;
+        }
+
+        if (linkedTo) {
+          await this.saveDataSource(linkedTo, {
+            ...license,
+            raw_data: license.raw,
+            provenance: { ...license.provenance, confidence: match.confidence },
+          });
+        }
+      } catch (error) {
+        console.error(`   Error saving license ${license.license_number}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    console.log(
+      `   ${summary.licenses} license(s): ${summary.linked} matched, ${summary.review} for review, ${summary.unmatched} unmatched, ${summary.invalid} invalid${summary.failed ? `, ${summary.failed} failed` : ''}`
+    );
+    return {
+      file: parsed.file,
+      state: parsed.state,
+      board: parsed.board,
+      dryRun,
+      summary,
+      review: review.sort((a, b) => b.confidence - a.confidence),
+      invalid: parsed.invalid,
+    };
+  }
+
+  /**
+   * Re-match unlinked licenses, e.g. after new companies were ingested
+   * @param {object} options - { state: only this state }
+   * @returns {Promise<object>} - { checked, linked, review }
+   */
+  async matchLicenses(options = {}) {
+    const unlinked = await License.findUnlinked({ state: options.state || null });
+    const matchers = new Map(); // state → LicenseMatcher
+    const result = { checked: unlinked.length, linked: 0, review: 0 };
+
+    for (const license of unlinked) {
+      if (!matchers.has(license.state)) {
+        matchers.set(license.state, new LicenseMatcher(await Company.findByState(license.state)));
+      }
+      const match = matchers.get(license.state).match(license);
+      if (!match) continue;
+
+      if (match.decision === 'link') {
+        await License.setMatch(license.id, {
+          companyId: match.company.id,
+          confidence: match.confidence,
+          signals: match.signals,
+        });
+        await this.saveDataSource(match.company.id, {
+          data_source: 'state_license',
+          raw_data: license.raw || license,
+          provenance: { confidence: match.confidence },
+        });
+        result.linked++;
+      } else {
+        await License.setMatch(license.id, {
+          confidence: match.confidence,
+          signals: { ...match.signals, candidateCompanyId: match.company.id },
+        });
+        result.review++;
+      }
+    }
+
+    console.log(`🪪 Re-matched ${result.checked} unlinked license(s): ${result.linked} linked, ${result.review} for review`);
+    return result;
+  }
+
+  /**
+   * Store one imported license with its match
+   * @param {object} license - License record
+   * @param {object|null} match - LicenseMatcher result
+   * @returns {Promise<string|null>} - Company the license was newly linked to, if any
+   */
+  async _storeLicense(license, match) {
+    const link = match?.decision === 'link';
+    const previous = link ? await License.findByNumber(license.license_number, license.state) : null;
+
+    const stored = await License.upsert({
+      ...license,
+      source: 'state_license',
+      company_id: link ? match.company.id : null,
+      match_confidence: match?.confidence ?? null,
+      match_signals: match
+        ? { ...match.signals, ...(link ? {} : { candidateCompanyId: match.company.id }) }
+        : null,
+    });
+
+    return link && !previous?.company_id && stored.company_id === match.company.id ? stored.company_id : null;
+  }
+
+  /**
+   * Crawl a company's website for Profiler signals
+   * A fresh crawl of a saved company is stored as a `website` data source;
+   * a cached one (see website-crawler.js) is returned without re-saving, and
+   * an unreachable site is not stored at all.
+   * @param {object} company - Company (website or domain; id to store the result)
+   * @param {object} options - { refresh: ignore the crawl cache, maxPages, signal }
+   * @returns {Promise<object|null>} - Crawl result, or null when the company has no website
+   */
+  async crawlWebsite(company, options = {}) {
+    const website = company.website || company.domain;
+    if (!website) return null;
+
+    const { cached, ...crawl } = await websiteCrawler.crawl(website, options);
+    if (!cached && crawl.reachable && company.id && process.env.DATABASE_URL) {
+      await this.saveDataSource(company.id, {
+        data_source: 'website',
+        raw_data: crawl,
+        provenance: { sourceUrl: crawl.url, confidence: 0.7, retrievedAt: crawl.crawledAt },
+      });
+    }
+    return { ...crawl, cached };
+  }
+
+  /**
+   * Crawl the websites of several companies, one site at a time
+   * @param {Array} companies - Companies
+   * @param {object} options - { refresh, maxPages, signal }
+   * @returns {Promise<object>} - { crawled, cached, noWebsite, failed: errors and unreachable sites }
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  async crawlWebsites(companies, options = {}) {
+    const summary = { crawled: 0, cached: 0, noWebsite: 0, failed: 0 };
+
+    for (const company of companies) {
+      throwIfAborted(options.signal);
+      try {
+        const crawl = await this.crawlWebsite(company, options);
+        if (!crawl) summary.noWebsite++;
+        else if (crawl.cached) summary.cached++;
+        else if (crawl.reachable) summary.crawled++;
+        else summary.failed++;
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error(`   Error crawling ${company.website || company.domain}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    console.log(
+      `🕸️  ${summary.crawled} site(s) crawled, ${summary.cached} cached, ${summary.noWebsite} without a website, ${summary.failed} failed`
+    );
+    return summary;
+  }
+
+  /**
+   * Checkpointed summary of a location's ingestion
+   * @param {object} result - ingestLocation result
+   * @returns {object}
+   */
+  _locationSummary(result) {
+    return {
+      location: result.location,
+      workflowRunId: result.workflowRunId,
+      companyIds: result.companyIds,
+      scores: result.scores,
+      stats: result.stats,
+      budgetExceeded: result.budgetExceeded || null,
+    };
   }
 }
 
 module.exports = IngestionPipeline;
+module.exports.SWEEP_WORKFLOW = SWEEP_WORKFLOW;
@@ -0,0 +1,297 @@
+/**
+ * Cost Ledger
+ * Converts LLM token usage into dollars, attributes it to agents, workflow runs,
+ * companies and theses, persists it to Postgres and enforces spend budgets
+ *
+ * Without DATABASE_URL entries are kept in memory (the most recent
+ * MEMORY_LIMIT), so long-running workers do not grow without bound. Run and
+ * daily totals are kept apart from that list, so budgets still see every call.
+ */
+
+const db = require('../db/connection');
+const { calculateCost } = require('../config/pricing');
+const { BudgetExceededError } = require('../utils/errors');
+require('dotenv').config();
+
+// Rollup dimensions and their llm_usage columns
+const DIMENSIONS = {
+  agent: 'agent',
+  model: 'model',
+  workflow: 'workflow',
+  workflowRun: 'workflow_run_id',
+  company: 'company_id',
+  thesis: 'thesis_id',
+};
+
+// In-memory entries kept (oldest dropped first); with DATABASE_URL only
+// calls that could not be persisted are kept
+const MEMORY_LIMIT = 10000;
+
+const ENTRY_FIELDS = {
+  agent: 'agent',
+  model: 'model',
+  workflow: 'workflow',
+  workflowRun: 'workflowRunId',
+  company: 'companyId',
+  thesis: 'thesisId',
+};
+
+/**
+ * Read a dollar amount from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null}
+ */
+function envUsd(name) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? null : value;
+}
+
+class CostLedger {
+  constructor() {
+    this.entries = [];
+    // Spend of every entry kept in memory, including those dropped from this.entries
+    this.runTotals = new Map();
+    this.dayTotal = { day: null, usd: 0 };
+    this.budgets = {
+      perRunUsd: envUsd('BUDGET_PER_RUN_USD'),
+      perDayUsd: envUsd('BUDGET_PER_DAY_USD'),
+    };
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.COST_LEDGER_PERSIST !== 'false';
+  }
+
+  /**
+   * Record the usage of one API call
+   * @param {object} entry - { agent, model, usage, workflow, workflowRunId, companyId, thesisId,
+   *   batch }
+   * @returns {Promise<object>} - The recorded entry, including costUsd
+   */
+  async record(entry) {
+    const recorded = {
+      agent: entry.agent || null,
+      model: entry.model,
+      workflow: entry.workflow || null,
+      workflowRunId: entry.workflowRunId || null,
+      companyId: entry.companyId ? String(entry.companyId) : null,
+      thesisId: entry.thesisId ? String(entry.thesisId) : null,
+      inputTokens: entry.usage.inputTokens || 0,
+      outputTokens: entry.usage.outputTokens || 0,
+      cacheCreationTokens: entry.usage.cacheCreationTokens || 0,
+      cacheReadTokens: entry.usage.cacheReadTokens || 0,
+      batch: Boolean(entry.batch),
+      costUsd: calculateCost(entry.model, entry.usage, { batch: entry.batch }),
+      timestamp: new Date().toISOString(),
+    };
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `INSERT INTO llm_usage (
+            agent, model, workflow, workflow_run_id, company_id, thesis_id,
+            input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens, batch, cost_usd
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+          [
+            recorded.agent,
+            recorded.model,
+            recorded.workflow,
+            recorded.workflowRunId,
+            recorded.companyId,
+            recorded.thesisId,
+            recorded.inputTokens,
+            recorded.outputTokens,
+            recorded.cacheCreationTokens,
+            recorded.cacheReadTokens,
+            recorded.batch,
+            recorded.costUsd,
+          ]
+        );
+      } catch (error) {
+        // Metering must never break an agent call; keep the entry in memory instead
+        console.error('Failed to persist LLM usage:', error.message);
+        this._remember(recorded);
+      }
+    } else {
+      this._remember(recorded);
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Total spend for a workflow run
+   * @param {string} workflowRunId - Workflow run ID
+   * @returns {Promise<number>} - USD
+   */
+  async getRunSpend(workflowRunId) {
+    // With DATABASE_URL the in-memory total covers the calls that could not be persisted
+    const unpersisted = this.runTotals.get(workflowRunId) || 0;
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          'SELECT COALESCE(SUM(cost_usd), 0) AS total FROM llm_usage WHERE workflow_run_id = $1',
+          [workflowRunId]
+        );
+        return parseFloat(result.rows[0].total) + unpersisted;
+      } catch (error) {
+        console.error('Failed to read run spend, using in-memory ledger:', error.message);
+      }
+    }
+
+    return unpersisted;
+  }
+
+  /**
+   * Total spend since midnight (UTC)
+   * @returns {Promise<number>} - USD
+   */
+  async getDailySpend() {
+    const today = new Date().toISOString().substring(0, 10);
+    const unpersisted = this.dayTotal.day === today ? this.dayTotal.usd : 0;
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT COALESCE(SUM(cost_usd), 0) AS total
+           FROM llm_usage
+           WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC')`
+        );
+        return parseFloat(result.rows[0].total) + unpersisted;
+      } catch (error) {
+        console.error('Failed to read daily spend, using in-memory ledger:', error.message);
+      }
+    }
+
+    return unpersisted;
+  }
+
+  /**
+   * Throw if the run or daily budget is already spent
+   * @param {object} attribution - { workflowRunId, budget: { perRunUsd, perDayUsd } }
+   * @throws {BudgetExceededError}
+   */
+  async assertWithinBudget(attribution = {}) {
+    const perRunUsd = attribution.budget?.perRunUsd ?? this.budgets.perRunUsd;
+    const perDayUsd = attribution.budget?.perDayUsd ?? this.budgets.perDayUsd;
+
+    if (perRunUsd !== null && perRunUsd !== undefined && attribution.workflowRunId) {
+      const spent = await this.getRunSpend(attribution.workflowRunId);
+      if (spent >= perRunUsd) {
+        throw new BudgetExceededError('run', spent, perRunUsd);
+      }
+    }
+
+    if (perDayUsd !== null && perDayUsd !== undefined) {
+      const spent = await this.getDailySpend();
+      if (spent >= perDayUsd) {
+        throw new BudgetExceededError('day', spent, perDayUsd);
+      }
+    }
+  }
+
+  /**
+   * Roll up spend by a dimension
+   * @param {string} dimension - agent | model | workflow | workflowRun | company | thesis
+   * @param {object} filters - { since } ISO date lower bound
+   * @returns {Promise<Array>} - [{ key, calls, inputTokens, outputTokens, cacheCreationTokens,
+   *   cacheReadTokens, costUsd }] by cost desc
+   */
+  async getRollup(dimension, filters = {}) {
+    const column = DIMENSIONS[dimension];
+    if (!column) {
+      throw new Error(`Unknown rollup dimension '${dimension}'`);
+    }
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT ${column} AS key,
+                  COUNT(*) AS calls,
+                  SUM(input_tokens) AS input_tokens,
+                  SUM(output_tokens) AS output_tokens,
+                  SUM(cache_creation_tokens) AS cache_creation_tokens,
+                  SUM(cache_read_tokens) AS cache_read_tokens,
+                  SUM(cost_usd) AS cost_usd
+           FROM llm_usage
+           WHERE ($1::timestamp IS NULL OR created_at >= $1)
+           GROUP BY ${column}
+           ORDER BY cost_usd DESC`,
+          [filters.since || null]
+        );
+        return result.rows.map((row) => ({
+          key: row.key,
+          calls: parseInt(row.calls),
+          inputTokens: parseInt(row.input_tokens),
+          outputTokens: parseInt(row.output_tokens),
+          cacheCreationTokens: parseInt(row.cache_creation_tokens),
+          cacheReadTokens: parseInt(row.cache_read_tokens),
+          costUsd: parseFloat(row.cost_usd),
+        }));
+      } catch (error) {
+        console.error('Failed to read rollup, using in-memory ledger:', error.message);
+      }
+    }
+
+    const field = ENTRY_FIELDS[dimension];
+    const groups = {};
+
+    this.entries
+      .filter((e) => !filters.since || e.timestamp >= filters.since)
+      .forEach((e) => {
+        const key = e[field];
+        if (!groups[key]) {
+          groups[key] = {
+            key,
+            calls: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cacheCreationTokens: 0,
+            cacheReadTokens: 0,
+            costUsd: 0,
+          };
+        }
+        groups[key].calls++;
+        groups[key].inputTokens += e.inputTokens;
+        groups[key].outputTokens += e.outputTokens;
+        groups[key].cacheCreationTokens += e.cacheCreationTokens;
+        groups[key].cacheReadTokens += e.cacheReadTokens;
+        groups[key].costUsd += e.costUsd;
+      });
+
+    return Object.values(groups).sort((a, b) => b.costUsd - a.costUsd);
+  }
+
+  /**
+   * Keep an entry in memory, dropping the oldest past MEMORY_LIMIT; its cost
+   * stays in the run and daily totals
+   * @param {object} entry - Recorded entry
+   */
+  _remember(entry) {
+    if (entry.workflowRunId) {
+      this.runTotals.set(entry.workflowRunId, (this.runTotals.get(entry.workflowRunId) || 0) + entry.costUsd);
+    }
+    const day = entry.timestamp.substring(0, 10);
+    if (this.dayTotal.day !== day) {
+      this.dayTotal = { day, usd: 0 };
+    }
+    this.dayTotal.usd += entry.costUsd;
+
+    this.entries.push(entry);
+    if (this.entries.length > MEMORY_LIMIT) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Clear in-memory entries and totals (persisted rows are kept)
+   */
+  reset() {
+    this.entries = [];
+    this.runTotals = new Map();
+    this.dayTotal = { day: null, usd: 0 };
+  }
+}
+
+// Export singleton instance
+const costLedger = new CostLedger();
+
+module.exports = costLedger;
@@ -0,0 +1,174 @@
+/**
+ * Request Ledger
+ * Counts scraper API requests per API key per day, split into calls that
+ * reached the API, cache hits, 304 revalidations, rate-limited answers and
+ * errors, so quota use and the cache's savings are visible per key
+ *
+ * Keys are identified by a short fingerprint (SHA-256 prefix), never stored.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+require('dotenv').config();
+
+// Outcome → counter
+const OUTCOMES = {
+  call: 'calls',
+  hit: 'cacheHits',
+  not_modified: 'notModified',
+  error: 'errors',
+  rate_limited: 'rateLimited',
+};
+
+const COLUMNS = {
+  calls: 'calls',
+  cacheHits: 'cache_hits',
+  notModified: 'not_modified',
+  errors: 'errors',
+  rateLimited: 'rate_limited',
+};
+
+/**
+ * Fingerprint of an API key
+ * @param {string|null} credential - API key
+ * @returns {string} - 12 hex characters, or "none"
+ */
+function keyId(credential) {
+  return credential ? crypto.createHash('sha256').update(String(credential)).digest('hex').substring(0, 12) : 'none';
+}
+
+class RequestLedger {
+  constructor() {
+    this.counts = new Map(); // "day|api|keyId|endpoint" → row
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.REQUEST_LEDGER_PERSIST !== 'false';
+  }
+
+  /**
+   * Count one request
+   * @param {object} entry - { api, endpoint, credential: the API key used, outcome: call | hit |
+   *   not_modified | rate_limited | error }
+   * @returns {Promise<object>} - { day, api, keyId, endpoint, outcome }
+   */
+  async record(entry) {
+    const counter = OUTCOMES[entry.outcome];
+    if (!counter) {
+      throw new Error(`Unknown request outcome '${entry.outcome}'`);
+    }
+
+    const recorded = {
+      day: new Date().toISOString().substring(0, 10),
+      api: entry.api,
+      keyId: keyId(entry.credential),
+      endpoint: entry.endpoint,
+      outcome: entry.outcome,
+    };
+
+    const id = [recorded.day, recorded.api, recorded.keyId, recorded.endpoint].join('|');
+    if (!this.counts.has(id)) {
+      this.counts.set(id, {
+        day: recorded.day,
+        api: recorded.api,
+        keyId: recorded.keyId,
+        endpoint: recorded.endpoint,
+        calls: 0,
+        cacheHits: 0,
+        notModified: 0,
+        errors: 0,
+        rateLimited: 0,
+      });
+    }
+    this.counts.get(id)[counter]++;
+
+    if (this.persist) {
+      const column = COLUMNS[counter];
+      try {
+        await db.query(
+          `INSERT INTO http_request_ledger (day, api, key_id, endpoint, ${column})
+           VALUES ($1, $2, $3, $4, 1)
+           ON CONFLICT (day, api, key_id, endpoint)
+           DO UPDATE SET ${column} = http_request_ledger.${column} + 1, updated_at = NOW()`,
+          [recorded.day, recorded.api, recorded.keyId, recorded.endpoint]
+        );
+      } catch (error) {
+        // Metering must never break a scrape; keep the in-memory count
+        console.error('Failed to persist request count:', error.message);
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Requests that reached an API today with a key
+   * @param {string} api - API name (e.g. google_maps)
+   * @param {string|null} credential - API key
+   * @returns {Promise<number>}
+   */
+  async getDailyCalls(api, credential) {
+    const today = new Date().toISOString().substring(0, 10);
+    const rows = await this.getUsage({ since: today, api });
+    const id = keyId(credential);
+    return rows.filter((row) => row.keyId === id).reduce((sum, row) => sum + row.calls, 0);
+  }
+
+  /**
+   * Request counts per day, API, key and endpoint
+   * @param {object} filters - { since: ISO date lower bound, api }
+   * @returns {Promise<Array>} - [{ day, api, keyId, endpoint, calls, cacheHits, notModified, errors,
+   *   rateLimited }],
+   *   newest day first
+   */
+  async getUsage(filters = {}) {
+    const { since = null, api = null } = filters;
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT *, day::text AS day_text FROM http_request_ledger
+           WHERE ($1::date IS NULL OR day >= $1)
+             AND ($2::text IS NULL OR api = $2)
+           ORDER BY day DESC, api, key_id, endpoint`,
+          [since, api]
+        );
+        return result.rows.map((row) => ({
+          day: row.day_text,
+          api: row.api,
+          keyId: row.key_id,
+          endpoint: row.endpoint,
+          calls: row.calls,
+          cacheHits: row.cache_hits,
+          notModified: row.not_modified,
+          errors: row.errors,
+          rateLimited: row.rate_limited,
+        }));
+      } catch (error) {
+        console.error('Failed to read request ledger, using in-memory counts:', error.message);
+      }
+    }
+
+    return Array.from(this.counts.values())
+      .filter((row) => (!since || row.day >= since) && (!api || row.api === api))
+      .map((row) => ({ ...row }))
+      .sort(
+        (a, b) =>
+          b.day.localeCompare(a.day) ||
+          a.api.localeCompare(b.api) ||
+          a.keyId.localeCompare(b.keyId) ||
+          a.endpoint.localeCompare(b.endpoint)
+      );
+  }
+
+  /**
+   * Clear in-memory counts (persisted rows are kept)
+   */
+  reset() {
+    this.counts.clear();
+  }
+}
+
+// Export singleton instance
+const requestLedger = new RequestLedger();
+
+module.exports = requestLedger;
+module.exports.RequestLedger = RequestLedger;
+module.exports.keyId = keyId;
@@ -0,0 +1,317 @@
+/**
+ * Queue Job Handlers
+ * What each queue job type does; workers call run(payload, { job, signal })
+ *
+ * A sweep fans out: ingest_location scrapes a metro and enqueues a
+ * resolve_group per set of likely duplicates and a score_company per saved
+ * company; score_company can enqueue profile_company for strong scores. Jobs
+ * further down that chain get higher priority, so work already started
+ * finishes before new metros are scraped.
+ *
+ * Handlers throw to fail an attempt. Errors with retryable === false (bad
+ * payloads, exhausted budgets, non-retryable agent failures) are dead-lettered
+ * at once; a QuotaExhaustedError (a source API's quota is spent) defers the
+ * job to its resumeAt; anything else is retried with backoff.
+ */
+
+const crypto = require('crypto');
+const IngestionPipeline = require('../ingestion/pipeline');
+const Company = require('../db/models/company');
+const Thesis = require('../db/models/thesis');
+const costLedger = require('../metering/cost-ledger');
+const jobQueue = require('./job-queue');
+const websiteCrawler = require('../crawler/website-crawler');
+const { throwIfAborted } = require('../utils/abort');
+
+const PRIORITIES = {
+  ingest_location: 0,
+  resolve_group: 10,
+  score_company: 20,
+  profile_company: 20,
+};
+
+let pipeline = null;
+
+/**
+ * The ingestion pipeline shared by this process's jobs (created on first use)
+ * @returns {IngestionPipeline}
+ */
+function getPipeline() {
+  if (!pipeline) {
+    pipeline = new IngestionPipeline();
+  }
+  return pipeline;
+}
+
+/**
+ * An error that dead-letters its job instead of being retried
+ * @param {string} message - Error message
+ * @param {string} errorType - Error type
+ * @returns {Error}
+ */
+function permanentError(message, errorType = 'invalid_job') {
+  const error = new Error(message);
+  error.errorType = errorType;
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Turn a failed agent result into a job error that keeps its retryability
+ * @param {object} result - Failed agent result
+ * @returns {Error}
+ */
+function agentError(result) {
+  const cause = result.metadata?.failureCause || {};
+  const error = new Error(result.error || cause.message || 'Agent failed');
+  error.errorType = cause.type;
+  error.retryable = Boolean(cause.retryable);
+  return error;
+}
+
+/**
+ * The thesis a job scores against: inline, or loaded by ID
+ * @param {object} payload - { thesis, thesisId }
+ * @returns {Promise<object|null>}
+ */
+async function loadThesis(payload) {
+  if (payload.thesis) return payload.thesis;
+  if (!payload.thesisId) return null;
+
+  const thesis = await Thesis.findById(payload.thesisId);
+  if (!thesis) {
+    throw permanentError(`Thesis '${payload.thesisId}' not found`);
+  }
+  return thesis;
+}
+
+/**
+ * Load the company a job is about
+ * @param {object} payload - { companyId }
+ * @returns {Promise<object>}
+ */
+async function loadCompany(payload) {
+  const company = payload.companyId ? await Company.findById(payload.companyId) : null;
+  if (!company) {
+    throw permanentError(`Company '${payload.companyId}' not found`);
+  }
+  return company;
+}
+
+/**
+ * saveCompanies' scoring option for a job that goes on to score what it saves
+ * @param {object} payload - { thesis, thesisId }
+ * @returns {object|null} - { thesisId }, or null when the job does not score
+ */
+function scoringOption(payload) {
+  if (!payload.thesis && !payload.thesisId) return null;
+  return { thesisId: payload.thesisId ?? payload.thesis.id ?? null };
+}
+
+/**
+ * Enqueue scoring for saved companies
+ * @param {array} companies - Saved companies
+ * @param {object} payload - Parent job payload (thesis, workflowRunId, budget, profileMinScore)
+ * @param {object} job - Parent job
+ * @returns {Promise<number>} - Jobs enqueued
+ */
+async function enqueueScoring(companies, payload, job) {
+  if (!payload.thesis && !payload.thesisId) {
+    return 0;
+  }
+
+  for (const company of companies) {
+    await jobQueue.enqueue(
+      'score_company',
+      {
+        companyId: company.id,
+        thesis: payload.thesis,
+        thesisId: payload.thesisId,
+        workflowRunId: payload.workflowRunId,
+        budget: payload.budget,
+        profileMinScore: payload.profileMinScore,
+      },
+      {
+        priority: PRIORITIES.score_company,
+        batchId: job.batchId,
+        dedupeKey: `score:${payload.workflowRunId || job.batchId}:${company.id}`,
+      }
+    );
+  }
+  return companies.length;
+}
+
+const QUEUE_JOB_TYPES = {
+  ingest_location: {
+    description: 'Scrape a metro, save unique companies and fan out resolve/score jobs',
+    timeoutMs: 10 * 60000,
+    async run(payload, { job, signal }) {
+      if (!payload.location) {
+        throw permanentError('ingest_location needs payload.location');
+      }
+
+      const ingestion = getPipeline();
+      const coverage = {};
+      const sources = await ingestion.collectSources(payload.location, { ...payload, coverage, signal });
+      const scraped = Object.values(sources).flat();
+      throwIfAborted(signal);
+
+      const groups = Object.values(ingestion.findPotentialDuplicates(scraped));
+      const unique = groups.filter((group) => group.length === 1).map(([company]) => company);
+      const duplicates = groups.filter((group) => group.length > 1);
+
+      for (const records of duplicates) {
+        if (payload.runResolver === false) {
+          unique.push(...records);
+          continue;
+        }
+        const sourceIds = records
+          .map((record) => `${record.data_source}:${record.provenance?.sourceId ?? record.legal_name}`)
+          .sort()
+          .join(',');
+        const groupKey = crypto.createHash('sha256').update(sourceIds).digest('hex').substring(0, 16);
+        await jobQueue.enqueue(
+          'resolve_group',
+          { ...payload, records },
+          {
+            priority: PRIORITIES.resolve_group,
+            batchId: job.batchId,
+            // A retried ingest_location finds the same groups (keyed by their source records)
+            dedupeKey: `resolve:${payload.workflowRunId || job.batchId}:${groupKey}`,
+          }
+        );
+      }
+
+      const outcomes = [];
+      const saved = await ingestion.saveCompanies(unique, {
+        location: payload.location,
+        workflowRunId: payload.workflowRunId,
+        outcomes,
+        scoring: scoringOption(payload),
+      });
+      const scoresQueued = await enqueueScoring(saved, payload, job);
+
+      return {
+        location: payload.location,
+        scraped: scraped.length,
+        saved: saved.length,
+        updated: outcomes.filter((outcome) => outcome.status === 'updated').length,
+        groupsQueued: payload.runResolver === false ? 0 : duplicates.length,
+        scoresQueued,
+        // Per-cell stats stay out of the job result; the summary shows whether coverage is complete
+        coverage: Object.fromEntries(Object.entries(coverage).map(([source, { summary }]) => [source, summary])),
+      };
+    },
+  },
+
+  resolve_group: {
+    description: 'Merge a group of likely duplicate records into one company and save it',
+    timeoutMs: 5 * 60000,
+    async run(payload, { job }) {
+      if (!Array.isArray(payload.records) || payload.records.length === 0) {
+        throw permanentError('resolve_group needs payload.records');
+      }
+
+      const ingestion = getPipeline();
+      const merged = await ingestion.mergeCompanyData(payload.records);
+      const saved = await ingestion.saveCompanies([merged], {
+        location: payload.location,
+        workflowRunId: payload.workflowRunId,
+        scoring: scoringOption(payload),
+      });
+      const scoresQueued = await enqueueScoring(saved, payload, job);
+
+      return { records: payload.records.length, saved: saved.length, scoresQueued };
+    },
+  },
+
+  score_company: {
+    description: 'Score one company with the Scout agent and save the score',
+    timeoutMs: 5 * 60000,
+    async run(payload, { job, signal }) {
+      const ingestion = getPipeline();
+      const company = await loadCompany(payload);
+      const thesis = await loadThesis(payload);
+      if (!thesis) {
+        throw permanentError('score_company needs payload.thesis or payload.thesisId');
+      }
+
+      const attribution = ingestion._scoreAttribution(company, thesis, payload);
+      // BudgetExceededError is not retryable, so an exhausted budget dead-letters the job
+      await costLedger.assertWithinBudget(attribution);
+
+      const result = await ingestion.orchestrator.executeAgent(
+        'scout',
+        { thesis, companyData: company },
+        {},
+        { attribution, signal }
+      );
+      if (!result.success) {
+        throw agentError(result);
+      }
+
+      const scores = [];
+      await ingestion._handleScoreResult(company, result, scores, attribution);
+      const score = result.output.score;
+
+      let profileQueued = false;
+      if (payload.profileMinScore !== undefined && score >= payload.profileMinScore) {
+        await jobQueue.enqueue(
+          'profile_company',
+          { companyId: company.id, workflowRunId: payload.workflowRunId, budget: payload.budget },
+          {
+            priority: PRIORITIES.profile_company,
+            batchId: job.batchId,
+            dedupeKey: `profile:${payload.workflowRunId || job.batchId}:${company.id}`,
+          }
+        );
+        profileQueued = true;
+      }
+
+      return { companyId: company.id, score, profileQueued };
+    },
+  },
+
+  profile_company: {
+    description: 'Crawl one company\'s website, profile it with the Profiler agent and store the profile as a data source',
+    timeoutMs: 5 * 60000,
+    async run(payload, { signal }) {
+      const ingestion = getPipeline();
+      const company = await loadCompany(payload);
+      const attribution = {
+        workflow: 'ingestion',
+        workflowRunId: payload.workflowRunId,
+        companyId: company.id,
+        budget: payload.budget,
+      };
+      await costLedger.assertWithinBudget(attribution);
+
+      // A site that cannot be crawled still gets profiled, from what we already know
+      let crawl = null;
+      try {
+        crawl = await ingestion.crawlWebsite(company, { signal });
+      } catch (error) {
+        throwIfAborted(signal);
+        console.warn(`   Website crawl failed for ${company.legal_name}: ${error.message}`);
+      }
+
+      const context = crawl?.reachable ? { websiteSignals: websiteCrawler.profilerSignals(crawl) } : {};
+      const result = await ingestion.orchestrator.executeAgent('profiler', company, context, {
+        attribution,
+        signal,
+      });
+      if (!result.success) {
+        throw agentError(result);
+      }
+
+      await ingestion.saveDataSource(company.id, { data_source: 'profiler', raw_data: result.output });
+      return {
+        companyId: company.id,
+        confidence: result.output.confidence ?? null,
+        crawled: Boolean(crawl?.reachable),
+      };
+    },
+  },
+};
+
+module.exports = { QUEUE_JOB_TYPES, PRIORITIES };
@@ -0,0 +1,531 @@
+/**
+ * Job Queue
+ * Durable work queue for ingestion and agent jobs, consumed by queue workers
+ *
+ * With DATABASE_URL jobs live in queue_jobs and are claimed with
+ * SELECT ... FOR UPDATE SKIP LOCKED, so any number of worker processes can
+ * consume the same queue without taking the same job twice. Without it the
+ * queue is in memory and serves workers in this process only.
+ *
+ * Lifecycle: queued → running → succeeded, or back to queued with a backoff
+ * delay after a retryable failure, or dead (dead-lettered) once attempts run
+ * out or the error is not retryable. Dead jobs stay in the table until they
+ * are retried by hand. A job stopped by a spent API quota is deferred to when
+ * the quota resets, without using up an attempt.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const { computeBackoff } = require('../utils/retry');
+require('dotenv').config();
+
+const STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+const RETRY_OPTIONS = {
+  baseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 10) || 30000,
+  maxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS, 10) || 60 * 60000,
+};
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3;
+
+// INSERT attempts when the conflicting job keeps finishing in between (see enqueue)
+const ENQUEUE_ATTEMPTS = 3;
+
+class JobQueue {
+  constructor() {
+    this.jobs = new Map(); // id → job
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.QUEUE_PERSIST !== 'false';
+  }
+
+  /**
+   * Add a job to the queue
+   * A job with the same dedupeKey that is still queued or running, or that
+   * already succeeded in the same batch, is returned instead of adding a
+   * duplicate; so a retried ingest_location does not redo its sweep's scoring.
+   * @param {string} type - Job type (see handlers.js)
+   * @param {object} payload - Job input
+   * @param {object} options - { priority (higher runs first, default 0), maxAttempts,
+   *   runAt: Date to delay until, dedupeKey, batchId: groups the jobs of one sweep }
+   * @returns {Promise<object>} - The job
+   * @throws {Error} - When the job cannot be stored (with DATABASE_URL)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      priority: options.priority || 0,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      runAt: (options.runAt || new Date()).toISOString(),
+      dedupeKey: options.dedupeKey || null,
+      batchId: options.batchId || null,
+      lockedBy: null,
+      lockedAt: null,
+      lastError: null,
+      errorType: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+
+    if (this.persist) {
+      if (job.dedupeKey && job.batchId) {
+        const done = await db.query(
+          `SELECT * FROM queue_jobs
+           WHERE batch_id = $1 AND dedupe_key = $2 AND status = 'succeeded'
+           ORDER BY finished_at DESC LIMIT 1`,
+          [job.batchId, job.dedupeKey]
+        );
+        if (done.rows[0]) {
+          return this._jobFromRow(done.rows[0]);
+        }
+      }
+
+      // A durable queue must not lose a job: database errors reach the caller.
+      // The live job a dedupe key conflicts with can finish between the INSERT
+      // and the SELECT; then the key is free and the INSERT is tried again.
+      for (let attempt = 1; attempt <= ENQUEUE_ATTEMPTS; attempt++) {
+        const result = await db.query(
+          `INSERT INTO queue_jobs (id, type, payload, priority, max_attempts, run_at, dedupe_key, batch_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (dedupe_key) WHERE status IN ('queued', 'running') DO NOTHING
+           RETURNING *`,
+          [
+            job.id,
+            type,
+            JSON.stringify(payload),
+            job.priority,
+            job.maxAttempts,
+            job.runAt,
+            job.dedupeKey,
+            job.batchId,
+          ]
+        );
+        if (result.rows[0]) {
+          return this._jobFromRow(result.rows[0]);
+        }
+
+        const existing = await db.query(
+          `SELECT * FROM queue_jobs WHERE dedupe_key = $1 AND status IN ('queued', 'running')`,
+          [job.dedupeKey]
+        );
+        if (existing.rows[0]) {
+          return this._jobFromRow(existing.rows[0]);
+        }
+      }
+
+      throw new Error(`Could not enqueue ${type} job: dedupe key '${job.dedupeKey}' kept changing hands`);
+    }
+
+    const duplicate = job.dedupeKey
+      ? Array.from(this.jobs.values()).find(
+          (j) =>
+            j.dedupeKey === job.dedupeKey &&
+            (['queued', 'running'].includes(j.status) ||
+              (j.status === 'succeeded' && job.batchId && j.batchId === job.batchId))
+        )
+      : null;
+    if (duplicate) {
+      return { ...duplicate };
+    }
+
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  /**
+   * Claim the next runnable jobs: highest priority first, then oldest
+   * @param {string} workerId - Claiming worker
+   * @param {object} options - { types: only these job types, limit (default 1) }
+   * @returns {Promise<array>} - Claimed jobs (status running, attempts incremented)
+   */
+  async claim(workerId, { types = null, limit = 1 } = {}) {
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `UPDATE queue_jobs
+           SET status = 'running', locked_by = $1, locked_at = CURRENT_TIMESTAMP,
+               attempts = attempts + 1
+           WHERE id IN (
+             SELECT id FROM queue_jobs
+             WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+               AND ($2::text[] IS NULL OR type = ANY($2))
+             ORDER BY priority DESC, run_at, created_at
+             LIMIT $3
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [workerId, types, limit]
+        );
+        return result.rows.map((row) => this._jobFromRow(row));
+      } catch (error) {
+        console.error('Failed to claim queue jobs:', error.message);
+        return [];
+      }
+    }
+
+    const now = new Date().toISOString();
+    const claimable = Array.from(this.jobs.values())
+      .filter(
+        (job) =>
+          job.status === 'queued' && job.runAt <= now && (!types || types.includes(job.type))
+      )
+      .sort(
+        (a, b) =>
+          b.priority - a.priority || a.runAt.localeCompare(b.runAt) || a.createdAt.localeCompare(b.createdAt)
+      )
+      .slice(0, limit);
+
+    return claimable.map((job) => {
+      Object.assign(job, { status: 'running', lockedBy: workerId, lockedAt: now, attempts: job.attempts + 1 });
+      return { ...job };
+    });
+  }
+
+  /**
+   * Mark a running job succeeded
+   * @param {object} job - Claimed job
+   * @param {any} result - JSON-serializable result
+   */
+  async complete(job, result = null) {
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE queue_jobs
+           SET status = 'succeeded', result = $2, finished_at = CURRENT_TIMESTAMP,
+               locked_by = NULL, locked_at = NULL
+           WHERE id = $1`,
+          [job.id, JSON.stringify(result)]
+        );
+        return;
+      } catch (error) {
+        console.error('Failed to mark queue job succeeded:', error.message);
+      }
+    }
+
+    const stored = this.jobs.get(job.id);
+    if (stored) {
+      Object.assign(stored, {
+        status: 'succeeded',
+        result,
+        finishedAt: new Date().toISOString(),
+        lockedBy: null,
+        lockedAt: null,
+      });
+    }
+  }
+
+  /**
+   * Record a failed attempt: requeue it with backoff, or dead-letter it when
+   * attempts are exhausted or the error is not retryable
+   * @param {object} job - Claimed job (attempts already counts this attempt)
+   * @param {Error} error - What went wrong; error.retryable === false dead-letters at once
+   * @returns {Promise<object>} - { status: 'queued' | 'dead', runAt }
+   */
+  async fail(job, error) {
+    const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+    const status = retryable ? 'queued' : 'dead';
+    // A server's retry-after (kept on errors withRetry gave up on) is a floor
+    const delayMs = computeBackoff(job.attempts, {
+      ...RETRY_OPTIONS,
+      retryAfterMs: error.classification?.retryAfterMs,
+    });
+    const runAt = retryable ? new Date(Date.now() + Math.round(delayMs)) : null;
+    const errorType = error.errorType || error.classification?.type || 'job_error';
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE queue_jobs
+           SET status = $2, run_at = COALESCE($3, run_at), last_error = $4, error_type = $5,
+               locked_by = NULL, locked_at = NULL,
+               finished_at = CASE WHEN $2 = 'dead' THEN CURRENT_TIMESTAMP ELSE NULL END
+           WHERE id = $1`,
+          [job.id, status, runAt, error.message, errorType]
+        );
+        return { status, runAt };
+      } catch (err) {
+        console.error('Failed to record queue job failure:', err.message);
+      }
+    }
+
+    const stored = this.jobs.get(job.id);
+    if (stored) {
+      Object.assign(stored, {
+        status,
+        runAt: runAt ? runAt.toISOString() : stored.runAt,
+        lastError: error.message,
+        errorType,
+        lockedBy: null,
+        lockedAt: null,
+        finishedAt: status === 'dead' ? new Date().toISOString() : null,
+      });
+    }
+    return { status, runAt };
+  }
+
+  /**
+   * Put a running job back on the queue until a given time without counting
+   * the attempt (a source API's quota is spent until then)
+   * @param {object} job - Claimed job
+   * @param {Date} runAt - When the job may run again
+   * @param {Error} error - Why it was deferred
+   */
+  async defer(job, runAt, error) {
+    const errorType = error.errorType || 'job_error';
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE queue_jobs
+           SET status = 'queued', run_at = $2, attempts = GREATEST(attempts - 1, 0), last_error = $3,
+               error_type = $4, locked_by = NULL, locked_at = NULL
+           WHERE id = $1 AND status = 'running'`,
+          [job.id, runAt, error.message, errorType]
+        );
+        return;
+      } catch (err) {
+        console.error('Failed to defer queue job:', err.message);
+      }
+    }
+
+    const stored = this.jobs.get(job.id);
+    if (stored && stored.status === 'running') {
+      Object.assign(stored, {
+        status: 'queued',
+        runAt: runAt.toISOString(),
+        attempts: Math.max(stored.attempts - 1, 0),
+        lastError: error.message,
+        errorType,
+        lockedBy: null,
+        lockedAt: null,
+      });
+    }
+  }
+
+  /**
+   * Put a running job back on the queue without counting the attempt
+   * (its worker is shutting down)
+   * @param {object} job - Claimed job
+   */
+  async release(job) {
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE queue_jobs
+           SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_by = NULL, locked_at = NULL
+           WHERE id = $1 AND status = 'running'`,
+          [job.id]
+        );
+        return;
+      } catch (error) {
+        console.error('Failed to release queue job:', error.message);
+      }
+    }
+
+    const stored = this.jobs.get(job.id);
+    if (stored && stored.status === 'running') {
+      Object.assign(stored, {
+        status: 'queued',
+        attempts: Math.max(stored.attempts - 1, 0),
+        lockedBy: null,
+        lockedAt: null,
+      });
+    }
+  }
+
+  /**
+   * Requeue running jobs whose worker stopped reporting (crashed or was killed)
+   * Each counts as a failed attempt, so a job that keeps killing workers ends up dead.
+   * @param {number} staleMs - How long a job may run before it is presumed abandoned
+   * @returns {Promise<number>} - Jobs recovered
+   */
+  async recoverStale(staleMs) {
+    const cutoff = new Date(Date.now() - staleMs);
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `UPDATE queue_jobs
+           SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+               last_error = 'Worker ' || locked_by || ' stopped before finishing',
+               error_type = 'abandoned',
+               finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+               locked_by = NULL, locked_at = NULL
+           WHERE status = 'running' AND locked_at < $1`,
+          [cutoff]
+        );
+        return result.rowCount;
+      } catch (error) {
+        console.error('Failed to recover stale queue jobs:', error.message);
+        return 0;
+      }
+    }
+
+    let recovered = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running' && new Date(job.lockedAt) < cutoff) {
+        const dead = job.attempts >= job.maxAttempts;
+        Object.assign(job, {
+          status: dead ? 'dead' : 'queued',
+          lastError: `Worker ${job.lockedBy} stopped before finishing`,
+          errorType: 'abandoned',
+          finishedAt: dead ? new Date().toISOString() : null,
+          lockedBy: null,
+          lockedAt: null,
+        });
+        recovered++;
+      }
+    }
+    return recovered;
+  }
+
+  /**
+   * Requeue a dead-lettered job with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<object|null>} - The requeued job, or null when no dead job has the ID
+   */
+  async retry(id) {
+    if (this.persist) {
+      const result = await db.query(
+        `UPDATE queue_jobs
+         SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, finished_at = NULL
+         WHERE id = $1 AND status = 'dead'
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] ? this._jobFromRow(result.rows[0]) : null;
+    }
+
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'dead') {
+      return null;
+    }
+    Object.assign(job, { status: 'queued', attempts: 0, runAt: new Date().toISOString(), finishedAt: null });
+    return { ...job };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<object|null>}
+   */
+  async getJob(id) {
+    if (this.persist) {
+      const result = await db.query('SELECT * FROM queue_jobs WHERE id = $1', [id]);
+      return result.rows[0] ? this._jobFromRow(result.rows[0]) : null;
+    }
+
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filters - { status, type, batchId, limit }
+   * @returns {Promise<array>}
+   */
+  async listJobs({ status = null, type = null, batchId = null, limit = 50 } = {}) {
+    if (this.persist) {
+      const result = await db.query(
+        `SELECT * FROM queue_jobs
+         WHERE ($1::text IS NULL OR status = $1)
+           AND ($2::text IS NULL OR type = $2)
+           AND ($3::text IS NULL OR batch_id = $3)
+         ORDER BY created_at DESC
+         LIMIT $4`,
+        [status, type, batchId, limit]
+      );
+      return result.rows.map((row) => this._jobFromRow(row));
+    }
+
+    return Array.from(this.jobs.values())
+      .filter(
+        (job) =>
+          (!status || job.status === status) &&
+          (!type || job.type === type) &&
+          (!batchId || job.batchId === batchId)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map((job) => ({ ...job }));
+  }
+
+  /**
+   * Job counts by type and status
+   * @param {object} filters - { batchId } to count one sweep's jobs
+   * @returns {Promise<object>} - { [type]: { queued, running, succeeded, dead } }
+   */
+  async stats({ batchId = null } = {}) {
+    let rows;
+    if (this.persist) {
+      const result = await db.query(
+        `SELECT type, status, COUNT(*)::int AS count
+         FROM queue_jobs
+         WHERE $1::text IS NULL OR batch_id = $1
+         GROUP BY type, status`,
+        [batchId]
+      );
+      rows = result.rows;
+    } else {
+      const counts = new Map();
+      for (const job of this.jobs.values()) {
+        if (batchId && job.batchId !== batchId) continue;
+        const key = `${job.type}\u0000${job.status}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      rows = Array.from(counts, ([key, count]) => {
+        const [type, status] = key.split('\u0000');
+        return { type, status, count };
+      });
+    }
+
+    const stats = {};
+    rows.forEach(({ type, status, count }) => {
+      stats[type] = stats[type] || Object.fromEntries(STATUSES.map((s) => [s, 0]));
+      stats[type][status] = count;
+    });
+    return stats;
+  }
+
+  /**
+   * Clear in-memory jobs (for tests)
+   */
+  reset() {
+    this.jobs.clear();
+  }
+
+  /**
+   * Map a queue_jobs row to a job
+   * @param {object} row - Database row
+   * @returns {object}
+   */
+  _jobFromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      payload: row.payload || {},
+      priority: row.priority,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: new Date(row.run_at).toISOString(),
+      dedupeKey: row.dedupe_key,
+      batchId: row.batch_id,
+      lockedBy: row.locked_by,
+      lockedAt: row.locked_at,
+      lastError: row.last_error,
+      errorType: row.error_type,
+      result: row.result,
+      createdAt: row.created_at,
+      finishedAt: row.finished_at,
+    };
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
@@ -0,0 +1,177 @@
+/**
+ * Queue Worker
+ * Runs N concurrent consumers against the job queue
+ *
+ * Each consumer claims one job at a time, runs its handler under the job
+ * type's timeout and records the outcome; when the queue is empty it sleeps
+ * for the poll interval. Start several worker processes to spread a large
+ * sweep across machines: the queue's SKIP LOCKED claim keeps them from
+ * taking the same job.
+ *
+ * The worker also requeues jobs abandoned by crashed workers (running for
+ * longer than staleMs). On stop() in-flight jobs are aborted and put back on
+ * the queue.
+ */
+
+const os = require('os');
+const jobQueue = require('./job-queue');
+const { QUEUE_JOB_TYPES } = require('./handlers');
+const { linkSignal } = require('../utils/abort');
+const { sleep } = require('../utils/retry');
+const { CancelledError } = require('../utils/errors');
+require('dotenv').config();
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 2000;
+// Longer than any job type's timeout, so only jobs of dead workers are recovered
+const DEFAULT_STALE_MS = 30 * 60000;
+
+class QueueWorker {
+  /**
+   * @param {object} options - { concurrency, types: job types to consume (default all),
+   *   pollIntervalMs, staleMs, workerId, jobTypes }
+   */
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.jobTypes = options.jobTypes || QUEUE_JOB_TYPES;
+    this.types = options.types || null;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+    this.staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+    this.controller = new AbortController();
+    this.consumers = [];
+    this.stats = { succeeded: 0, retried: 0, deferred: 0, dead: 0 };
+  }
+
+  /**
+   * Start the consumers (returns immediately; see stop() and drain())
+   */
+  start() {
+    if (this.consumers.length > 0) return;
+
+    if (this.controller.signal.aborted) {
+      this.controller = new AbortController();
+    }
+
+    const types = this.types ? this.types.join(', ') : 'all job types';
+    console.log(`👷 Queue worker ${this.workerId}: ${this.concurrency} consumer(s) for ${types}`);
+
+    this.consumers = Array.from({ length: this.concurrency }, (_, index) => this._consume(index));
+    this.recovery = this._recoverStale();
+  }
+
+  /**
+   * Stop claiming jobs, abort in-flight jobs (they are requeued) and wait for
+   * the consumers to finish
+   */
+  async stop() {
+    this.controller.abort(new CancelledError(`Queue worker ${this.workerId}`));
+    await Promise.all([...this.consumers, this.recovery]);
+    this.consumers = [];
+    console.log(
+      `👷 Queue worker ${this.workerId} stopped (${this.stats.succeeded} succeeded, ${this.stats.retried} retried, ${this.stats.deferred} deferred, ${this.stats.dead} dead)`
+    );
+  }
+
+  /**
+   * Run jobs until none are runnable, then stop (for draining a batch in one process)
+   * Jobs delayed by a retry backoff are waited for as long as they are still queued.
+   * @param {object} options - { batchId } to wait for one sweep only
+   * @returns {Promise<object>} - Worker stats
+   */
+  async drain({ batchId = null } = {}) {
+    this.start();
+
+    while (!this.controller.signal.aborted) {
+      await sleep(this.pollIntervalMs, this.controller.signal);
+      const counts = Object.values(await jobQueue.stats({ batchId }));
+      if (counts.every((count) => count.queued === 0 && count.running === 0)) {
+        break;
+      }
+    }
+
+    await this.stop();
+    return { ...this.stats };
+  }
+
+  /**
+   * One consumer loop
+   * @param {number} index - Consumer number, for logs
+   */
+  async _consume(index) {
+    const { signal } = this.controller;
+
+    while (!signal.aborted) {
+      const [job] = await jobQueue.claim(`${this.workerId}#${index}`, { types: this.types });
+      if (!job) {
+        await sleep(this.pollIntervalMs, signal);
+        continue;
+      }
+
+      await this._execute(job);
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @param {object} job - Claimed job
+   */
+  async _execute(job) {
+    const jobType = this.jobTypes[job.type];
+    const startTime = Date.now();
+    const { signal, clear } = linkSignal(this.controller.signal, jobType?.timeoutMs, `Job ${job.type}`);
+
+    console.log(`▶️  ${job.type} ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    try {
+      if (!jobType) {
+        throw Object.assign(new Error(`Unknown job type '${job.type}'`), { retryable: false });
+      }
+      const result = await jobType.run(job.payload, { job, signal });
+      await jobQueue.complete(job, result);
+      this.stats.succeeded++;
+      console.log(`✅ ${job.type} ${job.id} succeeded in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      // A job cut short by stop() did nothing wrong: hand it back without using up an attempt
+      if (this.controller.signal.aborted) {
+        await jobQueue.release(job);
+        console.warn(`⏸️  ${job.type} ${job.id} interrupted by shutdown; requeued`);
+        return;
+      }
+
+      // A spent API quota is no fault of the job: run it again once the quota resets
+      if (error.errorType === 'quota_exhausted' && error.resumeAt) {
+        await jobQueue.defer(job, error.resumeAt, error);
+        this.stats.deferred++;
+        console.warn(`⏳ ${job.type} ${job.id} deferred until ${error.resumeAt.toISOString()}: ${error.message}`);
+        return;
+      }
+
+      const outcome = await jobQueue.fail(job, error);
+      this.stats[outcome.status === 'dead' ? 'dead' : 'retried']++;
+      console.error(
+        outcome.status === 'dead'
+          ? `☠️  ${job.type} ${job.id} dead-lettered: ${error.message}`
+          : `🔁 ${job.type} ${job.id} failed, retrying at ${outcome.runAt.toISOString()}: ${error.message}`
+      );
+    } finally {
+      clear();
+    }
+  }
+
+  /**
+   * Periodically requeue jobs abandoned by crashed workers
+   */
+  async _recoverStale() {
+    const { signal } = this.controller;
+
+    while (!signal.aborted) {
+      const recovered = await jobQueue.recoverStale(this.staleMs);
+      if (recovered > 0) {
+        console.warn(`♻️  Requeued ${recovered} job(s) abandoned by stopped workers`);
+      }
+      await sleep(Math.min(this.staleMs, 60000), signal);
+    }
+  }
+}
+
+module.exports = QueueWorker;
@@ -0,0 +1,231 @@
+/**
+ * Cron Expressions
+ * Parses standard 5-field cron expressions and computes their next occurrence (UTC)
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12 or JAN-DEC)
+ *   │ │ │ │ ┌ day of week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+ *   * * * * *
+ *
+ * Fields accept *, lists (1,15), ranges (1-5), steps (0-59/15, or * with a step) and names.
+ * As in classic cron, when both day fields are restricted a day matching either runs.
+ * Macros: @hourly, @daily (@midnight), @weekly, @monthly, @yearly (@annually).
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+const parsed = new Map();
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or macro
+ * @returns {object} - { minute, hour, dayOfMonth, month, dayOfWeek } as Sets, plus
+ *   domRestricted and dowRestricted
+ * @throws {Error} - When the expression is malformed
+ */
+function parseCron(expression) {
+  const cached = parsed.get(expression);
+  if (cached) return cached;
+
+  const source = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields, got ${parts.length}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field, expression);
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.delete(7);
+    schedule.dayOfWeek.add(0);
+  }
+  schedule.domRestricted = parts[2] !== '*';
+  schedule.dowRestricted = parts[4] !== '*';
+
+  parsed.set(expression, schedule);
+  return schedule;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {object} field - { name, min, max, names, nameOffset }
+ * @param {string} expression - Whole expression, for errors
+ * @returns {Set<number>}
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  const fail = (reason) => {
+    throw new Error(`Invalid cron expression '${expression}': ${field.name} ${reason}`);
+  };
+
+  const toNumber = (token) => {
+    const upper = token.toUpperCase();
+    const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+    const value = nameIndex >= 0 ? nameIndex + field.nameOffset : Number(token);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      fail(`value '${token}' is out of range ${field.min}-${field.max}`);
+    }
+    return value;
+  };
+
+  for (const item of text.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      fail(`step '${stepText}' must be a positive integer`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.name === 'dayOfWeek' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = toNumber(to);
+      if (start > end) fail(`range '${range}' is reversed`);
+    } else {
+      start = toNumber(range);
+      // "5/15" means from 5 to the end in steps of 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check a cron expression without throwing
+ * @param {string} expression - Cron expression
+ * @returns {object} - { valid, error }
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * The first time after `after` that the expression matches (to the minute, UTC)
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Exclusive lower bound (default: now)
+ * @returns {Date}
+ * @throws {Error} - When the expression never matches within MAX_SEARCH_YEARS
+ */
+function nextRun(expression, after = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  throw new Error(`Cron expression '${expression}' has no run in the next ${MAX_SEARCH_YEARS} years`);
+}
+
+/**
+ * Count the occurrences in (from, to]
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Exclusive start
+ * @param {Date} to - Inclusive end
+ * @param {number} max - Stop counting at this many
+ * @returns {number}
+ */
+function countRuns(expression, from, to, max = 1000) {
+  let count = 0;
+  let cursor = from;
+
+  while (count < max) {
+    cursor = nextRun(expression, cursor);
+    if (cursor > to) break;
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Whether a date's day satisfies the day-of-month and day-of-week fields
+ * @param {object} schedule - Parsed expression
+ * @param {Date} date - Date (UTC)
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getUTCDate());
+  const dow = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.domRestricted && schedule.dowRestricted) {
+    return dom || dow;
+  }
+  return dom && dow;
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  nextRun,
+  countRuns,
+};
@@ -0,0 +1,443 @@
+/**
+ * Scheduled Job Store
+ * Persists recurring jobs, their next run and their run history, and hands out
+ * short-lived locks so only one worker runs a job at a time
+ *
+ * With DATABASE_URL the scheduled_jobs table is the source of truth and locks
+ * are claimed atomically in SQL, so any number of workers can share it.
+ * Without it jobs are kept in memory, which supports a single worker process.
+ */
+
+const db = require('../db/connection');
+const { nextRun } = require('./cron');
+require('dotenv').config();
+
+const MISSED_RUN_POLICIES = ['run_once', 'skip'];
+const HISTORY_LIMIT = 100;
+
+class JobStore {
+  constructor() {
+    this.jobs = new Map(); // name → job
+    this.history = [];
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.SCHEDULER_PERSIST !== 'false';
+  }
+
+  /**
+   * Create a job or update an existing one with the same name
+   * The next run is recomputed when the schedule changes or the job is new.
+   * @param {object} job - { name, type, cron, params, enabled, missedRunPolicy, timeoutMs }
+   * @returns {Promise<object>} - The saved job
+   */
+  async saveJob({ name, type, cron, params = {}, enabled = true, missedRunPolicy = 'run_once', timeoutMs = null }) {
+    if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+      throw new Error(
+        `Unknown missed-run policy '${missedRunPolicy}' (expected ${MISSED_RUN_POLICIES.join(' or ')})`
+      );
+    }
+
+    // Throws on a malformed (or never-matching) expression
+    const firstRun = nextRun(cron);
+
+    if (this.persist) {
+      const result = await db.query(
+        `INSERT INTO scheduled_jobs (name, type, cron, params, enabled, missed_run_policy, timeout_ms, next_run_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (name) DO UPDATE
+         SET type = $2, params = $4, enabled = $5, missed_run_policy = $6, timeout_ms = $7,
+             next_run_at = CASE WHEN scheduled_jobs.cron = $3 THEN scheduled_jobs.next_run_at ELSE $8 END,
+             cron = $3
+         RETURNING *`,
+        [name, type, cron, JSON.stringify(params), enabled, missedRunPolicy, timeoutMs, firstRun]
+      );
+      return this._jobFromRow(result.rows[0]);
+    }
+
+    const existing = this.jobs.get(name);
+    const job = {
+      ...(existing || {
+        id: name,
+        lastRunAt: null,
+        lastStatus: null,
+        lastError: null,
+        lastDurationMs: null,
+        runCount: 0,
+        lockedBy: null,
+        lockedUntil: null,
+        createdAt: new Date().toISOString(),
+      }),
+      name,
+      type,
+      cron,
+      params,
+      enabled,
+      missedRunPolicy,
+      timeoutMs,
+      nextRunAt: existing && existing.cron === cron ? existing.nextRunAt : firstRun.toISOString(),
+    };
+    this.jobs.set(name, job);
+    return { ...job };
+  }
+
+  /**
+   * Get a job by name
+   * @param {string} name - Job name
+   * @returns {Promise<object|null>}
+   */
+  async getJob(name) {
+    if (this.persist) {
+      const result = await db.query('SELECT * FROM scheduled_jobs WHERE name = $1', [name]);
+      return result.rows[0] ? this._jobFromRow(result.rows[0]) : null;
+    }
+
+    const job = this.jobs.get(name);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * List jobs by next run
+   * @returns {Promise<array>}
+   */
+  async listJobs() {
+    if (this.persist) {
+      const result = await db.query('SELECT * FROM scheduled_jobs ORDER BY next_run_at');
+      return result.rows.map((row) => this._jobFromRow(row));
+    }
+
+    return Array.from(this.jobs.values())
+      .map((job) => ({ ...job }))
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+  }
+
+  /**
+   * Delete a job (and its history)
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} - Whether the job existed
+   */
+  async removeJob(name) {
+    if (this.persist) {
+      const result = await db.query('DELETE FROM scheduled_jobs WHERE name = $1', [name]);
+      return result.rowCount > 0;
+    }
+
+    return this.jobs.delete(name);
+  }
+
+  /**
+   * Enable or disable a job; enabling schedules it from now rather than
+   * catching up on runs missed while it was disabled
+   * @param {string} name - Job name
+   * @param {boolean} enabled
+   * @returns {Promise<object|null>} - Updated job
+   */
+  async setEnabled(name, enabled) {
+    const job = await this.getJob(name);
+    if (!job) {
+      return null;
+    }
+
+    const nextRunAt = enabled && !job.enabled ? nextRun(job.cron) : new Date(job.nextRunAt);
+
+    if (this.persist) {
+      const result = await db.query(
+        'UPDATE scheduled_jobs SET enabled = $2, next_run_at = $3 WHERE name = $1 RETURNING *',
+        [name, enabled, nextRunAt]
+      );
+      return this._jobFromRow(result.rows[0]);
+    }
+
+    Object.assign(this.jobs.get(name), { enabled, nextRunAt: nextRunAt.toISOString() });
+    return { ...this.jobs.get(name) };
+  }
+
+  /**
+   * Claim the most overdue enabled job that is not locked by another worker
+   * Jobs are claimed one at a time, right before they run, so a job waiting
+   * behind a slow one is not holding a lease that could lapse.
+   * @param {string} workerId - Claiming worker
+   * @param {number} leaseMs - How long the lock lasts unless renewed
+   * @param {Date} now - Current time
+   * @param {array} excludeIds - Jobs not to claim (already run in this tick)
+   * @returns {Promise<object|null>} - Claimed job, or null when none is due
+   */
+  async claimDueJob(workerId, leaseMs, now = new Date(), excludeIds = []) {
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `UPDATE scheduled_jobs
+           SET locked_by = $1, locked_until = $3::timestamptz + ($2 || ' milliseconds')::interval
+           WHERE id = (
+             SELECT id FROM scheduled_jobs
+             WHERE enabled AND next_run_at <= $3
+               AND (locked_until IS NULL OR locked_until < $3)
+               AND NOT (id::text = ANY($4::text[]))
+             ORDER BY next_run_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [workerId, String(leaseMs), now, excludeIds.map(String)]
+        );
+        return result.rows[0] ? this._jobFromRow(result.rows[0]) : null;
+      } catch (error) {
+        console.error('Failed to claim scheduled job:', error.message);
+        return null;
+      }
+    }
+
+    const job = Array.from(this.jobs.values())
+      .filter(
+        (candidate) =>
+          candidate.enabled &&
+          new Date(candidate.nextRunAt) <= now &&
+          !this._lockedAt(candidate, now) &&
+          !excludeIds.includes(candidate.id)
+      )
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0];
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, {
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + leaseMs).toISOString(),
+    });
+    return { ...job };
+  }
+
+  /**
+   * Claim one job regardless of its schedule (run now), unless another worker holds it
+   * @param {string} name - Job name
+   * @param {string} workerId - Claiming worker
+   * @param {number} leaseMs - Lock duration
+   * @returns {Promise<object|null>} - Claimed job, or null when missing or locked
+   */
+  async claimJob(name, workerId, leaseMs) {
+    const now = new Date();
+
+    if (this.persist) {
+      const result = await db.query(
+        `UPDATE scheduled_jobs
+         SET locked_by = $2, locked_until = $4::timestamptz + ($3 || ' milliseconds')::interval
+         WHERE name = $1 AND (locked_until IS NULL OR locked_until < $4)
+         RETURNING *`,
+        [name, workerId, String(leaseMs), now]
+      );
+      return result.rows[0] ? this._jobFromRow(result.rows[0]) : null;
+    }
+
+    const job = this.jobs.get(name);
+    if (!job || this._lockedAt(job, now)) {
+      return null;
+    }
+    Object.assign(job, {
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + leaseMs).toISOString(),
+    });
+    return { ...job };
+  }
+
+  /**
+   * Extend a lock held by this worker (long-running jobs renew while they run)
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker holding the lock
+   * @param {number} leaseMs - New lock duration from now
+   * @returns {Promise<boolean>} - Whether the lock was still held
+   */
+  async renewLock(id, workerId, leaseMs) {
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `UPDATE scheduled_jobs
+           SET locked_until = CURRENT_TIMESTAMP + ($3 || ' milliseconds')::interval
+           WHERE id = $1 AND locked_by = $2`,
+          [id, workerId, String(leaseMs)]
+        );
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Failed to renew scheduled job lock:', error.message);
+        return false;
+      }
+    }
+
+    const job = Array.from(this.jobs.values()).find((j) => j.id === id);
+    if (!job || job.lockedBy !== workerId) {
+      return false;
+    }
+    job.lockedUntil = new Date(Date.now() + leaseMs).toISOString();
+    return true;
+  }
+
+  /**
+   * Record a finished (or skipped) run, schedule the next one and release the lock
+   * @param {object} job - Claimed job
+   * @param {object} run - { workerId, status: succeeded | failed | missed, scheduledFor,
+   *   startedAt, durationMs, missedRuns, result, error, nextRunAt } where nextRunAt is
+   *   null to keep the current schedule (runs started by hand)
+   */
+  async finishRun(job, run) {
+    const entry = {
+      jobId: job.id,
+      job: job.name,
+      workerId: run.workerId,
+      status: run.status,
+      scheduledFor: run.scheduledFor || null,
+      startedAt: run.startedAt || null,
+      finishedAt: new Date().toISOString(),
+      durationMs: run.durationMs ?? null,
+      missedRuns: run.missedRuns || 0,
+      result: run.result ?? null,
+      error: run.error || null,
+    };
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE scheduled_jobs
+           SET last_run_at = $3, last_status = $4, last_error = $5, last_duration_ms = $6,
+               next_run_at = COALESCE($7, next_run_at),
+               run_count = run_count + CASE WHEN $4 = 'missed' THEN 0 ELSE 1 END,
+               locked_by = NULL, locked_until = NULL
+           WHERE id = $1 AND (locked_by = $2 OR locked_by IS NULL)`,
+          [
+            job.id,
+            run.workerId,
+            run.startedAt || entry.finishedAt,
+            run.status,
+            entry.error,
+            entry.durationMs,
+            run.nextRunAt || null,
+          ]
+        );
+        await db.query(
+          `INSERT INTO scheduled_job_runs (
+            job_id, worker_id, status, scheduled_for, started_at, finished_at,
+            duration_ms, missed_runs, result, error
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            job.id,
+            entry.workerId,
+            entry.status,
+            entry.scheduledFor,
+            entry.startedAt,
+            entry.finishedAt,
+            entry.durationMs,
+            entry.missedRuns,
+            JSON.stringify(entry.result),
+            entry.error,
+          ]
+        );
+      } catch (error) {
+        console.error('Failed to record scheduled job run:', error.message);
+      }
+    } else {
+      const stored = this.jobs.get(job.name);
+      if (stored && (stored.lockedBy === run.workerId || !stored.lockedBy)) {
+        Object.assign(stored, {
+          lastRunAt: entry.startedAt || entry.finishedAt,
+          lastStatus: entry.status,
+          lastError: entry.error,
+          lastDurationMs: entry.durationMs,
+          nextRunAt: run.nextRunAt ? run.nextRunAt.toISOString() : stored.nextRunAt,
+          runCount: stored.runCount + (entry.status === 'missed' ? 0 : 1),
+          lockedBy: null,
+          lockedUntil: null,
+        });
+      }
+    }
+
+    this.history.push(entry);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Recent runs of a job (or of all jobs), newest first
+   * @param {string} name - Job name (optional)
+   * @param {number} limit - Max runs
+   * @returns {Promise<array>}
+   */
+  async listRuns(name, limit = 20) {
+    if (this.persist) {
+      const result = await db.query(
+        `SELECT r.*, j.name AS job
+         FROM scheduled_job_runs r
+         JOIN scheduled_jobs j ON j.id = r.job_id
+         WHERE $1::text IS NULL OR j.name = $1
+         ORDER BY r.finished_at DESC
+         LIMIT $2`,
+        [name || null, limit]
+      );
+      return result.rows.map((row) => ({
+        jobId: row.job_id,
+        job: row.job,
+        workerId: row.worker_id,
+        status: row.status,
+        scheduledFor: row.scheduled_for,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.duration_ms,
+        missedRuns: row.missed_runs,
+        result: row.result,
+        error: row.error,
+      }));
+    }
+
+    return this.history
+      .filter((entry) => !name || entry.job === name)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Clear in-memory jobs and history (for tests)
+   */
+  reset() {
+    this.jobs.clear();
+    this.history = [];
+  }
+
+  /**
+   * Whether another worker's lock is still live
+   * @param {object} job - In-memory job
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  _lockedAt(job, now) {
+    return Boolean(job.lockedUntil) && new Date(job.lockedUntil) > now;
+  }
+
+  /**
+   * Map a scheduled_jobs row to a job
+   * @param {object} row - Database row
+   * @returns {object}
+   */
+  _jobFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      cron: row.cron,
+      params: row.params || {},
+      enabled: row.enabled,
+      missedRunPolicy: row.missed_run_policy,
+      timeoutMs: row.timeout_ms,
+      nextRunAt: new Date(row.next_run_at).toISOString(),
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      lastDurationMs: row.last_duration_ms,
+      runCount: row.run_count,
+      lockedBy: row.locked_by,
+      lockedUntil: row.locked_until,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Export singleton instance
+const jobStore = new JobStore();
+
+module.exports = jobStore;
+module.exports.JobStore = JobStore;
+module.exports.MISSED_RUN_POLICIES = MISSED_RUN_POLICIES;
@@ -0,0 +1,132 @@
+/**
+ * Scheduled Job Types
+ * What a scheduled job can do; a job's `type` picks one of these and its
+ * `params` are passed to run()
+ *
+ * Each run(params, { job, signal }) returns a JSON summary that is stored with
+ * the run. Long jobs should stop at the next safe point once signal aborts
+ * (the scheduler is stopping or the job hit its timeout).
+ */
+
+const crypto = require('crypto');
+const IngestionPipeline = require('../ingestion/pipeline');
+const Company = require('../db/models/company');
+const License = require('../db/models/license');
+const Thesis = require('../db/models/thesis');
+
+const JOB_TYPES = {
+  ingest_locations: {
+    description: 'Re-ingest metros as one sweep: { locations, thesisId, sources, tiled, batchScoring, budget }',
+    async run(params, { signal }) {
+      if (!Array.isArray(params.locations) || params.locations.length === 0) {
+        throw new Error('ingest_locations needs params.locations');
+      }
+
+      const thesis = params.thesisId ? await Thesis.findById(params.thesisId) : null;
+      const workflowRunId = crypto.randomUUID();
+      const results = await new IngestionPipeline().ingestMultipleLocations(params.locations, {
+        thesis,
+        runScoring: Boolean(thesis),
+        sources: params.sources,
+        tiled: params.tiled ?? false,
+        includeYelp: params.includeYelp,
+        batchScoring: params.batchScoring ?? false,
+        budget: params.budget,
+        workflowRunId,
+        signal,
+      });
+
+      return {
+        workflowRunId,
+        locations: results.length,
+        skipped: results.filter((result) => result.skipped || result.error).length,
+        saved: results.reduce((sum, result) => sum + (result.stats?.total_saved || 0), 0),
+        scored: results.reduce((sum, result) => sum + (result.stats?.total_scored || 0), 0),
+        resumeAt: results.find((result) => result.resumeAt)?.resumeAt || null,
+      };
+    },
+  },
+
+  rescore: {
+    description: 'Re-score companies against each active thesis (scores kept per thesis): { thesisId, vertical, batch, budget }',
+    async run(params, { signal }) {
+      const theses = params.thesisId
+        ? [await Thesis.findById(params.thesisId)].filter(Boolean)
+        : await Thesis.findActive(params.vertical || null);
+      if (theses.length === 0) {
+        return { theses: 0, scored: 0 };
+      }
+
+      const pipeline = new IngestionPipeline();
+      const summary = { theses: theses.length, companies: 0, scored: 0, byThesis: {}, budgetExceeded: null };
+
+      for (const thesis of theses) {
+        if (signal?.aborted) break;
+
+        const companies = await Company.findByVertical(params.vertical || thesis.vertical);
+        const scores = await pipeline.scoreCompanies(companies, thesis, {
+          batch: params.batch ?? true,
+          workflowRunId: crypto.randomUUID(),
+          budget: params.budget,
+          signal,
+        });
+        summary.companies += companies.length;
+        summary.scored += scores.length;
+        summary.byThesis[thesis.name || thesis.id] = scores.length;
+        summary.budgetExceeded = summary.budgetExceeded || scores.budgetExceeded;
+      }
+
+      return summary;
+    },
+  },
+
+  reverify_licenses: {
+    description: 'Re-check licensure with the Compliance agent: { vertical, state, limit, budget }',
+    async run(params, { signal }) {
+      const pipeline = new IngestionPipeline();
+      const workflowRunId = crypto.randomUUID();
+      let companies = await Company.findByVertical(params.vertical || 'HVAC');
+      if (params.state) {
+        companies = companies.filter((company) => company.state === params.state);
+      }
+      if (params.limit) {
+        companies = companies.slice(0, params.limit);
+      }
+
+      const summary = { checked: 0, approved: 0, withViolations: 0, failed: 0, workflowRunId };
+
+      for (const company of companies) {
+        if (signal?.aborted) break;
+
+        const result = await pipeline.orchestrator.executeAgent(
+          'compliance',
+          company,
+          { checkType: 'licensure' },
+          {
+            attribution: {
+              workflow: 'license_reverification',
+              workflowRunId,
+              companyId: company.id,
+              budget: params.budget,
+            },
+            signal,
+          }
+        );
+
+        summary.checked++;
+        if (!result.success) {
+          summary.failed++;
+          continue;
+        }
+
+        await License.markVerified(company.id);
+        if (result.output.approved) summary.approved++;
+        if (result.output.violations.length > 0) summary.withViolations++;
+      }
+
+      return summary;
+    },
+  },
+};
+
+module.exports = { JOB_TYPES };
@@ -0,0 +1,211 @@
+/**
+ * Scheduler
+ * Runs recurring jobs (re-ingestion, re-scoring, license re-verification) on
+ * cron schedules
+ *
+ * Each worker polls the job store and runs due jobs one at a time, claiming
+ * each under a lease just before it runs. A lease is renewed while its job
+ * runs, so a crashed worker's jobs become claimable again once the lease
+ * lapses, while a slow job is never picked up twice.
+ *
+ * Missed runs: a job picked up more than SCHEDULER_MISFIRE_GRACE_MS after it
+ * was due (the workers were down, or a previous run overran) has missed its
+ * slot. With missedRunPolicy 'run_once' (default) it runs once to catch up,
+ * however many slots were missed; with 'skip' the run is recorded as missed.
+ * Either way the next run is the first slot after now, so missed runs never
+ * pile up.
+ */
+
+const os = require('os');
+const jobStore = require('./job-store');
+const { JOB_TYPES } = require('./jobs');
+const { nextRun, countRuns } = require('./cron');
+const { linkSignal } = require('../utils/abort');
+const { CancelledError } = require('../utils/errors');
+require('dotenv').config();
+
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 60000;
+const DEFAULT_LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS, 10) || 5 * 60000;
+const DEFAULT_MISFIRE_GRACE_MS = parseInt(process.env.SCHEDULER_MISFIRE_GRACE_MS, 10) || 15 * 60000;
+
+class Scheduler {
+  /**
+   * @param {object} options - { workerId, jobTypes, leaseMs, misfireGraceMs, clock: () => Date }
+   */
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.jobTypes = options.jobTypes || JOB_TYPES;
+    this.leaseMs = options.leaseMs ?? DEFAULT_LEASE_MS;
+    this.misfireGraceMs = options.misfireGraceMs ?? DEFAULT_MISFIRE_GRACE_MS;
+    this.clock = options.clock || (() => new Date());
+    this.controller = new AbortController();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Create or update a scheduled job
+   * @param {object} job - { name, type, cron, params, enabled, missedRunPolicy, timeoutMs }
+   * @returns {Promise<object>} - The saved job
+   */
+  async schedule(job) {
+    if (!this.jobTypes[job.type]) {
+      throw new Error(
+        `Unknown job type '${job.type}' (expected one of ${Object.keys(this.jobTypes).join(', ')})`
+      );
+    }
+
+    const saved = await jobStore.saveJob(job);
+    console.log(`🗓️  Scheduled ${saved.name} (${saved.cron}), next run ${saved.nextRunAt}`);
+    return saved;
+  }
+
+  /**
+   * Claim and run every due job once
+   * Each claim reads the clock afresh, so a job claimed after a long one starts
+   * with a full lease and is judged late by when it actually starts.
+   * @returns {Promise<array>} - Run summaries { job, status, result, error, missedRuns }
+   */
+  async tick() {
+    const runs = [];
+    const ran = [];
+
+    while (!this.controller.signal.aborted) {
+      const job = await jobStore.claimDueJob(this.workerId, this.leaseMs, this.clock(), ran);
+      if (!job) break;
+
+      ran.push(job.id);
+      runs.push(await this._execute(job));
+    }
+
+    return runs;
+  }
+
+  /**
+   * Run a job immediately, outside its schedule (its next scheduled run is unchanged)
+   * @param {string} name - Job name
+   * @returns {Promise<object>} - Run summary
+   * @throws {Error} - When the job does not exist or another worker is running it
+   */
+  async runNow(name) {
+    const job = await jobStore.claimJob(name, this.workerId, this.leaseMs);
+    if (!job) {
+      const exists = await jobStore.getJob(name);
+      throw new Error(
+        exists ? `Job '${name}' is running on ${exists.lockedBy}` : `Job '${name}' not found`
+      );
+    }
+
+    return this._execute(job, { manual: true });
+  }
+
+  /**
+   * Poll for due jobs until stop()
+   * @param {number} intervalMs - Poll interval
+   */
+  start(intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+    if (this.timer) return;
+
+    if (this.controller.signal.aborted) {
+      this.controller = new AbortController();
+    }
+
+    console.log(`⏰ Scheduler ${this.workerId} polling every ${intervalMs}ms`);
+    const poll = () => {
+      if (this.ticking) return;
+      this.ticking = this.tick()
+        .catch((error) => console.error('Scheduler tick failed:', error.message))
+        .finally(() => {
+          this.ticking = null;
+        });
+    };
+
+    this.timer = setInterval(poll, intervalMs);
+    poll();
+  }
+
+  /**
+   * Stop polling, abort the running job and wait for it to wind down
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.controller.abort(new CancelledError(`Scheduler ${this.workerId}`));
+    await this.ticking;
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @param {object} job - Claimed job
+   * @param {object} options - { manual }
+   * @returns {Promise<object>} - Run summary
+   */
+  async _execute(job, { manual = false } = {}) {
+    const now = this.clock();
+    const scheduledFor = new Date(job.nextRunAt);
+    const late = !manual && now - scheduledFor > this.misfireGraceMs;
+    // The slot it was due for plus any later slots that also passed
+    const missedRuns = late ? 1 + countRuns(job.cron, scheduledFor, now) : 0;
+    const run = {
+      workerId: this.workerId,
+      scheduledFor: manual ? null : scheduledFor.toISOString(),
+      missedRuns,
+    };
+
+    if (late && job.missedRunPolicy === 'skip') {
+      console.warn(`⏭️  ${job.name} missed ${missedRuns} run(s) since ${run.scheduledFor}; skipping`);
+      await jobStore.finishRun(job, { ...run, status: 'missed', nextRunAt: nextRun(job.cron, now) });
+      return { job: job.name, status: 'missed', missedRuns };
+    }
+
+    if (late) {
+      console.warn(`⏩ ${job.name} missed ${missedRuns} run(s) since ${run.scheduledFor}; running once`);
+    }
+
+    const jobType = this.jobTypes[job.type];
+    const startTime = now.getTime();
+    const { signal, clear } = linkSignal(this.controller.signal, job.timeoutMs, `Job ${job.name}`);
+    const renewal = setInterval(async () => {
+      if (!(await jobStore.renewLock(job.id, this.workerId, this.leaseMs))) {
+        console.warn(`⚠️  Lost the lock on ${job.name}; another worker may run it`);
+      }
+    }, Math.max(1000, Math.floor(this.leaseMs / 2)));
+
+    console.log(`\n▶️  Running ${job.name} (${job.type})`);
+    let outcome;
+    try {
+      if (!jobType) {
+        throw new Error(`Unknown job type '${job.type}'`);
+      }
+      const result = await jobType.run(job.params || {}, { job, signal });
+      outcome = { status: signal.aborted ? 'failed' : 'succeeded', result };
+      if (signal.aborted) {
+        outcome.error = signal.reason?.message || 'Aborted';
+      }
+    } catch (error) {
+      outcome = { status: 'failed', result: null, error: error.message };
+    } finally {
+      clearInterval(renewal);
+      clear();
+    }
+
+    const finishedAt = this.clock();
+    const durationMs = finishedAt.getTime() - startTime;
+    console.log(
+      `${outcome.status === 'succeeded' ? '✅' : '❌'} ${job.name} ${outcome.status} in ${durationMs}ms${outcome.error ? `: ${outcome.error}` : ''}`
+    );
+
+    await jobStore.finishRun(job, {
+      ...run,
+      ...outcome,
+      startedAt: new Date(startTime).toISOString(),
+      durationMs,
+      // Scheduled from when the run finished, so an overrunning job skips the slots it overlapped
+      nextRunAt: manual ? null : nextRun(job.cron, finishedAt),
+    });
+
+    return { job: job.name, ...outcome, missedRuns, durationMs };
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,94 @@
+/**
+ * Platform Tools
+ * Registers the default tools agents can call, backed by the database models
+ */
+
+const ToolRegistry = require('./tool-registry');
+const Company = require('../db/models/company');
+const License = require('../db/models/license');
+const Review = require('../db/models/review');
+
+// Database-backed tools are only offered when a database is configured
+const hasDatabase = () => Boolean(process.env.DATABASE_URL);
+
+const companyIdInput = {
+  type: 'object',
+  properties: {
+    company_id: { type: 'string', description: 'Company UUID' },
+  },
+  required: ['company_id'],
+};
+
+const toolRegistry = new ToolRegistry();
+
+toolRegistry.register({
+  name: 'get_company',
+  description: 'Get the full company record (contact info, location, estimates, external IDs) by company UUID.',
+  inputSchema: companyIdInput,
+  isAvailable: hasDatabase,
+  handler: async ({ company_id }) => (await Company.findById(company_id)) || null,
+});
+
+toolRegistry.register({
+  name: 'search_companies',
+  description: 'Fuzzy-search companies by legal name. Returns the closest matches with a similarity score.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Company name to search for' },
+      limit: { type: 'integer', minimum: 1, maximum: 25, description: 'Max results (default 10)' },
+    },
+    required: ['name'],
+  },
+  isAvailable: hasDatabase,
+  handler: async ({ name, limit }) => Company.searchByName(name, Math.min(limit || 10, 25)),
+});
+
+toolRegistry.register({
+  name: 'list_scored_companies',
+  description: 'List companies that have a thesis score at or above a threshold, highest first.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      min_score: { type: 'number', minimum: 0, maximum: 100, description: 'Minimum score (default 0)' },
+      limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Max results (default 20)' },
+    },
+  },
+  isAvailable: hasDatabase,
+  handler: async ({ min_score, limit }) =>
+    Company.getWithScores(min_score || 0, Math.min(limit || 20, 50)),
+});
+
+toolRegistry.register({
+  name: 'get_company_licenses',
+  description:
+    'Get the state licenses on record for a company, including status, number, expiration date and, for records imported from state board exports, the board status, secondary (disciplinary) status and match confidence.',
+  inputSchema: companyIdInput,
+  isAvailable: hasDatabase,
+  // The raw export row adds tokens, not facts
+  handler: async ({ company_id }) => (await License.findByCompany(company_id)).map(({ raw, ...license }) => license),
+});
+
+toolRegistry.register({
+  name: 'get_company_reviews',
+  description: 'Get recent customer reviews for a company, newest first, plus a rating summary per source.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      company_id: { type: 'string', description: 'Company UUID' },
+      source: { type: 'string', description: 'Only this source (google, yelp, bbb, angi)' },
+      limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Max reviews (default 20)' },
+    },
+    required: ['company_id'],
+  },
+  isAvailable: hasDatabase,
+  handler: async ({ company_id, source, limit }) => ({
+    summary: await Review.getSummary(company_id),
+    reviews: await Review.findByCompany(company_id, { source, limit: Math.min(limit || 20, 50) }),
+  }),
+});
+
+module.exports = {
+  ToolRegistry,
+  toolRegistry,
+};
@@ -0,0 +1,97 @@
+/**
+ * Tool Registry
+ * Platform functions that agents can call through Claude tool use
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {object} tool - { name, description, inputSchema, handler, isAvailable }
+   *   handler(input) returns any JSON-serializable value;
+   *   isAvailable() (optional) hides the tool when its backing service is not configured
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool requires a name and a handler function');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      inputSchema: { type: 'object', properties: {} },
+      isAvailable: () => true,
+      ...tool,
+    });
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {object|undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Build Messages API tool definitions
+   * @param {array} names - Tool names to include (unavailable tools are skipped)
+   * @returns {array} - [{ name, description, input_schema }]
+   */
+  getDefinitions(names = []) {
+    return names
+      .map((name) => {
+        const tool = this.tools.get(name);
+        if (!tool) {
+          throw new Error(`Tool '${name}' not found`);
+        }
+        return tool;
+      })
+      .filter((tool) => tool.isAvailable())
+      .map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.inputSchema,
+      }));
+  }
+
+  /**
+   * Execute a tool call
+   * Handler errors are returned as error results so the model can recover
+   * @param {string} name - Tool name
+   * @param {object} input - Tool input from the model
+   * @returns {Promise<object>} - { content, isError }
+   */
+  async execute(name, input) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { content: `Unknown tool: ${name}`, isError: true };
+    }
+
+    try {
+      const result = await tool.handler(input || {});
+      return {
+        content: JSON.stringify(result === undefined ? null : result),
+        isError: false,
+      };
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error.message);
+      return { content: `Tool error: ${error.message}`, isError: true };
+    }
+  }
+
+  /**
+   * List registered tool names
+   * @returns {array}
+   */
+  list() {
+    return Array.from(this.tools.keys());
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,108 @@
+/**
+ * Abort Utilities
+ * Timeouts and cancellation built on AbortSignal
+ *
+ * Cancellation flows down as a signal: a workflow run's signal is linked into
+ * each step's signal, which reaches ClaudeClient and the scrapers. The abort
+ * reason (TimeoutError, CancelledError) is what callers report, so a timed-out
+ * step reads "Compliance Agent timed out after 60000ms" rather than a generic
+ * abort.
+ */
+
+const { TimeoutError } = require('./errors');
+
+/**
+ * Create a signal that aborts when the parent aborts or after a timeout
+ * @param {AbortSignal} parent - Signal to follow (optional)
+ * @param {number} timeoutMs - Time limit (0 or unset for none)
+ * @param {string} label - What is being timed, for the TimeoutError message
+ * @returns {object} - { signal, controller, clear } where clear() releases the timer and
+ *   parent listener once the work is done
+ */
+function linkSignal(parent, timeoutMs, label = 'Operation') {
+  const controller = new AbortController();
+  let timer = null;
+
+  const onParentAbort = () => controller.abort(parent.reason);
+  if (parent) {
+    if (parent.aborted) {
+      controller.abort(parent.reason);
+    } else {
+      parent.addEventListener('abort', onParentAbort, { once: true });
+    }
+  }
+
+  if (timeoutMs > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => controller.abort(new TimeoutError(label, timeoutMs)), timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    controller,
+    clear: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onParentAbort);
+    },
+  };
+}
+
+/**
+ * The error a signal was aborted with
+ * A plain abort() (no typed reason) is reported as a cancellation.
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error}
+ */
+function abortReason(signal) {
+  const reason = signal.reason;
+  if (reason instanceof Error && reason.errorType) {
+    return reason;
+  }
+
+  const error = new Error(reason?.message || (reason ? String(reason) : 'Operation aborted'));
+  error.name = 'AbortError';
+  error.errorType = 'cancelled';
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Throw the abort reason if the signal has aborted
+ * @param {AbortSignal} signal - Signal (optional)
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+/**
+ * Settle with a promise, or reject with the abort reason as soon as the signal
+ * aborts (for work that cannot take a signal itself). The work is not stopped,
+ * only abandoned.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Signal (optional)
+ * @returns {Promise<any>}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+
+    const onAbort = () => reject(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+module.exports = {
+  linkSignal,
+  abortReason,
+  throwIfAborted,
+  raceAbort,
+};
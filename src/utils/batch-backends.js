@@ -0,0 +1,175 @@
+/**
+ * Message Batch Backends
+ * Submit, poll and collect Message Batches, either through the Anthropic API
+ * or through a local in-process fake for offline runs
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Message Batches API backend
+ */
+class AnthropicBatchBackend {
+  /**
+   * @param {object} client - Anthropic SDK client
+   */
+  constructor(client) {
+    this.client = client;
+    this.pollIntervalMs = null; // Use the client's configured interval
+  }
+
+  /**
+   * Submit a batch
+   * @param {array} requests - [{ custom_id, params }]
+   * @returns {Promise<object>} - Batch summary { id, processing_status, request_counts }
+   */
+  async create(requests) {
+    return this.client.messages.batches.create({ requests });
+  }
+
+  /**
+   * Get the current state of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<object>} - Batch summary
+   */
+  async retrieve(batchId) {
+    return this.client.messages.batches.retrieve(batchId);
+  }
+
+  /**
+   * Iterate over the results of an ended batch
+   * @param {string} batchId - Batch ID
+   * @returns {AsyncGenerator<object>} - { custom_id, result: { type, message | error } }
+   */
+  async *results(batchId) {
+    const decoder = await this.client.messages.batches.results(batchId);
+    for await (const entry of decoder) {
+      yield entry;
+    }
+  }
+
+  /**
+   * Cancel a batch that is still processing
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<object>} - Batch summary
+   */
+  async cancel(batchId) {
+    return this.client.messages.batches.cancel(batchId);
+  }
+}
+
+/**
+ * Local fake backend
+ * Processes each request with `respond(params)` (by default a single
+ * Messages API call through the cassette), so batch runs can be exercised
+ * offline with recorded fixtures.
+ */
+class LocalBatchBackend {
+  /**
+   * @param {Function} respond - async (params) => Messages API response
+   */
+  constructor(respond) {
+    this.respond = respond;
+    this.batches = new Map();
+    this.pollIntervalMs = 50;
+  }
+
+  async create(requests) {
+    const batch = {
+      id: `msgbatch_local_${crypto.randomUUID()}`,
+      processing_status: 'in_progress',
+      request_counts: {
+        processing: requests.length,
+        succeeded: 0,
+        errored: 0,
+        canceled: 0,
+        expired: 0,
+      },
+      canceled: false,
+      entries: [],
+    };
+    this.batches.set(batch.id, batch);
+
+    // Process in the background like the real API; callers poll retrieve()
+    setImmediate(() => this._process(batch, requests));
+
+    return this._summary(batch);
+  }
+
+  async retrieve(batchId) {
+    return this._summary(this._get(batchId));
+  }
+
+  async *results(batchId) {
+    const batch = this._get(batchId);
+    if (batch.processing_status !== 'ended') {
+      throw new Error(`Batch ${batchId} has not ended`);
+    }
+    yield* batch.entries;
+  }
+
+  async cancel(batchId) {
+    const batch = this._get(batchId);
+    batch.canceled = true;
+    return this._summary(batch);
+  }
+
+  /**
+   * Run every request, recording a result entry for each
+   * @param {object} batch - Internal batch state
+   * @param {array} requests - [{ custom_id, params }]
+   */
+  async _process(batch, requests) {
+    for (const request of requests) {
+      let result;
+
+      if (batch.canceled) {
+        result = { type: 'canceled' };
+      } else {
+        try {
+          result = { type: 'succeeded', message: await this.respond(request.params) };
+        } catch (error) {
+          result = {
+            type: 'errored',
+            error: {
+              type: 'error',
+              error: {
+                type: error.errorType || error.error?.error?.type || 'api_error',
+                message: error.message,
+              },
+            },
+          };
+        }
+      }
+
+      batch.entries.push({ custom_id: request.custom_id, result });
+      batch.request_counts.processing--;
+      batch.request_counts[result.type]++;
+    }
+
+    batch.processing_status = 'ended';
+  }
+
+  _get(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Batch ${batchId} not found`);
+    }
+    return batch;
+  }
+
+  _summary(batch) {
+    return {
+      id: batch.id,
+      processing_status: batch.canceled && batch.processing_status !== 'ended'
+        ? 'canceling'
+        : batch.processing_status,
+      request_counts: { ...batch.request_counts },
+    };
+  }
+}
+
+module.exports = {
+  AnthropicBatchBackend,
+  LocalBatchBackend,
+};
@@ -0,0 +1,140 @@
+/**
+ * LLM Cassette
+ * Record/replay layer for Claude API calls so workflows can run offline and deterministically
+ *
+ * Modes (CLAUDE_CASSETTE_MODE):
+ *   off            - Always call the API (default)
+ *   record         - Call the API and (over)write the fixture for every request
+ *   replay         - Serve from fixtures; on a miss, call the API and record the fixture
+ *   replay-or-fail - Serve from fixtures; on a miss, fail without touching the network
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CassetteMissError } = require('./errors');
+const { stableStringify } = require('./stable-stringify');
+require('dotenv').config();
+
+const MODES = ['off', 'record', 'replay', 'replay-or-fail'];
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'fixtures', 'cassettes');
+
+class Cassette {
+  /**
+   * @param {object} options - { mode, dir }
+   */
+  constructor(options = {}) {
+    const mode = options.mode || 'off';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid cassette mode '${mode}' (expected one of: ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.dir = options.dir || DEFAULT_DIR;
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+  }
+
+  /**
+   * Create a cassette configured from environment variables
+   * @returns {Cassette}
+   */
+  static fromEnv() {
+    return new Cassette({
+      mode: process.env.CLAUDE_CASSETTE_MODE || 'off',
+      dir: process.env.CLAUDE_CASSETTE_DIR,
+    });
+  }
+
+  /**
+   * Whether the cassette intercepts calls at all
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Compute the fixture key for a request
+   * Model, system prompt, messages and every other parameter contribute to the key
+   * @param {object} params - Messages API request parameters
+   * @returns {string} - SHA-256 hex digest
+   */
+  key(params) {
+    const { model, system, messages, ...rest } = params;
+    const canonical = stableStringify({ model, system, messages, params: rest });
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Run a request through the cassette
+   * @param {object} params - Messages API request parameters
+   * @param {Function} call - Async function performing the live API call
+   * @returns {Promise<object>} - Raw API response (recorded or live)
+   */
+  async run(params, call) {
+    if (!this.enabled) {
+      return call();
+    }
+
+    const key = this.key(params);
+
+    if (this.mode !== 'record') {
+      const fixture = this._read(key);
+      if (fixture) {
+        this.stats.hits++;
+        return fixture.response;
+      }
+
+      this.stats.misses++;
+      if (this.mode === 'replay-or-fail') {
+        throw new CassetteMissError(key, this._fixturePath(key));
+      }
+    }
+
+    const response = await call();
+    this._write(key, params, response);
+    return response;
+  }
+
+  /**
+   * Get the fixture file path for a key
+   * @param {string} key - Fixture key
+   * @returns {string}
+   */
+  _fixturePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Read a fixture if it exists
+   * @param {string} key - Fixture key
+   * @returns {object|null}
+   */
+  _read(key) {
+    const file = this._fixturePath(key);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Write a fixture
+   * @param {string} key - Fixture key
+   * @param {object} params - Request parameters (stored for readability)
+   * @param {object} response - Raw API response
+   */
+  _write(key, params, response) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fixture = {
+      key,
+      recordedAt: new Date().toISOString(),
+      request: params,
+      response,
+    };
+    fs.writeFileSync(this._fixturePath(key), JSON.stringify(fixture, null, 2));
+    this.stats.recorded++;
+  }
+}
+
+module.exports = Cassette;
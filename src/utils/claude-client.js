@@ -4,14 +4,68 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const Cassette = require('./cassette');
+const { AnthropicBatchBackend, LocalBatchBackend } = require('./batch-backends');
+const costLedger = require('../metering/cost-ledger');
+const { withRetry, classifyError, sleep } = require('./retry');
+const { abortReason } = require('./abort');
 require('dotenv').config();
 
+/**
+ * Read an integer environment variable, allowing an explicit 0
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
+
+// Shared by every ClaudeClient in the process so parallel agents and batch
+// scoring draw from the same API quota
+const sharedLimiter = new ConcurrencyLimiter(envInt('CLAUDE_MAX_CONCURRENCY', 4));
+
+// Failures that another model may succeed at
+const FALLBACK_ERROR_TYPES = new Set(['overloaded', 'timeout', 'context_length']);
+
+// Record/replay layer, configured by CLAUDE_CASSETTE_MODE
+const sharedCassette = Cassette.fromEnv();
+
+// Requests per submitted batch (the API accepts up to 100,000)
+const MAX_BATCH_REQUESTS = 10000;
+
+// Batch custom IDs must match the API's format
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
 class ClaudeClient {
   constructor() {
     this.client = new Anthropic({
       apiKey: process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0, // Retries are handled by withRetry so they can be reported
     });
     this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929';
+    this.fallbackModels = (process.env.CLAUDE_FALLBACK_MODELS || '')
+      .split(',')
+      .map((m) => m.trim())
+      .filter(Boolean);
+    this.limiter = sharedLimiter;
+    this.cassette = sharedCassette;
+    this.promptCaching = process.env.CLAUDE_PROMPT_CACHING !== 'false';
+    this.batchBackend =
+      process.env.CLAUDE_BATCH_BACKEND === 'local'
+        ? new LocalBatchBackend((params) => this._createMessage(params))
+        : new AnthropicBatchBackend(this.client);
+    this.batchOptions = {
+      pollIntervalMs: envInt('CLAUDE_BATCH_POLL_INTERVAL_MS', 60000),
+      maxWaitMs: envInt('CLAUDE_BATCH_MAX_WAIT_MS', 24 * 60 * 60 * 1000),
+    };
+    this.retryOptions = {
+      maxRetries: envInt('CLAUDE_MAX_RETRIES', 4),
+      baseDelayMs: envInt('CLAUDE_RETRY_BASE_DELAY_MS', 1000),
+      maxDelayMs: envInt('CLAUDE_RETRY_MAX_DELAY_MS', 60000),
+    };
   }
 
   /**
@@ -22,71 +76,415 @@ class ClaudeClient {
    * @returns {Promise<object>} - Claude's response
    */
   async sendMessage(systemPrompt, userMessage, options = {}) {
-    try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: options.maxTokens || parseInt(process.env.MAX_TOKENS) || 4096,
-        temperature: options.temperature || parseFloat(process.env.TEMPERATURE) || 0.7,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userMessage,
-          },
-        ],
-      });
-
-      return {
-        success: true,
-        content: response.content[0].text,
-        usage: {
-          inputTokens: response.usage.input_tokens,
-          outputTokens: response.usage.output_tokens,
+    return this.sendConversation(
+      systemPrompt,
+      [
+        {
+          role: 'user',
+          content: userMessage,
         },
-        stopReason: response.stop_reason,
-      };
-    } catch (error) {
-      console.error('Error calling Claude API:', error);
-      return {
-        success: false,
-        error: error.message,
-      };
-    }
+      ],
+      options
+    );
   }
 
   /**
    * Send a multi-turn conversation to Claude
    * @param {string} systemPrompt - The system prompt
    * @param {array} messages - Array of message objects with role and content
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (tools/toolChoice for tool use, metering: cost
+   *   attribution for the ledger, onText(delta, snapshot): stream the response text as it arrives,
+   *   promptCaching: false to skip the system prompt cache breakpoint, signal: AbortSignal that
+   *   cancels the request, its retries and fallbacks)
    * @returns {Promise<object>} - Claude's response
    */
   async sendConversation(systemPrompt, messages, options = {}) {
+    const modelChain = this.getModelChain(options);
+    const modelAttempts = [];
+    const retries = [];
+    const metering = options.metering || {};
+    const { signal } = options;
+
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: options.maxTokens || parseInt(process.env.MAX_TOKENS) || 4096,
-        temperature: options.temperature || parseFloat(process.env.TEMPERATURE) || 0.7,
-        system: systemPrompt,
-        messages: messages,
+      await costLedger.assertWithinBudget(metering);
+    } catch (error) {
+      console.error('Claude API call blocked:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        errorType: error.errorType,
+        retryable: false,
+        modelAttempts,
+        retries,
+      };
+    }
+
+    for (const [index, model] of modelChain.entries()) {
+      const params = this._buildParams(model, systemPrompt, messages, options);
+
+      // Once text has been streamed to the caller, a retry would replay it
+      let streamed = false;
+      const onText =
+        options.onText &&
+        ((delta, snapshot) => {
+          streamed = true;
+          options.onText(delta, snapshot);
+        });
+
+      try {
+        const { value: response, retries: modelRetries } = await withRetry(
+          () => this._createMessage(params, onText, signal),
+          {
+            ...this.retryOptions,
+            ...options.retry,
+            label: `Claude API call (${model})`,
+            shouldRetry: () => !streamed,
+            signal,
+          }
+        );
+
+        retries.push(...modelRetries.map((r) => ({ ...r, model })));
+        modelAttempts.push({ model, success: true });
+
+        return {
+          ...(await this._toResult(response, model, metering)),
+          modelAttempts,
+          retries,
+        };
+      } catch (caught) {
+        // Report why the call was aborted (e.g. a step timeout), not the SDK's abort error
+        const error = signal?.aborted ? abortReason(signal) : caught;
+        const classification = signal?.aborted
+          ? classifyError(error)
+          : error.classification || classifyError(error);
+        retries.push(...(caught.retries || []).map((r) => ({ ...r, model })));
+        modelAttempts.push({ model, success: false, errorType: classification.type });
+
+        const nextModel = modelChain[index + 1];
+        if (nextModel && !streamed && !signal?.aborted && FALLBACK_ERROR_TYPES.has(classification.type)) {
+          console.warn(`${model} failed (${classification.type}), falling back to ${nextModel}`);
+          continue;
+        }
+
+        console.error(`Error calling Claude API (${classification.type}):`, error.message);
+        return {
+          success: false,
+          error: error.message,
+          errorType: classification.type,
+          retryable: classification.retryable,
+          model,
+          modelAttempts,
+          retries,
+        };
+      }
+    }
+  }
+
+  /**
+   * Run many independent conversations as Message Batches (50% batch pricing).
+   * Submits in chunks, polls until each batch ends, and maps results back to
+   * requests by custom ID. Only the primary model is used; there is no fallback.
+   * @param {string} systemPrompt - System prompt shared by every request
+   * @param {array} requests - [{ customId, messages, metering }]
+   * @param {object} options - Shared options (see sendConversation), plus pollIntervalMs and
+   *   maxWaitMs (after which an unfinished batch is canceled); aborting signal also cancels
+   *   the batch, and requests it never processed come back as retryable 'canceled' failures
+   * @returns {Promise<array>} - One result per request, in request order, each shaped like a
+   *   sendConversation result plus { customId, batchId }
+   * @throws {BudgetExceededError} - When the budget is already spent (nothing is submitted)
+   */
+  async sendBatch(systemPrompt, requests, options = {}) {
+    const seen = new Set();
+    for (const request of requests) {
+      if (!CUSTOM_ID_PATTERN.test(request.customId)) {
+        throw new Error(`Invalid batch custom ID '${request.customId}'`);
+      }
+      if (seen.has(request.customId)) {
+        throw new Error(`Duplicate batch custom ID '${request.customId}'`);
+      }
+      seen.add(request.customId);
+    }
+
+    await costLedger.assertWithinBudget(options.metering || requests[0]?.metering || {});
+
+    const model = this.getModelChain(options)[0];
+    const results = [];
+
+    for (let start = 0; start < requests.length; start += MAX_BATCH_REQUESTS) {
+      const chunk = requests.slice(start, start + MAX_BATCH_REQUESTS);
+      results.push(...(await this._runBatch(model, systemPrompt, chunk, options)));
+    }
+
+    return results;
+  }
+
+  /**
+   * Submit one batch and wait for its results
+   * @param {string} model - Model for every request
+   * @param {string} systemPrompt - System prompt
+   * @param {array} requests - [{ customId, messages, metering }]
+   * @param {object} options - See sendBatch
+   * @returns {Promise<array>} - Results in request order
+   */
+  async _runBatch(model, systemPrompt, requests, options) {
+    const backend = this.batchBackend;
+    const pollIntervalMs =
+      options.pollIntervalMs ?? backend.pollIntervalMs ?? this.batchOptions.pollIntervalMs;
+    const maxWaitMs = options.maxWaitMs ?? this.batchOptions.maxWaitMs;
+    const retryOptions = { ...this.retryOptions, ...options.retry };
+
+    const { value: created } = await withRetry(
+      () =>
+        backend.create(
+          requests.map((request) => ({
+            custom_id: request.customId,
+            params: this._buildParams(model, systemPrompt, request.messages, options),
+          }))
+        ),
+      { ...retryOptions, label: 'Create message batch' }
+    );
+
+    console.log(`📦 Submitted batch ${created.id} (${requests.length} requests, ${model})`);
+
+    const startedAt = Date.now();
+    let batch = created;
+    let canceling = false;
+
+    while (batch.processing_status !== 'ended') {
+      if (!canceling && Date.now() - startedAt > maxWaitMs) {
+        console.warn(`Batch ${batch.id} exceeded ${maxWaitMs}ms, canceling`);
+        await backend.cancel(batch.id);
+        canceling = true;
+      } else if (!canceling && options.signal?.aborted) {
+        console.warn(`Batch ${batch.id} aborted (${abortReason(options.signal).message}), canceling`);
+        await backend.cancel(batch.id);
+        canceling = true;
+      }
+
+      await sleep(pollIntervalMs, canceling ? null : options.signal);
+      ({ value: batch } = await withRetry(() => backend.retrieve(created.id), {
+        ...retryOptions,
+        label: 'Poll message batch',
+      }));
+    }
+
+    const entries = new Map();
+    for await (const entry of backend.results(batch.id)) {
+      entries.set(entry.custom_id, entry.result);
+    }
+
+    const results = [];
+    for (const request of requests) {
+      const result = entries.get(request.customId);
+      const base = { customId: request.customId, batchId: batch.id, modelAttempts: [], retries: [] };
+
+      if (result?.type === 'succeeded') {
+        const response = await this._toResult(result.message, model, {
+          ...options.metering,
+          ...request.metering,
+          batch: true,
+        });
+        results.push({ ...base, ...response, modelAttempts: [{ model, success: true }] });
+        continue;
+      }
+
+      const { errorType, message, retryable } = this._batchFailure(result);
+      results.push({
+        ...base,
+        success: false,
+        error: message,
+        errorType,
+        retryable,
+        model,
+        modelAttempts: [{ model, success: false, errorType }],
       });
+    }
+
+    const failed = results.filter((r) => !r.success).length;
+    console.log(`📦 Batch ${batch.id} ended: ${results.length - failed} succeeded, ${failed} failed`);
+
+    return results;
+  }
 
+  /**
+   * Describe a batch entry that did not succeed
+   * Canceled and expired requests are retryable: they were never processed
+   * @param {object|undefined} result - Batch result ({ type, error })
+   * @returns {object} - { errorType, message, retryable }
+   */
+  _batchFailure(result) {
+    if (!result) {
       return {
-        success: true,
-        content: response.content[0].text,
-        usage: {
-          inputTokens: response.usage.input_tokens,
-          outputTokens: response.usage.output_tokens,
-        },
-        stopReason: response.stop_reason,
+        errorType: 'batch_missing',
+        message: 'Batch returned no result for this request',
+        retryable: true,
       };
-    } catch (error) {
-      console.error('Error calling Claude API:', error);
+    }
+    if (result.type === 'canceled' || result.type === 'expired') {
       return {
-        success: false,
-        error: error.message,
+        errorType: `batch_${result.type}`,
+        message: `Batch request ${result.type}`,
+        retryable: true,
       };
     }
+
+    const apiError = result.error?.error || {};
+    const classification = classifyError({ error: result.error });
+    const errorType =
+      classification.type !== 'unknown'
+        ? classification.type
+        : (apiError.type || 'unknown').replace(/_error$/, '');
+
+    return {
+      errorType,
+      message: apiError.message || 'Batch request failed',
+      retryable: classification.retryable,
+    };
+  }
+
+  /**
+   * Build Messages API request parameters
+   * @param {string} model - Model ID
+   * @param {string} systemPrompt - The system prompt
+   * @param {array} messages - Conversation messages
+   * @param {object} options - See sendConversation
+   * @returns {object}
+   */
+  _buildParams(model, systemPrompt, messages, options) {
+    const params = {
+      model,
+      max_tokens: options.maxTokens || parseInt(process.env.MAX_TOKENS) || 4096,
+      temperature: options.temperature || parseFloat(process.env.TEMPERATURE) || 0.7,
+      system: this._systemParam(systemPrompt, options.promptCaching ?? this.promptCaching),
+      messages: messages,
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      params.tools = options.tools;
+      if (options.toolChoice) {
+        params.tool_choice = options.toolChoice;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Convert a raw API message into a result, recording its cost
+   * @param {object} response - Messages API response
+   * @param {string} model - Model that produced it
+   * @param {object} metering - Cost attribution (batch: true for batch pricing)
+   * @returns {Promise<object>}
+   */
+  async _toResult(response, model, metering) {
+    const usage = {
+      inputTokens: response.usage.input_tokens,
+      outputTokens: response.usage.output_tokens,
+      cacheCreationTokens: response.usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: response.usage.cache_read_input_tokens || 0,
+    };
+    const { costUsd } = await costLedger.record({ ...metering, model, usage });
+
+    return {
+      success: true,
+      content: response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      contentBlocks: response.content,
+      toolUses: response.content.filter((block) => block.type === 'tool_use'),
+      usage,
+      costUsd,
+      stopReason: response.stop_reason,
+      model,
+    };
+  }
+
+  /**
+   * Resolve the ordered list of models to try for a call
+   * @param {object} options - { model, fallbackModels }
+   * @returns {array} - Primary model followed by distinct fallbacks
+   */
+  getModelChain(options = {}) {
+    const primary = options.model || this.model;
+    const fallbacks = options.fallbackModels || this.fallbackModels;
+    return [...new Set([primary, ...fallbacks])];
+  }
+
+  /**
+   * Build the system parameter, marking the prompt as a cache breakpoint.
+   * The breakpoint caches tool definitions and the system prompt together, so
+   * repeated calls with the same agent only pay full price for the messages.
+   * @param {string} systemPrompt - The system prompt
+   * @param {boolean} promptCaching - Whether to add the cache breakpoint
+   * @returns {string|array} - Plain prompt, or a text block with cache_control
+   */
+  _systemParam(systemPrompt, promptCaching) {
+    if (!promptCaching || !systemPrompt) {
+      return systemPrompt;
+    }
+
+    return [{ type: 'text', text: systemPrompt, cache_control: { type: 'ephemeral' } }];
+  }
+
+  /**
+   * Stream a conversation, calling onText for each text delta
+   * Same result shape as sendConversation, resolved once the message is complete
+   * @param {string} systemPrompt - The system prompt
+   * @param {array} messages - Array of message objects with role and content
+   * @param {Function} onText - Called with (delta, snapshot) as text arrives
+   * @param {object} options - Additional options (see sendConversation)
+   * @returns {Promise<object>} - Claude's response
+   */
+  async streamConversation(systemPrompt, messages, onText, options = {}) {
+    return this.sendConversation(systemPrompt, messages, { ...options, onText });
+  }
+
+  /**
+   * Create a message through the cassette and concurrency limiter
+   * Replayed responses never take a concurrency slot; when streaming, a replayed
+   * response is delivered as a single text delta
+   * @param {object} params - Messages API request parameters
+   * @param {Function} onText - Optional (delta, snapshot) callback to stream text
+   * @param {AbortSignal} signal - Optional signal that cancels the request (or its wait for a slot)
+   * @returns {Promise<object>} - Raw API response
+   */
+  async _createMessage(params, onText, signal) {
+    let live = false;
+
+    const response = await this.cassette.run(params, () => {
+      live = true;
+      return this.limiter.run(
+        () =>
+          onText
+            ? this._streamMessage(params, onText, signal)
+            : this.client.messages.create(params, { signal }),
+        signal
+      );
+    });
+
+    if (onText && !live) {
+      const text = response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+      if (text) onText(text, text);
+    }
+
+    return response;
+  }
+
+  /**
+   * Call the streaming Messages API
+   * @param {object} params - Messages API request parameters
+   * @param {Function} onText - (delta, snapshot) callback
+   * @param {AbortSignal} signal - Optional signal that aborts the stream
+   * @returns {Promise<object>} - Final message
+   */
+  async _streamMessage(params, onText, signal) {
+    const stream = this.client.messages.stream(params, { signal });
+    stream.on('text', (delta, snapshot) => onText(delta, snapshot));
+    return stream.finalMessage();
   }
 
   /**
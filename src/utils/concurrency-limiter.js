@@ -0,0 +1,87 @@
+/**
+ * Concurrency Limiter
+ * Caps the number of in-flight async operations (FIFO semaphore)
+ */
+
+const { abortReason } = require('./abort');
+
+class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrent - Maximum operations allowed to run at once
+   */
+  constructor(maxConcurrent = 4) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a function once a slot is available
+   * @param {Function} fn - Async function to run
+   * @param {AbortSignal} signal - Gives up the place in the queue when aborted
+   * @returns {Promise<any>} - The function's result
+   */
+  async run(fn, signal) {
+    await this._acquire(signal);
+    try {
+      return await fn();
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {AbortSignal} signal - Rejects with the abort reason if aborted while queued
+   */
+  _acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        reject(abortReason(signal));
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand the slot to the next waiter, or free it
+   */
+  _release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Get limiter state
+   * @returns {object} - Active and pending counts
+   */
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      pending: this.queue.length,
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,192 @@
+/**
+ * Error Types
+ * Typed errors shared across agents and workflows
+ */
+
+/**
+ * Raised when an agent's output cannot be parsed or fails its schema,
+ * even after repair turns
+ */
+class OutputValidationError extends Error {
+  /**
+   * @param {string} agentName - Agent that produced the output
+   * @param {array} validationErrors - Validation error strings
+   * @param {string} rawResponse - Last raw response from the model
+   * @param {number} repairTurns - Repair turns attempted
+   */
+  constructor(agentName, validationErrors, rawResponse, repairTurns) {
+    super(
+      `${agentName} output failed schema validation after ${repairTurns} repair turn(s): ${validationErrors.join('; ')}`
+    );
+    this.name = 'OutputValidationError';
+    this.errorType = 'invalid_output';
+    this.retryable = false;
+    this.validationErrors = validationErrors;
+    this.rawResponse = rawResponse;
+    this.repairTurns = repairTurns;
+  }
+}
+
+/**
+ * Raised in replay-or-fail cassette mode when no fixture matches a request
+ */
+class CassetteMissError extends Error {
+  /**
+   * @param {string} key - Fixture key that was looked up
+   * @param {string} fixturePath - Where the fixture was expected
+   */
+  constructor(key, fixturePath) {
+    super(`No cassette fixture for request ${key.substring(0, 12)} (expected ${fixturePath})`);
+    this.name = 'CassetteMissError';
+    this.errorType = 'cassette_miss';
+    this.retryable = false;
+    this.key = key;
+    this.fixturePath = fixturePath;
+  }
+}
+
+/**
+ * Raised in replay-or-fail mode when a scraper request has no cached response
+ */
+class HttpCacheMissError extends Error {
+  /**
+   * @param {string} key - Request key that was looked up
+   * @param {string} url - Request URL (secrets removed)
+   */
+  constructor(key, url) {
+    super(`No cached response for ${url} (request ${key.substring(0, 12)})`);
+    this.name = 'HttpCacheMissError';
+    this.errorType = 'http_cache_miss';
+    this.retryable = false;
+    this.key = key;
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when a scraper API cannot be called again until later: its daily
+ * quota is spent, or it keeps rate limiting us
+ */
+class QuotaExhaustedError extends Error {
+  /**
+   * @param {string} provider - API name (e.g. google_maps)
+   * @param {Date} resumeAt - When calls may resume
+   * @param {object} details - { reason: 'daily_quota' | 'rate_limited', used, quota }
+   */
+  constructor(provider, resumeAt, details = {}) {
+    const reason = details.reason || 'daily_quota';
+    super(
+      `${provider} ${reason === 'daily_quota' ? 'daily quota exhausted' : 'is rate limiting us'}, resume at ${resumeAt.toISOString()}`
+    );
+    this.name = 'QuotaExhaustedError';
+    this.errorType = 'quota_exhausted';
+    this.retryable = true;
+    this.provider = provider;
+    this.resumeAt = resumeAt;
+    this.reason = reason;
+    this.used = details.used ?? null;
+    this.quota = details.quota ?? null;
+  }
+}
+
+/**
+ * Raised when a workflow run or the day has spent its LLM budget
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} scope - 'run' or 'day'
+   * @param {number} spentUsd - Spend so far
+   * @param {number} limitUsd - Configured cap
+   */
+  constructor(scope, spentUsd, limitUsd) {
+    super(`Per-${scope} LLM budget exhausted: $${spentUsd.toFixed(4)} spent of $${limitUsd.toFixed(2)}`);
+    this.name = 'BudgetExceededError';
+    this.errorType = 'budget_exceeded';
+    this.retryable = false;
+    this.scope = scope;
+    this.spentUsd = spentUsd;
+    this.limitUsd = limitUsd;
+  }
+}
+
+/**
+ * Raised when a workflow definition is malformed (bad schema, unknown
+ * agents or steps, dependency cycles)
+ */
+class WorkflowDefinitionError extends Error {
+  /**
+   * @param {string} workflow - Workflow name (or source file)
+   * @param {array} problems - Problem descriptions
+   */
+  constructor(workflow, problems) {
+    super(`Invalid workflow definition '${workflow}': ${problems.join('; ')}`);
+    this.name = 'WorkflowDefinitionError';
+    this.errorType = 'invalid_workflow';
+    this.retryable = false;
+    this.workflow = workflow;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Raised (as an abort reason) when an agent step or workflow run exceeds its time limit
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} label - What timed out (e.g. "Compliance Agent")
+   * @param {number} timeoutMs - The limit that was exceeded
+   */
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.errorType = 'deadline_exceeded';
+    this.retryable = false;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Raised (as an abort reason) when a workflow run is cancelled while in flight
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} label - What was cancelled (e.g. "Workflow run 1234")
+   */
+  constructor(label) {
+    super(`${label} was cancelled`);
+    this.name = 'CancelledError';
+    this.errorType = 'cancelled';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Raised when an event is published with an unknown type or a payload that
+ * does not match its schema
+ */
+class EventValidationError extends Error {
+  /**
+   * @param {string} type - Event type
+   * @param {array} problems - Problem descriptions
+   */
+  constructor(type, problems) {
+    super(`Invalid '${type}' event: ${problems.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.errorType = 'invalid_event';
+    this.retryable = false;
+    this.eventType = type;
+    this.problems = problems;
+  }
+}
+
+module.exports = {
+  OutputValidationError,
+  CassetteMissError,
+  HttpCacheMissError,
+  QuotaExhaustedError,
+  BudgetExceededError,
+  WorkflowDefinitionError,
+  TimeoutError,
+  CancelledError,
+  EventValidationError,
+};
@@ -0,0 +1,58 @@
+/**
+ * Event Channel
+ * Bridges callback-style events into an async iterator
+ */
+
+class EventChannel {
+  constructor() {
+    this.buffer = [];
+    this.waiting = null;
+    this.closed = false;
+  }
+
+  /**
+   * Queue an event for the consumer
+   * @param {any} event - Event to deliver
+   */
+  push(event) {
+    if (this.closed) return;
+
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve({ value: event, done: false });
+    } else {
+      this.buffer.push(event);
+    }
+  }
+
+  /**
+   * End the stream once buffered events are consumed
+   */
+  close() {
+    this.closed = true;
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.buffer.length > 0) {
+          return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (this.closed) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => {
+          this.waiting = resolve;
+        });
+      },
+    };
+  }
+}
+
+module.exports = EventChannel;
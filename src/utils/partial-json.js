@@ -0,0 +1,100 @@
+/**
+ * Partial JSON Parser
+ * Best-effort parsing of a JSON object that is still being streamed
+ */
+
+// Upper bound on truncation candidates tried per parse
+const MAX_CANDIDATES = 50;
+
+/**
+ * Parse the JSON object contained in an incomplete response.
+ * Open strings, arrays and objects are closed; a trailing incomplete key or
+ * value is dropped by backing up to the last comma or opening bracket.
+ * @param {string} text - Response text so far (may include prose or a ```json fence)
+ * @returns {object|null} - Parsed partial object, or null if nothing parseable yet
+ */
+function parsePartialJSON(text) {
+  if (!text) return null;
+
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const body = text.substring(start);
+  const stack = [];
+  const cutPoints = []; // { index, stack } where truncating leaves valid structure
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      cutPoints.push({ index: i + 1, stack: [...stack] });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        // Object complete - anything after it is not ours
+        return safeParse(body.substring(0, i + 1));
+      }
+    } else if (char === ',') {
+      cutPoints.push({ index: i, stack: [...stack] });
+    }
+  }
+
+  // Try the full text first, then back up to earlier cut points
+  const candidates = [
+    closeText(body + (inString ? '"' : ''), stack),
+    ...cutPoints
+      .slice(-MAX_CANDIDATES)
+      .reverse()
+      .map((cut) => closeText(body.substring(0, cut.index), cut.stack)),
+  ];
+
+  for (const candidate of candidates) {
+    const parsed = safeParse(candidate);
+    if (parsed !== null) {
+      return parsed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Append closing brackets for every open container
+ * @param {string} text - Truncated JSON text
+ * @param {array} stack - Closing characters still owed, innermost last
+ * @returns {string}
+ */
+function closeText(text, stack) {
+  return text + [...stack].reverse().join('');
+}
+
+/**
+ * JSON.parse that returns null instead of throwing
+ * @param {string} text - JSON text
+ * @returns {any|null}
+ */
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { parsePartialJSON };
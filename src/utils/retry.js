@@ -0,0 +1,220 @@
+/**
+ * Retry Utilities
+ * Exponential backoff with jitter and error classification for API calls
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+};
+
+// Error types that are worth another attempt
+const RETRYABLE_TYPES = new Set([
+  'rate_limit',
+  'overloaded',
+  'server_error',
+  'timeout',
+  'connection',
+]);
+
+// 400 responses caused by an oversized prompt rather than a malformed request
+const CONTEXT_LENGTH_PATTERN = /prompt is too long|context (window|length)|too many tokens/i;
+
+/**
+ * Classify an error thrown by the Anthropic SDK (or any HTTP client)
+ * @param {Error} error - The thrown error
+ * @returns {object} - { type, status, retryable, retryAfterMs }
+ */
+function classifyError(error) {
+  const status = error?.status;
+  const apiType = error?.error?.error?.type;
+  let type = 'unknown';
+
+  if (error?.errorType) {
+    // Errors raised by our own layers carry their type already
+    type = error.errorType;
+  } else if (error?.name === 'AbortError' || error?.constructor?.name === 'APIUserAbortError') {
+    type = 'aborted';
+  } else if (error?.constructor?.name === 'APIConnectionTimeoutError') {
+    type = 'timeout';
+  } else if (error?.constructor?.name === 'APIConnectionError') {
+    type = 'connection';
+  } else if (status === 429 || apiType === 'rate_limit_error') {
+    type = 'rate_limit';
+  } else if (status === 529 || apiType === 'overloaded_error') {
+    type = 'overloaded';
+  } else if (status === 408) {
+    type = 'timeout';
+  } else if (status === 401) {
+    type = 'authentication';
+  } else if (status === 403) {
+    type = 'permission';
+  } else if (status === 400 && CONTEXT_LENGTH_PATTERN.test(error.message)) {
+    type = 'context_length';
+  } else if (status === 400 || status === 404 || status === 413 || status === 422) {
+    type = 'invalid_request';
+  } else if (status >= 500) {
+    type = 'server_error';
+  } else if (['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error?.code)) {
+    type = 'connection';
+  }
+
+  return {
+    type,
+    status: status || null,
+    retryable: RETRYABLE_TYPES.has(type),
+    retryAfterMs: parseRetryAfter(error?.headers),
+  };
+}
+
+/**
+ * Read a retry-after hint from response headers
+ * @param {object} headers - Headers instance or plain object
+ * @returns {number|null} - Delay in ms, or null when absent
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+
+  const get = (name) =>
+    typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const retryAfterMs = get('retry-after-ms');
+  if (retryAfterMs && !isNaN(parseFloat(retryAfterMs))) {
+    return parseFloat(retryAfterMs);
+  }
+
+  const retryAfter = get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  // HTTP-date form
+  const date = Date.parse(retryAfter);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Uses "full jitter" exponential backoff, but never retries sooner than
+ * retry-after, even when that is longer than maxDelayMs (withRetry gives up
+ * instead of waiting that long)
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {object} options - { baseDelayMs, maxDelayMs, retryAfterMs }
+ * @returns {number} - Delay in ms
+ */
+function computeBackoff(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  const jittered = Math.random() * ceiling;
+
+  if (options.retryAfterMs !== null && options.retryAfterMs !== undefined) {
+    return Math.max(jittered, options.retryAfterMs);
+  }
+
+  return jittered;
+}
+
+/**
+ * Run an async function, retrying retryable failures with backoff
+ * On final failure the thrown error carries `retries` and `classification`.
+ * A retry-after longer than maxDelayMs is not waited out: the error is thrown
+ * with classification.retryAfterMs so the caller can come back later.
+ * @param {Function} fn - Async function to call (receives the attempt number)
+ * @param {object} options - { maxRetries, baseDelayMs, maxDelayMs, label, onRetry, shouldRetry, signal }
+ *   shouldRetry(error, classification) can veto a retry the classification would allow;
+ *   once signal aborts, no further attempts are made
+ * @returns {Promise<object>} - { value, retries } where retries lists failed attempts
+ */
+async function withRetry(fn, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const retries = [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await fn(attempt);
+      return { value, retries };
+    } catch (error) {
+      const classification = classifyError(error);
+      const canRetry =
+        classification.retryable &&
+        !settings.signal?.aborted &&
+        attempt <= settings.maxRetries &&
+        !(classification.retryAfterMs > settings.maxDelayMs) &&
+        (!settings.shouldRetry || settings.shouldRetry(error, classification));
+      const delayMs = canRetry
+        ? Math.round(
+            computeBackoff(attempt, {
+              ...settings,
+              retryAfterMs: classification.retryAfterMs,
+            })
+          )
+        : 0;
+
+      retries.push({
+        attempt,
+        errorType: classification.type,
+        status: classification.status,
+        message: error.message,
+        delayMs,
+      });
+
+      if (!canRetry) {
+        error.retries = retries;
+        error.classification = classification;
+        throw error;
+      }
+
+      if (settings.onRetry) {
+        settings.onRetry({ attempt, delayMs, classification, error });
+      } else {
+        console.warn(
+          `${settings.label || 'Request'} failed (${classification.type}), retrying in ${delayMs}ms [attempt ${attempt}/${settings.maxRetries}]`
+        );
+      }
+
+      await sleep(delayMs, settings.signal);
+    }
+  }
+}
+
+/**
+ * Sleep utility
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Wakes early (without throwing) when aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  classifyError,
+  parseRetryAfter,
+  computeBackoff,
+  withRetry,
+  sleep,
+};
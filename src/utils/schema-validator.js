@@ -0,0 +1,47 @@
+/**
+ * Schema Validator
+ * JSON Schema validation for agent outputs (backed by Ajv)
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators, keyed by schema object
+const compiled = new WeakMap();
+
+/**
+ * Validate data against a JSON Schema
+ * @param {object} schema - JSON Schema
+ * @param {any} data - Data to validate
+ * @returns {object} - { valid, errors } with human-readable error strings
+ */
+function validate(schema, data) {
+  let validator = compiled.get(schema);
+  if (!validator) {
+    validator = ajv.compile(schema);
+    compiled.set(schema, validator);
+  }
+
+  const valid = validator(data);
+
+  return {
+    valid,
+    errors: valid ? [] : validator.errors.map(formatError),
+  };
+}
+
+/**
+ * Format an Ajv error as "path: message"
+ * @param {object} error - Ajv error object
+ * @returns {string}
+ */
+function formatError(error) {
+  const path = error.instancePath || '(root)';
+  if (error.keyword === 'enum') {
+    return `${path}: must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${path}: ${error.message}`;
+}
+
+module.exports = { validate };
@@ -0,0 +1,31 @@
+/**
+ * Stable Stringify
+ * JSON serialization with sorted object keys, so equal values hash equally.
+ * Used for cassette keys, scraper cache keys and workflow step keys.
+ */
+
+/**
+ * JSON.stringify with sorted object keys
+ * Like JSON.stringify, values with toJSON (Dates) serialize as what it returns
+ * and undefined inside arrays serializes as null; undefined properties are left out.
+ * @param {any} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return stableStringify(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = { stableStringify };
@@ -0,0 +1,289 @@
+/**
+ * Approval Store
+ * Approval tasks created by workflow approval steps, and their decisions
+ *
+ * Each task belongs to a workflow run step (run ID + step key), so a resumed
+ * run finds the task it already created instead of asking twice. Decisions
+ * (approved, rejected, expired) are written to audit_log.
+ * Like the run store, tasks are kept in memory without DATABASE_URL.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+require('dotenv').config();
+
+const DECISIONS = ['approved', 'rejected', 'expired'];
+
+class ApprovalStore {
+  constructor() {
+    this.tasks = new Map(); // id → task
+    this.auditEntries = []; // audit_log rows written while not persisting
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.WORKFLOW_RUNS_PERSIST !== 'false';
+  }
+
+  /**
+   * Get the task for a run step, creating it if it does not exist yet
+   * @param {object} task - { runId, stepKey, workflow, step, title, assignee, context, payload, deadlineAt }
+   * @returns {Promise<object>} - Task ({ created } is true when it was just created)
+   */
+  async findOrCreate(task) {
+    const existing = await this._findByStep(task.runId, task.stepKey);
+    if (existing) {
+      return { ...existing, created: false };
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      runId: task.runId,
+      stepKey: task.stepKey,
+      workflow: task.workflow,
+      step: task.step,
+      title: task.title,
+      assignee: task.assignee || null,
+      context: task.context ?? null,
+      payload: task.payload ?? null,
+      status: 'pending',
+      decidedBy: null,
+      comment: null,
+      edits: null,
+      deadlineAt: task.deadlineAt || null,
+      decidedAt: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `INSERT INTO approval_tasks (
+             id, run_id, step_key, workflow, step, title, assignee, context, payload, deadline_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           ON CONFLICT (run_id, step_key) DO UPDATE SET run_id = EXCLUDED.run_id
+           RETURNING *`,
+          [
+            record.id,
+            record.runId,
+            record.stepKey,
+            record.workflow,
+            record.step,
+            record.title,
+            record.assignee,
+            JSON.stringify(record.context),
+            JSON.stringify(record.payload),
+            record.deadlineAt,
+          ]
+        );
+        const stored = this._taskFromRow(result.rows[0]);
+        return { ...stored, created: stored.id === record.id };
+      } catch (error) {
+        console.error('Failed to persist approval task, keeping it in memory:', error.message);
+      }
+    }
+
+    this.tasks.set(record.id, record);
+    return { ...record, created: true };
+  }
+
+  /**
+   * Get a task by ID
+   * @param {string} id - Approval task ID
+   * @returns {Promise<object|null>}
+   */
+  async getTask(id) {
+    if (this.persist) {
+      try {
+        const result = await db.query('SELECT * FROM approval_tasks WHERE id = $1', [id]);
+        if (result.rows[0]) return this._taskFromRow(result.rows[0]);
+      } catch (error) {
+        console.error('Failed to read approval task, using memory:', error.message);
+      }
+    }
+
+    const task = this.tasks.get(id);
+    return task ? { ...task } : null;
+  }
+
+  /**
+   * List tasks, oldest first
+   * @param {object} filters - { status, assignee, runId, overdue, limit }
+   * @returns {Promise<array>}
+   */
+  async listTasks(filters = {}) {
+    const limit = filters.limit || 100;
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT * FROM approval_tasks
+           WHERE ($1::varchar IS NULL OR status = $1)
+             AND ($2::varchar IS NULL OR assignee = $2)
+             AND ($3::varchar IS NULL OR run_id = $3)
+             AND (NOT $4 OR deadline_at < CURRENT_TIMESTAMP)
+           ORDER BY created_at
+           LIMIT $5`,
+          [filters.status || null, filters.assignee || null, filters.runId || null, Boolean(filters.overdue), limit]
+        );
+        return result.rows.map((row) => this._taskFromRow(row));
+      } catch (error) {
+        console.error('Failed to list approval tasks, using memory:', error.message);
+      }
+    }
+
+    const now = Date.now();
+    return Array.from(this.tasks.values())
+      .filter((task) => !filters.status || task.status === filters.status)
+      .filter((task) => !filters.assignee || task.assignee === filters.assignee)
+      .filter((task) => !filters.runId || task.runId === filters.runId)
+      .filter((task) => !filters.overdue || (task.deadlineAt && Date.parse(task.deadlineAt) < now))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit)
+      .map((task) => ({ ...task }));
+  }
+
+  /**
+   * Record a decision on a pending task and audit it
+   * @param {string} id - Approval task ID
+   * @param {object} decision - { status: 'approved' | 'rejected' | 'expired', decidedBy, comment, edits }
+   * @returns {Promise<object>} - Updated task
+   * @throws {Error} When the task does not exist or was already decided
+   */
+  async decide(id, { status, decidedBy = null, comment = null, edits = null }) {
+    if (!DECISIONS.includes(status)) {
+      throw new Error(`Invalid approval decision '${status}' (expected ${DECISIONS.join(', ')})`);
+    }
+
+    const task = await this.getTask(id);
+    if (!task) {
+      throw new Error(`Approval task '${id}' not found`);
+    }
+    if (task.status !== 'pending') {
+      throw new Error(`Approval task '${id}' was already ${task.status}`);
+    }
+
+    const decided = {
+      ...task,
+      status,
+      decidedBy,
+      comment,
+      edits: status === 'approved' ? edits : null,
+      decidedAt: new Date().toISOString(),
+    };
+
+    let result = null;
+    if (this.persist) {
+      try {
+        result = await db.query(
+          `UPDATE approval_tasks
+           SET status = $2, decided_by = $3, comment = $4, edits = $5, decided_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'pending'`,
+          [id, status, decidedBy, comment, JSON.stringify(decided.edits)]
+        );
+      } catch (error) {
+        console.error('Failed to persist approval decision, keeping it in memory:', error.message);
+      }
+    }
+
+    // Another reviewer decided between the read and the update
+    if (result && result.rowCount === 0) {
+      throw new Error(`Approval task '${id}' was already decided`);
+    }
+
+    if (!result) {
+      this.tasks.set(id, decided);
+    }
+
+    await this._audit(decided);
+    return decided;
+  }
+
+  /**
+   * Write a decision to audit_log
+   * @param {object} task - Decided task
+   */
+  async _audit(task) {
+    const entry = {
+      entityType: 'approval',
+      entityId: task.id,
+      action: `approval_${task.status}`,
+      userId: task.decidedBy,
+      changes: {
+        workflow: task.workflow,
+        workflowRunId: task.runId,
+        step: task.step,
+        title: task.title,
+        assignee: task.assignee,
+        comment: task.comment,
+        before: task.payload,
+        edits: task.edits,
+      },
+    };
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `INSERT INTO audit_log (entity_type, entity_id, action, user_id, changes)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [entry.entityType, entry.entityId, entry.action, entry.userId, JSON.stringify(entry.changes)]
+        );
+        return;
+      } catch (error) {
+        console.error('Failed to write approval to audit_log:', error.message);
+      }
+    }
+
+    this.auditEntries.push({ ...entry, createdAt: new Date().toISOString() });
+  }
+
+  async _findByStep(runId, stepKey) {
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          'SELECT * FROM approval_tasks WHERE run_id = $1 AND step_key = $2',
+          [runId, stepKey]
+        );
+        if (result.rows[0]) return this._taskFromRow(result.rows[0]);
+      } catch (error) {
+        console.error('Failed to read approval task, using memory:', error.message);
+      }
+    }
+
+    const task = Array.from(this.tasks.values()).find(
+      (t) => t.runId === runId && t.stepKey === stepKey
+    );
+    return task ? { ...task } : null;
+  }
+
+  _taskFromRow(row) {
+    return {
+      id: row.id,
+      runId: row.run_id,
+      stepKey: row.step_key,
+      workflow: row.workflow,
+      step: row.step,
+      title: row.title,
+      assignee: row.assignee,
+      context: row.context,
+      payload: row.payload,
+      status: row.status,
+      decidedBy: row.decided_by,
+      comment: row.comment,
+      edits: row.edits,
+      deadlineAt: row.deadline_at,
+      decidedAt: row.decided_at,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Clear in-memory tasks and audit entries (persisted rows are kept)
+   */
+  reset() {
+    this.tasks.clear();
+    this.auditEntries = [];
+  }
+}
+
+// Export singleton instance
+const approvalStore = new ApprovalStore();
+
+module.exports = approvalStore;
+module.exports.ApprovalStore = ApprovalStore;
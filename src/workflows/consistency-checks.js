@@ -0,0 +1,85 @@
+/**
+ * Consistency Checks
+ * Deterministic self-checks run on agent outputs before the Critic Agent,
+ * reported in the same issue format the critic uses
+ */
+
+// Scores at or above this need supporting signals
+const HIGH_SCORE = 70;
+
+const CHECKS = {
+  scout: (output) => {
+    const issues = [];
+    const signals = output.top_signals || [];
+    const risks = output.risks || [];
+
+    if (output.score >= HIGH_SCORE && signals.length === 0) {
+      issues.push({
+        type: 'contradiction',
+        field: 'score',
+        severity: 'high',
+        description: `Score ${output.score} lists no top signals to support it`,
+      });
+    }
+
+    if (output.score >= HIGH_SCORE && risks.length > signals.length * 2) {
+      issues.push({
+        type: 'contradiction',
+        field: 'score',
+        severity: 'medium',
+        description: `Score ${output.score} with ${risks.length} risks against ${signals.length} signals`,
+      });
+    }
+
+    return issues;
+  },
+
+  valuation: (output) => {
+    const issues = [];
+    const { low, high, midpoint } = output.estimated_value_range || {};
+
+    if (low > high) {
+      issues.push({
+        type: 'numeric_inconsistency',
+        field: 'estimated_value_range',
+        severity: 'high',
+        description: `Low (${low}) is greater than high (${high})`,
+      });
+    } else if (midpoint < low || midpoint > high) {
+      issues.push({
+        type: 'numeric_inconsistency',
+        field: 'estimated_value_range.midpoint',
+        severity: 'high',
+        description: `Midpoint (${midpoint}) is outside the ${low}-${high} range`,
+      });
+    }
+
+    if (low < 0) {
+      issues.push({
+        type: 'numeric_inconsistency',
+        field: 'estimated_value_range.low',
+        severity: 'high',
+        description: `Negative valuation (${low})`,
+      });
+    }
+
+    return issues;
+  },
+};
+
+/**
+ * Run the deterministic checks for an agent's output
+ * @param {string} agentKey - Agent key (e.g. 'valuation')
+ * @param {object} output - Parsed agent output
+ * @returns {array} - Issues ({ type, field, severity, description, source: 'check' })
+ */
+function checkConsistency(agentKey, output) {
+  const check = CHECKS[agentKey];
+  if (!check || !output) {
+    return [];
+  }
+
+  return check(output).map((issue) => ({ ...issue, source: 'check' }));
+}
+
+module.exports = { checkConsistency };
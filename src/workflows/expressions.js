@@ -0,0 +1,231 @@
+/**
+ * Workflow Expressions
+ * References, mappings and conditions used in workflow definitions
+ *
+ * References are strings starting with `$`:
+ *   $inputs.companyData                      - a workflow input
+ *   $steps.scout.output.score                - a field of a step's agent result
+ *   $steps.compliance.output.violations[*].details - `[*]` maps over an array
+ *   $output                                  - the current step's output (in gates)
+ * Mappings are any JSON value; references inside them are resolved,
+ * `{ $concat: [a, b] }` joins arrays and `{ $merge: [a, b] }` shallow-merges objects.
+ */
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  exists: (value, expected) => (value !== undefined && value !== null) === expected,
+  truthy: (value, expected) => Boolean(value) === expected,
+};
+
+/**
+ * Whether a value is a reference string
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return typeof value === 'string' && value.startsWith('$') && !value.startsWith('$$');
+}
+
+/**
+ * Split a reference into path tokens
+ * "$steps.a.output.list[0].name" → ['steps', 'a', 'output', 'list', 0, 'name']
+ * @param {string} reference - Reference string
+ * @returns {array}
+ */
+function parseReference(reference) {
+  return reference
+    .substring(1)
+    .replace(/\[(\d+|\*)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .map((token) => (/^\d+$/.test(token) ? parseInt(token, 10) : token));
+}
+
+/**
+ * Resolve a reference against a scope
+ * Missing intermediate values resolve to undefined rather than throwing
+ * @param {string} reference - Reference string
+ * @param {object} scope - { inputs, steps, output }
+ * @returns {any}
+ */
+function resolveReference(reference, scope) {
+  return getPath(scope, parseReference(reference));
+}
+
+function getPath(value, tokens) {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const [token, ...rest] = tokens;
+
+  if (token === '*') {
+    return Array.isArray(value) ? value.map((item) => getPath(item, rest)) : undefined;
+  }
+
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  return getPath(value[token], rest);
+}
+
+/**
+ * Resolve every reference in a mapping.
+ * Object keys whose value resolves to undefined are dropped, and an object
+ * made only of references that all resolve to undefined resolves to undefined.
+ * `$$` at the start of a string escapes a literal `$`.
+ * @param {any} mapping - Mapping from a definition
+ * @param {object} scope - { inputs, steps, output }
+ * @returns {any}
+ */
+function resolveMapping(mapping, scope) {
+  if (isReference(mapping)) {
+    return resolveReference(mapping, scope);
+  }
+
+  if (typeof mapping === 'string' && mapping.startsWith('$$')) {
+    return mapping.substring(1);
+  }
+
+  if (Array.isArray(mapping)) {
+    return mapping.map((item) => resolveMapping(item, scope));
+  }
+
+  if (mapping && typeof mapping === 'object') {
+    if (Array.isArray(mapping.$concat)) {
+      return mapping.$concat
+        .map((item) => resolveMapping(item, scope))
+        .filter((item) => item !== undefined && item !== null)
+        .flat();
+    }
+
+    if (Array.isArray(mapping.$merge)) {
+      return Object.assign({}, ...mapping.$merge.map((item) => resolveMapping(item, scope)));
+    }
+
+    const resolved = {};
+    for (const [key, value] of Object.entries(mapping)) {
+      const resolvedValue = resolveMapping(value, scope);
+      if (resolvedValue !== undefined) {
+        resolved[key] = resolvedValue;
+      }
+    }
+
+    const entries = Object.values(mapping);
+    if (entries.length > 0 && Object.keys(resolved).length === 0 && entries.every(isReference)) {
+      return undefined;
+    }
+
+    return resolved;
+  }
+
+  return mapping;
+}
+
+/**
+ * Evaluate a condition
+ * Forms:
+ *   { ref: '$steps.scout.output.score', gte: 50 }  - one or more operators, all must hold
+ *   { all: [cond, ...] } / { any: [cond, ...] } / { not: cond }
+ *   '$steps.compliance.output.approved'            - truthiness of a reference
+ * @param {object|string|boolean} condition - Condition from a definition
+ * @param {object} scope - { inputs, steps, output }
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, scope) {
+  if (typeof condition === 'boolean') {
+    return condition;
+  }
+
+  if (isReference(condition)) {
+    return Boolean(resolveReference(condition, scope));
+  }
+
+  if (condition.all) {
+    return condition.all.every((c) => evaluateCondition(c, scope));
+  }
+  if (condition.any) {
+    return condition.any.some((c) => evaluateCondition(c, scope));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, scope);
+  }
+
+  const value = resolveMapping(condition.ref, scope);
+  return Object.entries(condition)
+    .filter(([key]) => key !== 'ref')
+    .every(([operator, expected]) =>
+      OPERATORS[operator](value, resolveMapping(expected, scope))
+    );
+}
+
+/**
+ * Check a condition's structure
+ * @param {any} condition - Condition from a definition
+ * @returns {array} - Problem descriptions (empty when valid)
+ */
+function conditionProblems(condition) {
+  if (typeof condition === 'boolean' || isReference(condition)) {
+    return [];
+  }
+  if (!condition || typeof condition !== 'object') {
+    return [`invalid condition ${JSON.stringify(condition)}`];
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    return Array.isArray(list)
+      ? list.flatMap(conditionProblems)
+      : ['all/any must be a list of conditions'];
+  }
+  if (condition.not) {
+    return conditionProblems(condition.not);
+  }
+  if (condition.ref === undefined) {
+    return [`condition ${JSON.stringify(condition)} has no ref`];
+  }
+
+  const operators = Object.keys(condition).filter((key) => key !== 'ref');
+  if (operators.length === 0) {
+    return [`condition on ${condition.ref} has no operator`];
+  }
+  return operators
+    .filter((operator) => !OPERATORS[operator])
+    .map((operator) => `unknown condition operator '${operator}'`);
+}
+
+/**
+ * List the step names a mapping or condition refers to
+ * @param {any} value - Mapping or condition
+ * @returns {Set<string>}
+ */
+function referencedSteps(value, found = new Set()) {
+  if (isReference(value)) {
+    const [root, step] = parseReference(value);
+    if (root === 'steps' && step !== undefined) {
+      found.add(String(step));
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => referencedSteps(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => referencedSteps(item, found));
+  }
+
+  return found;
+}
+
+module.exports = {
+  OPERATORS,
+  isReference,
+  resolveReference,
+  resolveMapping,
+  evaluateCondition,
+  conditionProblems,
+  referencedSteps,
+};
@@ -1,14 +1,61 @@
 /**
  * Agent Orchestrator
  * Manages multi-agent workflows and coordination
+ *
+ * Workflows are declarative DAGs loaded from definitions/ (and WORKFLOWS_DIR,
+ * which can add workflows or override built-in ones) and run by WorkflowEngine.
+ *
+ * Events (EventEmitter):
+ *   workflow:started  - { workflow, workflowRunId, resumed }
+ *   workflow:finished - { workflow, workflowRunId, runStatus, success, stoppedAt }
+ *   step:started  - { agent, step, workflow, workflowRunId }
+ *   step:delta    - { agent, step, workflow, workflowRunId, delta } streamed response text
+ *   step:progress - { agent, step, workflow, workflowRunId, partial } partial JSON output
+ *   step:finished - { agent, step, workflow, workflowRunId, success, error, metadata }
+ *   approval:requested - { step, workflow, workflowRunId, approval } an approval step created a task
+ * Agents stream whenever a step:delta or step:progress listener is attached.
+ *
+ * Domain events (event bus): compliance.violation when a compliance check reports
+ * violations, company.merged when a resolution run completes.
+ *
+ * Licensure checks (compliance with context.checkType 'licensure') are given the
+ * company's state board records as context.licenseRecords, and the Profiler the
+ * signals of the company's latest website crawl as context.websiteSignals, when a
+ * database is configured.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
 const { agents } = require('../agents');
-
-class AgentOrchestrator {
+const { checkConsistency } = require('./consistency-checks');
+const { compileDefinition, loadDefinitionFile } = require('./workflow-definition');
+const WorkflowEngine = require('./workflow-engine');
+const { linkSignal, raceAbort } = require('../utils/abort');
+const runStore = require('./run-store');
+const approvalStore = require('./approval-store');
+const eventBus = require('../events/event-bus');
+const { licenseFacts } = require('../ingestion/license-matcher');
+const websiteCrawler = require('../crawler/website-crawler');
+
+const BUILTIN_WORKFLOWS_DIR = path.join(__dirname, 'definitions');
+
+// Agents reviewed when a workflow enables critique without naming them
+const DEFAULT_CRITIQUED_AGENTS = ['scout', 'valuation'];
+
+class AgentOrchestrator extends EventEmitter {
   constructor() {
+    super();
     this.agents = agents;
     this.workflowHistory = [];
+    this.workflows = new Map();
+    this.engine = new WorkflowEngine(this);
+
+    this.loadWorkflows(BUILTIN_WORKFLOWS_DIR);
+    if (process.env.WORKFLOWS_DIR) {
+      this.loadWorkflows(process.env.WORKFLOWS_DIR);
+    }
   }
 
   /**
@@ -16,27 +63,285 @@ class AgentOrchestrator {
    * @param {string} agentKey - The agent key (scout, resolver, etc.)
    * @param {any} input - Input data for the agent
    * @param {object} context - Additional context
-   * @returns {Promise<object>} - Agent execution result
+   * @param {object} options - Execution options (attribution: cost attribution and budget,
+   *   stream: force streaming on/off, step: workflow step name for events, signal: AbortSignal
+   *   that cancels the execution, timeoutMs: overrides the agent's timeout)
+   * @returns {Promise<object>} - Agent execution result; a timed-out or cancelled execution
+   *   fails with failureCause.type 'deadline_exceeded' or 'cancelled'
    */
-  async executeAgent(agentKey, input, context = {}) {
+  async executeAgent(agentKey, input, context = {}, options = {}) {
     const agent = this.agents[agentKey];
     if (!agent) {
       throw new Error(`Agent '${agentKey}' not found`);
     }
 
+    const step = {
+      agent: agentKey,
+      step: options.step,
+      workflow: options.attribution?.workflow,
+      workflowRunId: options.attribution?.workflowRunId,
+    };
+    const stream =
+      options.stream ?? (this.listenerCount('step:delta') + this.listenerCount('step:progress') > 0);
+
+    if (agentKey === 'compliance' && context.checkType === 'licensure' && !context.licenseRecords) {
+      context = await this._withLicenseRecords(input, context, options.attribution);
+    }
+    if (agentKey === 'profiler' && !context.websiteSignals) {
+      context = await this._withWebsiteSignals(input, context, options.attribution);
+    }
+
     console.log(`\n🤖 Executing ${agent.name}...`);
-    const result = await agent.execute(input, context);
+    this.emit('step:started', step);
+
+    const startTime = Date.now();
+    const { signal, clear } = linkSignal(
+      options.signal,
+      options.timeoutMs ?? agent.timeoutMs,
+      agent.name
+    );
+    const agentOptions = { ...options, signal };
+
+    const run = async () => {
+      if (!stream) {
+        return agent.execute(input, context, agentOptions);
+      }
+
+      let streamed;
+      for await (const event of agent.executeStream(input, context, agentOptions)) {
+        if (event.type === 'text') {
+          this.emit('step:delta', { ...step, delta: event.delta });
+        } else if (event.type === 'progress') {
+          this.emit('step:progress', { ...step, partial: event.partial });
+        } else if (event.type === 'result') {
+          streamed = event.result;
+        }
+      }
+      return streamed;
+    };
+
+    let result;
+    try {
+      // The agent stops its API calls on abort; the race also covers work it cannot interrupt
+      result = await raceAbort(run(), signal);
+    } catch (error) {
+      if (!signal.aborted) throw error;
+      console.error(`${agent.name} aborted: ${error.message}`);
+      result = agent.failureResult(error, startTime);
+    } finally {
+      clear();
+    }
+
+    this.emit('step:finished', {
+      ...step,
+      success: result.success,
+      error: result.error,
+      metadata: result.metadata,
+    });
 
     this.workflowHistory.push({
       agent: agentKey,
+      workflowRunId: options.attribution?.workflowRunId,
       timestamp: new Date().toISOString(),
       success: result.success,
       executionTime: result.metadata.executionTime,
+      costUsd: result.metadata.costUsd || 0,
+    });
+
+    if (agentKey === 'compliance' && result.success && result.output.violations?.length > 0) {
+      await eventBus.publish(
+        'compliance.violation',
+        {
+          companyId: options.attribution?.companyId ?? result.output.entity_id ?? null,
+          checkType: result.output.check_type || context.checkType || null,
+          approved: result.output.approved,
+          violations: result.output.violations,
+          workflowRunId: options.attribution?.workflowRunId || null,
+        },
+        { source: 'AgentOrchestrator' }
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Add the company's state license records to a licensure check's context
+   * @param {object} company - Compliance input (the company)
+   * @param {object} context - Agent context
+   * @param {object} attribution - Cost attribution (companyId when the input has no id)
+   * @returns {Promise<object>} - Context with licenseRecords, or unchanged without a database
+   */
+  async _withLicenseRecords(company, context, attribution = {}) {
+    if (!process.env.DATABASE_URL || !company || typeof company !== 'object') {
+      return context;
+    }
+
+    try {
+      const licenseRecords = await licenseFacts({ ...company, id: company.id ?? attribution?.companyId });
+      return { ...context, licenseRecords };
+    } catch (error) {
+      // The check still runs, just without registry records to rest on
+      console.warn(`   License records unavailable: ${error.message}`);
+      return context;
+    }
+  }
+
+  /**
+   * Add the signals of the company's latest stored website crawl to a Profiler context
+   * @param {object} company - Profiler input (the company)
+   * @param {object} context - Agent context
+   * @param {object} attribution - Cost attribution (companyId when the input has no id)
+   * @returns {Promise<object>} - Context with websiteSignals, or unchanged when there is no crawl
+   */
+  async _withWebsiteSignals(company, context, attribution = {}) {
+    const companyId = company?.id ?? attribution?.companyId;
+    if (!companyId) return context;
+
+    try {
+      const crawl = await websiteCrawler.findLatest(companyId);
+      return crawl ? { ...context, websiteSignals: websiteCrawler.profilerSignals(crawl) } : context;
+    } catch (error) {
+      console.warn(`   Website signals unavailable: ${error.message}`);
+      return context;
+    }
+  }
+
+  /**
+   * Execute one agent over many inputs as a Message Batch
+   * @param {string} agentKey - Key of the agent to execute
+   * @param {array} inputs - [{ customId, input, context, attribution }]
+   * @param {object} options - Execution options (attribution shared by all items,
+   *   pollIntervalMs, maxWaitMs, signal: cancels the batch)
+   * @returns {Promise<array>} - Agent results in input order, each with its customId
+   */
+  async executeAgentBatch(agentKey, inputs, options = {}) {
+    const agent = this.agents[agentKey];
+    if (!agent) {
+      throw new Error(`Agent '${agentKey}' not found`);
+    }
+
+    console.log(`\n🤖 Executing ${agent.name} as a batch of ${inputs.length}...`);
+    const results = await agent.executeBatch(inputs, options);
+
+    results.forEach((result, index) => {
+      this.workflowHistory.push({
+        agent: agentKey,
+        workflowRunId: inputs[index].attribution?.workflowRunId || options.attribution?.workflowRunId,
+        timestamp: new Date().toISOString(),
+        success: result.success,
+        executionTime: result.metadata.executionTime,
+        costUsd: result.metadata.costUsd || 0,
+      });
     });
 
+    return results;
+  }
+
+  /**
+   * Execute an agent, then have its output reviewed (self-check + cross-check).
+   * Deterministic consistency checks run first, then the Critic Agent compares
+   * the output with the input facts. In 'revise' mode a rejected output is
+   * re-run with the critique in context, up to maxRevisions times; the final
+   * review is attached to the result as `critique` either way.
+   * @param {string} agentKey - Key of the agent to execute
+   * @param {any} input - Input data
+   * @param {object} context - Additional context
+   * @param {object} options - Execution options, plus critique: { mode: 'revise' | 'attach',
+   *   maxRevisions }
+   * @returns {Promise<object>} - Agent result with `critique`
+   */
+  async executeAgentWithCritique(agentKey, input, context = {}, options = {}) {
+    const { mode = 'revise', maxRevisions = 1 } = options.critique || {};
+
+    let result = await this.executeAgent(agentKey, input, context, options);
+    let revisions = 0;
+
+    while (result.success) {
+      const critique = await this.critiqueOutput(agentKey, result.output, input, context, options);
+      result = { ...result, critique: { ...critique, revisions } };
+
+      if (critique.approved !== false || mode !== 'revise' || revisions >= maxRevisions) {
+        break;
+      }
+
+      revisions++;
+      console.log(`🔁 Critique rejected ${agentKey} output, requesting revision ${revisions}/${maxRevisions}`);
+
+      const revised = await this.executeAgent(
+        agentKey,
+        input,
+        {
+          ...context,
+          critique: {
+            previous_output: result.output,
+            issues: critique.issues,
+            revision_requests: critique.revisionRequests,
+          },
+        },
+        options
+      );
+
+      if (!revised.success) {
+        // Keep the reviewed output rather than failing the step
+        console.warn(`Revision of ${agentKey} failed: ${revised.error}`);
+        break;
+      }
+
+      result = revised;
+    }
+
     return result;
   }
 
+  /**
+   * Review one agent output with consistency checks and the Critic Agent
+   * A critic failure never fails the step: check issues are still reported
+   * @param {string} agentKey - Agent that produced the output
+   * @param {object} output - Output to review
+   * @param {any} input - Input the agent was given
+   * @param {object} context - Context the agent was given
+   * @param {object} options - Execution options (attribution)
+   * @returns {Promise<object>} - { approved (null if unknown), issues, revisionRequests,
+   *   summary, error }
+   */
+  async critiqueOutput(agentKey, output, input, context = {}, options = {}) {
+    const checkIssues = checkConsistency(agentKey, output);
+    const blocking = checkIssues.filter((issue) => issue.severity === 'high');
+
+    const { critique, ...agentContext } = context;
+    const review = await this.executeAgent(
+      'critic',
+      { agent: agentKey, output },
+      { input, context: agentContext },
+      { attribution: options.attribution, signal: options.signal }
+    );
+
+    if (!review.success) {
+      return {
+        approved: blocking.length > 0 ? false : null,
+        issues: checkIssues,
+        revisionRequests: blocking.map((issue) => issue.description),
+        summary: null,
+        error: review.error,
+      };
+    }
+
+    return {
+      approved: review.output.approved && blocking.length === 0,
+      issues: [
+        ...checkIssues,
+        ...review.output.issues.map((issue) => ({ ...issue, source: 'critic' })),
+      ],
+      revisionRequests: [
+        ...blocking.map((issue) => issue.description),
+        ...review.output.revision_requests,
+      ],
+      summary: review.output.summary || null,
+      error: null,
+    };
+  }
+
   /**
    * Execute a sequence of agents (pipeline)
    * Each agent receives the output of the previous agent as context
@@ -83,182 +388,346 @@ class AgentOrchestrator {
 
   /**
    * Execute agents in parallel
+   * Every agent settles on its own (a hung agent is cut off by its timeout and a
+   * thrown error becomes that agent's failed result), so one agent never
+   * discards the others' outputs.
    * @param {array} agentKeys - Array of agent keys to run in parallel
    * @param {any} input - Input data (same for all agents)
    * @param {object} context - Shared context
-   * @returns {Promise<object>} - Results from all agents
+   * @param {object} options - Execution options for every agent (attribution, signal,
+   *   timeoutMs per agent), plus settle: true to succeed when at least one agent does
+   * @returns {Promise<object>} - { success, partial, results, outputs (by role, successful
+   *   agents only), failures: [{ agent, error, errorType }] }
    */
-  async executeParallel(agentKeys, input, context = {}) {
+  async executeParallel(agentKeys, input, context = {}, options = {}) {
+    const { settle = false, ...agentOptions } = options;
     console.log(`\n⚡ Executing ${agentKeys.length} agents in parallel...`);
 
-    const promises = agentKeys.map((agentKey) =>
-      this.executeAgent(agentKey, input, context)
+    const settled = await Promise.allSettled(
+      agentKeys.map((agentKey) => this.executeAgent(agentKey, input, context, agentOptions))
     );
 
-    const results = await Promise.all(promises);
+    const results = settled.map((outcome, index) =>
+      outcome.status === 'fulfilled'
+        ? outcome.value
+        : {
+          success: false,
+          agent: agentKeys[index],
+          error: outcome.reason.message,
+          metadata: {
+            failureCause: {
+              type: outcome.reason.errorType || 'agent_error',
+              retryable: false,
+              message: outcome.reason.message,
+            },
+          },
+        }
+    );
 
-    const success = results.every((r) => r.success);
+    const failures = results
+      .map((result, index) => ({ result, agent: agentKeys[index] }))
+      .filter(({ result }) => !result.success)
+      .map(({ result, agent }) => ({
+        agent,
+        error: result.error,
+        errorType: result.metadata?.failureCause?.type || 'agent_error',
+      }));
+    const succeeded = results.length - failures.length;
 
     return {
-      success,
+      success: settle ? succeeded > 0 : failures.length === 0,
+      partial: failures.length > 0 && succeeded > 0,
       results,
-      outputs: results.reduce((acc, r) => {
-        acc[r.role] = r.output;
-        return acc;
-      }, {}),
+      outputs: results
+        .filter((r) => r.success)
+        .reduce((acc, r) => {
+          acc[r.role] = r.output;
+          return acc;
+        }, {}),
+      failures,
     };
   }
 
   /**
-   * Execute M&A sourcing workflow (Scout → Profiler → Valuation → Compliance)
-   * @param {object} thesis - Investment thesis criteria
-   * @param {object} companyData - Raw company data
-   * @returns {Promise<object>} - Complete sourcing analysis
+   * Register a workflow definition (replacing any workflow with the same name)
+   * @param {object} definition - Raw JSON/YAML definition
+   * @returns {object} - Compiled workflow
+   * @throws {WorkflowDefinitionError}
    */
-  async executeSourcingWorkflow(thesis, companyData) {
-    console.log('\n🎯 Starting M&A Sourcing Workflow...');
+  registerWorkflow(definition) {
+    const workflow = compileDefinition(definition, { agents: Object.keys(this.agents) });
+    this.workflows.set(workflow.name, workflow);
+    return workflow;
+  }
 
-    // Step 1: Scout - Score the company against thesis
-    const scoutResult = await this.executeAgent('scout', {
-      thesis,
-      companyData,
-    });
+  /**
+   * Register every .json/.yaml/.yml definition in a directory
+   * @param {string} dir - Directory of definitions
+   * @returns {array} - Names of the registered workflows
+   */
+  loadWorkflows(dir) {
+    return fs
+      .readdirSync(dir)
+      .filter((file) => /\.(json|ya?ml)$/i.test(file))
+      .sort()
+      .map((file) => this.registerWorkflow(loadDefinitionFile(path.join(dir, file))).name);
+  }
 
-    if (!scoutResult.success || scoutResult.output.score < 50) {
-      return {
-        success: true,
-        qualified: false,
-        reason: 'Did not meet minimum score threshold',
-        scoutResult,
-      };
+  /**
+   * Run a registered workflow
+   * @param {string} name - Workflow name
+   * @param {object} inputs - Workflow inputs
+   * @param {object} options - { workflowRunId, budget, critique, timeoutMs, signal }
+   * @returns {Promise<object>} - Workflow result
+   */
+  async runWorkflow(name, inputs = {}, options = {}) {
+    const workflow = this.workflows.get(name);
+    if (!workflow) {
+      throw new Error(`Workflow '${name}' not found`);
     }
 
-    // Step 2: Profiler - Build detailed company profile
-    const profilerResult = await this.executeAgent('profiler', companyData, {
-      scoutAnalysis: scoutResult.output,
-    });
-
-    // Step 3: Valuation - Estimate company value (parallel with compliance)
-    const [valuationResult, complianceResult] = await Promise.all([
-      this.executeAgent('valuation', companyData, {
-        scoutAnalysis: scoutResult.output,
-        profile: profilerResult.output,
-      }),
-      this.executeAgent('compliance', companyData, {
-        checkType: 'licensure',
-      }),
-    ]);
-
-    // Check compliance
-    if (!complianceResult.output.approved) {
-      return {
-        success: true,
-        qualified: false,
-        reason: 'Failed compliance checks',
-        results: {
-          scout: scoutResult,
-          profiler: profilerResult,
-          compliance: complianceResult,
+    const result = await this.engine.run(workflow, inputs, options);
+
+    if (name === 'resolution' && result.runStatus === 'completed') {
+      await eventBus.publish(
+        'company.merged',
+        {
+          companyId: result.resolution?.primary_entity_id ?? null,
+          mergedEntities: result.resolution?.merged_entities || [],
+          confidence: result.resolution?.confidence ?? null,
+          reviewed: result.reviewed ?? false,
+          source: 'resolution',
+          workflowRunId: result.workflowRunId,
         },
-      };
+        { source: 'AgentOrchestrator' }
+      );
     }
 
-    console.log('✅ Sourcing workflow completed - Company qualified');
+    return result;
+  }
 
-    return {
-      success: true,
-      qualified: true,
-      results: {
-        scout: scoutResult,
-        profiler: profilerResult,
-        valuation: valuationResult,
-        compliance: complianceResult,
-      },
-      summary: {
-        score: scoutResult.output.score,
-        estimatedValue: valuationResult.output.estimated_value_range,
-        topSignals: scoutResult.output.top_signals,
-        risks: [
-          ...scoutResult.output.risks,
-          ...complianceResult.output.violations.map((v) => v.details),
-        ],
-      },
-    };
+  /**
+   * Resume a workflow run from its last completed steps
+   * Succeeded steps whose input is unchanged are reused; the rest run again.
+   * @param {string} runId - workflowRunId of the run
+   * @returns {Promise<object>} - Workflow result
+   */
+  async resumeWorkflow(runId) {
+    const run = await runStore.getRun(runId);
+    if (!run) {
+      throw new Error(`Workflow run '${runId}' not found`);
+    }
+    if (run.status === 'completed') {
+      throw new Error(`Workflow run '${runId}' already completed`);
+    }
+
+    return this.runWorkflow(run.workflow, run.inputs, { ...run.options, workflowRunId: runId });
   }
 
   /**
-   * Execute outreach workflow (Compliance check → Outreach draft → Send)
-   * @param {object} companyData - Company and contact info
-   * @param {object} context - Previous analysis results
-   * @returns {Promise<object>} - Outreach result
+   * Get a workflow run with its step checkpoints
+   * @param {string} runId - workflowRunId of the run
+   * @returns {Promise<object|null>}
    */
-  async executeOutreachWorkflow(companyData, context = {}) {
-    console.log('\n📧 Starting Outreach Workflow...');
-
-    // Step 1: Compliance check
-    const complianceResult = await this.executeAgent('compliance', {
-      entity_id: companyData.company_id,
-      check_type: 'outreach',
-      contact_info: companyData.contact,
-    });
+  async getWorkflowRun(runId) {
+    return runStore.getRun(runId);
+  }
 
-    if (!complianceResult.output.approved) {
-      return {
-        success: false,
-        reason: 'Outreach not approved by compliance',
-        violations: complianceResult.output.violations,
-      };
+  /**
+   * List workflow runs, newest first
+   * @param {object} filters - { status, workflow, limit }
+   * @returns {Promise<array>}
+   */
+  async listWorkflowRuns(filters = {}) {
+    return runStore.listRuns(filters);
+  }
+
+  /**
+   * Cancel a running workflow run
+   * A run executing in this process is aborted immediately (steps in flight fail
+   * as cancelled); a run in another process stops after its steps in flight.
+   * @param {string} runId - workflowRunId of the run
+   * @returns {Promise<boolean>} - Whether a running run was found
+   */
+  async cancelWorkflowRun(runId) {
+    const cancelled = await runStore.cancelRun(runId);
+    return this.engine.abortRun(runId) || cancelled;
+  }
+
+  /**
+   * Decide an approval task and resume the run waiting on it
+   * @param {string} approvalId - Approval task ID
+   * @param {object} decision - { decision: 'approved' | 'rejected', reviewer, comment, edits }
+   *   where edits (approvals only) are merged into the payload under review
+   * @returns {Promise<object>} - { approval, result } with the resumed run's result
+   *   (null when the run is not waiting)
+   */
+  async decideApproval(approvalId, { decision, reviewer, comment, edits } = {}) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new Error(`Invalid decision '${decision}' (expected approved or rejected)`);
     }
 
-    // Step 2: Generate outreach message
-    const outreachResult = await this.executeAgent('outreach', companyData, {
-      ...context,
-      complianceApproved: true,
+    const approval = await approvalStore.decide(approvalId, {
+      status: decision,
+      decidedBy: reviewer,
+      comment,
+      edits,
     });
 
-    console.log('✅ Outreach workflow completed');
+    return { approval, result: await this._resumeAfterApproval(approval) };
+  }
 
-    return {
-      success: true,
-      complianceCheck: complianceResult,
-      outreachDraft: outreachResult,
-    };
+  /**
+   * Expire pending approval tasks past their deadline and resume their runs,
+   * which then stop at the expired step
+   * @returns {Promise<array>} - Expired tasks
+   */
+  async expireApprovals() {
+    const overdue = await approvalStore.listTasks({ status: 'pending', overdue: true });
+    const expired = [];
+
+    for (const task of overdue) {
+      const approval = await approvalStore.decide(task.id, {
+        status: 'expired',
+        comment: 'Deadline passed',
+      });
+      await this._resumeAfterApproval(approval);
+      expired.push(approval);
+    }
+
+    return expired;
+  }
+
+  /**
+   * List approval tasks
+   * @param {object} filters - { status, assignee, runId, overdue, limit }
+   * @returns {Promise<array>}
+   */
+  async listApprovals(filters = {}) {
+    return approvalStore.listTasks(filters);
+  }
+
+  /**
+   * Resume the run an approval belongs to, if it is waiting
+   * @param {object} approval - Decided approval task
+   * @returns {Promise<object|null>} - Workflow result
+   */
+  async _resumeAfterApproval(approval) {
+    if ((await runStore.getStatus(approval.runId)) !== 'waiting') {
+      return null;
+    }
+
+    return this.resumeWorkflow(approval.runId);
+  }
+
+  /**
+   * List registered workflows
+   * @returns {array} - [{ name, title, description, steps }]
+   */
+  listWorkflows() {
+    return Array.from(this.workflows.values()).map((workflow) => ({
+      name: workflow.name,
+      title: workflow.title,
+      description: workflow.description,
+      steps: workflow.order,
+    }));
+  }
+
+  /**
+   * Execute M&A sourcing workflow (Scout → Profiler → Valuation → Compliance)
+   * Defined in definitions/sourcing.yaml
+   * @param {object} thesis - Investment thesis criteria
+   * @param {object} companyData - Raw company data
+   * @param {object} options - { workflowRunId, budget, critique } where critique is true or
+   *   { agents, mode, maxRevisions } to review Scout and Valuation outputs
+   * @returns {Promise<object>} - Complete sourcing analysis
+   */
+  async executeSourcingWorkflow(thesis, companyData, options = {}) {
+    return this.runWorkflow('sourcing', { thesis, companyData }, options);
+  }
+
+  /**
+   * Execute outreach workflow (Compliance check → Outreach draft → Review)
+   * Defined in definitions/outreach.yaml. Drafts with confidence below 0.7 wait
+   * for human approval (result.waiting) before they can be sent.
+   * @param {object} companyData - Company and contact info
+   * @param {object} context - Previous analysis results
+   * @param {object} options - { workflowRunId, budget, reviewer } where reviewer is
+   *   assigned any approval task
+   * @returns {Promise<object>} - Outreach result
+   */
+  async executeOutreachWorkflow(companyData, context = {}, options = {}) {
+    return this.runWorkflow('outreach', { companyData, context, reviewer: options.reviewer }, options);
+  }
+
+  /**
+   * Execute entity resolution workflow (Resolver → Review)
+   * Defined in definitions/resolution.yaml. Merges flagged for review or with
+   * confidence below 0.8 wait for human approval.
+   * @param {array} records - Candidate duplicate company records
+   * @param {object} options - { workflowRunId, budget, reviewer }
+   * @returns {Promise<object>} - { merged, reviewed, resolution }
+   */
+  async executeResolutionWorkflow(records, options = {}) {
+    return this.runWorkflow('resolution', { records, reviewer: options.reviewer }, options);
   }
 
   /**
    * Execute due diligence workflow
+   * Defined in definitions/diligence.yaml
    * @param {object} companyData - Company information
    * @param {array} documents - Uploaded documents
+   * @param {object} options - { workflowRunId, budget }
    * @returns {Promise<object>} - Diligence report
    */
-  async executeDiligenceWorkflow(companyData, documents = []) {
-    console.log('\n📋 Starting Due Diligence Workflow...');
-
-    const diligenceResult = await this.executeAgent('diligence', {
-      company_id: companyData.company_id,
-      documents,
-      vertical: companyData.vertical,
-    });
-
-    return {
-      success: true,
-      diligenceReport: diligenceResult,
-    };
+  async executeDiligenceWorkflow(companyData, documents = [], options = {}) {
+    return this.runWorkflow('diligence', { companyData, documents }, options);
   }
 
   /**
    * Execute post-acquisition integration workflow
+   * Defined in definitions/integration.yaml
    * @param {object} dealData - Deal and company information
+   * @param {object} options - { workflowRunId, budget }
    * @returns {Promise<object>} - Integration plan
    */
-  async executeIntegrationWorkflow(dealData) {
-    console.log('\n🔄 Starting Integration Workflow...');
+  async executeIntegrationWorkflow(dealData, options = {}) {
+    return this.runWorkflow('integration', { dealData }, options);
+  }
 
-    const integrationResult = await this.executeAgent('integrator', dealData);
+  /**
+   * Build the cost attribution for one workflow invocation
+   * @param {string} workflow - Workflow name
+   * @param {object} companyData - Company the run is about
+   * @param {object} thesis - Thesis the run scores against (if any)
+   * @param {object} options - { workflowRunId, budget }
+   * @returns {object} - Attribution passed to every agent call in the run
+   */
+  _runAttribution(workflow, companyData, thesis, options = {}) {
+    return {
+      workflow,
+      workflowRunId: options.workflowRunId || crypto.randomUUID(),
+      companyId: companyData?.id || companyData?.company_id,
+      thesisId: thesis?.id,
+      budget: options.budget,
+    };
+  }
+
+  /**
+   * Normalize a workflow's critique option
+   * @param {boolean|object} critique - true, or { agents, mode, maxRevisions }
+   * @returns {object|null} - { agents, mode, maxRevisions }, or null when disabled
+   */
+  _critiqueOptions(critique) {
+    if (!critique) {
+      return null;
+    }
 
     return {
-      success: true,
-      integrationPlan: integrationResult,
+      agents: DEFAULT_CRITIQUED_AGENTS,
+      mode: 'revise',
+      maxRevisions: 1,
+      ...(typeof critique === 'object' ? critique : {}),
     };
   }
 
@@ -287,6 +756,7 @@ class AgentOrchestrator {
       byAgent: {},
       successRate: 0,
       avgExecutionTime: 0,
+      totalCostUsd: 0,
     };
 
     let successCount = 0;
@@ -295,9 +765,11 @@ class AgentOrchestrator {
     this.workflowHistory.forEach((item) => {
       // Count by agent
       if (!stats.byAgent[item.agent]) {
-        stats.byAgent[item.agent] = { count: 0, successes: 0 };
+        stats.byAgent[item.agent] = { count: 0, successes: 0, costUsd: 0 };
       }
       stats.byAgent[item.agent].count++;
+      stats.byAgent[item.agent].costUsd += item.costUsd;
+      stats.totalCostUsd += item.costUsd;
 
       // Track successes
       if (item.success) {
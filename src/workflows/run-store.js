@@ -0,0 +1,361 @@
+/**
+ * Workflow Run Store
+ * Persists workflow runs and step checkpoints to Postgres so a crashed or
+ * cancelled run can resume without re-running completed steps
+ *
+ * Without DATABASE_URL (or when a query fails) runs are kept in memory, which
+ * still supports inspecting and resuming runs within the same process.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const { stableStringify } = require('../utils/stable-stringify');
+require('dotenv').config();
+
+class RunStore {
+  constructor() {
+    this.runs = new Map(); // id → { run, steps: Map(stepKey → step) }
+    this.persist = Boolean(process.env.DATABASE_URL) && process.env.WORKFLOW_RUNS_PERSIST !== 'false';
+  }
+
+  /**
+   * Idempotency key for a step: its name plus a hash of what it was given,
+   * so a resumed run reuses a step only if its inputs are unchanged
+   * @param {string} step - Step name
+   * @param {any} input - Resolved step input
+   * @param {any} context - Resolved step context
+   * @returns {string}
+   */
+  static stepKey(step, input, context) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(stableStringify({ input, context }))
+      .digest('hex')
+      .substring(0, 16);
+    return `${step}:${hash}`;
+  }
+
+  /**
+   * Start a run, or mark an existing run as running again (resume)
+   * @param {object} run - { id, workflow, inputs, options }
+   * @returns {Promise<object>} - { resumed } true when the run already existed
+   */
+  async startRun({ id, workflow, inputs = {}, options = {} }) {
+    const existing = this.runs.get(id);
+    if (existing) {
+      Object.assign(existing.run, {
+        status: 'running',
+        attempts: existing.run.attempts + 1,
+        finishedAt: null,
+        error: null,
+      });
+    } else {
+      this.runs.set(id, {
+        run: {
+          id,
+          workflow,
+          status: 'running',
+          inputs,
+          options,
+          result: null,
+          error: null,
+          attempts: 1,
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
+        },
+        steps: new Map(),
+      });
+    }
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `INSERT INTO workflow_runs (id, workflow, status, inputs, options)
+           VALUES ($1, $2, 'running', $3, $4)
+           ON CONFLICT (id) DO UPDATE
+           SET status = 'running', attempts = workflow_runs.attempts + 1,
+               finished_at = NULL, error = NULL
+           RETURNING attempts`,
+          [id, workflow, JSON.stringify(inputs), JSON.stringify(options)]
+        );
+        return { resumed: result.rows[0].attempts > 1 };
+      } catch (error) {
+        console.error('Failed to persist workflow run, keeping it in memory:', error.message);
+      }
+    }
+
+    return { resumed: Boolean(existing) };
+  }
+
+  /**
+   * Record how a run ended
+   * @param {string} id - Run ID
+   * @param {object} outcome - { status, result, error }
+   */
+  async finishRun(id, { status, result = null, error = null }) {
+    const entry = this.runs.get(id);
+    if (entry) {
+      Object.assign(entry.run, { status, result, error, finishedAt: new Date().toISOString() });
+    }
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE workflow_runs
+           SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [id, status, JSON.stringify(result), error]
+        );
+      } catch (err) {
+        console.error('Failed to persist workflow run result:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Request cancellation of a running run
+   * The engine stops starting new steps once it sees the status; steps already
+   * running finish and are checkpointed
+   * @param {string} id - Run ID
+   * @returns {Promise<boolean>} - Whether a running run was found
+   */
+  async cancelRun(id) {
+    let cancelled = false;
+    const entry = this.runs.get(id);
+    if (entry && entry.run.status === 'running') {
+      entry.run.status = 'cancelled';
+      cancelled = true;
+    }
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `UPDATE workflow_runs SET status = 'cancelled' WHERE id = $1 AND status = 'running'`,
+          [id]
+        );
+        cancelled = cancelled || result.rowCount > 0;
+      } catch (error) {
+        console.error('Failed to cancel workflow run:', error.message);
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Current status of a run
+   * @param {string} id - Run ID
+   * @returns {Promise<string|null>}
+   */
+  async getStatus(id) {
+    if (this.persist) {
+      try {
+        const result = await db.query('SELECT status FROM workflow_runs WHERE id = $1', [id]);
+        if (result.rows[0]) return result.rows[0].status;
+      } catch (error) {
+        console.error('Failed to read workflow run status:', error.message);
+      }
+    }
+
+    return this.runs.get(id)?.run.status || null;
+  }
+
+  /**
+   * Get a run with its steps
+   * @param {string} id - Run ID
+   * @returns {Promise<object|null>} - Run with `steps` in start order
+   */
+  async getRun(id) {
+    if (this.persist) {
+      try {
+        const runResult = await db.query('SELECT * FROM workflow_runs WHERE id = $1', [id]);
+        if (runResult.rows[0]) {
+          const stepsResult = await db.query(
+            'SELECT * FROM workflow_steps WHERE run_id = $1 ORDER BY started_at',
+            [id]
+          );
+          return {
+            ...this._runFromRow(runResult.rows[0]),
+            steps: stepsResult.rows.map((row) => this._stepFromRow(row)),
+          };
+        }
+      } catch (error) {
+        console.error('Failed to read workflow run, using memory:', error.message);
+      }
+    }
+
+    const entry = this.runs.get(id);
+    return entry ? { ...entry.run, steps: Array.from(entry.steps.values()) } : null;
+  }
+
+  /**
+   * List runs, newest first
+   * @param {object} filters - { status, workflow, limit }
+   * @returns {Promise<array>} - Runs without steps
+   */
+  async listRuns(filters = {}) {
+    const limit = filters.limit || 50;
+
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT * FROM workflow_runs
+           WHERE ($1::varchar IS NULL OR status = $1)
+             AND ($2::varchar IS NULL OR workflow = $2)
+           ORDER BY started_at DESC
+           LIMIT $3`,
+          [filters.status || null, filters.workflow || null, limit]
+        );
+        return result.rows.map((row) => this._runFromRow(row));
+      } catch (error) {
+        console.error('Failed to list workflow runs, using memory:', error.message);
+      }
+    }
+
+    return Array.from(this.runs.values())
+      .map((entry) => entry.run)
+      .filter((run) => !filters.status || run.status === filters.status)
+      .filter((run) => !filters.workflow || run.workflow === filters.workflow)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Succeeded steps of a run, for reuse on resume
+   * @param {string} runId - Run ID
+   * @returns {Promise<Map>} - stepKey → step
+   */
+  async getSucceededSteps(runId) {
+    if (this.persist) {
+      try {
+        const result = await db.query(
+          `SELECT * FROM workflow_steps WHERE run_id = $1 AND status = 'succeeded'`,
+          [runId]
+        );
+        return new Map(result.rows.map((row) => [row.step_key, this._stepFromRow(row)]));
+      } catch (error) {
+        console.error('Failed to read workflow checkpoints, using memory:', error.message);
+      }
+    }
+
+    const steps = this.runs.get(runId)?.steps || new Map();
+    return new Map(Array.from(steps).filter(([, step]) => step.status === 'succeeded'));
+  }
+
+  /**
+   * Checkpoint that a step has started
+   * @param {string} runId - Run ID
+   * @param {object} step - { stepKey, step, agent, input, context }
+   */
+  async startStep(runId, { stepKey, step, agent = null, input = null, context = null }) {
+    const record = {
+      stepKey,
+      step,
+      agent,
+      status: 'running',
+      input,
+      context,
+      output: null,
+      error: null,
+      costUsd: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+    };
+    this.runs.get(runId)?.steps.set(stepKey, record);
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `INSERT INTO workflow_steps (run_id, step_key, step, agent, status, input, context)
+           VALUES ($1, $2, $3, $4, 'running', $5, $6)
+           ON CONFLICT (run_id, step_key) DO UPDATE
+           SET status = 'running', output = NULL, error = NULL,
+               started_at = CURRENT_TIMESTAMP, finished_at = NULL, duration_ms = NULL`,
+          [runId, stepKey, step, agent, JSON.stringify(input), JSON.stringify(context)]
+        );
+      } catch (error) {
+        console.error('Failed to checkpoint step start:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Checkpoint a step's outcome
+   * @param {string} runId - Run ID
+   * @param {string} stepKey - Step key
+   * @param {object} outcome - { status: 'succeeded' | 'failed' | 'waiting', output, error, costUsd, durationMs }
+   */
+  async finishStep(runId, stepKey, { status, output = null, error = null, costUsd = null, durationMs = null }) {
+    const record = this.runs.get(runId)?.steps.get(stepKey);
+    if (record) {
+      Object.assign(record, {
+        status,
+        output,
+        error,
+        costUsd,
+        durationMs,
+        finishedAt: new Date().toISOString(),
+      });
+    }
+
+    if (this.persist) {
+      try {
+        await db.query(
+          `UPDATE workflow_steps
+           SET status = $3, output = $4, error = $5, cost_usd = $6, duration_ms = $7,
+               finished_at = CURRENT_TIMESTAMP
+           WHERE run_id = $1 AND step_key = $2`,
+          [runId, stepKey, status, JSON.stringify(output), error, costUsd, durationMs]
+        );
+      } catch (err) {
+        console.error('Failed to checkpoint step result:', err.message);
+      }
+    }
+  }
+
+  _runFromRow(row) {
+    return {
+      id: row.id,
+      workflow: row.workflow,
+      status: row.status,
+      inputs: row.inputs,
+      options: row.options,
+      result: row.result,
+      error: row.error,
+      attempts: row.attempts,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+    };
+  }
+
+  _stepFromRow(row) {
+    return {
+      stepKey: row.step_key,
+      step: row.step,
+      agent: row.agent,
+      status: row.status,
+      input: row.input,
+      context: row.context,
+      output: row.output,
+      error: row.error,
+      costUsd: row.cost_usd === null ? null : parseFloat(row.cost_usd),
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+    };
+  }
+
+  /**
+   * Clear in-memory runs (persisted rows are kept)
+   */
+  reset() {
+    this.runs.clear();
+  }
+}
+
+// Export singleton instance
+const runStore = new RunStore();
+
+module.exports = runStore;
+module.exports.RunStore = RunStore;
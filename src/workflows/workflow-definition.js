@@ -0,0 +1,271 @@
+/**
+ * Workflow Definitions
+ * Loads JSON/YAML workflow definitions and validates them into a runnable DAG
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validate } = require('../utils/schema-validator');
+const { WorkflowDefinitionError } = require('../utils/errors');
+const { referencedSteps, conditionProblems } = require('./expressions');
+
+const condition = {
+  anyOf: [{ type: 'string' }, { type: 'boolean' }, { type: 'object' }],
+};
+
+const DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'steps'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: '^[a-z][a-z0-9_-]*$' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    version: { type: ['string', 'number'] },
+    timeoutMs: { type: 'number', exclusiveMinimum: 0 },
+    inputs: { type: 'array', items: { type: 'string' } },
+    attribution: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        company: {},
+        thesis: {},
+      },
+    },
+    steps: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[a-zA-Z][a-zA-Z0-9_]*$' },
+      additionalProperties: {
+        type: 'object',
+        oneOf: [{ required: ['agent'] }, { required: ['approval'] }],
+        additionalProperties: false,
+        properties: {
+          agent: { type: 'string' },
+          approval: {
+            type: 'object',
+            required: ['title'],
+            additionalProperties: false,
+            properties: {
+              title: { type: 'string' },
+              assignee: {},
+              deadlineHours: { type: 'number', exclusiveMinimum: 0 },
+              context: {},
+              payload: {},
+              rejectReason: { type: 'string' },
+              rejectResult: { type: 'object' },
+            },
+          },
+          description: { type: 'string' },
+          dependsOn: { type: 'array', items: { type: 'string' } },
+          input: {},
+          context: { type: 'object' },
+          when: condition,
+          gate: {
+            type: 'object',
+            required: ['require'],
+            additionalProperties: false,
+            properties: {
+              require: condition,
+              reason: { type: 'string' },
+              failureReason: { type: 'string' },
+              result: { type: 'object' },
+              failureResult: { type: 'object' },
+            },
+          },
+          onFailure: { type: 'string', enum: ['fail', 'gate', 'continue'] },
+          timeoutMs: { type: 'number', exclusiveMinimum: 0 },
+          critique: { type: ['boolean', 'object'] },
+        },
+      },
+    },
+    result: { type: 'object' },
+  },
+};
+
+/**
+ * Parse a definition from text
+ * @param {string} text - JSON or YAML source
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {object} - Raw definition
+ */
+function parseDefinition(text, format = 'yaml') {
+  return format === 'json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * Read a definition file (.json, .yaml or .yml)
+ * @param {string} filePath - Path to the definition
+ * @returns {object} - Raw definition
+ */
+function loadDefinitionFile(filePath) {
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'yaml';
+
+  try {
+    return parseDefinition(fs.readFileSync(filePath, 'utf8'), format);
+  } catch (error) {
+    throw new WorkflowDefinitionError(path.basename(filePath), [error.message]);
+  }
+}
+
+/**
+ * Validate a raw definition and compile it into a DAG
+ * Dependencies are the union of `dependsOn` and every step referenced by the
+ * step's input, context, `when`, gate and approval.
+ * Approval steps get a gate on the decision unless they define their own.
+ * @param {object} definition - Raw definition
+ * @param {object} options - { agents: known agent keys }
+ * @returns {object} - { ...definition, steps: [{ name, ...step, dependsOn }], order }
+ * @throws {WorkflowDefinitionError}
+ */
+function compileDefinition(definition, options = {}) {
+  const label = definition?.name || '(unnamed)';
+  const { valid, errors } = validate(DEFINITION_SCHEMA, definition);
+  if (!valid) {
+    throw new WorkflowDefinitionError(label, errors);
+  }
+
+  const problems = [];
+  const names = Object.keys(definition.steps);
+
+  const steps = names.map((name) => {
+    const step = definition.steps[name];
+    const referenced = referencedSteps([
+      step.input,
+      step.context,
+      step.when,
+      step.gate?.require,
+      step.approval,
+    ]);
+    referenced.delete(name); // Gates may refer to the step's own result
+
+    const dependsOn = [...new Set([...(step.dependsOn || []), ...referenced])];
+
+    dependsOn
+      .filter((dep) => !definition.steps[dep])
+      .forEach((dep) => problems.push(`step '${name}' depends on unknown step '${dep}'`));
+
+    if (step.agent && options.agents && !options.agents.includes(step.agent)) {
+      problems.push(`step '${name}' uses unknown agent '${step.agent}'`);
+    }
+
+    [step.when, step.gate?.require]
+      .filter((c) => c !== undefined)
+      .flatMap(conditionProblems)
+      .forEach((problem) => problems.push(`step '${name}': ${problem}`));
+
+    if (step.onFailure === 'gate' && !step.gate) {
+      problems.push(`step '${name}' has onFailure 'gate' but no gate`);
+    }
+
+    if (step.approval && (step.input !== undefined || step.context || step.critique)) {
+      problems.push(`approval step '${name}' cannot take input, context or critique`);
+    }
+
+    return {
+      name,
+      ...step,
+      gate: step.approval && !step.gate ? approvalGate(step.approval) : step.gate,
+      onFailure: step.onFailure || 'fail',
+      dependsOn,
+    };
+  });
+
+  referencedSteps(definition.result)
+    .forEach((name) => {
+      if (!definition.steps[name]) {
+        problems.push(`result refers to unknown step '${name}'`);
+      }
+    });
+
+  if (problems.length === 0) {
+    const cycle = findCycle(steps);
+    if (cycle) {
+      problems.push(`dependency cycle: ${cycle.join(' → ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new WorkflowDefinitionError(label, problems);
+  }
+
+  return {
+    ...definition,
+    inputs: definition.inputs || [],
+    steps,
+    order: topologicalOrder(steps),
+  };
+}
+
+/**
+ * Gate closing the run when an approval is rejected or expires
+ * @param {object} approval - Approval step settings
+ * @returns {object}
+ */
+function approvalGate(approval) {
+  return {
+    require: '$output.approved',
+    reason: approval.rejectReason || `Not approved: ${approval.title}`,
+    result: approval.rejectResult,
+  };
+}
+
+/**
+ * Find a dependency cycle, if any
+ * @param {array} steps - Compiled steps
+ * @returns {array|null} - Step names forming the cycle
+ */
+function findCycle(steps) {
+  const byName = new Map(steps.map((step) => [step.name, step]));
+  const state = new Map(); // name → 'visiting' | 'done'
+
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return null;
+    if (state.get(name) === 'visiting') {
+      return [...trail.slice(trail.indexOf(name)), name];
+    }
+
+    state.set(name, 'visiting');
+    for (const dep of byName.get(name).dependsOn) {
+      const cycle = visit(dep, [...trail, name]);
+      if (cycle) return cycle;
+    }
+    state.set(name, 'done');
+    return null;
+  };
+
+  for (const step of steps) {
+    const cycle = visit(step.name, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Order steps so every step follows its dependencies (definition order breaks ties)
+ * @param {array} steps - Compiled, acyclic steps
+ * @returns {array} - Step names
+ */
+function topologicalOrder(steps) {
+  const order = [];
+  const placed = new Set();
+
+  while (order.length < steps.length) {
+    for (const step of steps) {
+      if (!placed.has(step.name) && step.dependsOn.every((dep) => placed.has(dep))) {
+        order.push(step.name);
+        placed.add(step.name);
+      }
+    }
+  }
+
+  return order;
+}
+
+module.exports = {
+  DEFINITION_SCHEMA,
+  parseDefinition,
+  loadDefinitionFile,
+  compileDefinition,
+};
@@ -0,0 +1,567 @@
+/**
+ * Workflow Engine
+ * Runs compiled workflow definitions as a DAG of agent steps
+ *
+ * A step starts as soon as its dependencies have settled, so independent
+ * branches run in parallel. After each step:
+ *   - a failed step stops the run (onFailure 'fail'), closes its gate
+ *     (onFailure 'gate') or is recorded and ignored (onFailure 'continue')
+ *   - a gate whose `require` condition is false stops the run with its reason
+ * Once stopped, no new steps start; steps already running are awaited.
+ * Closed gates take precedence over failures when building the result.
+ *
+ * Runs are durable: the run and every step are checkpointed in the run store
+ * under the workflowRunId. Running again with the same workflowRunId (see
+ * AgentOrchestrator.resumeWorkflow) reuses each succeeded step whose resolved
+ * input and context are unchanged instead of calling its agent again.
+ * Cancelling a run through the store stops it after the steps in flight.
+ * If a step or the run store throws, the steps in flight are aborted and
+ * awaited, the run is recorded as failed and the error is rethrown.
+ *
+ * Approval steps create a task in the approval store and suspend the run
+ * (status 'waiting') until someone decides; deciding resumes the run. A
+ * rejected or expired approval closes the step's gate.
+ *
+ * Each run has an AbortSignal, linked to the caller's signal and the workflow
+ * timeout, and each step's signal adds the step timeout. A timed-out step fails
+ * like any other (failureCause.type 'deadline_exceeded') and is handled by its
+ * onFailure; a timed-out or aborted run stops and reports what finished.
+ */
+
+const { resolveMapping, evaluateCondition } = require('./expressions');
+const runStore = require('./run-store');
+const approvalStore = require('./approval-store');
+const { RunStore } = runStore;
+const { linkSignal, abortReason } = require('../utils/abort');
+const { CancelledError } = require('../utils/errors');
+
+// Default time a reviewer has to decide an approval task
+const DEFAULT_APPROVAL_DEADLINE_HOURS = parseFloat(process.env.APPROVAL_DEADLINE_HOURS) || 48;
+
+class WorkflowEngine {
+  /**
+   * @param {object} orchestrator - AgentOrchestrator that executes the steps
+   */
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.activeRuns = new Map(); // workflowRunId → AbortController
+  }
+
+  /**
+   * Abort a run executing in this process; steps in flight fail as cancelled
+   * @param {string} runId - workflowRunId
+   * @returns {boolean} - Whether the run was active here
+   */
+  abortRun(runId) {
+    const controller = this.activeRuns.get(runId);
+    if (!controller) {
+      return false;
+    }
+
+    controller.abort(new CancelledError(`Workflow run ${runId}`));
+    return true;
+  }
+
+  /**
+   * Run a compiled workflow
+   * @param {object} workflow - Compiled definition (see compileDefinition)
+   * @param {object} inputs - Workflow inputs
+   * @param {object} options - { workflowRunId, budget, critique, timeoutMs (whole run, overrides
+   *   the definition's), signal: AbortSignal that cancels the run }
+   * @returns {Promise<object>} - Workflow result: the definition's `result` mapping on success,
+   *   the gate's result and reason when a gate closes, { success: false, failedAt } on failure,
+   *   { success: false, waiting: true, pendingApprovals } while waiting for approval,
+   *   { success: false, timedOut: true } when the run timed out
+   *   or { success: false, cancelled: true } when cancelled;
+   *   always with { workflow, workflowRunId, runStatus, results, steps, failures } where
+   *   failures lists each failed step's agent, error and errorType
+   * @throws {Error} - When a step or the run store throws; steps still running are aborted
+   *   and the run is recorded as failed
+   */
+  async run(workflow, inputs = {}, options = {}) {
+    const missing = workflow.inputs.filter((name) => inputs[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Workflow '${workflow.name}' is missing inputs: ${missing.join(', ')}`);
+    }
+
+    const attributionRefs = resolveMapping(workflow.attribution || {}, { inputs }) || {};
+    const attribution = this.orchestrator._runAttribution(
+      workflow.name,
+      attributionRefs.company,
+      attributionRefs.thesis,
+      options
+    );
+    const critique = this.orchestrator._critiqueOptions(options.critique);
+    const runId = attribution.workflowRunId;
+
+    const { resumed } = await runStore.startRun({
+      id: runId,
+      workflow: workflow.name,
+      inputs,
+      options: { budget: options.budget, critique: options.critique, timeoutMs: options.timeoutMs },
+    });
+    const checkpoints = resumed ? await runStore.getSucceededSteps(runId) : new Map();
+
+    const runAbort = linkSignal(
+      options.signal,
+      options.timeoutMs ?? workflow.timeoutMs,
+      `${workflow.title || workflow.name} workflow`
+    );
+    const runSignal = runAbort.signal;
+    this.activeRuns.set(runId, runAbort.controller);
+
+    const stepsByName = new Map(workflow.steps.map((step) => [step.name, step]));
+    const states = new Map(workflow.steps.map((step) => [step.name, { status: 'pending' }]));
+    const results = {};
+    const scope = { inputs, steps: results };
+    const running = new Map();
+    const closedGates = [];
+    const failures = [];
+    const pendingApprovals = [];
+    let cancelled = false;
+
+    console.log(
+      resumed
+        ? `\n🔁 Resuming ${workflow.title || workflow.name} workflow (${checkpoints.size} checkpointed steps)...`
+        : `\n▶️  Starting ${workflow.title || workflow.name} workflow...`
+    );
+    this.orchestrator.emit('workflow:started', {
+      workflow: workflow.name,
+      workflowRunId: runId,
+      resumed,
+    });
+
+    const stopped = () =>
+      cancelled || runSignal.aborted || closedGates.length > 0 || failures.length > 0;
+
+    const startReadySteps = () => {
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const name of workflow.order) {
+          const state = states.get(name);
+          if (state.status !== 'pending') continue;
+
+          const step = stepsByName.get(name);
+          const deps = step.dependsOn.map((dep) => states.get(dep));
+          if (deps.some((dep) => ['pending', 'running', 'waiting'].includes(dep.status))) continue;
+
+          const blocked = step.dependsOn.find((dep) => {
+            const depState = states.get(dep);
+            return (
+              depState.status === 'skipped' ||
+              (depState.status === 'failed' && stepsByName.get(dep).onFailure !== 'continue')
+            );
+          });
+
+          if (blocked) {
+            states.set(name, { status: 'skipped', reason: `dependency '${blocked}' did not complete` });
+            changed = true;
+          } else if (step.when !== undefined && !evaluateCondition(step.when, scope)) {
+            states.set(name, { status: 'skipped', reason: 'condition not met' });
+            changed = true;
+          } else if (!stopped()) {
+            states.set(name, { status: 'running' });
+            running.set(
+              name,
+              this._runStep(step, scope, attribution, critique, checkpoints, runSignal)
+            );
+          }
+        }
+      }
+    };
+
+    try {
+      startReadySteps();
+
+      while (running.size > 0) {
+        const { name, result, reused, approval } = await Promise.race(running.values());
+        running.delete(name);
+
+        const step = stepsByName.get(name);
+
+        if (approval) {
+          states.set(name, { status: 'waiting', approvalId: approval.id });
+          pendingApprovals.push(approval);
+          startReadySteps();
+          continue;
+        }
+
+        results[name] = result;
+
+        if (!result.success) {
+          states.set(name, {
+            status: 'failed',
+            error: result.error,
+            errorType: result.metadata?.failureCause?.type,
+          });
+          if (step.onFailure === 'gate') {
+            closedGates.push({ step, result, failed: true });
+          } else if (step.onFailure === 'fail') {
+            failures.push({ step, result });
+          }
+        } else {
+          states.set(name, reused ? { status: 'succeeded', reused: true } : { status: 'succeeded' });
+          if (step.gate && !evaluateCondition(step.gate.require, { ...scope, output: result.output })) {
+            states.get(name).gateClosed = true;
+            closedGates.push({ step, result, failed: false });
+          }
+        }
+
+        if (!cancelled && (await runStore.getStatus(runId)) === 'cancelled') {
+          cancelled = true;
+          console.log(`🛑 ${workflow.name} run ${runId} cancelled`);
+        }
+
+        startReadySteps();
+      }
+    } catch (error) {
+      // A step or the run store threw: stop the steps still in flight, let them
+      // settle, and record the run as failed rather than leaving it running
+      runAbort.controller.abort(error);
+      await Promise.allSettled(running.values());
+      console.error(`❌ ${workflow.name} run ${runId} failed: ${error.message}`);
+      await runStore.finishRun(runId, {
+        status: 'failed',
+        result: { steps: Object.fromEntries(states) },
+        error: error.message,
+      });
+      this.orchestrator.emit('workflow:finished', {
+        workflow: workflow.name,
+        workflowRunId: runId,
+        runStatus: 'failed',
+        success: false,
+        stoppedAt: null,
+      });
+      throw error;
+    } finally {
+      runAbort.clear();
+      this.activeRuns.delete(runId);
+    }
+
+    let timedOut = null;
+    if (runSignal.aborted) {
+      const reason = abortReason(runSignal);
+      if (reason.errorType === 'cancelled') {
+        cancelled = true;
+      } else {
+        timedOut = reason;
+      }
+      console.log(`🛑 ${workflow.name} run ${runId} aborted: ${reason.message}`);
+    }
+
+    const waiting = !stopped() && pendingApprovals.length > 0;
+
+    // Steps never started because the run stopped (or still waiting on an approval)
+    for (const [name, state] of states) {
+      if (state.status === 'pending') {
+        states.set(name, waiting
+          ? { status: 'pending', reason: 'awaiting approval' }
+          : {
+            status: 'skipped',
+            reason: cancelled ? 'workflow cancelled' : timedOut ? 'workflow timed out' : 'workflow stopped',
+          });
+      }
+    }
+
+    let outcome;
+    if (cancelled) {
+      outcome = { success: false, cancelled: true, error: 'Workflow run cancelled' };
+    } else if (timedOut) {
+      outcome = {
+        success: false,
+        timedOut: true,
+        error: timedOut.message,
+        errorType: timedOut.errorType,
+      };
+    } else if (waiting) {
+      console.log(`⏸️  ${workflow.name} waiting for ${pendingApprovals.length} approval(s)`);
+      outcome = {
+        success: false,
+        waiting: true,
+        pendingApprovals: pendingApprovals.map((task) => ({
+          approvalId: task.id,
+          step: task.step,
+          title: task.title,
+          assignee: task.assignee,
+          deadlineAt: task.deadlineAt,
+        })),
+      };
+    } else {
+      outcome = this._buildOutcome(workflow, scope, closedGates, failures);
+    }
+
+    const runStatus = cancelled
+      ? 'cancelled'
+      : waiting
+        ? 'waiting'
+        : outcome.stoppedAt
+          ? 'stopped'
+          : outcome.success
+            ? 'completed'
+            : 'failed';
+    const finalResult = {
+      ...outcome,
+      workflow: workflow.name,
+      workflowRunId: runId,
+      runStatus,
+      results,
+      steps: Object.fromEntries(states),
+      failures: Object.fromEntries(
+        Object.entries(results)
+          .filter(([, result]) => !result.success)
+          .map(([name, result]) => [
+            name,
+            {
+              agent: stepsByName.get(name).agent,
+              error: result.error,
+              errorType: result.metadata?.failureCause?.type || 'agent_error',
+            },
+          ])
+      ),
+    };
+
+    // Agent results are already checkpointed per step
+    await runStore.finishRun(runId, {
+      status: runStatus,
+      result: { ...outcome, steps: finalResult.steps, failures: finalResult.failures },
+      error: outcome.error || null,
+    });
+
+    this.orchestrator.emit('workflow:finished', {
+      workflow: workflow.name,
+      workflowRunId: runId,
+      runStatus,
+      success: finalResult.success,
+      stoppedAt: finalResult.stoppedAt || finalResult.failedAt || null,
+    });
+
+    return finalResult;
+  }
+
+  /**
+   * Execute one step through the orchestrator, or reuse its checkpoint
+   * @param {object} step - Compiled step
+   * @param {object} scope - Reference scope
+   * @param {object} attribution - Run attribution
+   * @param {object|null} critique - Run-level critique options
+   * @param {Map} checkpoints - Succeeded steps of an earlier attempt (stepKey → step)
+   * @param {AbortSignal} runSignal - The run's signal
+   * @returns {Promise<object>} - { name, result, reused }, or { name, approval } while an
+   *   approval step is waiting for a decision
+   */
+  async _runStep(step, scope, attribution, critique, checkpoints, runSignal) {
+    if (step.approval) {
+      return this._runApproval(step, scope, attribution, checkpoints);
+    }
+
+    const input = resolveMapping(step.input, scope);
+    const context = resolveMapping(step.context || {}, scope) || {};
+    const runId = attribution.workflowRunId;
+    const stepKey = RunStore.stepKey(step.name, input, context);
+
+    const checkpoint = checkpoints.get(stepKey);
+    if (checkpoint) {
+      console.log(`↩️  Reusing checkpointed ${step.name} step`);
+      return { name: step.name, result: checkpoint.output, reused: true };
+    }
+
+    await runStore.startStep(runId, { stepKey, step: step.name, agent: step.agent, input, context });
+    const startTime = Date.now();
+    const stepAbort = linkSignal(runSignal, step.timeoutMs, `${step.name} step`);
+    const result = await this._executeStep(step, input, context, attribution, critique, stepAbort.signal);
+    stepAbort.clear();
+
+    await runStore.finishStep(runId, stepKey, {
+      status: result.success ? 'succeeded' : 'failed',
+      output: result,
+      error: result.error || null,
+      costUsd: result.metadata?.costUsd ?? null,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { name: step.name, result, reused: false };
+  }
+
+  /**
+   * Resolve an approval step from its task's decision, creating the task if needed
+   * A pending task past its deadline expires, which counts as a rejection.
+   * @param {object} step - Compiled approval step
+   * @param {object} scope - Reference scope
+   * @param {object} attribution - Run attribution
+   * @param {Map} checkpoints - Succeeded steps of an earlier attempt (stepKey → step)
+   * @returns {Promise<object>} - { name, result, reused } once decided, otherwise { name, approval }
+   */
+  async _runApproval(step, scope, attribution, checkpoints) {
+    const { approval } = step;
+    const payload = resolveMapping(approval.payload, scope);
+    const context = resolveMapping(approval.context, scope);
+    const runId = attribution.workflowRunId;
+    const stepKey = RunStore.stepKey(step.name, payload, context);
+
+    const checkpoint = checkpoints.get(stepKey);
+    if (checkpoint) {
+      return { name: step.name, result: checkpoint.output, reused: true };
+    }
+
+    const deadlineHours = approval.deadlineHours || DEFAULT_APPROVAL_DEADLINE_HOURS;
+    let task = await approvalStore.findOrCreate({
+      runId,
+      stepKey,
+      workflow: attribution.workflow,
+      step: step.name,
+      title: approval.title,
+      assignee: resolveMapping(approval.assignee, scope) ?? null,
+      context,
+      payload,
+      deadlineAt: new Date(Date.now() + deadlineHours * 3600 * 1000).toISOString(),
+    });
+
+    if (task.created) {
+      console.log(`📝 Approval requested: ${task.title}${task.assignee ? ` (assigned to ${task.assignee})` : ''}`);
+      this.orchestrator.emit('approval:requested', {
+        workflow: attribution.workflow,
+        workflowRunId: runId,
+        step: step.name,
+        approval: task,
+      });
+    }
+
+    if (task.status === 'pending' && task.deadlineAt && new Date(task.deadlineAt).getTime() < Date.now()) {
+      task = await approvalStore.decide(task.id, { status: 'expired', comment: 'Deadline passed' });
+    }
+
+    if (task.status === 'pending') {
+      await runStore.startStep(runId, { stepKey, step: step.name, input: payload, context });
+      await runStore.finishStep(runId, stepKey, { status: 'waiting' });
+      return { name: step.name, approval: task };
+    }
+
+    const result = {
+      success: true,
+      agent: null,
+      output: {
+        approved: task.status === 'approved',
+        decision: task.status,
+        approvalId: task.id,
+        reviewer: task.decidedBy,
+        comment: task.comment,
+        edits: task.edits,
+        payload: applyEdits(task.payload, task.edits),
+      },
+      metadata: { approvalId: task.id, costUsd: 0 },
+    };
+
+    await runStore.startStep(runId, { stepKey, step: step.name, input: payload, context });
+    await runStore.finishStep(runId, stepKey, { status: 'succeeded', output: result, costUsd: 0 });
+
+    console.log(`🧑‍⚖️  ${step.name}: ${task.status}${task.decidedBy ? ` by ${task.decidedBy}` : ''}`);
+    return { name: step.name, result, reused: false };
+  }
+
+  /**
+   * Call the step's agent (with critique when enabled for it)
+   * @param {object} step - Compiled step
+   * @param {any} input - Resolved input
+   * @param {object} context - Resolved context
+   * @param {object} attribution - Run attribution
+   * @param {object|null} critique - Run-level critique options
+   * @param {AbortSignal} signal - Step signal (run signal plus step timeout)
+   * @returns {Promise<object>} - Agent result
+   */
+  async _executeStep(step, input, context, attribution, critique, signal) {
+    const stepCritique = step.critique
+      ? this.orchestrator._critiqueOptions(step.critique)
+      : critique && critique.agents.includes(step.agent)
+        ? critique
+        : null;
+    const options = { attribution, step: step.name, signal };
+
+    try {
+      const result = stepCritique
+        ? await this.orchestrator.executeAgentWithCritique(step.agent, input, context, {
+          ...options,
+          critique: stepCritique,
+        })
+        : await this.orchestrator.executeAgent(step.agent, input, context, options);
+      return result;
+    } catch (error) {
+      // executeAgent reports agent failures as results; this is an engine-level error
+      return {
+        success: false,
+        agent: step.agent,
+        error: error.message,
+        metadata: {
+          failureCause: { type: error.errorType || 'workflow_error', retryable: false, message: error.message },
+        },
+      };
+    }
+  }
+
+  /**
+   * Build the outcome fields of a workflow result
+   * @param {object} workflow - Compiled definition
+   * @param {object} scope - Reference scope
+   * @param {array} closedGates - [{ step, result, failed }]
+   * @param {array} failures - [{ step, result }]
+   * @returns {object}
+   */
+  _buildOutcome(workflow, scope, closedGates, failures) {
+    const byDefinitionOrder = (a, b) =>
+      workflow.order.indexOf(a.step.name) - workflow.order.indexOf(b.step.name);
+
+    if (closedGates.length > 0) {
+      const { step, result, failed } = closedGates.sort(byDefinitionOrder)[0];
+      const reason = failed
+        ? `${step.gate.failureReason || step.gate.reason || `Step '${step.name}' failed`}: ${result.error}`
+        : step.gate.reason || `Gate at '${step.name}' not passed`;
+
+      // A failed step closes its gate with failureResult when the definition has one
+      const mapping = (failed && step.gate.failureResult) || step.gate.result || {};
+
+      console.log(`⛔ ${workflow.name} stopped at ${step.name}: ${reason}`);
+      return {
+        success: true,
+        ...resolveMapping(mapping, { ...scope, output: result.output }),
+        stoppedAt: step.name,
+        reason,
+        ...(failed && { errorType: result.metadata?.failureCause?.type }),
+      };
+    }
+
+    if (failures.length > 0) {
+      const { step, result } = failures.sort(byDefinitionOrder)[0];
+      console.error(`❌ Workflow failed at ${step.name}: ${result.error}`);
+      return {
+        success: false,
+        failedAt: step.name,
+        error: result.error,
+        errorType: result.metadata?.failureCause?.type,
+      };
+    }
+
+    console.log(`✅ ${workflow.title || workflow.name} workflow completed`);
+    return {
+      success: true,
+      ...resolveMapping(workflow.result || {}, scope),
+    };
+  }
+}
+
+/**
+ * Apply a reviewer's edits to the payload they approved
+ * Objects are shallow-merged; any other edit replaces the payload.
+ * @param {any} payload - Payload under review
+ * @param {any} edits - Reviewer edits (null when none)
+ * @returns {any}
+ */
+function applyEdits(payload, edits) {
+  if (edits === null || edits === undefined) {
+    return payload;
+  }
+
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  return isObject(payload) && isObject(edits) ? { ...payload, ...edits } : edits;
+}
+
+module.exports = WorkflowEngine;
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  tiledSearch,
+  parseBounds,
+  gridCells,
+  splitCell,
+  cellRadiusMeters,
+  containsPoint,
+  distanceMeters,
+} = require('../../src/connectors/geo-tiling');
+
+const MIAMI = { south: 25.7, west: -80.3, north: 25.9, east: -80.1 };
+
+describe('parseBounds', () => {
+  it('reads a string or an object', () => {
+    assert.deepStrictEqual(parseBounds('25.7,-80.3,25.9,-80.1'), MIAMI);
+    assert.deepStrictEqual(parseBounds({ ...MIAMI }), MIAMI);
+  });
+
+  it('rejects reversed, out of range and incomplete boxes', () => {
+    assert.throws(() => parseBounds('25.9,-80.3,25.7,-80.1'), /Invalid bounding box/);
+    assert.throws(() => parseBounds('25.7,-180.3,25.9,-80.1'), /Invalid bounding box/);
+    assert.throws(() => parseBounds('25.7,-80.3,25.9'), /Invalid bounding box/);
+  });
+});
+
+describe('geometry', () => {
+  it('measures great-circle distances', () => {
+    assert.strictEqual(Math.round(distanceMeters(0, 0, 1, 0)), 111195);
+  });
+
+  it('covers a whole cell with its radius', () => {
+    const radius = cellRadiusMeters(MIAMI);
+    const { lat, lng } = { lat: 25.8, lng: -80.2 };
+    for (const [cornerLat, cornerLng] of [[25.7, -80.3], [25.7, -80.1], [25.9, -80.3], [25.9, -80.1]]) {
+      assert.ok(distanceMeters(lat, lng, cornerLat, cornerLng) <= radius);
+    }
+  });
+
+  it('splits a cell into quadrants, south-west first', () => {
+    const quadrants = splitCell({ id: 'r0c0', depth: 0, ...MIAMI });
+    assert.deepStrictEqual(
+      quadrants.map(({ id, depth }) => [id, depth]),
+      [['r0c0.0', 1], ['r0c0.1', 1], ['r0c0.2', 1], ['r0c0.3', 1]]
+    );
+    assert.ok(containsPoint(quadrants[0], { lat: 25.75, lng: -80.25 }));
+    assert.ok(!containsPoint(quadrants[3], { lat: 25.75, lng: -80.25 }));
+  });
+});
+
+describe('gridCells', () => {
+  it('uses one cell when the box fits the search radius', () => {
+    assert.deepStrictEqual(gridCells(MIAMI, 50000).map((cell) => cell.id), ['r0c0']);
+  });
+
+  it('tiles a larger box into cells within the radius that cover it', () => {
+    const bounds = { south: 29.5, west: -95.8, north: 30.1, east: -95.0 };
+    const cells = gridCells(bounds, 20000);
+    assert.ok(cells.length > 1);
+    cells.forEach((cell) => assert.ok(cellRadiusMeters(cell) <= 20000, cell.id));
+    assert.strictEqual(cells[0].south, bounds.south);
+    assert.strictEqual(cells[0].west, bounds.west);
+    assert.strictEqual(cells[cells.length - 1].north, bounds.north);
+    assert.strictEqual(cells[cells.length - 1].east, bounds.east);
+  });
+});
+
+describe('tiledSearch', () => {
+  const CAP = 4;
+  const places = [
+    ...[1, 2, 3, 4, 5].map((n) => ({ id: `sw${n}`, lat: 25.7 + n * 0.01, lng: -80.29 + n * 0.01 })),
+    { id: 'ne', lat: 25.85, lng: -80.15 },
+  ];
+  const outside = { id: 'far', lat: 26.5, lng: -80.2 };
+
+  // A source that returns at most CAP places per search, plus one outside the box
+  const searchCell = async (cell) => {
+    const inside = places.filter((place) => containsPoint(cell, place));
+    return { results: [...inside.slice(0, CAP), outside], pages: 1, saturated: inside.length > CAP };
+  };
+  const options = { maxRadiusMeters: 50000, idOf: (place) => place.id, locate: (place) => place, label: 'Test' };
+
+  it('subdivides saturated cells, dedupes results and drops those outside the box', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { results, coverage } = await tiledSearch(MIAMI, searchCell, { ...options, maxDepth: 2 });
+
+    assert.deepStrictEqual(results.map((place) => place.id).sort(), ['ne', 'sw1', 'sw2', 'sw3', 'sw4', 'sw5']);
+    assert.strictEqual(coverage.tiles.find((tile) => tile.id === 'r0c0').status, 'subdivided');
+    assert.strictEqual(coverage.tiles.find((tile) => tile.id === 'r0c0.0').status, 'subdivided');
+    assert.strictEqual(coverage.summary.complete, true);
+    assert.strictEqual(coverage.summary.outside, coverage.summary.searched);
+  });
+
+  it('reports capped cells as incomplete coverage', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { results, coverage } = await tiledSearch(MIAMI, searchCell, { ...options, maxDepth: 1 });
+
+    assert.strictEqual(results.length, 5);
+    assert.strictEqual(coverage.tiles.find((tile) => tile.id === 'r0c0.0').status, 'capped');
+    assert.strictEqual(coverage.tiles.find((tile) => tile.id === 'r0c0.0').duplicates, 4);
+    assert.strictEqual(coverage.summary.capped, 1);
+    assert.strictEqual(coverage.summary.complete, false);
+  });
+
+  it('skips cells past maxCells', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { coverage } = await tiledSearch(MIAMI, searchCell, { ...options, maxCells: 1 });
+
+    assert.strictEqual(coverage.summary.searched, 1);
+    assert.strictEqual(coverage.summary.skipped, 4);
+    assert.strictEqual(coverage.summary.complete, false);
+  });
+});
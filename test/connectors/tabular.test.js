@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readTable, headerKey } = require('../../src/connectors/tabular');
+
+describe('readTable', () => {
+  let dir;
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rollizr-tabular-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a CSV into headers and rows numbered as in the file', async () => {
+    const table = await readTable(write('list.csv', '﻿Name,City\n Cool Air ,Miami\n\n,\nBreeze HVAC,Doral\n'));
+    assert.deepStrictEqual(table.headers, ['Name', 'City']);
+    assert.deepStrictEqual(table.rows, [
+      { rowNumber: 2, values: { Name: 'Cool Air', City: 'Miami' } },
+      { rowNumber: 5, values: { Name: 'Breeze HVAC', City: 'Doral' } },
+    ]);
+  });
+
+  it('keeps later columns in place when a header is blank', async () => {
+    const table = await readTable(write('blank.csv', 'Name,,Phone\nCool Air,note,305-555-1234\n'));
+    assert.deepStrictEqual(table.headers, ['Name', 'Phone']);
+    assert.deepStrictEqual(table.rows[0].values, { Name: 'Cool Air', Phone: '305-555-1234' });
+  });
+
+  it('fills missing cells of short rows with empty strings', async () => {
+    const table = await readTable(write('short.tsv', 'Name\tCity\tZip\nCool Air\tMiami\n'));
+    assert.deepStrictEqual(table.rows[0].values, { Name: 'Cool Air', City: 'Miami', Zip: '' });
+  });
+
+  it('rejects other file types', async () => {
+    await assert.rejects(readTable('list.pdf'), /Unsupported file type '.pdf'/);
+  });
+});
+
+describe('headerKey', () => {
+  it('ignores case, underscores and extra spacing', () => {
+    assert.strictEqual(headerKey(' Legal_Name  '), 'legal name');
+  });
+});
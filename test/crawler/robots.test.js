@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { RobotsPolicy, parseRobots } = require('../../src/crawler/robots');
+
+const USER_AGENT = 'RollizrBot/1.0 (+https://rollizr.com/bot)';
+
+const ROBOTS = `
+# Everyone
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: rollizrbot
+Disallow: /quotes
+Disallow:
+Crawl-delay: 5
+`;
+
+describe('parseRobots', () => {
+  it('groups consecutive user-agent lines and their rules', () => {
+    const groups = parseRobots(ROBOTS);
+    assert.strictEqual(groups.length, 2);
+    assert.deepStrictEqual(groups[1].agents, ['badbot', 'rollizrbot']);
+    assert.deepStrictEqual(groups[1].rules, [{ allow: false, path: '/quotes' }]);
+    assert.strictEqual(groups[0].crawlDelay, 2);
+  });
+
+  it('ignores rules before any user-agent line', () => {
+    assert.deepStrictEqual(parseRobots('Disallow: /\nUser-agent: *\nAllow: /'), [
+      { agents: ['*'], rules: [{ allow: true, path: '/' }], crawlDelay: null },
+    ]);
+  });
+});
+
+describe('RobotsPolicy', () => {
+  it('follows the group naming our product token over *', () => {
+    const policy = new RobotsPolicy(ROBOTS, USER_AGENT);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/quotes/new'), false);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/private'), true);
+    assert.strictEqual(policy.crawlDelayMs, 5000);
+  });
+
+  it('falls back to the * group', () => {
+    const policy = new RobotsPolicy(ROBOTS, 'OtherBot/2.0');
+    assert.strictEqual(policy.isAllowed('https://coolair.com/private/team'), false);
+    assert.strictEqual(policy.crawlDelayMs, 2000);
+  });
+
+  it('lets the longest matching rule decide', () => {
+    const policy = new RobotsPolicy(ROBOTS, 'OtherBot/2.0');
+    assert.strictEqual(policy.isAllowed('https://coolair.com/private/press/2026'), true);
+  });
+
+  it('prefers Allow on a tie', () => {
+    const policy = new RobotsPolicy('User-agent: *\nDisallow: /page\nAllow: /page', USER_AGENT);
+    assert.strictEqual(policy.isAllowed('/page'), true);
+  });
+
+  it('supports * and $ wildcards and matches the query string', () => {
+    const policy = new RobotsPolicy('User-agent: *\nDisallow: /*.pdf$\nDisallow: /*?sort=', USER_AGENT);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/docs/brochure.pdf'), false);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/docs/brochure.pdf?v=2'), true);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/services?sort=price'), false);
+  });
+
+  it('allows everything without robots.txt and nothing when it failed to load', () => {
+    assert.strictEqual(new RobotsPolicy(null, USER_AGENT).isAllowed('https://coolair.com/anything'), true);
+    const unavailable = new RobotsPolicy(null, USER_AGENT, { disallowAll: true });
+    assert.strictEqual(unavailable.isAllowed('https://coolair.com/'), false);
+  });
+
+  it('always allows robots.txt itself', () => {
+    const policy = new RobotsPolicy('User-agent: *\nDisallow: /', USER_AGENT);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/robots.txt'), true);
+    assert.strictEqual(policy.isAllowed('https://coolair.com/'), false);
+  });
+});
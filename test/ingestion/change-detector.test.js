@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  claimFields,
+  companyRecord,
+  diffCompany,
+  describeChange,
+  missingLinks,
+  sameCompany,
+} = require('../../src/ingestion/change-detector');
+
+const now = new Date('2026-03-31T00:00:00Z');
+
+const stored = {
+  legal_name: 'Cool Air LLC',
+  phone: '(305) 555-1234',
+  address: '1 Main St',
+  business_status: 'OPERATIONAL',
+  google_rating: '4.5',
+  google_review_count: 100,
+  google_place_id: 'g1',
+  created_at: new Date('2026-03-01T00:00:00Z'),
+  field_sources: { legal_name: 'google_maps', phone: 'google_maps', business_status: 'google_maps' },
+};
+
+describe('companyRecord', () => {
+  it('turns review summaries into columns and notes each field source', () => {
+    const record = companyRecord({
+      legal_name: 'Cool Air',
+      phone: '305-555-1234',
+      google_reviews: { count: 120, average_rating: 4.6 },
+      data_source: 'google_maps',
+      field_sources: { phone: 'yelp' },
+    });
+    assert.strictEqual(record.google_rating, 4.6);
+    assert.strictEqual(record.google_review_count, 120);
+    assert.strictEqual(record.vertical, 'HVAC');
+    assert.strictEqual(record.website, undefined);
+    assert.deepStrictEqual(record.field_sources, {
+      legal_name: 'google_maps',
+      phone: 'yelp',
+      google_rating: 'google_maps',
+      google_review_count: 'google_maps',
+    });
+  });
+});
+
+describe('diffCompany', () => {
+  const incoming = (fields, source = 'google_maps') =>
+    companyRecord({ ...fields, data_source: source });
+
+  it('ignores formatting differences', () => {
+    const changes = diffCompany(
+      stored,
+      incoming({ legal_name: 'COOL AIR', phone: '+1 305 555 1234', address: '1  main st', google_rating: 4.52 }),
+      { now }
+    );
+    assert.deepStrictEqual(changes, []);
+  });
+
+  it('only compares fields the record carries', () => {
+    assert.deepStrictEqual(diffCompany(stored, incoming({ legal_name: 'Cool Air' }), { now }), []);
+  });
+
+  it('reports numeric deltas since the value was first seen', () => {
+    const [change] = diffCompany(stored, incoming({ google_reviews: { count: 140 } }), { now });
+    assert.deepStrictEqual(change, {
+      field: 'google_review_count',
+      previous: 100,
+      current: 140,
+      delta: 40,
+      since: '2026-03-01T00:00:00.000Z',
+      summary: 'Google review count +40 in 30 days',
+    });
+  });
+
+  it('measures from the last change of the field when there is one', () => {
+    const [change] = diffCompany(stored, incoming({ google_reviews: { count: 90 } }), {
+      now,
+      lastChanged: { google_review_count: new Date('2026-03-30T20:00:00Z') },
+    });
+    assert.strictEqual(change.summary, 'Google review count -10 in under a day');
+  });
+
+  it('reports a closure', () => {
+    const [change] = diffCompany(stored, incoming({ business_status: 'CLOSED_PERMANENTLY' }), { now });
+    assert.strictEqual(change.summary, 'business closed');
+    assert.strictEqual(change.previous, 'OPERATIONAL');
+  });
+
+  it('leaves a field owned by another source alone unless it is empty', () => {
+    const yelp = incoming({ business_status: 'CLOSED_TEMPORARILY', website: 'https://coolair.com' }, 'yelp');
+    const changes = diffCompany(stored, yelp, { now });
+    assert.deepStrictEqual(changes.map((change) => change.field), ['website']);
+    assert.strictEqual(changes[0].summary, 'website recorded: https://coolair.com');
+  });
+});
+
+describe('describeChange', () => {
+  it('describes reopenings and text changes', () => {
+    assert.strictEqual(
+      describeChange({ field: 'business_status', previous: 'CLOSED_TEMPORARILY', current: 'OPERATIONAL' }),
+      'business reopened'
+    );
+    assert.strictEqual(describeChange({ field: 'city', previous: 'Miami', current: 'Doral' }), 'city Miami → Doral');
+  });
+});
+
+describe('claimFields', () => {
+  it('hands changed fields to the source that changed them', () => {
+    const yelp = companyRecord({ website: 'https://coolair.com', data_source: 'yelp' });
+    const changes = diffCompany(stored, yelp, { now });
+    assert.deepStrictEqual(claimFields(stored, yelp, changes), { ...stored.field_sources, website: 'yelp' });
+  });
+});
+
+describe('sameCompany and missingLinks', () => {
+  it('tells franchise locations apart by their source IDs', () => {
+    assert.strictEqual(sameCompany(stored, { google_place_id: 'g2', domain: 'coolair.com' }), false);
+    assert.strictEqual(sameCompany(stored, { google_place_id: 'g1', yelp_id: 'y1' }), true);
+    assert.strictEqual(sameCompany(stored, { yelp_id: 'y1' }), true);
+  });
+
+  it('fills in source IDs the stored company lacks', () => {
+    assert.deepStrictEqual(missingLinks(stored, { google_place_id: 'g9', yelp_id: 'y1' }), { yelp_id: 'y1' });
+  });
+});
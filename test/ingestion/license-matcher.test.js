@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { LicenseMatcher, scoreMatch, nameSimilarity } = require('../../src/ingestion/license-matcher');
+
+const thresholds = { link: 0.75, review: 0.5 };
+
+describe('nameSimilarity', () => {
+  it('ignores case, punctuation and legal suffixes', () => {
+    assert.strictEqual(nameSimilarity('Cool Air LLC', 'cool air, inc.'), 1);
+    assert.strictEqual(nameSimilarity('A & B Services', 'A and B'), 1);
+  });
+
+  it('scores 0.9 when one name is contained in the other', () => {
+    assert.strictEqual(nameSimilarity('Cool Air', 'Cool Air Heating & Cooling'), 0.9);
+  });
+
+  it('falls back to the Dice coefficient', () => {
+    assert.strictEqual(nameSimilarity('Cool Air Heating', 'Air Pros Plumbing'), 1 / 3);
+    assert.strictEqual(nameSimilarity('LLC', 'Cool Air'), 0);
+  });
+});
+
+describe('scoreMatch', () => {
+  const company = {
+    legal_name: 'Cool Air LLC',
+    phone: '(305) 555-1234',
+    address: '123 North Main Street, Suite 4',
+    city: 'Miami',
+    zip: '33101',
+  };
+
+  it('links the same name in the same zip', () => {
+    const { confidence, signals } = scoreMatch({ business_name: 'COOL AIR, L.L.C.', zip: '33101-2040' }, company);
+    assert.deepStrictEqual(signals, { name: 1, phone: 0, street: 0, locality: 1 });
+    assert.strictEqual(confidence, 0.76);
+  });
+
+  it('sends a name alone to review', () => {
+    assert.strictEqual(scoreMatch({ business_name: 'Cool Air' }, company).confidence, 0.7);
+  });
+
+  it('links on phone and street, normalizing both', () => {
+    const { confidence, signals } = scoreMatch(
+      { business_name: 'Unrelated Holdings', phone: '+1 305 555 1234', address: '123 N Main St' },
+      company
+    );
+    assert.strictEqual(signals.phone, 1);
+    assert.strictEqual(signals.street, 1);
+    assert.strictEqual(confidence, 0.8);
+  });
+
+  it('treats a loose name overlap as no evidence', () => {
+    assert.strictEqual(scoreMatch({ business_name: 'Air Pros Plumbing' }, { legal_name: 'Cool Air Heating' }).confidence, 0);
+  });
+
+  it('matches on the holder name or the DBA', () => {
+    assert.strictEqual(
+      scoreMatch({ business_name: 'JS Holdings', holder_name: 'Breeze HVAC' }, { legal_name: 'Smith Inc', dba: 'Breeze HVAC' })
+        .signals.name,
+      1
+    );
+  });
+});
+
+describe('LicenseMatcher', () => {
+  const companies = [
+    { id: 1, legal_name: 'Cool Air LLC', zip: '33101', city: 'Miami' },
+    { id: 2, legal_name: 'Cool Breeze Inc', zip: '33101', city: 'Miami' },
+    { id: 3, legal_name: 'Arctic Comfort', phone: '305-555-9999', zip: '32801', city: 'Orlando' },
+  ];
+  const matcher = new LicenseMatcher(companies, { thresholds });
+
+  it('picks the best candidate and decides by threshold', () => {
+    const match = matcher.match({ business_name: 'Cool Air', zip: '33101' });
+    assert.strictEqual(match.company.id, 1);
+    assert.strictEqual(match.decision, 'link');
+  });
+
+  it('keeps mid-confidence matches for review', () => {
+    const match = matcher.match({ business_name: 'Arctic Comfort Systems', zip: '90210' });
+    assert.strictEqual(match.company.id, 3);
+    assert.strictEqual(match.decision, 'review');
+  });
+
+  it('returns null below the review threshold', () => {
+    assert.strictEqual(matcher.match({ business_name: 'Polar Mechanical', zip: '33101' }), null);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, validateCron, nextRun, countRuns } = require('../../src/scheduler/cron');
+
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const schedule = parseCron('0,30 9-11 */10 JAN-MAR mon,fri');
+    assert.deepStrictEqual([...schedule.minute], [0, 30]);
+    assert.deepStrictEqual([...schedule.hour], [9, 10, 11]);
+    assert.deepStrictEqual([...schedule.dayOfMonth], [1, 11, 21, 31]);
+    assert.deepStrictEqual([...schedule.month], [1, 2, 3]);
+    assert.deepStrictEqual([...schedule.dayOfWeek], [1, 5]);
+  });
+
+  it('reads a start with a step as running to the end of the field', () => {
+    assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepStrictEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  });
+
+  it('expands macros', () => {
+    assert.deepStrictEqual([...parseCron('@daily').hour], [0]);
+    assert.deepStrictEqual([...parseCron('@weekly').dayOfWeek], [0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /expected 5 fields, got 4/);
+    assert.throws(() => parseCron('60 * * * *'), /minute value '60' is out of range 0-59/);
+    assert.throws(() => parseCron('* * * * 5-1'), /range '5-1' is reversed/);
+    assert.throws(() => parseCron('*/0 * * * *'), /step '0' must be a positive integer/);
+  });
+});
+
+describe('validateCron', () => {
+  it('reports errors without throwing', () => {
+    assert.deepStrictEqual(validateCron('*/5 * * * *'), { valid: true, error: null });
+    const result = validateCron('0 25 * * *');
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /hour value '25'/);
+  });
+});
+
+describe('nextRun', () => {
+  it('returns the next matching minute after the given time', () => {
+    assert.deepStrictEqual(nextRun('*/15 * * * *', at('2026-03-10T10:07:30Z')), at('2026-03-10T10:15:00Z'));
+  });
+
+  it('is exclusive of the given time', () => {
+    assert.deepStrictEqual(nextRun('0 * * * *', at('2026-03-10T10:00:00Z')), at('2026-03-10T11:00:00Z'));
+  });
+
+  it('rolls over days, months and years', () => {
+    assert.deepStrictEqual(nextRun('30 2 * * *', at('2026-03-10T03:00:00Z')), at('2026-03-11T02:30:00Z'));
+    assert.deepStrictEqual(nextRun('@monthly', at('2026-12-15T00:00:00Z')), at('2027-01-01T00:00:00Z'));
+  });
+
+  it('skips months without the day', () => {
+    assert.deepStrictEqual(nextRun('0 0 31 * *', at('2026-04-01T00:00:00Z')), at('2026-05-31T00:00:00Z'));
+  });
+
+  it('runs on either day when both day fields are restricted', () => {
+    // 2026-03-10 is a Tuesday: the next Friday (13th) comes before the 15th
+    assert.deepStrictEqual(nextRun('0 0 15 * FRI', at('2026-03-10T12:00:00Z')), at('2026-03-13T00:00:00Z'));
+  });
+
+  it('gives up on expressions that never match', () => {
+    assert.throws(() => nextRun('0 0 30 2 *', at('2026-01-01T00:00:00Z')), /has no run in the next 5 years/);
+  });
+});
+
+describe('countRuns', () => {
+  it('counts occurrences in (from, to]', () => {
+    assert.strictEqual(countRuns('0 * * * *', at('2026-03-10T00:00:00Z'), at('2026-03-10T06:00:00Z')), 6);
+  });
+
+  it('stops at max', () => {
+    assert.strictEqual(countRuns('* * * * *', at('2026-03-10T00:00:00Z'), at('2026-03-11T00:00:00Z'), 10), 10);
+  });
+});
@@ -0,0 +1,72 @@
+process.env.SCHEDULER_PERSIST = 'false';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jobStore = require('../../src/scheduler/job-store');
+const Scheduler = require('../../src/scheduler/scheduler');
+
+const MINUTE = 60000;
+
+describe('Scheduler', () => {
+  let time;
+  const leases = {};
+  const jobTypes = {
+    // Takes 20 minutes of the fake clock
+    report: {
+      run: async (params, { job }) => {
+        leases[job.name] = jobStore.jobs.get(job.name).lockedUntil;
+        time = new Date(time.getTime() + 20 * MINUTE);
+        return { ok: true };
+      },
+    },
+  };
+
+  beforeEach(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    jobStore.jobs.clear();
+    time = new Date('2026-03-10T10:00:30Z');
+    for (const name of ['a', 'b']) {
+      await jobStore.saveJob({ name, type: 'report', cron: '0 * * * *' });
+      jobStore.jobs.get(name).nextRunAt = '2026-03-10T10:00:00.000Z';
+    }
+  });
+
+  it('reads the clock afresh for each job a tick runs', async () => {
+    const scheduler = new Scheduler({
+      workerId: 'w1',
+      jobTypes,
+      leaseMs: 5 * MINUTE,
+      misfireGraceMs: 15 * MINUTE,
+      clock: () => time,
+    });
+
+    const runs = await scheduler.tick();
+
+    assert.deepStrictEqual(
+      runs.map(({ job, status, missedRuns, durationMs }) => ({ job, status, missedRuns, durationMs })),
+      [
+        { job: 'a', status: 'succeeded', missedRuns: 0, durationMs: 20 * MINUTE },
+        // Started 20 minutes late, behind a, so it is judged late by that start
+        { job: 'b', status: 'succeeded', missedRuns: 1, durationMs: 20 * MINUTE },
+      ]
+    );
+    // b's lease runs from its own claim, not from the start of the tick
+    assert.strictEqual(leases.a, '2026-03-10T10:05:30.000Z');
+    assert.strictEqual(leases.b, '2026-03-10T10:25:30.000Z');
+    // The next runs come after each run finished
+    assert.strictEqual(jobStore.jobs.get('a').nextRunAt, '2026-03-10T11:00:00.000Z');
+    assert.strictEqual(jobStore.jobs.get('b').nextRunAt, '2026-03-10T11:00:00.000Z');
+    assert.strictEqual(jobStore.jobs.get('b').lastRunAt, '2026-03-10T10:20:30.000Z');
+  });
+
+  it('records a late job as missed under the skip policy', async () => {
+    await jobStore.saveJob({ name: 'b', type: 'report', cron: '0 * * * *', missedRunPolicy: 'skip' });
+    const scheduler = new Scheduler({ workerId: 'w1', jobTypes, misfireGraceMs: 15 * MINUTE, clock: () => time });
+
+    const runs = await scheduler.tick();
+
+    assert.deepStrictEqual(runs[1], { job: 'b', status: 'missed', missedRuns: 1 });
+    assert.strictEqual(jobStore.jobs.get('b').runCount, 0);
+  });
+});
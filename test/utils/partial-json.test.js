@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parsePartialJSON } = require('../../src/utils/partial-json');
+
+describe('parsePartialJSON', () => {
+  it('returns null until an object starts', () => {
+    assert.strictEqual(parsePartialJSON(''), null);
+    assert.strictEqual(parsePartialJSON('Looking at the company'), null);
+    assert.deepStrictEqual(parsePartialJSON('{'), {});
+  });
+
+  it('parses a complete object inside prose or a fence and ignores what follows', () => {
+    assert.deepStrictEqual(parsePartialJSON('Here it is:\n```json\n{"score": 72}\n```\nDone {'), { score: 72 });
+  });
+
+  it('closes an open string', () => {
+    assert.deepStrictEqual(parsePartialJSON('{"score": 72, "summary": "Strong recur'), {
+      score: 72,
+      summary: 'Strong recur',
+    });
+  });
+
+  it('keeps escaped quotes inside strings', () => {
+    assert.deepStrictEqual(parsePartialJSON('{"quote": "they said \\"hi'), { quote: 'they said "hi' });
+  });
+
+  it('drops a trailing incomplete key or value', () => {
+    assert.deepStrictEqual(parsePartialJSON('{"score": 72, "summ'), { score: 72 });
+    assert.deepStrictEqual(parsePartialJSON('{"score": 72, "summary":'), { score: 72 });
+    assert.deepStrictEqual(parsePartialJSON('{"score": 72, "confident": tr'), { score: 72 });
+  });
+
+  it('closes nested arrays and objects', () => {
+    assert.deepStrictEqual(parsePartialJSON('{"reasons": ["growth", "margins"'), { reasons: ['growth', 'margins'] });
+    assert.deepStrictEqual(parsePartialJSON('{"list": [1, 2, {"x":'), { list: [1, 2, {}] });
+  });
+});
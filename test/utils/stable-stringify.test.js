@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { stableStringify } = require('../../src/utils/stable-stringify');
+
+describe('stableStringify', () => {
+  it('sorts object keys at every level', () => {
+    assert.strictEqual(stableStringify({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: 'x' } }), '{"a":{"c":"x","d":[2,{"e":4,"f":3}]},"b":1}');
+  });
+
+  it('leaves out undefined properties and writes undefined array entries as null', () => {
+    assert.strictEqual(stableStringify({ a: undefined, b: [undefined, null] }), '{"b":[null,null]}');
+    assert.strictEqual(stableStringify(undefined), 'null');
+  });
+
+  it('serializes Dates and other toJSON values as JSON.stringify does', () => {
+    const updatedAt = new Date('2026-03-10T10:00:00Z');
+    assert.strictEqual(stableStringify({ updated_at: updatedAt }), '{"updated_at":"2026-03-10T10:00:00.000Z"}');
+    assert.notStrictEqual(stableStringify({ updated_at: updatedAt }), stableStringify({ updated_at: new Date(0) }));
+    assert.strictEqual(stableStringify({ money: { toJSON: () => '12.50' } }), '{"money":"12.50"}');
+  });
+});
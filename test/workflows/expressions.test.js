@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  isReference,
+  resolveReference,
+  resolveMapping,
+  evaluateCondition,
+  conditionProblems,
+  referencedSteps,
+} = require('../../src/workflows/expressions');
+
+const scope = {
+  inputs: { companyData: { name: 'Cool Air', tags: ['hvac'] } },
+  steps: {
+    scout: { output: { score: 72, reasons: ['growth', 'margins'] } },
+    compliance: { output: { approved: false, violations: [{ details: 'a' }, { details: 'b' }] } },
+  },
+};
+
+describe('resolveReference', () => {
+  it('follows dotted paths and indexes', () => {
+    assert.strictEqual(resolveReference('$steps.scout.output.score', scope), 72);
+    assert.strictEqual(resolveReference('$steps.scout.output.reasons[1]', scope), 'margins');
+  });
+
+  it('maps over arrays with [*]', () => {
+    assert.deepStrictEqual(resolveReference('$steps.compliance.output.violations[*].details', scope), ['a', 'b']);
+  });
+
+  it('resolves missing paths to undefined', () => {
+    assert.strictEqual(resolveReference('$steps.profiler.output.summary', scope), undefined);
+  });
+});
+
+describe('resolveMapping', () => {
+  it('resolves references inside objects and arrays', () => {
+    assert.deepStrictEqual(
+      resolveMapping({ name: '$inputs.companyData.name', scores: ['$steps.scout.output.score', 1] }, scope),
+      { name: 'Cool Air', scores: [72, 1] }
+    );
+  });
+
+  it('drops keys that resolve to undefined', () => {
+    assert.deepStrictEqual(resolveMapping({ name: '$inputs.companyData.name', missing: '$inputs.nope' }, scope), {
+      name: 'Cool Air',
+    });
+  });
+
+  it('resolves an object of only unresolved references to undefined', () => {
+    assert.strictEqual(resolveMapping({ a: '$inputs.nope', b: '$steps.x.output' }, scope), undefined);
+  });
+
+  it('unescapes $$ to a literal $', () => {
+    assert.strictEqual(resolveMapping('$$5 million', scope), '$5 million');
+    assert.strictEqual(isReference('$$5 million'), false);
+  });
+
+  it('concatenates and merges', () => {
+    assert.deepStrictEqual(
+      resolveMapping({ $concat: ['$inputs.companyData.tags', '$steps.scout.output.reasons', '$inputs.nope'] }, scope),
+      ['hvac', 'growth', 'margins']
+    );
+    assert.deepStrictEqual(resolveMapping({ $merge: ['$inputs.companyData', { city: 'Miami' }] }, scope), {
+      name: 'Cool Air',
+      tags: ['hvac'],
+      city: 'Miami',
+    });
+  });
+});
+
+describe('evaluateCondition', () => {
+  it('requires every operator to hold', () => {
+    assert.strictEqual(evaluateCondition({ ref: '$steps.scout.output.score', gte: 50, lt: 80 }, scope), true);
+    assert.strictEqual(evaluateCondition({ ref: '$steps.scout.output.score', gte: 50, lt: 70 }, scope), false);
+  });
+
+  it('combines conditions with all, any and not', () => {
+    const approved = '$steps.compliance.output.approved';
+    assert.strictEqual(evaluateCondition({ any: [approved, { ref: '$steps.scout.output.score', gt: 70 }] }, scope), true);
+    assert.strictEqual(evaluateCondition({ all: [approved, true] }, scope), false);
+    assert.strictEqual(evaluateCondition({ not: approved }, scope), true);
+  });
+
+  it('resolves references on both sides', () => {
+    assert.strictEqual(evaluateCondition({ ref: '$output.score', eq: '$steps.scout.output.score' }, { ...scope, output: { score: 72 } }), true);
+  });
+
+  it('checks existence and membership', () => {
+    assert.strictEqual(evaluateCondition({ ref: '$inputs.nope', exists: false }, scope), true);
+    assert.strictEqual(evaluateCondition({ ref: '$inputs.companyData.name', in: ['Cool Air', 'Other'] }, scope), true);
+  });
+});
+
+describe('conditionProblems', () => {
+  it('accepts valid conditions', () => {
+    assert.deepStrictEqual(conditionProblems({ all: [{ ref: '$output.score', gte: 50 }, '$output.ok'] }), []);
+  });
+
+  it('reports missing refs, missing and unknown operators', () => {
+    assert.deepStrictEqual(conditionProblems({ gte: 50 }), ['condition {"gte":50} has no ref']);
+    assert.deepStrictEqual(conditionProblems({ ref: '$output.score' }), ['condition on $output.score has no operator']);
+    assert.deepStrictEqual(conditionProblems({ ref: '$output.score', above: 50 }), [
+      "unknown condition operator 'above'",
+    ]);
+    assert.deepStrictEqual(conditionProblems({ any: 'x' }), ['all/any must be a list of conditions']);
+  });
+});
+
+describe('referencedSteps', () => {
+  it('collects step names from nested mappings', () => {
+    const steps = referencedSteps({ a: '$steps.scout.output', b: ['$steps.compliance.output.approved', '$inputs.x'] });
+    assert.deepStrictEqual([...steps].sort(), ['compliance', 'scout']);
+  });
+});